@@ -0,0 +1,274 @@
+/**
+ * Accessibility options for Cert Quest.
+ * Colour palettes that stay readable with colour-blindness, screen-reader
+ * announcements of what happens in a run, reduced motion and a slower game
+ * speed. Holds no DOM references; game.js applies the settings and reads
+ * the announcement text from here.
+ */
+
+(function (root) {
+  const Sim =
+    typeof module !== "undefined" && module.exports
+      ? require("./sim")
+      : root.CertQuestSim;
+
+  const ACCESSIBILITY_STORAGE_KEY = "certQuest.accessibility";
+
+  /**
+   * Drawing colours. Besides the standard look there is a red-green safe
+   * palette (Okabe-Ito colours, for deuteranopia and protanopia) and a
+   * blue-yellow safe one (tritanopia). Books and triage tags also differ in
+   * shape and label, so colour is never the only cue.
+   */
+  const PALETTES = {
+    standard: {
+      label: "Standard",
+      knowledge: { outer: "#0f9d58", inner: "#0c7040", text: "#e5ffe5" },
+      mistake: { outer: "#c62828", inner: "#8b1b1b", text: "#ffe5e5" },
+      assessment: { fill: "#ffcc00", stroke: "#b8860b" },
+      triage: {
+        [Sim.TRIAGE_LEVELS.RED]: "#e53935",
+        [Sim.TRIAGE_LEVELS.ORANGE]: "#fb8c00",
+        [Sim.TRIAGE_LEVELS.YELLOW]: "#fdd835",
+        [Sim.TRIAGE_LEVELS.GREEN]: "#43a047",
+      },
+      critical: "#e53935",
+      progress: "#2ecc71",
+    },
+    redGreen: {
+      label: "Red-green safe",
+      knowledge: { outer: "#0072b2", inner: "#005a8c", text: "#e5f2ff" },
+      mistake: { outer: "#d55e00", inner: "#9c4500", text: "#fff0e5" },
+      assessment: { fill: "#f0e442", stroke: "#a89f1e" },
+      triage: {
+        [Sim.TRIAGE_LEVELS.RED]: "#d55e00",
+        [Sim.TRIAGE_LEVELS.ORANGE]: "#e69f00",
+        [Sim.TRIAGE_LEVELS.YELLOW]: "#f0e442",
+        [Sim.TRIAGE_LEVELS.GREEN]: "#56b4e9",
+      },
+      critical: "#d55e00",
+      progress: "#56b4e9",
+    },
+    blueYellow: {
+      label: "Blue-yellow safe",
+      knowledge: { outer: "#008f8f", inner: "#006666", text: "#e5ffff" },
+      mistake: { outer: "#e4003a", inner: "#a3002a", text: "#ffe5ea" },
+      assessment: { fill: "#ffffff", stroke: "#8a8a8a" },
+      triage: {
+        [Sim.TRIAGE_LEVELS.RED]: "#e4003a",
+        [Sim.TRIAGE_LEVELS.ORANGE]: "#ff8c69",
+        [Sim.TRIAGE_LEVELS.YELLOW]: "#f5f5f5",
+        [Sim.TRIAGE_LEVELS.GREEN]: "#008f8f",
+      },
+      critical: "#e4003a",
+      progress: "#008f8f",
+    },
+  };
+
+  // Share of real time fed to the simulation. Slower speeds give more time
+  // to react without changing the rules, so replays are unaffected.
+  const GAME_SPEEDS = [1, 0.75, 0.5];
+
+  const DEFAULT_ACCESSIBILITY_SETTINGS = {
+    palette: "standard",
+    gameSpeed: 1,
+    reducedMotion: false,
+  };
+
+  /**
+   * Read saved accessibility settings. Reduced motion follows the system
+   * preference until the player picks a setting.
+   * @param {Storage} storage - localStorage or a compatible object.
+   * @param {boolean} prefersReducedMotion - The prefers-reduced-motion query.
+   * @returns {{palette:string, gameSpeed:number, reducedMotion:boolean}}
+   *   Settings.
+   */
+  function loadAccessibilitySettings(storage, prefersReducedMotion) {
+    const settings = {
+      ...DEFAULT_ACCESSIBILITY_SETTINGS,
+      reducedMotion: Boolean(prefersReducedMotion),
+    };
+    try {
+      const saved = JSON.parse(storage.getItem(ACCESSIBILITY_STORAGE_KEY));
+      if (saved && typeof saved === "object") {
+        if (Object.prototype.hasOwnProperty.call(PALETTES, saved.palette)) {
+          settings.palette = saved.palette;
+        }
+        if (GAME_SPEEDS.includes(saved.gameSpeed)) {
+          settings.gameSpeed = saved.gameSpeed;
+        }
+        if (typeof saved.reducedMotion === "boolean") {
+          settings.reducedMotion = saved.reducedMotion;
+        }
+      }
+    } catch (error) {
+      // Keep the defaults.
+    }
+    return settings;
+  }
+
+  /**
+   * Save accessibility settings for the next visit.
+   * @param {Storage} storage - localStorage or a compatible object.
+   * @param {object} settings - Settings to save.
+   */
+  function saveAccessibilitySettings(storage, settings) {
+    try {
+      storage.setItem(ACCESSIBILITY_STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+      // Storage is optional; the settings last until the page closes.
+    }
+  }
+
+  /**
+   * Triage priority, 1 for the most urgent category.
+   * @param {string} triage - A Sim.TRIAGE_LEVELS value.
+   * @returns {number} Priority from 1 to 4.
+   */
+  function getTriagePriority(triage) {
+    return Object.values(Sim.TRIAGE_LEVELS).indexOf(triage) + 1;
+  }
+
+  /**
+   * Which side of the knowledge thresholds the run is on.
+   * @param {object} state - Simulation state.
+   * @returns {string} "full", "low" or "ok".
+   */
+  function getKnowledgeBand(state) {
+    if (state.knowledge.percent >= Sim.KNOWLEDGE_MAX) {
+      return "full";
+    }
+    if (state.knowledge.percent < state.rules.knowledge.warningThreshold) {
+      return "low";
+    }
+    return "ok";
+  }
+
+  /**
+   * Screen-reader text for a caught power-up, saying what it does.
+   * @param {string} powerUp - One of Sim.POWER_UPS.
+   * @param {object} effects - The rules' power-up effects.
+   * @returns {string} Message.
+   */
+  function describePowerUp(powerUp, effects) {
+    const { label, durationMs } = effects[powerUp];
+    const seconds = Math.round(durationMs / 1000);
+    switch (powerUp) {
+      case Sim.POWER_UPS.COFFEE:
+        return `${label}: running faster for ${seconds} seconds.`;
+      case Sim.POWER_UPS.MENTOR:
+        return `${label}: blocks one mistake for ${seconds} seconds.`;
+      case Sim.POWER_UPS.UPTODATE:
+        return `${label}: knowledge holds steady for ${seconds} seconds.`;
+      default:
+        return `${label}: MK books are drawn to you for ${seconds} seconds.`;
+    }
+  }
+
+  /**
+   * Screen-reader text for a batch of simulation events.
+   * @param {object[]} events - Events from step() or answerAssessment().
+   * @param {object} state - Simulation state after the events.
+   * @param {string} previousBand - getKnowledgeBand() before the events.
+   * @returns {string[]} Messages to announce, in order.
+   */
+  function describeEvents(events, state, previousBand) {
+    const { EVENT_TYPES } = Sim;
+    const { cases } = state.rules.patients;
+    const messages = [];
+    const { effects } = state.rules.powerUps;
+    const counted = `Clinical mistake, ${state.mistakes.count} of ${state.rules.mistakes.max}.`;
+    const mistakes = (event) =>
+      event.blocked ? "Mentor shield blocked the mistake." : counted;
+    const score = Sim.computeScore(
+      state.score.patientPoints,
+      state.score.assessmentsPassed,
+      state.score.bonusPoints
+    );
+    const bonus = (event) =>
+      event.bonus > 0 ? ` plus ${event.bonus} streak bonus` : "";
+    events.forEach((event) => {
+      switch (event.type) {
+        case EVENT_TYPES.MISTAKE_CAUGHT:
+        case EVENT_TYPES.GROUND_MISTAKE_HIT:
+          messages.push(mistakes(event));
+          break;
+        case EVENT_TYPES.PATIENT_LOST:
+          messages.push(
+            `${cases[event.patientType].label} patient lost. ${mistakes(
+              event
+            )}`
+          );
+          break;
+        case EVENT_TYPES.ASSESSMENT_FAILED:
+          messages.push(`Assessment failed. ${mistakes(event)}`);
+          break;
+        case EVENT_TYPES.ASSESSMENT_PASSED:
+          messages.push("Assessment passed. Clinical mistakes cleared.");
+          break;
+        case EVENT_TYPES.PATIENT_TREATED:
+          messages.push(
+            `Treated ${cases[event.patientType].label.toLowerCase()}, ${
+              event.points
+            } points${bonus(event)}. Score ${score}.`
+          );
+          break;
+        case EVENT_TYPES.CATCH_STREAK:
+          messages.push(`${event.streak} MK books in a row.`);
+          break;
+        case EVENT_TYPES.CLEAN_STREAK:
+          messages.push(`${event.seconds} seconds without a mistake.`);
+          break;
+        case EVENT_TYPES.POWER_UP_CAUGHT:
+          messages.push(describePowerUp(event.powerUp, effects));
+          break;
+        case EVENT_TYPES.POWER_UP_EXPIRED:
+          messages.push(`${effects[event.powerUp].label} wore off.`);
+          break;
+        case EVENT_TYPES.CONSULT_RECEIVED:
+          messages.push("Your opponent sent a consult: an extra MK book.");
+          break;
+        case EVENT_TYPES.LEVEL_UP:
+          messages.push(`Shift level ${event.level}.`);
+          break;
+        case EVENT_TYPES.GAME_OVER:
+          messages.push(
+            `Game over. Score ${score}: ${state.score.patientsTreated} patients treated, ${state.score.assessmentsPassed} assessments passed.`
+          );
+          break;
+        default:
+          break;
+      }
+    });
+
+    const band = getKnowledgeBand(state);
+    if (band !== previousBand && !state.over) {
+      const percent = Math.round(state.knowledge.percent);
+      if (band === "full") {
+        messages.push("Medical knowledge full. Catch the assessment.");
+      } else if (band === "low") {
+        messages.push(`Medical knowledge low, ${percent}%. Catch MK books.`);
+      } else {
+        messages.push(`Medical knowledge back to ${percent}%.`);
+      }
+    }
+    return Array.from(new Set(messages));
+  }
+
+  const CertQuestAccessibility = {
+    PALETTES,
+    GAME_SPEEDS,
+    DEFAULT_ACCESSIBILITY_SETTINGS,
+    loadAccessibilitySettings,
+    saveAccessibilitySettings,
+    getTriagePriority,
+    getKnowledgeBand,
+    describeEvents,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = CertQuestAccessibility;
+  } else {
+    root.CertQuestAccessibility = CertQuestAccessibility;
+  }
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,266 @@
+/**
+ * Achievements for Cert Quest.
+ * Badges are earned from the events the simulation reports, so they unlock
+ * the same way however the run is played. Progress (what is unlocked, and
+ * the totals some badges count across runs) is kept in localStorage under a
+ * versioned schema; unreadable storage starts over rather than breaking the
+ * game. Holds no DOM references; game.js shows the toasts and the gallery.
+ */
+
+(function (root) {
+  const Sim =
+    typeof module !== "undefined" && module.exports
+      ? require("./sim")
+      : root.CertQuestSim;
+
+  const ACHIEVEMENTS_STORAGE_KEY = "certQuest.achievements";
+  const ACHIEVEMENTS_VERSION = 1;
+
+  const PERFECT_SHIFT_MS = 60000;
+  const BOARD_CERTIFIED_ASSESSMENTS = 5;
+  const BOOKWORM_STREAK = 20;
+
+  /**
+   * Every badge, in gallery order. `test` is asked after each event of a
+   * run until the badge unlocks; badges with a `goal` count a total kept
+   * across runs instead, and the gallery shows how far along it is.
+   */
+  const ACHIEVEMENTS = [
+    {
+      id: "firstPatient",
+      label: "First patient",
+      description: "Treat a patient.",
+      test: (event) => event.type === Sim.EVENT_TYPES.PATIENT_TREATED,
+    },
+    {
+      id: "perfectShift",
+      label: "Perfect shift",
+      description: "Go 60 seconds without a Clinical Mistake.",
+      test: (event, state) =>
+        state.elapsedMs - state.streaks.lastMistakeMs >= PERFECT_SHIFT_MS,
+    },
+    {
+      id: "boardCertified",
+      label: "Board certified",
+      description: "Pass 5 assessments in one run.",
+      test: (event, state) =>
+        state.score.assessmentsPassed >= BOARD_CERTIFIED_ASSESSMENTS,
+    },
+    {
+      id: "triageMaster",
+      label: "Triage master",
+      description: "Treat a patient of every triage colour in one run.",
+      test: (event, state, run) =>
+        Object.values(Sim.TRIAGE_LEVELS).every((triage) =>
+          run.triagesTreated.includes(triage)
+        ),
+    },
+    {
+      id: "againstTheClock",
+      label: "Against the clock",
+      description: 'Treat a patient who has reached "!!".',
+      test: (event, state) =>
+        event.type === Sim.EVENT_TYPES.PATIENT_TREATED &&
+        event.severity >= state.rules.patients.maxSeverity,
+    },
+    {
+      id: "bookworm",
+      label: "Bookworm",
+      description: "Catch 20 MK books in a row.",
+      test: (event, state) => state.streaks.catchStreak >= BOOKWORM_STREAK,
+    },
+    {
+      id: "wellStocked",
+      label: "Well stocked",
+      description: "Catch every kind of power-up in one run.",
+      test: (event, state, run) =>
+        Object.values(Sim.POWER_UPS).every((powerUp) =>
+          run.powerUpsCaught.includes(powerUp)
+        ),
+    },
+    {
+      id: "chiefResident",
+      label: "Chief resident",
+      description: "Reach the top shift level.",
+      test: (event, state) => state.level >= state.rules.difficulty.maxLevel,
+    },
+    {
+      id: "veteran",
+      label: "Veteran",
+      description: "Treat 100 patients across all your runs.",
+      total: "patientsTreated",
+      goal: 100,
+    },
+    {
+      id: "lifelongLearner",
+      label: "Lifelong learner",
+      description: "Pass 25 assessments across all your runs.",
+      total: "assessmentsPassed",
+      goal: 25,
+    },
+  ];
+
+  /**
+   * Progress before any badge is earned.
+   * @returns {{version:number, unlocked:Object<string, string>,
+   *   totals:{patientsTreated:number, assessmentsPassed:number}}} Unlock
+   *   dates keyed by badge id, and totals across runs.
+   */
+  function createProgress() {
+    return {
+      version: ACHIEVEMENTS_VERSION,
+      unlocked: {},
+      totals: { patientsTreated: 0, assessmentsPassed: 0 },
+    };
+  }
+
+  /**
+   * What one run has done so far that its badges need to remember.
+   * @returns {{triagesTreated:string[], powerUpsCaught:string[]}} Run
+   *   tracking.
+   */
+  function createAchievementRun() {
+    return { triagesTreated: [], powerUpsCaught: [] };
+  }
+
+  /**
+   * Read saved progress. Unknown badges and malformed fields are dropped;
+   * anything unreadable starts over.
+   * @param {Storage} storage - localStorage or a compatible object.
+   * @returns {object} Progress.
+   */
+  function loadProgress(storage) {
+    const progress = createProgress();
+    try {
+      const saved = JSON.parse(storage.getItem(ACHIEVEMENTS_STORAGE_KEY));
+      if (!saved || saved.version !== ACHIEVEMENTS_VERSION) {
+        return progress;
+      }
+      ACHIEVEMENTS.forEach(({ id }) => {
+        if (saved.unlocked && typeof saved.unlocked[id] === "string") {
+          progress.unlocked[id] = saved.unlocked[id];
+        }
+      });
+      Object.keys(progress.totals).forEach((key) => {
+        const value = saved.totals && saved.totals[key];
+        if (Number.isInteger(value) && value >= 0) {
+          progress.totals[key] = value;
+        }
+      });
+    } catch (error) {
+      // Start over.
+    }
+    return progress;
+  }
+
+  /**
+   * Save progress for the next visit.
+   * @param {Storage} storage - localStorage or a compatible object.
+   * @param {object} progress - Progress to save.
+   */
+  function saveProgress(storage, progress) {
+    try {
+      storage.setItem(ACHIEVEMENTS_STORAGE_KEY, JSON.stringify(progress));
+    } catch (error) {
+      // Storage is optional; progress lasts until the page closes.
+    }
+  }
+
+  /**
+   * Note what an event adds to the run and the totals across runs.
+   * @param {object} progress - Progress, totals updated in place.
+   * @param {object} run - Run tracking, updated in place.
+   * @param {object} event - Simulation event.
+   * @param {object} state - Simulation state after the event.
+   * @returns {boolean} True when the totals changed.
+   */
+  function countEvent(progress, run, event, state) {
+    const { EVENT_TYPES } = Sim;
+    if (event.type === EVENT_TYPES.PATIENT_TREATED) {
+      const { triage } = state.rules.patients.cases[event.patientType];
+      if (!run.triagesTreated.includes(triage)) {
+        run.triagesTreated.push(triage);
+      }
+      progress.totals.patientsTreated += 1;
+      return true;
+    }
+    if (event.type === EVENT_TYPES.ASSESSMENT_PASSED) {
+      progress.totals.assessmentsPassed += 1;
+      return true;
+    }
+    if (
+      event.type === EVENT_TYPES.POWER_UP_CAUGHT &&
+      !run.powerUpsCaught.includes(event.powerUp)
+    ) {
+      run.powerUpsCaught.push(event.powerUp);
+    }
+    return false;
+  }
+
+  /**
+   * Check a batch of simulation events for newly earned badges.
+   * @param {object} progress - Progress, updated in place.
+   * @param {object} run - Run tracking from createAchievementRun().
+   * @param {object[]} events - Events from step() or answerAssessment().
+   * @param {object} state - Simulation state after the events.
+   * @param {Date} [date] - When the badges were earned.
+   * @returns {{unlocked:object[], changed:boolean}} Badges earned by these
+   *   events, and whether progress needs saving.
+   */
+  function checkAchievements(progress, run, events, state, date) {
+    const unlocked = [];
+    let changed = false;
+    const unlockedAt = (date || new Date()).toISOString();
+    events.forEach((event) => {
+      changed = countEvent(progress, run, event, state) || changed;
+      ACHIEVEMENTS.forEach((achievement) => {
+        if (progress.unlocked[achievement.id]) {
+          return;
+        }
+        const earned = achievement.goal
+          ? progress.totals[achievement.total] >= achievement.goal
+          : achievement.test(event, state, run);
+        if (earned) {
+          progress.unlocked[achievement.id] = unlockedAt;
+          unlocked.push(achievement);
+          changed = true;
+        }
+      });
+    });
+    return { unlocked, changed };
+  }
+
+  /**
+   * Every badge with its state, for the gallery.
+   * @param {object} progress - Progress.
+   * @returns {Array<{achievement:object, unlockedAt:string|null,
+   *   count:number|null}>} Badges in gallery order; `count` is the total so
+   *   far for badges with a goal.
+   */
+  function listAchievements(progress) {
+    return ACHIEVEMENTS.map((achievement) => ({
+      achievement,
+      unlockedAt: progress.unlocked[achievement.id] || null,
+      count: achievement.goal
+        ? Math.min(achievement.goal, progress.totals[achievement.total])
+        : null,
+    }));
+  }
+
+  const CertQuestAchievements = {
+    ACHIEVEMENTS,
+    ACHIEVEMENTS_VERSION,
+    createProgress,
+    createAchievementRun,
+    loadProgress,
+    saveProgress,
+    checkAchievements,
+    listAchievements,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = CertQuestAchievements;
+  } else {
+    root.CertQuestAchievements = CertQuestAchievements;
+  }
+})(typeof window !== "undefined" ? window : globalThis);
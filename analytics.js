@@ -0,0 +1,294 @@
+/**
+ * Run analytics for Cert Quest.
+ * Logs what happened in a run from the simulation's events and state, for
+ * the learning report on the Game Over screen: books caught and missed,
+ * where mistakes came from, how long knowledge stayed low, how patients
+ * fared, and knowledge over time. Holds no DOM references; game.js feeds
+ * it each step and draws the report.
+ */
+
+(function (root) {
+  const Sim =
+    typeof module !== "undefined" && module.exports
+      ? require("./sim")
+      : root.CertQuestSim;
+
+  // Knowledge is sampled this often for the chart, so a long run stays a
+  // few hundred points.
+  const KNOWLEDGE_SAMPLE_MS = 1000;
+
+  const MISTAKE_SOURCES = {
+    FALLING: "falling",
+    GROUND: "ground",
+    PATIENT: "patient",
+    ASSESSMENT: "assessment",
+  };
+
+  const MISTAKE_SOURCE_LABELS = {
+    [MISTAKE_SOURCES.FALLING]: "Falling red books",
+    [MISTAKE_SOURCES.GROUND]: "Red books on the floor",
+    [MISTAKE_SOURCES.PATIENT]: "Critical patients lost",
+    [MISTAKE_SOURCES.ASSESSMENT]: "Assessments failed",
+  };
+
+  // Dodging is the weak spot when at least this share of the mistakes
+  // came from red books; knowledge is when it sat below the warning
+  // threshold for at least this share of the run.
+  const DODGING_SHARE = 0.5;
+  const LOW_KNOWLEDGE_SHARE = 0.25;
+
+  const FOCUS_MESSAGES = {
+    dodging: "Most mistakes came from red books. Practise dodging.",
+    knowledge:
+      "Knowledge sat low for much of the shift. Catch more MK books.",
+    both: "Red books caused most mistakes and knowledge sat low. Work on both.",
+    none: "No clear weak spot this shift.",
+  };
+
+  /**
+   * Start a log for a run.
+   * @param {object} state - Simulation state at the start of the run.
+   * @returns {object} Run log.
+   */
+  function createRunLog(state) {
+    return {
+      durationMs: state.elapsedMs,
+      warningThreshold: state.rules.knowledge.warningThreshold,
+      knowledge: [{ t: state.elapsedMs, percent: state.knowledge.percent }],
+      lowKnowledgeMs: 0,
+      books: { caught: 0, missed: 0 },
+      mistakes: {
+        [MISTAKE_SOURCES.FALLING]: 0,
+        [MISTAKE_SOURCES.GROUND]: 0,
+        [MISTAKE_SOURCES.PATIENT]: 0,
+        [MISTAKE_SOURCES.ASSESSMENT]: 0,
+      },
+      mistakesBlocked: 0,
+      mistakeTimes: [],
+      patients: { treated: 0, left: 0, lost: 0, abandoned: 0 },
+    };
+  }
+
+  /**
+   * Which source a mistake event counts against.
+   * @param {string} type - An EVENT_TYPES value.
+   * @returns {string|null} A MISTAKE_SOURCES value, or null when the event
+   *   is not a mistake.
+   */
+  function getMistakeSource(type) {
+    const { EVENT_TYPES } = Sim;
+    switch (type) {
+      case EVENT_TYPES.MISTAKE_CAUGHT:
+        return MISTAKE_SOURCES.FALLING;
+      case EVENT_TYPES.GROUND_MISTAKE_HIT:
+        return MISTAKE_SOURCES.GROUND;
+      case EVENT_TYPES.PATIENT_LOST:
+        return MISTAKE_SOURCES.PATIENT;
+      case EVENT_TYPES.ASSESSMENT_FAILED:
+        return MISTAKE_SOURCES.ASSESSMENT;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Count a batch of events, e.g. from answerAssessment(), which takes no
+   * simulation time.
+   * @param {object} log - Run log, updated in place.
+   * @param {object[]} events - Events from the simulation.
+   * @param {object} state - Simulation state after the events.
+   */
+  function recordRunEvents(log, events, state) {
+    const { EVENT_TYPES } = Sim;
+    events.forEach((event) => {
+      const source = getMistakeSource(event.type);
+      if (source !== null) {
+        if (event.blocked) {
+          log.mistakesBlocked += 1;
+        } else {
+          log.mistakes[source] += 1;
+          log.mistakeTimes.push(state.elapsedMs);
+        }
+      }
+      switch (event.type) {
+        case EVENT_TYPES.KNOWLEDGE_CAUGHT:
+          log.books.caught += 1;
+          break;
+        case EVENT_TYPES.KNOWLEDGE_MISSED:
+          log.books.missed += 1;
+          break;
+        case EVENT_TYPES.PATIENT_TREATED:
+          log.patients.treated += 1;
+          break;
+        case EVENT_TYPES.PATIENT_LEFT:
+          log.patients.left += 1;
+          break;
+        case EVENT_TYPES.PATIENT_LOST:
+          log.patients.lost += 1;
+          break;
+        case EVENT_TYPES.TREATMENT_ABANDONED:
+          log.patients.abandoned += 1;
+          break;
+        default:
+          break;
+      }
+    });
+  }
+
+  /**
+   * Log one fixed simulation step.
+   * @param {object} log - Run log, updated in place.
+   * @param {object[]} events - Events the step reported.
+   * @param {object} state - Simulation state after the step.
+   * @param {number} dtMs - Length of the step.
+   */
+  function recordRunStep(log, events, state, dtMs) {
+    recordRunEvents(log, events, state);
+    log.durationMs = state.elapsedMs;
+    if (state.knowledge.percent < log.warningThreshold) {
+      log.lowKnowledgeMs += dtMs;
+    }
+    const last = log.knowledge[log.knowledge.length - 1];
+    if (state.over || state.elapsedMs - last.t >= KNOWLEDGE_SAMPLE_MS) {
+      log.knowledge.push({
+        t: state.elapsedMs,
+        percent: state.knowledge.percent,
+      });
+    }
+  }
+
+  /**
+   * Total mistakes counted against the run, by any source.
+   * @param {object} log - Run log.
+   * @returns {number} Mistakes.
+   */
+  function countMistakes(log) {
+    return Object.values(log.mistakes).reduce((sum, count) => sum + count, 0);
+  }
+
+  /**
+   * What the run suggests practising: dodging when red books caused most
+   * of the mistakes, knowledge when it sat low for much of the run.
+   * @param {object} log - Run log.
+   * @returns {string} A FOCUS_MESSAGES key.
+   */
+  function getFocus(log) {
+    const mistakes = countMistakes(log);
+    const dodging =
+      log.mistakes[MISTAKE_SOURCES.FALLING] +
+      log.mistakes[MISTAKE_SOURCES.GROUND];
+    const dodgingWeak = dodging > 1 && dodging / mistakes >= DODGING_SHARE;
+    const knowledgeWeak =
+      log.durationMs > 0 &&
+      log.lowKnowledgeMs / log.durationMs >= LOW_KNOWLEDGE_SHARE;
+    if (dodgingWeak && knowledgeWeak) {
+      return "both";
+    }
+    if (dodgingWeak) {
+      return "dodging";
+    }
+    return knowledgeWeak ? "knowledge" : "none";
+  }
+
+  /**
+   * Lines of the learning report, grouped under headings.
+   * @param {object} log - Run log.
+   * @returns {Array<{heading:string, rows:Array<{label:string,
+   *   value:string}>}>} Sections.
+   */
+  function getReport(log) {
+    const percent = (part, whole) =>
+      whole > 0 ? `${Math.round((part / whole) * 100)}%` : "-";
+    const seconds = (ms) => `${Math.round(ms / 1000)} s`;
+    const booksSeen = log.books.caught + log.books.missed;
+    const { patients } = log;
+    const patientsSeen = patients.treated + patients.left + patients.lost;
+    return [
+      {
+        heading: "Medical Knowledge",
+        rows: [
+          {
+            label: "MK books caught",
+            value: `${log.books.caught} of ${booksSeen} (${percent(
+              log.books.caught,
+              booksSeen
+            )})`,
+          },
+          {
+            label: `Time below ${log.warningThreshold}%`,
+            value: `${seconds(log.lowKnowledgeMs)} (${percent(
+              log.lowKnowledgeMs,
+              log.durationMs
+            )} of the run)`,
+          },
+        ],
+      },
+      {
+        heading: "Clinical Mistakes",
+        rows: [
+          ...Object.values(MISTAKE_SOURCES).map((source) => ({
+            label: MISTAKE_SOURCE_LABELS[source],
+            value: String(log.mistakes[source]),
+          })),
+          {
+            label: "Blocked by the Mentor",
+            value: String(log.mistakesBlocked),
+          },
+        ],
+      },
+      {
+        heading: "Patients",
+        rows: [
+          {
+            label: "Treated",
+            value: `${patients.treated} of ${patientsSeen} (${percent(
+              patients.treated,
+              patientsSeen
+            )})`,
+          },
+          {
+            label: "Left untreated",
+            value: String(patients.left + patients.lost),
+          },
+          {
+            label: "Treatments abandoned",
+            value: String(patients.abandoned),
+          },
+        ],
+      },
+    ];
+  }
+
+  /**
+   * One-line summary of the knowledge chart for screen readers.
+   * @param {object} log - Run log.
+   * @returns {string} Summary.
+   */
+  function describeKnowledgeChart(log) {
+    const values = log.knowledge.map(({ percent }) => Math.round(percent));
+    return `Medical Knowledge over ${Math.round(
+      log.durationMs / 1000
+    )} s: started at ${values[0]}%, lowest ${Math.min(
+      ...values
+    )}%, ended at ${values[values.length - 1]}%.`;
+  }
+
+  const CertQuestAnalytics = {
+    KNOWLEDGE_SAMPLE_MS,
+    MISTAKE_SOURCES,
+    FOCUS_MESSAGES,
+    createRunLog,
+    recordRunEvents,
+    recordRunStep,
+    countMistakes,
+    getFocus,
+    getReport,
+    describeKnowledgeChart,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = CertQuestAnalytics;
+  } else {
+    root.CertQuestAnalytics = CertQuestAnalytics;
+  }
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,468 @@
+/**
+ * Sound for Cert Quest.
+ * Every effect and the background track are synthesized with Web Audio
+ * oscillators, so the game needs no audio files. Effects are lists of
+ * notes picked from simulation events; the music is a looping pattern whose
+ * tempo rises as Clinical Mistakes build up. Without Web Audio (or in Node)
+ * the engine stays silent and every call is a no-op.
+ */
+
+(function (root) {
+  const Sim =
+    typeof module !== "undefined" && module.exports
+      ? require("./sim")
+      : root.CertQuestSim;
+
+  const AUDIO_STORAGE_KEY = "certQuest.audio";
+
+  const DEFAULT_AUDIO_SETTINGS = {
+    volume: 0.7,
+    muted: false,
+  };
+
+  // One treatment tick sounds for each stretch of treatment this long.
+  const TREATMENT_TICK_MS = 500;
+
+  const MUSIC_TEMPO_BPM = {
+    calm: 120,
+    urgent: 180,
+  };
+  const MUSIC_GAIN = 0.35;
+
+  // Music is scheduled this far ahead on the audio clock, topped up by a
+  // timer, so timing stays steady when a frame runs late.
+  const SCHEDULE_AHEAD_S = 0.1;
+  const SCHEDULER_INTERVAL_MS = 25;
+
+  /**
+   * Effects as notes played one after another. `frequency` is in Hz (null
+   * for a rest), `duration` in seconds, and `slideTo` bends the pitch over
+   * the note.
+   */
+  const SOUNDS = {
+    bookCaught: [
+      { wave: "square", frequency: 660, duration: 0.05 },
+      { wave: "square", frequency: 990, duration: 0.08 },
+    ],
+    mistake: [
+      { wave: "sawtooth", frequency: 220, slideTo: 90, duration: 0.25 },
+    ],
+    shieldBlock: [
+      { wave: "triangle", frequency: 330, duration: 0.06 },
+      { wave: "triangle", frequency: 330, slideTo: 660, duration: 0.16 },
+    ],
+    powerUp: [
+      { wave: "square", frequency: 523, slideTo: 1047, duration: 0.15 },
+      { wave: "square", frequency: 1047, duration: 0.08, gain: 0.2 },
+    ],
+    powerDown: [
+      {
+        wave: "triangle",
+        frequency: 784,
+        slideTo: 392,
+        duration: 0.2,
+        gain: 0.2,
+      },
+    ],
+    streak: [
+      { wave: "square", frequency: 784, duration: 0.06, gain: 0.18 },
+      { wave: "square", frequency: 988, duration: 0.06, gain: 0.18 },
+      { wave: "square", frequency: 1175, duration: 0.1, gain: 0.18 },
+    ],
+    consult: [
+      { wave: "triangle", frequency: 880, duration: 0.06, gain: 0.2 },
+      { wave: "triangle", frequency: 1320, duration: 0.1, gain: 0.2 },
+    ],
+    treatmentTick: [
+      { wave: "square", frequency: 1320, duration: 0.03, gain: 0.12 },
+    ],
+    patientTreated: [
+      { wave: "square", frequency: 523, duration: 0.07 },
+      { wave: "square", frequency: 659, duration: 0.07 },
+      { wave: "square", frequency: 784, duration: 0.07 },
+      { wave: "square", frequency: 1047, duration: 0.14 },
+    ],
+    assessmentCaught: [
+      { wave: "triangle", frequency: 784, duration: 0.06 },
+      { wave: "triangle", frequency: 988, duration: 0.06 },
+      { wave: "triangle", frequency: 1175, duration: 0.06 },
+      { wave: "triangle", frequency: 1568, slideTo: 2093, duration: 0.2 },
+    ],
+    knowledgeWarning: [
+      { wave: "square", frequency: 440, duration: 0.08, gain: 0.2 },
+      { wave: "square", frequency: null, duration: 0.05 },
+      { wave: "square", frequency: 440, duration: 0.08, gain: 0.2 },
+    ],
+    gameOver: [
+      { wave: "square", frequency: 523, duration: 0.18 },
+      { wave: "square", frequency: 466, duration: 0.18 },
+      { wave: "square", frequency: 415, duration: 0.18 },
+      { wave: "square", frequency: 392, slideTo: 196, duration: 0.6 },
+    ],
+  };
+
+  const DEFAULT_NOTE_GAIN = 0.3;
+
+  // Two bars of eighth notes (Am, C, F, G) as MIDI note numbers, null for a
+  // rest: a triangle bass under a square-wave arpeggio.
+  const MUSIC_PATTERN = {
+    bass: [
+      45, null, 45, null,
+      48, null, 48, null,
+      41, null, 41, null,
+      43, null, 40, null,
+    ],
+    lead: [
+      69, 72, 76, 72,
+      69, 72, 76, 72,
+      65, 69, 72, 69,
+      67, 71, 74, 71,
+    ],
+  };
+
+  /**
+   * Pick the effects for a batch of simulation events.
+   * @param {object[]} events - Events from step() or answerAssessment().
+   * @param {object} state - Simulation state after those events.
+   * @returns {string[]} SOUNDS keys to play, each at most once.
+   */
+  function getEventSounds(events, state) {
+    const { EVENT_TYPES } = Sim;
+    const sounds = new Set();
+    events.forEach((event) => {
+      switch (event.type) {
+        case EVENT_TYPES.KNOWLEDGE_CAUGHT:
+          sounds.add("bookCaught");
+          break;
+        case EVENT_TYPES.MISTAKE_CAUGHT:
+        case EVENT_TYPES.GROUND_MISTAKE_HIT:
+        case EVENT_TYPES.ASSESSMENT_FAILED:
+        case EVENT_TYPES.PATIENT_LOST:
+          sounds.add(event.blocked ? "shieldBlock" : "mistake");
+          break;
+        case EVENT_TYPES.POWER_UP_CAUGHT:
+          sounds.add("powerUp");
+          break;
+        case EVENT_TYPES.POWER_UP_EXPIRED:
+          sounds.add("powerDown");
+          break;
+        case EVENT_TYPES.CONSULT_RECEIVED:
+          sounds.add("consult");
+          break;
+        case EVENT_TYPES.ASSESSMENT_CAUGHT:
+          sounds.add("assessmentCaught");
+          break;
+        case EVENT_TYPES.PATIENT_TREATED:
+          sounds.add("patientTreated");
+          break;
+        case EVENT_TYPES.CATCH_STREAK:
+        case EVENT_TYPES.CLEAN_STREAK:
+          sounds.add("streak");
+          break;
+        case EVENT_TYPES.KNOWLEDGE_ERODED:
+          if (
+            state.knowledge.percent < state.rules.knowledge.warningThreshold
+          ) {
+            sounds.add("knowledgeWarning");
+          }
+          break;
+        case EVENT_TYPES.GAME_OVER:
+          sounds.add("gameOver");
+          break;
+        default:
+          break;
+      }
+    });
+    return Array.from(sounds);
+  }
+
+  /**
+   * Music tempo for the current mistake count: calm with none, and at its
+   * fastest one mistake before the run ends.
+   * @param {number} mistakes - Clinical Mistakes so far.
+   * @param {number} maxMistakes - Mistakes that end the run.
+   * @returns {number} Beats per minute.
+   */
+  function getMusicTempo(mistakes, maxMistakes) {
+    const ratio =
+      maxMistakes > 1
+        ? Sim.clamp(mistakes / (maxMistakes - 1), 0, 1)
+        : Number(mistakes > 0);
+    return (
+      MUSIC_TEMPO_BPM.calm +
+      (MUSIC_TEMPO_BPM.urgent - MUSIC_TEMPO_BPM.calm) * ratio
+    );
+  }
+
+  /**
+   * Frequency of a MIDI note.
+   * @param {number} note - MIDI note number (69 is A4).
+   * @returns {number} Frequency in Hz.
+   */
+  function midiToFrequency(note) {
+    return 440 * 2 ** ((note - 69) / 12);
+  }
+
+  /**
+   * Read saved sound settings.
+   * @param {Storage} storage - localStorage or a compatible object.
+   * @returns {{volume:number, muted:boolean}} Settings.
+   */
+  function loadAudioSettings(storage) {
+    try {
+      const saved = JSON.parse(storage.getItem(AUDIO_STORAGE_KEY));
+      if (
+        saved &&
+        typeof saved.volume === "number" &&
+        saved.volume >= 0 &&
+        saved.volume <= 1 &&
+        typeof saved.muted === "boolean"
+      ) {
+        return { volume: saved.volume, muted: saved.muted };
+      }
+    } catch (error) {
+      // Fall through to the defaults.
+    }
+    return { ...DEFAULT_AUDIO_SETTINGS };
+  }
+
+  /**
+   * Save sound settings for the next visit.
+   * @param {Storage} storage - localStorage or a compatible object.
+   * @param {{volume:number, muted:boolean}} settings - Settings to save.
+   */
+  function saveAudioSettings(storage, settings) {
+    try {
+      storage.setItem(AUDIO_STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+      // Storage is optional; the settings last until the page closes.
+    }
+  }
+
+  /**
+   * Create the sound engine. The audio context is only made on
+   * unlockAudio(), since browsers keep it silent until the player interacts.
+   * @param {Function|null} AudioContextClass - window.AudioContext, or null
+   *   where Web Audio is missing.
+   * @param {{volume:number, muted:boolean}} settings - Starting settings.
+   * @returns {object} Engine state.
+   */
+  function createAudioEngine(AudioContextClass, settings) {
+    return {
+      AudioContextClass,
+      context: null,
+      master: null,
+      musicBus: null,
+      settings: { ...settings },
+      music: {
+        playing: false,
+        step: 0,
+        nextNoteTime: 0,
+        tempoBpm: MUSIC_TEMPO_BPM.calm,
+        timer: null,
+      },
+    };
+  }
+
+  /**
+   * Master volume for the current settings.
+   * @param {object} engine - Engine from createAudioEngine().
+   * @returns {number} Gain from 0 to 1.
+   */
+  function getMasterGain(engine) {
+    return engine.settings.muted ? 0 : engine.settings.volume;
+  }
+
+  /**
+   * Create or wake the audio context. Call from a click or key press.
+   * @param {object} engine - Engine from createAudioEngine().
+   */
+  function unlockAudio(engine) {
+    if (!engine.AudioContextClass) {
+      return;
+    }
+    if (!engine.context) {
+      const context = new engine.AudioContextClass();
+      engine.context = context;
+      engine.master = context.createGain();
+      engine.master.gain.value = getMasterGain(engine);
+      engine.master.connect(context.destination);
+      engine.musicBus = context.createGain();
+      engine.musicBus.gain.value = MUSIC_GAIN;
+      engine.musicBus.connect(engine.master);
+    }
+    if (engine.context.state === "suspended") {
+      engine.context.resume();
+    }
+  }
+
+  /**
+   * Change volume or mute.
+   * @param {object} engine - Engine from createAudioEngine().
+   * @param {{volume:number, muted:boolean}} settings - New settings.
+   */
+  function applyAudioSettings(engine, settings) {
+    engine.settings = { ...settings };
+    if (engine.master) {
+      engine.master.gain.setValueAtTime(
+        getMasterGain(engine),
+        engine.context.currentTime
+      );
+    }
+  }
+
+  /**
+   * Schedule one oscillator note with a short decay.
+   * @param {object} engine - Unlocked engine.
+   * @param {object} note - Note as in SOUNDS.
+   * @param {number} startTime - Audio clock time to start at.
+   * @param {AudioNode} destination - Node to play into.
+   */
+  function scheduleNote(engine, note, startTime, destination) {
+    if (note.frequency === null) {
+      return;
+    }
+    const { context } = engine;
+    const endTime = startTime + note.duration;
+    const oscillator = context.createOscillator();
+    oscillator.type = note.wave;
+    oscillator.frequency.setValueAtTime(note.frequency, startTime);
+    if (note.slideTo) {
+      oscillator.frequency.exponentialRampToValueAtTime(note.slideTo, endTime);
+    }
+    const envelope = context.createGain();
+    envelope.gain.setValueAtTime(note.gain || DEFAULT_NOTE_GAIN, startTime);
+    envelope.gain.exponentialRampToValueAtTime(0.001, endTime);
+    oscillator.connect(envelope);
+    envelope.connect(destination);
+    oscillator.start(startTime);
+    oscillator.stop(endTime + 0.02);
+  }
+
+  /**
+   * Play an effect now.
+   * @param {object} engine - Engine from createAudioEngine().
+   * @param {string} name - SOUNDS key.
+   */
+  function playSound(engine, name) {
+    if (!engine.context || !SOUNDS[name]) {
+      return;
+    }
+    let time = engine.context.currentTime;
+    SOUNDS[name].forEach((note) => {
+      scheduleNote(engine, note, time, engine.master);
+      time += note.duration;
+    });
+  }
+
+  /**
+   * Schedule the music notes that fall inside the look-ahead window.
+   * @param {object} engine - Engine with music playing.
+   */
+  function scheduleMusic(engine) {
+    const { context, music } = engine;
+    while (music.nextNoteTime < context.currentTime + SCHEDULE_AHEAD_S) {
+      const stepDuration = 60 / music.tempoBpm / 2;
+      const index = music.step % MUSIC_PATTERN.lead.length;
+      const bass = MUSIC_PATTERN.bass[index];
+      const lead = MUSIC_PATTERN.lead[index];
+      if (bass !== null) {
+        scheduleNote(
+          engine,
+          {
+            wave: "triangle",
+            frequency: midiToFrequency(bass),
+            duration: stepDuration * 1.8,
+            gain: 0.5,
+          },
+          music.nextNoteTime,
+          engine.musicBus
+        );
+      }
+      if (lead !== null) {
+        scheduleNote(
+          engine,
+          {
+            wave: "square",
+            frequency: midiToFrequency(lead),
+            duration: stepDuration * 0.8,
+            gain: 0.12,
+          },
+          music.nextNoteTime,
+          engine.musicBus
+        );
+      }
+      music.nextNoteTime += stepDuration;
+      music.step += 1;
+    }
+  }
+
+  /**
+   * Start the background track.
+   * @param {object} engine - Engine from createAudioEngine().
+   * @param {number} [fromStep] - Pattern step to start at, so a paused
+   *   track can pick up where it stopped.
+   */
+  function startMusic(engine, fromStep = 0) {
+    if (!engine.context || engine.music.playing) {
+      return;
+    }
+    const { music } = engine;
+    music.playing = true;
+    music.step = fromStep;
+    music.nextNoteTime = engine.context.currentTime + 0.05;
+    music.timer = root.setInterval(
+      () => scheduleMusic(engine),
+      SCHEDULER_INTERVAL_MS
+    );
+    scheduleMusic(engine);
+  }
+
+  /**
+   * Stop the background track after the notes already scheduled.
+   * @param {object} engine - Engine from createAudioEngine().
+   */
+  function stopMusic(engine) {
+    if (!engine.music.playing) {
+      return;
+    }
+    root.clearInterval(engine.music.timer);
+    engine.music.playing = false;
+    engine.music.timer = null;
+  }
+
+  /**
+   * Change the music tempo from the next note on.
+   * @param {object} engine - Engine from createAudioEngine().
+   * @param {number} tempoBpm - Beats per minute.
+   */
+  function setMusicTempo(engine, tempoBpm) {
+    engine.music.tempoBpm = tempoBpm;
+  }
+
+  const CertQuestAudio = {
+    DEFAULT_AUDIO_SETTINGS,
+    TREATMENT_TICK_MS,
+    MUSIC_TEMPO_BPM,
+    SOUNDS,
+    MUSIC_PATTERN,
+    getEventSounds,
+    getMusicTempo,
+    midiToFrequency,
+    loadAudioSettings,
+    saveAudioSettings,
+    createAudioEngine,
+    unlockAudio,
+    applyAudioSettings,
+    playSound,
+    startMusic,
+    stopMusic,
+    setMusicTempo,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = CertQuestAudio;
+  } else {
+    root.CertQuestAudio = CertQuestAudio;
+  }
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,512 @@
+/**
+ * Rule sets ("configs") for Cert Quest.
+ * A config is a JSON file that overrides any of the simulation's rules and
+ * the background scene, so educators can build scenarios such as an exam
+ * week or a night shift without touching code. Anything a config leaves out
+ * keeps its default, and the merged result is checked against CONFIG_SCHEMA
+ * before a run uses it.
+ *
+ * Config format (version 1):
+ *   {
+ *     "version": 1,
+ *     "name": "Night shift",            shown on the start screen
+ *     "description": "...",             optional
+ *     "rules": { ... },                 any part of Sim.DEFAULT_RULES
+ *     "scene": { "buildings": [...] }   optional skyline
+ *   }
+ */
+
+(function (root) {
+  const Sim =
+    typeof module !== "undefined" && module.exports
+      ? require("./sim")
+      : root.CertQuestSim;
+
+  const CONFIG_VERSION = 1;
+  const CONFIGS_DIR = "configs";
+  const MAX_BUILDINGS = 20;
+
+  const DEFAULT_SCENE = {
+    buildings: [
+      { x: 20, width: 80, height: 180, medical: false },
+      { x: 140, width: 60, height: 150, medical: false },
+      { x: 230, width: 110, height: 210, medical: true },
+      { x: 380, width: 90, height: 160, medical: false },
+      { x: 500, width: 120, height: 220, medical: true },
+      { x: 660, width: 80, height: 170, medical: false },
+    ],
+  };
+
+  const DEFAULT_CONFIG = {
+    version: CONFIG_VERSION,
+    name: "Standard shift",
+    description: "",
+    rules: Sim.DEFAULT_RULES,
+    scene: DEFAULT_SCENE,
+  };
+
+  /**
+   * Schema node for a number in a range.
+   * @param {number} min - Smallest allowed value.
+   * @param {number} max - Largest allowed value.
+   * @param {boolean} [integer] - Whether only whole numbers are allowed.
+   * @returns {object} Schema node.
+   */
+  function numberIn(min, max, integer = false) {
+    return { type: "number", min, max, integer };
+  }
+
+  const TIMING = numberIn(1, 600000);
+  const PERCENT = numberIn(0, 100);
+
+  const CURVE_POINT_SCHEMA = {
+    type: "object",
+    properties: {
+      itemSpawnIntervalMinMs: TIMING,
+      itemSpawnIntervalMaxMs: TIMING,
+      mistakeChance: numberIn(0, 1),
+      knowledgeFallSpeed: numberIn(10, 1000),
+      mistakeFallSpeed: numberIn(10, 1000),
+      knowledgeErosionIntervalMs: TIMING,
+      groundMistakeSpawnIntervalMinMs: TIMING,
+      groundMistakeSpawnIntervalMaxMs: TIMING,
+      patientArrivalIntervalMs: TIMING,
+    },
+  };
+
+  /**
+   * Shape and limits of a full (merged) config. Node types: number, boolean,
+   * string, enum, object (fixed properties), map (named entries of one
+   * shape, optionally limited to known names) and list.
+   */
+  const CONFIG_SCHEMA = {
+    type: "object",
+    properties: {
+      version: { type: "enum", values: [CONFIG_VERSION] },
+      name: { type: "string" },
+      description: { type: "string", optional: true },
+      rules: {
+        type: "object",
+        properties: {
+          player: {
+            type: "object",
+            properties: {
+              speed: numberIn(20, 1000),
+              jumpVelocity: numberIn(-1200, -100),
+              gravity: numberIn(100, 5000),
+            },
+          },
+          knowledge: {
+            type: "object",
+            properties: {
+              start: PERCENT,
+              pickupAmount: PERCENT,
+              erosionStep: PERCENT,
+              warningThreshold: PERCENT,
+            },
+          },
+          mistakes: {
+            type: "object",
+            properties: { max: numberIn(1, 20, true) },
+          },
+          items: {
+            type: "object",
+            properties: {
+              bookWidth: numberIn(8, 64, true),
+              bookHeight: numberIn(8, 64, true),
+              assessmentWidth: numberIn(8, 64, true),
+              assessmentHeight: numberIn(8, 64, true),
+              assessmentFallSpeed: numberIn(10, 1000),
+              groundMistakeDurationMs: TIMING,
+            },
+          },
+          powerUps: {
+            type: "object",
+            properties: {
+              chance: numberIn(0, 1),
+              size: numberIn(8, 64, true),
+              fallSpeed: numberIn(10, 1000),
+              coffeeSpeedMultiplier: numberIn(1, 3),
+              magnetRange: numberIn(0, Sim.WORLD_WIDTH),
+              magnetPullSpeed: numberIn(0, 1000),
+              effects: {
+                type: "map",
+                names: Object.values(Sim.POWER_UPS),
+                nameLabel: "power-up",
+                entries: {
+                  type: "object",
+                  properties: {
+                    label: { type: "string" },
+                    durationMs: TIMING,
+                    weight: numberIn(0, 100),
+                  },
+                },
+              },
+            },
+          },
+          scoring: {
+            type: "object",
+            properties: {
+              catchStreakStep: numberIn(1, 100, true),
+              catchStreakBonus: numberIn(0, 5),
+              maxCatchBonus: numberIn(0, 10),
+              treatStreakBonus: numberIn(0, 5),
+              maxTreatBonus: numberIn(0, 10),
+              cleanTimeStepMs: TIMING,
+              cleanTimeBonus: numberIn(0, 5),
+              maxCleanBonus: numberIn(0, 10),
+            },
+          },
+          patients: {
+            type: "object",
+            properties: {
+              gapMs: numberIn(0, 600000),
+              maxOnFloor: numberIn(1, 6, true),
+              waitingRoomCapacity: numberIn(0, 10, true),
+              deteriorationMs: TIMING,
+              maxSeverity: numberIn(0, 5, true),
+              deteriorationKnowledgeStep: PERCENT,
+              deteriorationTreatStepMs: numberIn(0, 600000),
+              sharedTreatSpeed: numberIn(1, 5),
+              cases: {
+                type: "map",
+                names: Object.values(Sim.PATIENT_TYPES),
+                nameLabel: "patient case",
+                entries: {
+                  type: "object",
+                  properties: {
+                    label: { type: "string" },
+                    triage: {
+                      type: "enum",
+                      values: Object.values(Sim.TRIAGE_LEVELS),
+                    },
+                    treatDurationMs: TIMING,
+                    knowledgeThreshold: PERCENT,
+                    lifetimeMs: TIMING,
+                    points: numberIn(0, 10, true),
+                    critical: { type: "boolean" },
+                    weight: numberIn(0, 100),
+                  },
+                },
+              },
+            },
+          },
+          difficulty: {
+            type: "object",
+            properties: {
+              levelDurationMs: TIMING,
+              maxLevel: numberIn(1, 50, true),
+              curve: {
+                type: "object",
+                properties: {
+                  first: CURVE_POINT_SCHEMA,
+                  last: CURVE_POINT_SCHEMA,
+                },
+              },
+              presets: {
+                type: "map",
+                entries: {
+                  type: "object",
+                  properties: {
+                    label: { type: "string" },
+                    startLevel: numberIn(1, 50, true),
+                  },
+                },
+              },
+              defaultPreset: { type: "string" },
+            },
+          },
+        },
+      },
+      scene: {
+        type: "object",
+        properties: {
+          buildings: {
+            type: "list",
+            maxItems: MAX_BUILDINGS,
+            items: {
+              type: "object",
+              properties: {
+                x: numberIn(0, Sim.WORLD_WIDTH),
+                width: numberIn(10, 400),
+                height: numberIn(20, 300),
+                medical: { type: "boolean", optional: true },
+              },
+            },
+          },
+        },
+      },
+    },
+  };
+
+  /**
+   * Whether a value is a plain object (not null or a list).
+   * @param {*} value - Value to check.
+   * @returns {boolean} True for objects.
+   */
+  function isPlainObject(value) {
+    return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+  }
+
+  /**
+   * Lay overrides on top of defaults. Objects merge key by key; anything
+   * else, lists included, replaces the default outright.
+   * @param {*} defaults - Default value.
+   * @param {*} overrides - Value from the config file.
+   * @returns {*} Merged copy.
+   */
+  function mergeConfig(defaults, overrides) {
+    if (overrides === undefined) {
+      return defaults;
+    }
+    if (!isPlainObject(defaults) || !isPlainObject(overrides)) {
+      return overrides;
+    }
+    const merged = { ...defaults };
+    for (const key of Object.keys(overrides)) {
+      // JSON.parse keeps "__proto__" as a plain key; never let it through.
+      if (key !== "__proto__") {
+        merged[key] = mergeConfig(defaults[key], overrides[key]);
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Describe what a schema node accepts, for problem messages.
+   * @param {object} schema - Schema node.
+   * @returns {string} Description such as "a number from 0 to 100".
+   */
+  function describeSchema(schema) {
+    switch (schema.type) {
+      case "number":
+        return `${schema.integer ? "a whole number" : "a number"} from ${
+          schema.min
+        } to ${schema.max}`;
+      case "boolean":
+        return "true or false";
+      case "string":
+        return "text";
+      case "enum":
+        return `one of ${schema.values.join(", ")}`;
+      case "list":
+        return `a list of at most ${schema.maxItems} entries`;
+      default:
+        return "an object";
+    }
+  }
+
+  /**
+   * Check a value against a schema node, collecting problems.
+   * @param {object} schema - Schema node.
+   * @param {*} value - Value to check.
+   * @param {string} path - Where the value sits, e.g. "rules.mistakes.max".
+   * @param {string[]} problems - Problem list, appended to.
+   */
+  function checkValue(schema, value, path, problems) {
+    if (value === undefined) {
+      if (!schema.optional) {
+        problems.push(`${path} is missing`);
+      }
+      return;
+    }
+    const wrong = () =>
+      problems.push(`${path} must be ${describeSchema(schema)}`);
+    switch (schema.type) {
+      case "number":
+        if (
+          typeof value !== "number" ||
+          !Number.isFinite(value) ||
+          value < schema.min ||
+          value > schema.max ||
+          (schema.integer && !Number.isInteger(value))
+        ) {
+          wrong();
+        }
+        return;
+      case "boolean":
+        if (typeof value !== "boolean") {
+          wrong();
+        }
+        return;
+      case "string":
+        if (typeof value !== "string" || (!schema.optional && !value.trim())) {
+          wrong();
+        }
+        return;
+      case "enum":
+        if (!schema.values.includes(value)) {
+          wrong();
+        }
+        return;
+      case "list":
+        if (!Array.isArray(value) || value.length > schema.maxItems) {
+          wrong();
+          return;
+        }
+        value.forEach((item, index) =>
+          checkValue(schema.items, item, `${path}[${index}]`, problems)
+        );
+        return;
+      case "map":
+        if (!isPlainObject(value)) {
+          wrong();
+          return;
+        }
+        for (const name of Object.keys(value)) {
+          if (schema.names && !schema.names.includes(name)) {
+            problems.push(`${path}.${name} is not a known ${schema.nameLabel}`);
+          } else {
+            checkValue(
+              schema.entries,
+              value[name],
+              `${path}.${name}`,
+              problems
+            );
+          }
+        }
+        return;
+      default:
+        if (!isPlainObject(value)) {
+          wrong();
+          return;
+        }
+        for (const key of Object.keys(value)) {
+          if (!schema.properties[key]) {
+            problems.push(`${path}.${key} is not a known setting`);
+          }
+        }
+        for (const key of Object.keys(schema.properties)) {
+          checkValue(
+            schema.properties[key],
+            value[key],
+            `${path}.${key}`,
+            problems
+          );
+        }
+    }
+  }
+
+  /**
+   * Rules that involve more than one setting, checked once every setting
+   * has the right shape.
+   * @param {object} rules - Merged rules.
+   * @param {string[]} problems - Problem list, appended to.
+   */
+  function checkRuleRelations(rules, problems) {
+    const { curve, presets, defaultPreset, maxLevel } = rules.difficulty;
+    for (const point of ["first", "last"]) {
+      const tuning = curve[point];
+      for (const name of ["itemSpawnInterval", "groundMistakeSpawnInterval"]) {
+        if (tuning[`${name}MinMs`] > tuning[`${name}MaxMs`]) {
+          problems.push(
+            `rules.difficulty.curve.${point}.${name}MinMs is above ${name}MaxMs`
+          );
+        }
+      }
+    }
+    if (Object.keys(presets).length === 0) {
+      problems.push("rules.difficulty.presets needs at least one preset");
+    }
+    if (!Object.prototype.hasOwnProperty.call(presets, defaultPreset)) {
+      problems.push("rules.difficulty.defaultPreset must name a preset");
+    }
+    for (const name of Object.keys(presets)) {
+      if (presets[name].startLevel > maxLevel) {
+        problems.push(
+          `rules.difficulty.presets.${name}.startLevel is above maxLevel`
+        );
+      }
+    }
+    const { cases } = rules.patients;
+    const totalWeight = Object.keys(cases).reduce(
+      (sum, type) => sum + cases[type].weight,
+      0
+    );
+    if (totalWeight <= 0) {
+      problems.push("rules.patients.cases need a weight above 0 between them");
+    }
+    const { chance, effects } = rules.powerUps;
+    const powerUpWeight = Object.keys(effects).reduce(
+      (sum, name) => sum + effects[name].weight,
+      0
+    );
+    if (chance > 0 && powerUpWeight <= 0) {
+      problems.push(
+        "rules.powerUps.effects need a weight above 0 between them"
+      );
+    }
+  }
+
+  /**
+   * List what is wrong with a config file, after merging it over the
+   * defaults.
+   * @param {object} config - Parsed config file.
+   * @returns {string[]} Problems; empty when the config is usable.
+   */
+  function getConfigProblems(config) {
+    if (!isPlainObject(config)) {
+      return ["config must be a JSON object"];
+    }
+    if (config.version !== CONFIG_VERSION) {
+      return [`version must be ${CONFIG_VERSION}`];
+    }
+    const problems = [];
+    const merged = mergeConfig(DEFAULT_CONFIG, config);
+    checkValue(CONFIG_SCHEMA, merged, "config", problems);
+    if (problems.length === 0) {
+      checkRuleRelations(merged.rules, problems);
+    }
+    return problems.map((problem) => problem.replace(/^config\./, ""));
+  }
+
+  /**
+   * Merge a config file over the defaults, refusing it when it does not
+   * validate.
+   * @param {object|null} [config] - Parsed config file; null or omitted for
+   *   the defaults.
+   * @returns {object} Full config with every setting filled in.
+   */
+  function resolveConfig(config) {
+    if (config === null || config === undefined) {
+      return DEFAULT_CONFIG;
+    }
+    const problems = getConfigProblems(config);
+    if (problems.length > 0) {
+      throw new Error(`Config is not valid: ${problems.join("; ")}.`);
+    }
+    return mergeConfig(DEFAULT_CONFIG, config);
+  }
+
+  /**
+   * Parse and resolve config file text.
+   * @param {string} text - JSON text.
+   * @returns {object} Full config.
+   */
+  function parseConfig(text) {
+    let config;
+    try {
+      config = JSON.parse(text);
+    } catch (error) {
+      throw new Error("Config file is not valid JSON.");
+    }
+    return resolveConfig(config);
+  }
+
+  const CertQuestConfig = {
+    CONFIG_VERSION,
+    CONFIGS_DIR,
+    DEFAULT_CONFIG,
+    CONFIG_SCHEMA,
+    mergeConfig,
+    getConfigProblems,
+    resolveConfig,
+    parseConfig,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = CertQuestConfig;
+  } else {
+    root.CertQuestConfig = CertQuestConfig;
+  }
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,303 @@
+/**
+ * Keyboard bindings and gamepad input for Cert Quest.
+ * Keys and gamepad buttons map to actions (move left, move right, jump,
+ * pause) rather than being checked by name, so players can remap the
+ * keyboard. Holds no DOM references; game.js feeds it key codes and
+ * navigator.getGamepads() snapshots and merges the result into inputState.
+ */
+
+(function (root) {
+  const BINDINGS_STORAGE_KEY = "certQuest.keyBindings";
+
+  const ACTIONS = {
+    LEFT: "left",
+    RIGHT: "right",
+    JUMP: "jump",
+    PAUSE: "pause",
+  };
+
+  const ACTION_LABELS = {
+    [ACTIONS.LEFT]: "Move left",
+    [ACTIONS.RIGHT]: "Move right",
+    [ACTIONS.JUMP]: "Jump",
+    [ACTIONS.PAUSE]: "Pause",
+  };
+
+  // Each action can have a main and an alternate key.
+  const KEYS_PER_ACTION = 2;
+
+  // Bindings use KeyboardEvent.code, so they follow key positions rather
+  // than the letters of the keyboard layout.
+  const BINDING_PRESETS = {
+    arrows: {
+      label: "Arrows",
+      bindings: {
+        [ACTIONS.LEFT]: ["ArrowLeft", null],
+        [ACTIONS.RIGHT]: ["ArrowRight", null],
+        [ACTIONS.JUMP]: ["Space", null],
+        [ACTIONS.PAUSE]: ["Escape", "KeyP"],
+      },
+    },
+    wasd: {
+      label: "WASD",
+      bindings: {
+        [ACTIONS.LEFT]: ["KeyA", "ArrowLeft"],
+        [ACTIONS.RIGHT]: ["KeyD", "ArrowRight"],
+        [ACTIONS.JUMP]: ["KeyW", "Space"],
+        [ACTIONS.PAUSE]: ["Escape", "KeyP"],
+      },
+    },
+  };
+
+  const DEFAULT_PRESET = "arrows";
+
+  // In a co-op run the nurse always plays on W, A and D. Those keys are
+  // taken off the doctor's bindings for the run, so a doctor on the WASD
+  // preset plays on its alternate keys instead.
+  const NURSE_BINDINGS = {
+    [ACTIONS.LEFT]: ["KeyA"],
+    [ACTIONS.RIGHT]: ["KeyD"],
+    [ACTIONS.JUMP]: ["KeyW"],
+    [ACTIONS.PAUSE]: [],
+  };
+
+  // Standard gamepad mapping (https://w3c.github.io/gamepad/#remapping).
+  const GAMEPAD_BUTTONS = {
+    A: 0,
+    START: 9,
+    DPAD_LEFT: 14,
+    DPAD_RIGHT: 15,
+  };
+  const GAMEPAD_STICK_X_AXIS = 0;
+
+  // Stick travel ignored around the centre, so a worn stick that rests
+  // slightly off-centre does not walk the player.
+  const STICK_DEAD_ZONE = 0.3;
+
+  /**
+   * Copy of a preset's bindings.
+   * @param {string} [preset] - Key of BINDING_PRESETS.
+   * @returns {Object<string, Array<string|null>>} Key codes for each action.
+   */
+  function createBindings(preset = DEFAULT_PRESET) {
+    const { bindings } = BINDING_PRESETS[preset];
+    const copy = {};
+    Object.values(ACTIONS).forEach((action) => {
+      copy[action] = bindings[action].slice();
+    });
+    return copy;
+  }
+
+  /**
+   * The action a key is bound to.
+   * @param {object} bindings - Bindings from createBindings().
+   * @param {string} code - KeyboardEvent.code.
+   * @returns {string|null} Action, or null when the key is unbound.
+   */
+  function findAction(bindings, code) {
+    return (
+      Object.values(ACTIONS).find((action) =>
+        bindings[action].includes(code)
+      ) || null
+    );
+  }
+
+  /**
+   * Bind a key to one of an action's slots. The key is taken off any other
+   * slot first, so one key never triggers two actions.
+   * @param {object} bindings - Current bindings (not modified).
+   * @param {string} action - Action to bind.
+   * @param {number} slot - 0 for the main key, 1 for the alternate.
+   * @param {string|null} code - KeyboardEvent.code, or null to clear.
+   * @returns {object} New bindings.
+   */
+  function bindKey(bindings, action, slot, code) {
+    const next = {};
+    Object.values(ACTIONS).forEach((name) => {
+      next[name] = bindings[name].map((bound) =>
+        code !== null && bound === code ? null : bound
+      );
+    });
+    next[action][slot] = code;
+    return next;
+  }
+
+  /**
+   * Which actions the held keys add up to.
+   * @param {object} bindings - Bindings from createBindings().
+   * @param {Set<string>} heldCodes - KeyboardEvent.code of each held key.
+   * @returns {{left:boolean,right:boolean,jump:boolean}} Keyboard input.
+   */
+  function readKeys(bindings, heldCodes) {
+    const held = (action) =>
+      bindings[action].some((code) => code !== null && heldCodes.has(code));
+    return {
+      left: held(ACTIONS.LEFT),
+      right: held(ACTIONS.RIGHT),
+      jump: held(ACTIONS.JUMP),
+    };
+  }
+
+  /**
+   * Which actions the held keys add up to for each player of a co-op run.
+   * @param {object} bindings - The doctor's bindings.
+   * @param {Set<string>} heldCodes - KeyboardEvent.code of each held key.
+   * @returns {Array<{left:boolean,right:boolean,jump:boolean}>} Keyboard
+   *   input for the doctor, then the nurse.
+   */
+  function readCoopKeys(bindings, heldCodes) {
+    const nurseCodes = Object.values(NURSE_BINDINGS).flat();
+    const doctor = {};
+    Object.values(ACTIONS).forEach((action) => {
+      doctor[action] = bindings[action].filter(
+        (code) => !nurseCodes.includes(code)
+      );
+    });
+    return [readKeys(doctor, heldCodes), readKeys(NURSE_BINDINGS, heldCodes)];
+  }
+
+  /**
+   * Name of a key for the screen, e.g. "A" for KeyA or "Left Arrow".
+   * @param {string|null} code - KeyboardEvent.code.
+   * @returns {string} Readable name, or "-" for an empty slot.
+   */
+  function formatKey(code) {
+    if (code === null) {
+      return "-";
+    }
+    const named = {
+      ArrowLeft: "Left Arrow",
+      ArrowRight: "Right Arrow",
+      ArrowUp: "Up Arrow",
+      ArrowDown: "Down Arrow",
+      Escape: "Esc",
+    };
+    if (named[code]) {
+      return named[code];
+    }
+    const match = /^(?:Key|Digit|Numpad)(.+)$/.exec(code);
+    return match ? match[1] : code;
+  }
+
+  /**
+   * Check bindings read back from storage.
+   * @param {*} value - Decoded bindings.
+   * @returns {boolean} True when every action has its slots of codes.
+   */
+  function isValidBindings(value) {
+    return (
+      Boolean(value) &&
+      typeof value === "object" &&
+      Object.values(ACTIONS).every(
+        (action) =>
+          Array.isArray(value[action]) &&
+          value[action].length === KEYS_PER_ACTION &&
+          value[action].every(
+            (code) =>
+              code === null || (typeof code === "string" && code !== "")
+          )
+      )
+    );
+  }
+
+  /**
+   * Read saved bindings, falling back to the defaults when there are none
+   * or they cannot be read.
+   * @param {Storage} storage - localStorage or a compatible object.
+   * @returns {object} Bindings.
+   */
+  function loadBindings(storage) {
+    try {
+      const saved = JSON.parse(storage.getItem(BINDINGS_STORAGE_KEY));
+      return isValidBindings(saved) ? saved : createBindings();
+    } catch (error) {
+      return createBindings();
+    }
+  }
+
+  /**
+   * Save bindings for the next visit.
+   * @param {Storage} storage - localStorage or a compatible object.
+   * @param {object} bindings - Bindings to save.
+   */
+  function saveBindings(storage, bindings) {
+    try {
+      storage.setItem(BINDINGS_STORAGE_KEY, JSON.stringify(bindings));
+    } catch (error) {
+      // Storage is optional; the bindings last until the page closes.
+    }
+  }
+
+  /**
+   * Zero out stick travel inside the dead zone.
+   * @param {number} value - Axis value from -1 to 1.
+   * @returns {number} The value, or 0 inside the dead zone.
+   */
+  function applyDeadZone(value) {
+    return Math.abs(value) < STICK_DEAD_ZONE ? 0 : value;
+  }
+
+  /**
+   * Read one gamepad: d-pad or left stick to move, A to jump, Start to
+   * pause.
+   * @param {Gamepad} gamepad - Snapshot from navigator.getGamepads().
+   * @returns {{left:boolean,right:boolean,jump:boolean,pause:boolean}} Input.
+   */
+  function readGamepad(gamepad) {
+    const pressed = (index) =>
+      Boolean(gamepad.buttons[index] && gamepad.buttons[index].pressed);
+    const x = applyDeadZone(gamepad.axes[GAMEPAD_STICK_X_AXIS] || 0);
+    return {
+      left: pressed(GAMEPAD_BUTTONS.DPAD_LEFT) || x < 0,
+      right: pressed(GAMEPAD_BUTTONS.DPAD_RIGHT) || x > 0,
+      jump: pressed(GAMEPAD_BUTTONS.A),
+      pause: pressed(GAMEPAD_BUTTONS.START),
+    };
+  }
+
+  /**
+   * Combine every connected gamepad into one input.
+   * @param {Array<Gamepad|null>} gamepads - navigator.getGamepads(), which
+   *   leaves empty slots as null.
+   * @returns {{left:boolean,right:boolean,jump:boolean,pause:boolean}} Input.
+   */
+  function readGamepads(gamepads) {
+    const input = { left: false, right: false, jump: false, pause: false };
+    gamepads.forEach((gamepad) => {
+      if (!gamepad || !gamepad.connected) {
+        return;
+      }
+      const pad = readGamepad(gamepad);
+      Object.keys(input).forEach((key) => {
+        input[key] = input[key] || pad[key];
+      });
+    });
+    return input;
+  }
+
+  const CertQuestControls = {
+    ACTIONS,
+    ACTION_LABELS,
+    KEYS_PER_ACTION,
+    BINDING_PRESETS,
+    DEFAULT_PRESET,
+    NURSE_BINDINGS,
+    STICK_DEAD_ZONE,
+    createBindings,
+    findAction,
+    bindKey,
+    readKeys,
+    readCoopKeys,
+    formatKey,
+    loadBindings,
+    saveBindings,
+    readGamepad,
+    readGamepads,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = CertQuestControls;
+  } else {
+    root.CertQuestControls = CertQuestControls;
+  }
+})(typeof window !== "undefined" ? window : globalThis);
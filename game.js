@@ -8,60 +8,378 @@ const canvas = document.getElementById("game-canvas");
 const ctx = canvas.getContext("2d");
 
 // HUD elements
+const knowledgeMeterEl = document.getElementById("knowledge-meter");
 const knowledgeFillEl = document.getElementById("knowledge-fill");
 const knowledgePercentEl = document.getElementById("knowledge-percent");
+const mistakeMeterEl = document.getElementById("mistake-meter");
 const mistakeFillEl = document.getElementById("mistake-fill");
 const mistakeCountEl = document.getElementById("mistake-count");
 const patientsTreatedEl = document.getElementById("patients-treated");
+const playerCatchesCounterEl = document.getElementById(
+  "player-catches-counter"
+);
+const playerCatchesEl = document.getElementById("player-catches");
 const assessmentsPassedEl = document.getElementById("assessments-passed");
+const scoreTotalEl = document.getElementById("score-total");
+const scoreMultiplierEl = document.getElementById("score-multiplier");
+const waitingListEl = document.getElementById("waiting-list");
+const effectListEl = document.getElementById("effect-list");
+const shiftLevelEl = document.getElementById("shift-level");
+const muteButtonEl = document.getElementById("mute-button");
+const announcerEl = document.getElementById("announcer");
 
 // Screens
 const startScreenEl = document.getElementById("start-screen");
 const gameOverScreenEl = document.getElementById("game-over-screen");
+const pauseScreenEl = document.getElementById("pause-screen");
+const resumeButtonEl = document.getElementById("resume-button");
+const pauseRestartButtonEl = document.getElementById("pause-restart-button");
+const quitButtonEl = document.getElementById("quit-button");
 const startButtonEl = document.getElementById("start-button");
 const restartButtonEl = document.getElementById("restart-button");
 const finalScoreLineEl = document.getElementById("final-score-line");
-const finalBreakdownLineEl = document.getElementById("final-breakdown-line");
+const finalBreakdownBodyEl = document.getElementById("final-breakdown-body");
+const finalSeedLineEl = document.getElementById("final-seed-line");
+const reportFocusEl = document.getElementById("report-focus");
+const knowledgeChartEl = document.getElementById("knowledge-chart");
+const reportSectionsEl = document.getElementById("report-sections");
+const seedInputEl = document.getElementById("seed-input");
+const difficultySelectEl = document.getElementById("difficulty-select");
+const playersSelectEl = document.getElementById("players-select");
+const configNameEl = document.getElementById("config-name");
+const configDescriptionEl = document.getElementById("config-description");
+const configFileInputEl = document.getElementById("config-file-input");
+const configResetButtonEl = document.getElementById("config-reset-button");
+const configErrorEl = document.getElementById("config-error");
+const themeErrorEl = document.getElementById("theme-error");
+const specialtyFieldEl = document.getElementById("specialty-field");
+const specialtySelectEl = document.getElementById("specialty-select");
+const startLeaderboardEl = document.getElementById("start-leaderboard-body");
+const gameOverLeaderboardEl = document.getElementById(
+  "game-over-leaderboard-body"
+);
+const initialsEntryEl = document.getElementById("initials-entry");
+const initialsSlotEls = Array.from(
+  document.querySelectorAll("#initials-entry .initials-slot")
+);
+const initialsSaveButtonEl = document.getElementById("initials-save-button");
+const wardSectionEls = Array.from(document.querySelectorAll(".ward-section"));
+const startWardLeaderboardEl = document.getElementById("start-ward-body");
+const gameOverWardLeaderboardEl = document.getElementById(
+  "game-over-ward-body"
+);
+const wardStatusEl = document.getElementById("ward-status");
+const watchReplayButtonEl = document.getElementById("watch-replay-button");
+const exportReplayButtonEl = document.getElementById("export-replay-button");
+const replayFileInputEl = document.getElementById("replay-file-input");
+const replayErrorEl = document.getElementById("replay-error");
+
+// Replay controls
+const replayControlsEl = document.getElementById("replay-controls");
+const replayPlayButtonEl = document.getElementById("replay-play-button");
+const replaySpeedButtonEl = document.getElementById("replay-speed-button");
+const replayScrubberEl = document.getElementById("replay-scrubber");
+const replayTimeEl = document.getElementById("replay-time");
+const replayExitButtonEl = document.getElementById("replay-exit-button");
+
+// Quiz overlay
+const quizScreenEl = document.getElementById("quiz-screen");
+const quizSpecialtyEl = document.getElementById("quiz-specialty");
+const quizStemEl = document.getElementById("quiz-stem");
+const quizChoicesEl = document.getElementById("quiz-choices");
+const quizFeedbackEl = document.getElementById("quiz-feedback");
+const quizExplanationEl = document.getElementById("quiz-explanation");
+const quizContinueButtonEl = document.getElementById("quiz-continue-button");
+
+// Touch controls
+const touchControlsEl = document.getElementById("touch-controls");
+const touchButtonEls = Array.from(
+  touchControlsEl.querySelectorAll("[data-control]")
+);
+const touchPauseButtonEl = document.getElementById("touch-pause-button");
+const touchModeSelectEl = document.getElementById("touch-mode-select");
+
+// Controls settings
+const settingsScreenEl = document.getElementById("settings-screen");
+const settingsButtonEl = document.getElementById("settings-button");
+const pauseSettingsButtonEl = document.getElementById("pause-settings-button");
+const settingsDoneButtonEl = document.getElementById("settings-done-button");
+const bindingsBodyEl = document.getElementById("bindings-body");
+const bindingsPresetsEl = document.getElementById("bindings-presets");
+const gamepadStatusEl = document.getElementById("gamepad-status");
+const volumeSliderEl = document.getElementById("volume-slider");
+const muteToggleEl = document.getElementById("mute-toggle");
+const paletteSelectEl = document.getElementById("palette-select");
+const gameSpeedSelectEl = document.getElementById("game-speed-select");
+const reducedMotionToggleEl = document.getElementById("reduced-motion-toggle");
+const themeSelectEl = document.getElementById("theme-select");
+const moveKeysEl = document.getElementById("move-keys");
+
+// Badge gallery
+const achievementsScreenEl = document.getElementById("achievements-screen");
+const achievementsButtonEl = document.getElementById("achievements-button");
+const achievementsDoneButtonEl = document.getElementById(
+  "achievements-done-button"
+);
+const achievementListEl = document.getElementById("achievement-list");
+const achievementCountEl = document.getElementById("achievement-count");
+
+// Run history
+const historyScreenEl = document.getElementById("history-screen");
+const historyButtonEl = document.getElementById("history-button");
+const historyDoneButtonEl = document.getElementById("history-done-button");
+const historyBodyEl = document.getElementById("history-body");
+const historyCountEl = document.getElementById("history-count");
+const exportCsvButtonEl = document.getElementById("export-csv-button");
+const exportJsonButtonEl = document.getElementById("export-json-button");
+const jumpKeysEl = document.getElementById("jump-keys");
+const pauseKeysEls = [
+  document.getElementById("pause-keys"),
+  document.getElementById("pause-resume-keys"),
+];
+
+// Head-to-head
+const versusSectionEls = Array.from(
+  document.querySelectorAll(".versus-section, .versus-help")
+);
+const roomInputEl = document.getElementById("room-input");
+const versusButtonEl = document.getElementById("versus-button");
+const versusStatusEl = document.getElementById("versus-status");
+const versusPanelEl = document.getElementById("versus-panel");
+const opponentScoreEl = document.getElementById("opponent-score");
+const opponentKnowledgeEl = document.getElementById("opponent-knowledge");
+const opponentMistakesEl = document.getElementById("opponent-mistakes");
+const opponentPatientsEl = document.getElementById("opponent-patients");
+const opponentStateEl = document.getElementById("opponent-state");
+const consultButtonEl = document.getElementById("consult-button");
+const versusResultLineEl = document.getElementById("versus-result-line");
+
+// Simulation core (sim.js)
+const {
+  FLOOR_Y,
+  PLAYER_WIDTH,
+  PLAYER_HEIGHT,
+  PLAYER_ROLES,
+  ITEM_TYPES,
+  EVENT_TYPES,
+  POWER_UPS,
+  KNOWLEDGE_MIN,
+  KNOWLEDGE_MAX,
+  TRIAGE_LEVELS,
+  computeScore,
+  clamp,
+  canTreat,
+  findTreatedPatient,
+  isEffectActive,
+  getPatientNeeds,
+  FIXED_STEP_MS,
+  createState,
+  step: stepSimulation,
+  answerAssessment,
+  receiveConsult,
+  createClock,
+  advanceClock,
+  createRng,
+  nextRandom,
+} = window.CertQuestSim;
+
+// Streak multipliers (scoring.js)
+const { getMultiplier, getScoreBreakdown } = window.CertQuestScoring;
+
+// Replays (replay.js)
+const {
+  createRecorder,
+  recordStep,
+  recordAnswer,
+  recordConsult,
+  finishRecording,
+  serializeReplay,
+  parseReplay,
+  createPlayback,
+  isPlaybackFinished,
+  advancePlaybackTo,
+  seekPlayback,
+} = window.CertQuestReplay;
+
+// Rule sets (config.js)
+const { DEFAULT_CONFIG, parseConfig } = window.CertQuestConfig;
+
+// High scores (leaderboard.js)
+const {
+  INITIALS_LENGTH,
+  INITIALS_ALPHABET,
+  loadLeaderboard,
+  saveLeaderboard,
+  qualifiesForLeaderboard,
+  createEntry,
+  addEntry,
+  loadLastInitials,
+  saveLastInitials,
+} = window.CertQuestLeaderboard;
+
+// Quiz mode (quiz.js)
+const {
+  QUESTIONS_DIR,
+  QUESTIONS_INDEX,
+  collectQuestions,
+  listSpecialties,
+  createQuizDeck,
+  drawQuestion,
+  isCorrectAnswer,
+} = window.CertQuestQuiz;
+
+// Touch controls (touch.js)
+const {
+  TOUCH_MODES,
+  TOUCH_MODE_LABELS,
+  createTouchInput,
+  pressControl,
+  startSwipe,
+  moveSwipe,
+  releasePointer,
+  releaseAll,
+  getTiltDegrees,
+  setTilt,
+  readTouchInput,
+  loadTouchMode,
+  saveTouchMode,
+} = window.CertQuestTouch;
+
+// Key bindings and gamepads (controls.js)
+const {
+  ACTIONS,
+  ACTION_LABELS,
+  BINDING_PRESETS,
+  NURSE_BINDINGS,
+  createBindings,
+  findAction,
+  bindKey,
+  readKeys,
+  readCoopKeys,
+  formatKey,
+  loadBindings,
+  saveBindings,
+  readGamepads,
+} = window.CertQuestControls;
+
+// Sound (audio.js)
+const {
+  TREATMENT_TICK_MS,
+  getEventSounds,
+  getMusicTempo,
+  loadAudioSettings,
+  saveAudioSettings,
+  createAudioEngine,
+  unlockAudio,
+  applyAudioSettings,
+  playSound,
+  startMusic,
+  stopMusic,
+  setMusicTempo,
+} = window.CertQuestAudio;
+
+// Accessibility options (accessibility.js)
+const {
+  PALETTES,
+  GAME_SPEEDS,
+  loadAccessibilitySettings,
+  saveAccessibilitySettings,
+  getTriagePriority,
+  getKnowledgeBand,
+  describeEvents,
+} = window.CertQuestAccessibility;
+
+// Badges (achievements.js)
+const {
+  ACHIEVEMENTS,
+  createAchievementRun,
+  loadProgress,
+  saveProgress,
+  checkAchievements,
+  listAchievements,
+} = window.CertQuestAchievements;
+
+// Learning report (analytics.js)
+const {
+  FOCUS_MESSAGES,
+  createRunLog,
+  recordRunEvents,
+  recordRunStep,
+  getFocus,
+  getReport,
+  describeKnowledgeChart,
+} = window.CertQuestAnalytics;
+
+// Run history (history.js)
+const {
+  MAX_RUNS,
+  loadHistory,
+  saveHistory,
+  createHistoryRun,
+  addRun,
+  historyToCsv,
+  historyToJson,
+} = window.CertQuestHistory;
+
+// Head-to-head races (versus.js)
+const {
+  VERSUS_PATH,
+  MESSAGE_TYPES,
+  CONSULT_COOLDOWN_MS,
+  normalizeRoomCode,
+  isValidRoomCode,
+  isKnownDifficulty,
+  createStatus,
+  isSameStatus,
+  parseMessage,
+  encodeMessage,
+  canSendConsult,
+  describeResult,
+} = window.CertQuestVersus;
+
+// Sprites and animation (sprites.js)
+const {
+  DEFAULT_THEME,
+  ANIMATIONS,
+  THEMES,
+  resolveTheme,
+  parseTheme,
+  compileTheme,
+  getSpriteFrame,
+  drawFrame,
+  createAnimator,
+  markHurt,
+  updatePlayerAnimator,
+  getPatientAnimation,
+  getHurtPlayers,
+  getItemSpriteKey,
+  loadThemeName,
+  saveThemeName,
+} = window.CertQuestSprites;
 
 // Game constants
 const GAME_STATE = {
   START: "start",
   PLAYING: "playing",
+  PAUSED: "paused",
+  QUIZ: "quiz",
   GAME_OVER: "game_over",
+  REPLAY: "replay",
 };
 
-const FLOOR_Y = canvas.height - 60;
-const PLAYER_WIDTH = 32;
-const PLAYER_HEIGHT = 52;
-const PLAYER_SPEED = 220;
-const JUMP_VELOCITY = -420;
-const GRAVITY = 1100;
-
-const ITEM_TYPES = {
-  KNOWLEDGE: "knowledge",
-  MISTAKE: "mistake",
-  ASSESSMENT: "assessment",
-};
-
-const KNOWLEDGE_PICKUP_AMOUNT = 10;
-const KNOWLEDGE_EROSION_STEP = 5;
-const KNOWLEDGE_EROSION_INTERVAL_MS = 1800;
-const KNOWLEDGE_MIN = 0;
-const KNOWLEDGE_MAX = 100;
-const KNOWLEDGE_WARNING_THRESHOLD = 30;
-
-const MAX_MISTAKES = 5;
+const REPLAY_SPEEDS = [1, 2];
 
-const PATIENT_VISIBLE_MS = 8000;
-const PATIENT_GAP_MS = 2000;
-const PATIENT_TREAT_DURATION_MS = 2000;
+const PLAYER_LABELS = {
+  [PLAYER_ROLES.DOCTOR]: "Doctor",
+  [PLAYER_ROLES.NURSE]: "Nurse",
+};
 
-const ITEM_SPAWN_INTERVAL_MIN_MS = 900;
-const ITEM_SPAWN_INTERVAL_MAX_MS = 1800;
+// Shared ward leaderboard served by server.js; relative so the game also
+// works when hosted under a sub-path.
+const WARD_SCORES_URL = "api/scores";
 
-const GROUND_MISTAKE_DURATION_MS = 2000;
-const GROUND_MISTAKE_SPAWN_INTERVAL_MIN_MS = 2400;
-const GROUND_MISTAKE_SPAWN_INTERVAL_MAX_MS = 5600;
+// Theme select value for a theme loaded from `?theme=`.
+const CUSTOM_THEME = "custom";
 
 // State
 let gameState = GAME_STATE.START;
@@ -72,144 +390,384 @@ const inputState = {
   jump: false,
 };
 
-const player = {
-  x: canvas.width / 2 - PLAYER_WIDTH / 2,
-  y: FLOOR_Y - PLAYER_HEIGHT,
-  vx: 0,
-  vy: 0,
-  onGround: true,
-  facing: 1,
+// The nurse in a co-op run, who only plays on the keyboard.
+const nurseInputState = {
+  left: false,
+  right: false,
+  jump: false,
 };
 
-const knowledgeState = {
-  percent: 50,
-  timeSinceErosionMs: 0,
+// Keyboard, touch and gamepads each keep their own state; syncInput()
+// combines them into inputState, so letting go on one never cancels
+// another that is still held.
+const heldKeys = new Set();
+let keyBindings = loadBindings(getLocalStorage());
+
+const touchInput = createTouchInput();
+let touchMode = loadTouchMode(getLocalStorage());
+
+const gamepadState = {
+  ids: [],
+  input: readGamepads([]),
 };
 
-const mistakesState = {
-  count: 0,
+const audio = createAudioEngine(
+  window.AudioContext || window.webkitAudioContext || null,
+  loadAudioSettings(getLocalStorage())
+);
+
+let accessibility = loadAccessibilitySettings(
+  getLocalStorage(),
+  window.matchMedia("(prefers-reduced-motion: reduce)").matches
+);
+
+// Art for the play field: a built-in theme, or one loaded from `?theme=`.
+// Sheet images load in the background, keyed by URL; until a sheet has
+// loaded, its sprites are drawn from the standard theme.
+const standardTheme = compileTheme(resolveTheme(THEMES[DEFAULT_THEME]));
+const themeState = {
+  name: loadThemeName(getLocalStorage()),
+  active: standardTheme,
+  custom: null,
+  images: new Map(),
 };
 
-const scoreState = {
-  patientsTreated: 0,
-  assessmentsPassed: 0,
+// Animation state for each player, by index; reset with each run.
+let playerAnimators = [];
+
+// Badges earned so far, and what this run has done towards them.
+const achievementProgress = loadProgress(getLocalStorage());
+let achievementRun = createAchievementRun();
+
+// Knowledge band last announced to screen readers, so crossing a threshold
+// is announced once.
+let knowledgeBand = "ok";
+
+// Controls screen: the screen it was opened from, and the binding slot
+// waiting for a key press.
+const settingsView = {
+  returnScreenEl: null,
+  capture: null,
 };
 
-const fallingItems = [];
+// Rule set for the next run: DEFAULT_CONFIG, or one loaded from a file.
+let activeConfig = DEFAULT_CONFIG;
+
+let simState = createState({ seed: readSeedFromUrl() });
+let skyline = createSkyline(simState.seed, activeConfig.scene);
+
+let recorder = null;
+let lastReplay = null;
+let runLog = createRunLog(simState);
+
+const initialsEntry = {
+  active: false,
+  letters: [],
+  cursor: 0,
+  score: 0,
+  qualifiesLocally: false,
+};
 
-const itemSpawnState = {
-  timeSinceLastSpawnMs: 0,
-  nextSpawnDelayMs: randomBetween(
-    ITEM_SPAWN_INTERVAL_MIN_MS,
-    ITEM_SPAWN_INTERVAL_MAX_MS
-  ),
+const wardState = {
+  available: false,
 };
 
-const assessmentState = {
-  pending: false,
+// Head-to-head race through the relay. `racing` is set from the relay's
+// start message until the player leaves; consults from the opponent wait
+// in `pendingConsults` for the next simulation step.
+const versusState = {
+  socket: null,
+  room: "",
+  racing: false,
+  opponent: null,
+  opponentLeft: false,
+  lastStatus: null,
+  lastConsultMs: null,
+  pendingConsults: 0,
 };
 
-const patientState = {
-  active: null,
-  timeSinceLastPatientGoneMs: PATIENT_GAP_MS,
-  contactDurationMs: 0,
+// Question banks load in the background; until they do (or when the game is
+// opened without them), runs use classic auto-passing assessments.
+const quizState = {
+  banks: [],
+  deck: null,
+  question: null,
+  choiceIndex: null,
 };
 
-const groundMistakes = [];
-const groundMistakeSpawnState = {
-  timeSinceLastSpawnMs: 0,
-  nextSpawnDelayMs: randomBetween(
-    GROUND_MISTAKE_SPAWN_INTERVAL_MIN_MS,
-    GROUND_MISTAKE_SPAWN_INTERVAL_MAX_MS
-  ),
+const replayView = {
+  playback: null,
+  clockMs: 0,
+  paused: false,
+  speed: 1,
+  returnScreenEl: null,
+  savedSimState: null,
 };
 
 let lastTimestamp = null;
+const frameClock = createClock();
+
+// Positions before the latest fixed step, keyed by entity, so frames that
+// land between steps can be drawn part-way along.
+let previousPositions = new Map();
+let renderAlpha = 1;
+
+// Floating "+points" labels over the player who earned them, aged each
+// frame.
+const SCORE_POPUP_MS = 1200;
+const SCORE_POPUP_RISE_PX = 36;
+let scorePopups = [];
+
+// Badges earned this run, shown one at a time at the top of the canvas.
+const ACHIEVEMENT_TOAST_MS = 3000;
+const ACHIEVEMENT_TOAST_SLIDE_MS = 250;
+let achievementToasts = [];
 
 /**
- * Compute the total score from patients treated and assessments passed.
- * @param {number} patientsTreated - Number of patients successfully treated.
- * @param {number} assessmentsPassed - Number of assessments passed.
- * @returns {number} Total score.
+ * Look up localStorage, which some privacy modes refuse to expose.
+ * @returns {Storage|null} Storage, or null when unavailable.
  */
-function computeScore(patientsTreated, assessmentsPassed) {
-  if (
-    typeof patientsTreated !== "number" ||
-    typeof assessmentsPassed !== "number"
-  ) {
-    throw new Error("Score inputs must be numeric.");
+function getLocalStorage() {
+  try {
+    return window.localStorage;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read the run seed from the `?seed=` URL parameter, if present.
+ * @returns {string|undefined} Seed text, or undefined for a random run.
+ */
+function readSeedFromUrl() {
+  const seed = new URLSearchParams(window.location.search).get("seed");
+  return seed ? seed.trim() : undefined;
+}
+
+/**
+ * Lay out the skyline for a run: the config's buildings, and which of
+ * their windows are lit. Uses its own generator so the backdrop never
+ * shifts gameplay randomness.
+ * @param {string} seed - Run seed.
+ * @param {{buildings:object[]}} scene - Scene from the run's config.
+ * @returns {{buildings:object[], windows:Array<{x:number,y:number}>}}
+ *   Buildings and lit window positions.
+ */
+function createSkyline(seed, scene) {
+  const rng = createRng(`skyline:${seed}`);
+  const windows = [];
+  scene.buildings.forEach((b) => {
+    const baseY = FLOOR_Y + 10;
+    for (let wy = baseY - 10; wy > baseY - b.height + 10; wy -= 18) {
+      for (let wx = b.x + 6; wx < b.x + b.width - 8; wx += 16) {
+        if (nextRandom(rng) < 0.45) {
+          windows.push({ x: wx, y: wy });
+        }
+      }
+    }
+  });
+  return { buildings: scene.buildings, windows };
+}
+
+/**
+ * Read the rule set location from the `?config=` URL parameter, if present.
+ * @returns {string|undefined} Config URL, or undefined for the defaults.
+ */
+function readConfigFromUrl() {
+  const url = new URLSearchParams(window.location.search).get("config");
+  return url ? url.trim() : undefined;
+}
+
+/**
+ * Offer the active rule set's difficulty presets on the start screen,
+ * keeping the current choice when the new rules have it too.
+ */
+function fillDifficultySelect() {
+  const { presets, defaultPreset } = activeConfig.rules.difficulty;
+  const previous = difficultySelectEl.value;
+  difficultySelectEl.replaceChildren();
+  Object.keys(presets).forEach((key) => {
+    const option = document.createElement("option");
+    option.value = key;
+    option.textContent = `${presets[key].label} (starts at level ${presets[key].startLevel})`;
+    difficultySelectEl.appendChild(option);
+  });
+  difficultySelectEl.value = Object.prototype.hasOwnProperty.call(
+    presets,
+    previous
+  )
+    ? previous
+    : defaultPreset;
+}
+
+/**
+ * Use a rule set for the next runs and show it on the start screen.
+ * @param {object} config - Full config from parseConfig(), or DEFAULT_CONFIG.
+ */
+function applyConfig(config) {
+  activeConfig = config;
+  configNameEl.textContent = config.name;
+  configDescriptionEl.textContent = config.description;
+  configResetButtonEl.classList.toggle("visible", config !== DEFAULT_CONFIG);
+  configErrorEl.textContent = "";
+  fillDifficultySelect();
+  simState = createState({ seed: simState.seed, rules: config.rules });
+  skyline = createSkyline(simState.seed, config.scene);
+  updateHud();
+}
+
+/**
+ * Fetch and apply the rule set named by `?config=`. A config that cannot
+ * be loaded leaves the defaults in place and says why on the start screen.
+ * Like Load Rules, it only applies on the start screen, so a slow fetch
+ * never replaces a shift the player has already begun.
+ * @returns {Promise<void>} Resolves once the rules are applied.
+ */
+function loadConfigFromUrl() {
+  const url = readConfigFromUrl();
+  if (!url) {
+    return Promise.resolve();
   }
-  if (patientsTreated < 0 || assessmentsPassed < 0) {
-    throw new Error("Score inputs must be non-negative.");
+  return fetch(url)
+    .then((response) => {
+      if (!response.ok) {
+        throw new Error(`${url} returned ${response.status}.`);
+      }
+      return response.text();
+    })
+    .then((text) => {
+      const config = parseConfig(text);
+      if (gameState !== GAME_STATE.START) {
+        throw new Error(`${url} arrived after the shift began.`);
+      }
+      applyConfig(config);
+    })
+    .catch((error) => {
+      configErrorEl.textContent = `Could not load rules: ${error.message}`;
+    });
+}
+
+/**
+ * Offer the built-in themes, and one loaded from `?theme=`, in Settings.
+ */
+function fillThemeSelect() {
+  themeSelectEl.replaceChildren();
+  Object.keys(THEMES).forEach((name) => {
+    const option = document.createElement("option");
+    option.value = name;
+    option.textContent = THEMES[name].name;
+    themeSelectEl.appendChild(option);
+  });
+  if (themeState.custom) {
+    const option = document.createElement("option");
+    option.value = CUSTOM_THEME;
+    option.textContent = themeState.custom.name;
+    themeSelectEl.appendChild(option);
   }
-  return patientsTreated * 1 + assessmentsPassed * 2;
+  themeSelectEl.value = themeState.name;
+}
+
+/**
+ * Draw the play field with a theme.
+ * @param {string} name - A THEMES key, or CUSTOM_THEME for the theme
+ *   loaded from `?theme=`.
+ */
+function applyTheme(name) {
+  themeState.name = name;
+  themeState.active =
+    name === CUSTOM_THEME
+      ? themeState.custom
+      : compileTheme(resolveTheme(THEMES[name]));
+  themeSelectEl.value = name;
 }
 
 /**
- * Clamp a numeric value between min and max.
- * @param {number} value - Value to clamp.
- * @param {number} min - Minimum value.
- * @param {number} max - Maximum value.
- * @returns {number} Clamped value.
+ * Read the theme location from the `?theme=` URL parameter, if present.
+ * @returns {string|undefined} Theme URL, or undefined for none.
  */
-function clamp(value, min, max) {
-  return Math.min(max, Math.max(min, value));
+function readThemeFromUrl() {
+  const url = new URLSearchParams(window.location.search).get("theme");
+  return url ? url.trim() : undefined;
 }
 
 /**
- * Generate a random integer between min and max inclusive.
- * @param {number} min - Minimum integer.
- * @param {number} max - Maximum integer.
- * @returns {number} Random integer in range.
+ * Fetch and apply the theme named by `?theme=`. It is used for this visit
+ * only; a theme that cannot be loaded leaves the saved one in place and
+ * says why on the start screen.
+ * @returns {Promise<void>} Resolves once the theme is applied.
  */
-function randomBetween(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+function loadThemeFromUrl() {
+  const url = readThemeFromUrl();
+  if (!url) {
+    return Promise.resolve();
+  }
+  return fetch(url)
+    .then((response) => {
+      if (!response.ok) {
+        throw new Error(`${url} returned ${response.status}.`);
+      }
+      return response.text();
+    })
+    .then((text) => {
+      themeState.custom = compileTheme(parseTheme(text));
+      fillThemeSelect();
+      applyTheme(CUSTOM_THEME);
+    })
+    .catch((error) => {
+      themeErrorEl.textContent = `Could not load theme: ${error.message}`;
+    });
 }
 
 /**
  * Start or restart the game, resetting all state.
+ * The seed comes from the start screen field (prefilled from the URL) and
+ * is picked at random when the field is empty; a head-to-head race fills
+ * it in from the relay first.
  */
 function startGame() {
   gameState = GAME_STATE.PLAYING;
   startScreenEl.classList.remove("visible");
   gameOverScreenEl.classList.remove("visible");
-
-  player.x = canvas.width / 2 - PLAYER_WIDTH / 2;
-  player.y = FLOOR_Y - PLAYER_HEIGHT;
-  player.vx = 0;
-  player.vy = 0;
-  player.onGround = true;
-  player.facing = 1;
-
-  knowledgeState.percent = 50;
-  knowledgeState.timeSinceErosionMs = 0;
-  mistakesState.count = 0;
-
-  scoreState.patientsTreated = 0;
-  scoreState.assessmentsPassed = 0;
-
-  fallingItems.length = 0;
-  itemSpawnState.timeSinceLastSpawnMs = 0;
-  itemSpawnState.nextSpawnDelayMs = randomBetween(
-    ITEM_SPAWN_INTERVAL_MIN_MS,
-    ITEM_SPAWN_INTERVAL_MAX_MS
-  );
-
-  assessmentState.pending = false;
-
-  patientState.active = null;
-  patientState.timeSinceLastPatientGoneMs = PATIENT_GAP_MS;
-  patientState.contactDurationMs = 0;
-
-  groundMistakes.length = 0;
-  groundMistakeSpawnState.timeSinceLastSpawnMs = 0;
-  groundMistakeSpawnState.nextSpawnDelayMs = randomBetween(
-    GROUND_MISTAKE_SPAWN_INTERVAL_MIN_MS,
-    GROUND_MISTAKE_SPAWN_INTERVAL_MAX_MS
-  );
+  pauseScreenEl.classList.remove("visible");
+  initialsEntry.active = false;
+
+  const questions = collectQuestions(quizState.banks, specialtySelectEl.value);
+  const quiz = questions.length > 0;
+  const coop = playersSelectEl.value === "2";
+  simState = createState({
+    seed: seedInputEl.value.trim(),
+    quiz,
+    coop,
+    difficulty: difficultySelectEl.value,
+    rules: activeConfig.rules,
+  });
+  skyline = createSkyline(simState.seed, activeConfig.scene);
+  recorder = createRecorder(simState.seed, {
+    quiz,
+    coop,
+    config: activeConfig === DEFAULT_CONFIG ? null : activeConfig,
+  });
+  quizState.deck = quiz ? createQuizDeck(questions, simState.seed) : null;
+  runLog = createRunLog(simState);
 
   lastTimestamp = null;
+  frameClock.accumulatorMs = 0;
+  previousPositions = new Map();
+  scorePopups = [];
+  playerAnimators = [];
+  achievementRun = createAchievementRun();
+  achievementToasts = [];
+  knowledgeBand = getKnowledgeBand(simState);
+  versusState.lastStatus = null;
+  versusState.lastConsultMs = null;
+  versusState.pendingConsults = 0;
+  versusResultLineEl.textContent = "";
+  updateVersusPanel();
+  syncInput();
   updateHud();
+  unlockAudio(audio);
+  stopMusic(audio);
+  startMusic(audio);
 }
 
 /**
@@ -217,411 +775,1342 @@ function startGame() {
  */
 function endGame() {
   gameState = GAME_STATE.GAME_OVER;
+  stopMusic(audio);
+  const { score } = simState;
   const totalScore = computeScore(
-    scoreState.patientsTreated,
-    scoreState.assessmentsPassed
+    score.patientPoints,
+    score.assessmentsPassed,
+    score.bonusPoints
   );
   finalScoreLineEl.textContent = `Score: ${totalScore} pts`;
-  finalBreakdownLineEl.textContent = `(${scoreState.patientsTreated} patients x 1) + (${scoreState.assessmentsPassed} assessments x 2)`;
+  renderScoreBreakdown(getScoreBreakdown(score, simState.streaks));
+  renderLearningReport();
+  saveHistory(
+    getLocalStorage(),
+    addRun(
+      loadHistory(getLocalStorage()),
+      createHistoryRun(simState, runLog, { rules: activeConfig.name })
+    )
+  );
+  const preset = simState.rules.difficulty.presets[simState.difficulty];
+  finalSeedLineEl.textContent = `Seed: ${simState.seed} (${preset.label}, reached level ${simState.level})`;
+  lastReplay = finishRecording(recorder, simState);
+  updateVersusPanel();
+
+  const table = loadLeaderboard(getLocalStorage());
+  const qualifiesLocally = qualifiesForLeaderboard(table, totalScore);
+  wardStatusEl.textContent = "";
+  if (qualifiesLocally || (canSubmitToWard() && totalScore > 0)) {
+    beginInitialsEntry(totalScore, qualifiesLocally);
+  } else {
+    initialsEntry.active = false;
+    initialsEntryEl.classList.remove("visible");
+  }
+  renderLeaderboard(gameOverLeaderboardEl, table.entries, null);
   gameOverScreenEl.classList.add("visible");
 }
 
 /**
- * Handle keyboard down events.
- * @param {KeyboardEvent} event - Keyboard event.
+ * Fill the Game Over breakdown with where the points came from.
+ * @param {Array<{label:string, detail:string, points:number}>} rows - Rows
+ *   from getScoreBreakdown(), the last being the total.
  */
-function handleKeyDown(event) {
-  if (event.key === "ArrowLeft") {
-    inputState.left = true;
-  } else if (event.key === "ArrowRight") {
-    inputState.right = true;
-  } else if (event.code === "Space") {
-    inputState.jump = true;
-  }
+function renderScoreBreakdown(rows) {
+  finalBreakdownBodyEl.replaceChildren();
+  rows.forEach((row, index) => {
+    const tr = document.createElement("tr");
+    if (index === rows.length - 1) {
+      tr.classList.add("score-breakdown-total");
+    }
+    const labelCell = document.createElement("th");
+    labelCell.scope = "row";
+    labelCell.textContent = row.label;
+    const detailCell = document.createElement("td");
+    detailCell.className = "score-breakdown-detail";
+    detailCell.textContent = row.detail;
+    const pointsCell = document.createElement("td");
+    pointsCell.className = "score-breakdown-points";
+    pointsCell.textContent = `${row.points} pts`;
+    tr.append(labelCell, detailCell, pointsCell);
+    finalBreakdownBodyEl.appendChild(tr);
+  });
 }
 
 /**
- * Handle keyboard up events.
- * @param {KeyboardEvent} event - Keyboard event.
+ * Fill the learning report on the Game Over screen from the run log: what
+ * to practise, knowledge over time, and a table for each part of the run.
  */
-function handleKeyUp(event) {
-  if (event.key === "ArrowLeft") {
-    inputState.left = false;
-  } else if (event.key === "ArrowRight") {
-    inputState.right = false;
-  } else if (event.code === "Space") {
-    inputState.jump = false;
-  }
+function renderLearningReport() {
+  reportFocusEl.textContent = FOCUS_MESSAGES[getFocus(runLog)];
+  drawKnowledgeChart();
+  knowledgeChartEl.setAttribute("aria-label", describeKnowledgeChart(runLog));
+  reportSectionsEl.replaceChildren();
+  getReport(runLog).forEach((section) => {
+    const table = document.createElement("table");
+    table.className = "report-table";
+    const caption = document.createElement("caption");
+    caption.textContent = section.heading;
+    const body = document.createElement("tbody");
+    section.rows.forEach((row) => {
+      const tr = document.createElement("tr");
+      const labelCell = document.createElement("th");
+      labelCell.scope = "row";
+      labelCell.textContent = row.label;
+      const valueCell = document.createElement("td");
+      valueCell.textContent = row.value;
+      tr.append(labelCell, valueCell);
+      body.appendChild(tr);
+    });
+    table.append(caption, body);
+    reportSectionsEl.appendChild(table);
+  });
 }
 
 /**
- * Update the HUD elements based on current state.
+ * Chart knowledge over the run on the report canvas, with the warning
+ * threshold dashed and a tick wherever a mistake was counted.
  */
-function updateHud() {
-  const knowledgePercent = clamp(
-    Math.round(knowledgeState.percent),
-    KNOWLEDGE_MIN,
-    KNOWLEDGE_MAX
-  );
-  knowledgeFillEl.style.width = `${knowledgePercent}%`;
-  knowledgePercentEl.textContent = `${knowledgePercent}%`;
+function drawKnowledgeChart() {
+  const chart = knowledgeChartEl.getContext("2d");
+  const { width, height } = knowledgeChartEl;
+  const palette = getPalette();
+  const left = 34;
+  const top = 8;
+  const bottom = height - 18;
+  const right = width - 8;
+  const durationMs = Math.max(runLog.durationMs, 1);
+  const toX = (t) => left + (t / durationMs) * (right - left);
+  const toY = (percent) =>
+    bottom - (percent / KNOWLEDGE_MAX) * (bottom - top);
+
+  chart.clearRect(0, 0, width, height);
+  chart.fillStyle = "#0b0b18";
+  chart.fillRect(0, 0, width, height);
+
+  chart.font = "10px system-ui, sans-serif";
+  chart.fillStyle = "#a0a4d0";
+  chart.strokeStyle = "#2f2f4f";
+  chart.lineWidth = 1;
+  chart.textAlign = "right";
+  chart.textBaseline = "middle";
+  [KNOWLEDGE_MIN, KNOWLEDGE_MAX / 2, KNOWLEDGE_MAX].forEach((percent) => {
+    chart.beginPath();
+    chart.moveTo(left, toY(percent));
+    chart.lineTo(right, toY(percent));
+    chart.stroke();
+    chart.fillText(`${percent}%`, left - 4, toY(percent));
+  });
+  chart.textBaseline = "alphabetic";
+  chart.textAlign = "left";
+  chart.fillText("0:00", left, height - 4);
+  chart.textAlign = "right";
+  chart.fillText(formatClock(runLog.durationMs), right, height - 4);
+
+  chart.strokeStyle = palette.mistake.outer;
+  runLog.mistakeTimes.forEach((t) => {
+    chart.beginPath();
+    chart.moveTo(toX(t), top);
+    chart.lineTo(toX(t), bottom);
+    chart.stroke();
+  });
 
-  const thermometer = knowledgeFillEl.parentElement?.parentElement;
-  if (thermometer) {
-    if (knowledgePercent < KNOWLEDGE_WARNING_THRESHOLD) {
-      thermometer.classList.add("knowledge-low");
-      knowledgePercentEl.classList.add("knowledge-critical-text");
+  chart.strokeStyle = "#f5d14f";
+  chart.setLineDash([4, 4]);
+  chart.beginPath();
+  chart.moveTo(left, toY(runLog.warningThreshold));
+  chart.lineTo(right, toY(runLog.warningThreshold));
+  chart.stroke();
+  chart.setLineDash([]);
+
+  chart.strokeStyle = palette.knowledge.outer;
+  chart.lineWidth = 2;
+  chart.beginPath();
+  runLog.knowledge.forEach(({ t, percent }, index) => {
+    if (index === 0) {
+      chart.moveTo(toX(t), toY(percent));
     } else {
-      thermometer.classList.remove("knowledge-low");
-      knowledgePercentEl.classList.remove("knowledge-critical-text");
+      chart.lineTo(toX(t), toY(percent));
     }
-  }
-
-  const mistakeRatio = mistakesState.count / MAX_MISTAKES;
-  mistakeFillEl.style.width = `${Math.round(mistakeRatio * 100)}%`;
-  mistakeCountEl.textContent = `${mistakesState.count} / ${MAX_MISTAKES}`;
-
-  patientsTreatedEl.textContent = String(scoreState.patientsTreated);
-  assessmentsPassedEl.textContent = String(scoreState.assessmentsPassed);
+  });
+  chart.stroke();
 }
 
 /**
- * Spawn a falling item at a random horizontal position.
- * MK items are more common than mistake items.
+ * Fill a high-score table body with rows for the given entries.
+ * @param {HTMLElement} bodyEl - Table body to fill.
+ * @param {object[]} entries - Leaderboard entries, best first.
+ * @param {object|null} highlight - Entry to mark as the latest run.
  */
-function spawnRandomItem() {
-  let type = ITEM_TYPES.KNOWLEDGE;
-  const roll = Math.random();
-  if (roll > 0.825) {
-    type = ITEM_TYPES.MISTAKE;
+function renderLeaderboard(bodyEl, entries, highlight) {
+  bodyEl.replaceChildren();
+  if (entries.length === 0) {
+    const row = document.createElement("tr");
+    const cell = document.createElement("td");
+    cell.colSpan = 7;
+    cell.className = "leaderboard-empty";
+    cell.textContent = "No scores yet. Be the first!";
+    row.appendChild(cell);
+    bodyEl.appendChild(row);
+    return;
   }
+  entries.forEach((entry, index) => {
+    const row = document.createElement("tr");
+    if (entry === highlight) {
+      row.className = "leaderboard-latest";
+    }
+    [
+      String(index + 1),
+      entry.initials,
+      String(entry.score),
+      String(entry.patientsTreated),
+      String(entry.assessmentsPassed),
+      formatClock(entry.durationMs),
+      new Date(entry.date).toLocaleDateString(),
+    ].forEach((text) => {
+      const cell = document.createElement("td");
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    bodyEl.appendChild(row);
+  });
+}
 
-  const width = 22;
-  const height = 26;
-  const x = randomBetween(20, canvas.width - 20 - width);
-  const y = -height;
-
-  let vy;
-  if (type === ITEM_TYPES.KNOWLEDGE) {
-    vy = 180;
-  } else {
-    vy = 260;
+/**
+ * Fill the history screen with every kept run, newest first.
+ */
+function renderHistory() {
+  const { runs } = loadHistory(getLocalStorage());
+  historyBodyEl.replaceChildren();
+  if (runs.length === 0) {
+    const row = document.createElement("tr");
+    const cell = document.createElement("td");
+    cell.colSpan = 9;
+    cell.className = "leaderboard-empty";
+    cell.textContent = "No runs yet. Finished runs are kept here.";
+    row.appendChild(cell);
+    historyBodyEl.appendChild(row);
   }
-
-  fallingItems.push({
-    type,
-    x,
-    y,
-    width,
-    height,
-    vy,
+  runs.forEach((run) => {
+    const row = document.createElement("tr");
+    [
+      new Date(run.date).toLocaleString(),
+      run.seed,
+      run.difficulty,
+      run.rules,
+      String(run.players),
+      formatClock(run.durationMs),
+      String(run.score),
+      String(run.patientsTreated),
+      String(run.mistakes),
+    ].forEach((text) => {
+      const cell = document.createElement("td");
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    historyBodyEl.appendChild(row);
   });
+  historyCountEl.textContent = `${runs.length} ${
+    runs.length === 1 ? "run" : "runs"
+  } kept on this device (up to ${MAX_RUNS}).`;
+  exportCsvButtonEl.disabled = runs.length === 0;
+  exportJsonButtonEl.disabled = runs.length === 0;
 }
 
 /**
- * Spawn an assessment item when knowledge is full.
+ * Open the run history over the start screen.
  */
-function spawnAssessmentItem() {
-  const width = 26;
-  const height = 30;
-  const x = randomBetween(20, canvas.width - 20 - width);
-  const y = -height;
+function openHistory() {
+  renderHistory();
+  startScreenEl.classList.remove("visible");
+  historyScreenEl.classList.add("visible");
+  historyDoneButtonEl.focus();
+}
 
-  fallingItems.push({
-    type: ITEM_TYPES.ASSESSMENT,
-    x,
-    y,
-    width,
-    height,
-    vy: 133,
-  });
+/**
+ * Close the run history and go back to the start screen.
+ */
+function closeHistory() {
+  historyScreenEl.classList.remove("visible");
+  startScreenEl.classList.add("visible");
 }
 
 /**
- * Update player position and velocity based on input and physics.
- * @param {number} dtSeconds - Delta time in seconds.
+ * Offer text as a file download.
+ * @param {string} text - File contents.
+ * @param {string} type - MIME type.
+ * @param {string} filename - Suggested file name.
  */
-function updatePlayer(dtSeconds) {
-  player.vx = 0;
-  if (inputState.left) {
-    player.vx -= PLAYER_SPEED;
-    player.facing = -1;
-  }
-  if (inputState.right) {
-    player.vx += PLAYER_SPEED;
-    player.facing = 1;
-  }
+function downloadFile(text, type, filename) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
 
-  if (inputState.jump && player.onGround) {
-    player.vy = JUMP_VELOCITY;
-    player.onGround = false;
-  }
+/**
+ * Show the arcade-style initials entry for a score worth saving.
+ * @param {number} score - Score that earned the entry.
+ * @param {boolean} qualifiesLocally - Whether it makes the local table.
+ */
+function beginInitialsEntry(score, qualifiesLocally) {
+  initialsEntry.active = true;
+  initialsEntry.letters = loadLastInitials(getLocalStorage()).split("");
+  initialsEntry.cursor = 0;
+  initialsEntry.score = score;
+  initialsEntry.qualifiesLocally = qualifiesLocally;
+  initialsEntryEl.classList.add("visible");
+  updateInitialsEntry();
+}
 
-  player.vy += GRAVITY * dtSeconds;
+/**
+ * Sync the initials slots with the entry state.
+ */
+function updateInitialsEntry() {
+  initialsSlotEls.forEach((slotEl, index) => {
+    slotEl.textContent = initialsEntry.letters[index];
+    slotEl.classList.toggle("active", index === initialsEntry.cursor);
+  });
+}
 
-  player.x += player.vx * dtSeconds;
-  player.y += player.vy * dtSeconds;
+/**
+ * Cycle the letter under the cursor through the allowed characters.
+ * @param {number} direction - 1 for next, -1 for previous.
+ */
+function cycleInitial(direction) {
+  const { letters, cursor } = initialsEntry;
+  const index = INITIALS_ALPHABET.indexOf(letters[cursor]);
+  const count = INITIALS_ALPHABET.length;
+  letters[cursor] = INITIALS_ALPHABET[(index + direction + count) % count];
+  updateInitialsEntry();
+}
 
-  if (player.y + PLAYER_HEIGHT >= FLOOR_Y) {
-    player.y = FLOOR_Y - PLAYER_HEIGHT;
-    player.vy = 0;
-    player.onGround = true;
+/**
+ * Save the entered initials and the finished run to the local table, and
+ * to the ward leaderboard when the server is reachable.
+ */
+function confirmInitials() {
+  if (!initialsEntry.active) {
+    return;
+  }
+  const storage = getLocalStorage();
+  const initials = initialsEntry.letters.join("");
+  saveLastInitials(storage, initials);
+  initialsEntry.active = false;
+  initialsEntryEl.classList.remove("visible");
+
+  if (initialsEntry.qualifiesLocally) {
+    const entry = createEntry({
+      initials,
+      score: initialsEntry.score,
+      patientsTreated: simState.score.patientsTreated,
+      assessmentsPassed: simState.score.assessmentsPassed,
+      durationMs: simState.elapsedMs,
+      seed: simState.seed,
+    });
+    const table = addEntry(loadLeaderboard(storage), entry);
+    saveLeaderboard(storage, table);
+    renderLeaderboard(gameOverLeaderboardEl, table.entries, entry);
+    renderLeaderboard(startLeaderboardEl, table.entries, null);
   }
 
-  player.x = clamp(player.x, 0, canvas.width - PLAYER_WIDTH);
+  if (canSubmitToWard()) {
+    submitWardScore(initials, lastReplay);
+  }
 }
 
 /**
- * Axis-aligned bounding box intersection test.
- * @param {{x:number,y:number,width:number,height:number}} a - First box.
- * @param {{x:number,y:number,width:number,height:number}} b - Second box.
- * @returns {boolean} Whether the boxes intersect.
+ * Whether the last run can go to the ward leaderboard: the server must be
+ * there, and runs on custom rules, in co-op or with an opponent's
+ * consults are kept off it.
+ * @returns {boolean} True when the run can be submitted.
  */
-function intersects(a, b) {
-  return !(
-    a.x + a.width < b.x ||
-    a.x > b.x + b.width ||
-    a.y + a.height < b.y ||
-    a.y > b.y + b.height
+function canSubmitToWard() {
+  return (
+    wardState.available &&
+    lastReplay !== null &&
+    !lastReplay.config &&
+    !lastReplay.coop &&
+    lastReplay.consults.length === 0
   );
 }
 
 /**
- * Compute a slightly shrunken hit box for the player to make
- * catching and dodging feel a bit fairer.
- * @returns {{x:number,y:number,width:number,height:number}}
+ * Load the ward leaderboard. When the game is opened without server.js
+ * (e.g. straight from disk) the ward sections simply stay hidden.
+ * @returns {Promise<void>} Resolves once the tables are refreshed.
  */
-function getPlayerHitBox() {
-  const paddingX = 4;
-  const paddingTop = 6;
-  const paddingBottom = 6;
-  return {
-    x: player.x + paddingX,
-    y: player.y + paddingTop,
-    width: PLAYER_WIDTH - paddingX * 2,
-    height: PLAYER_HEIGHT - paddingTop - paddingBottom,
-  };
+function fetchWardScores() {
+  return fetch(`${WARD_SCORES_URL}?limit=10`)
+    .then((response) => {
+      if (!response.ok) {
+        throw new Error(`Ward leaderboard answered ${response.status}.`);
+      }
+      return response.json();
+    })
+    .then((data) => {
+      wardState.available = true;
+      wardSectionEls.forEach((el) => el.classList.add("visible"));
+      versusSectionEls.forEach((el) => el.classList.add("visible"));
+      renderLeaderboard(startWardLeaderboardEl, data.scores, null);
+      renderLeaderboard(gameOverWardLeaderboardEl, data.scores, null);
+    })
+    .catch(() => {
+      wardState.available = false;
+      wardSectionEls.forEach((el) => el.classList.remove("visible"));
+      versusSectionEls.forEach((el) => el.classList.remove("visible"));
+    });
 }
 
 /**
- * Update knowledge erosion and item spawning.
- * @param {number} dtMs - Delta time in milliseconds.
+ * Send a finished run to the ward leaderboard. The server re-plays the
+ * replay to verify the score before storing it.
+ * @param {string} initials - Player initials.
+ * @param {object} replay - Replay of the run.
  */
-function updateKnowledgeAndItems(dtMs) {
-  knowledgeState.timeSinceErosionMs += dtMs;
-  if (knowledgeState.timeSinceErosionMs >= KNOWLEDGE_EROSION_INTERVAL_MS) {
-    if (knowledgeState.percent > KNOWLEDGE_MIN) {
-      knowledgeState.percent = clamp(
-        knowledgeState.percent - KNOWLEDGE_EROSION_STEP,
-        KNOWLEDGE_MIN,
-        KNOWLEDGE_MAX
-      );
-      updateHud();
-    }
-    knowledgeState.timeSinceErosionMs = 0;
+function submitWardScore(initials, replay) {
+  wardStatusEl.textContent = "Submitting to the ward leaderboard...";
+  fetch(WARD_SCORES_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ initials, replay }),
+  })
+    .then((response) =>
+      response.json().then((data) => {
+        if (!response.ok) {
+          throw new Error(data.error || "Submission failed.");
+        }
+        return data;
+      })
+    )
+    .then((data) => {
+      wardStatusEl.textContent = data.rank
+        ? `Ward rank #${data.rank}!`
+        : "Submitted to the ward leaderboard.";
+      return fetchWardScores();
+    })
+    .catch((error) => {
+      wardStatusEl.textContent = `Ward leaderboard: ${error.message}`;
+    });
+}
+
+/**
+ * Connect to the relay and join the room typed on the start screen. The
+ * race starts once a second player joins the same room.
+ */
+function findOpponent() {
+  const room = normalizeRoomCode(roomInputEl.value);
+  if (!isValidRoomCode(room)) {
+    versusStatusEl.textContent =
+      "Room codes are up to 16 letters, digits and dashes.";
+    return;
   }
+  leaveVersus();
+  const url = new URL(VERSUS_PATH, window.location.href);
+  url.protocol = url.protocol === "https:" ? "wss:" : "ws:";
+  const socket = new WebSocket(url.href);
+  versusState.socket = socket;
+  versusState.room = room;
+  roomInputEl.value = room;
+  versusStatusEl.textContent = `Connecting to room ${room}...`;
+  // Races use the standard rules, so a custom rule set's preset falls
+  // back to the standard default.
+  const difficulty = isKnownDifficulty(difficultySelectEl.value)
+    ? difficultySelectEl.value
+    : DEFAULT_CONFIG.rules.difficulty.defaultPreset;
+  socket.addEventListener("open", () => {
+    sendVersusMessage({ type: MESSAGE_TYPES.JOIN, room, difficulty });
+  });
+  socket.addEventListener("message", (event) => {
+    if (versusState.socket === socket) {
+      handleVersusMessage(parseMessage(event.data));
+    }
+  });
+  socket.addEventListener("close", () => {
+    if (versusState.socket !== socket) {
+      return;
+    }
+    versusState.socket = null;
+    if (versusState.racing) {
+      versusState.opponentLeft = true;
+      updateVersusPanel();
+    } else {
+      versusStatusEl.textContent = "Could not reach the head-to-head relay.";
+    }
+  });
+}
 
-  if (
-    !assessmentState.pending &&
-    Math.round(knowledgeState.percent) >= KNOWLEDGE_MAX
-  ) {
-    assessmentState.pending = true;
-    knowledgeState.percent = 50;
-    updateHud();
-    spawnAssessmentItem();
+/**
+ * Close the relay connection and stop racing. The next run is an ordinary
+ * one.
+ */
+function leaveVersus() {
+  const { socket } = versusState;
+  versusState.socket = null;
+  versusState.racing = false;
+  versusState.opponent = null;
+  versusState.opponentLeft = false;
+  versusState.pendingConsults = 0;
+  if (socket) {
+    socket.close();
   }
+  updateVersusPanel();
+}
 
-  itemSpawnState.timeSinceLastSpawnMs += dtMs;
-  if (itemSpawnState.timeSinceLastSpawnMs >= itemSpawnState.nextSpawnDelayMs) {
-    spawnRandomItem();
-    itemSpawnState.timeSinceLastSpawnMs = 0;
-    itemSpawnState.nextSpawnDelayMs = randomBetween(
-      ITEM_SPAWN_INTERVAL_MIN_MS,
-      ITEM_SPAWN_INTERVAL_MAX_MS
-    );
+/**
+ * Send a message to the relay, if connected.
+ * @param {object} message - Message with a MESSAGE_TYPES type.
+ */
+function sendVersusMessage(message) {
+  const { socket } = versusState;
+  if (socket && socket.readyState === WebSocket.OPEN) {
+    socket.send(encodeMessage(message));
   }
 }
 
 /**
- * Update falling items, handle collisions and removals.
- * @param {number} dtSeconds - Delta time in seconds.
- */
-function updateFallingItems(dtSeconds) {
-  const playerBox = getPlayerHitBox();
-  for (let i = fallingItems.length - 1; i >= 0; i -= 1) {
-    const item = fallingItems[i];
-    item.y += item.vy * dtSeconds;
-
-    if (intersects(playerBox, item)) {
-      if (item.type === ITEM_TYPES.KNOWLEDGE) {
-        knowledgeState.percent = clamp(
-          knowledgeState.percent + KNOWLEDGE_PICKUP_AMOUNT,
-          KNOWLEDGE_MIN,
-          KNOWLEDGE_MAX
-        );
-        updateHud();
-      } else if (item.type === ITEM_TYPES.MISTAKE) {
-        mistakesState.count = clamp(
-          mistakesState.count + 1,
-          0,
-          MAX_MISTAKES
-        );
-        updateHud();
-        if (mistakesState.count >= MAX_MISTAKES) {
-          endGame();
-          return;
-        }
-      } else if (item.type === ITEM_TYPES.ASSESSMENT) {
-        mistakesState.count = 0;
-        assessmentState.pending = false;
-        scoreState.assessmentsPassed += 1;
-        updateHud();
+ * Act on a message from the relay.
+ * @param {object|null} message - Message from parseMessage(); invalid ones
+ *   are ignored.
+ */
+function handleVersusMessage(message) {
+  if (!message) {
+    return;
+  }
+  switch (message.type) {
+    case MESSAGE_TYPES.WAITING:
+      versusStatusEl.textContent = `Waiting in room ${versusState.room}. Give your opponent the code.`;
+      break;
+    case MESSAGE_TYPES.START:
+      startVersusRun(message);
+      break;
+    case MESSAGE_TYPES.STATUS:
+      versusState.opponent = message.status;
+      updateVersusPanel();
+      break;
+    case MESSAGE_TYPES.CONSULT:
+      if (
+        gameState === GAME_STATE.PLAYING ||
+        gameState === GAME_STATE.PAUSED ||
+        gameState === GAME_STATE.QUIZ
+      ) {
+        versusState.pendingConsults += 1;
       }
-      fallingItems.splice(i, 1);
-      // eslint-disable-next-line no-continue
-      continue;
-    }
-
-    if (item.y > canvas.height + 40) {
-      if (item.type === ITEM_TYPES.ASSESSMENT) {
-        assessmentState.pending = false;
+      break;
+    case MESSAGE_TYPES.LEFT:
+      versusState.opponentLeft = true;
+      updateVersusPanel();
+      announcerEl.textContent = "Your opponent left the race.";
+      break;
+    case MESSAGE_TYPES.ERROR:
+      versusStatusEl.textContent = message.message;
+      if (!versusState.racing) {
+        leaveVersus();
       }
-      fallingItems.splice(i, 1);
-    }
+      break;
+    default:
+      break;
   }
 }
 
 /**
- * Update patient spawn, timers, and treatment.
- * @param {number} dtMs - Delta time in milliseconds.
- */
-function updatePatient(dtMs) {
-  if (!patientState.active) {
-    patientState.timeSinceLastPatientGoneMs += dtMs;
-    if (patientState.timeSinceLastPatientGoneMs >= PATIENT_GAP_MS) {
-      const width = 28;
-      const height = 32;
-      const x = randomBetween(20, canvas.width - 20 - width);
-      const y = FLOOR_Y - height;
-      patientState.active = {
-        x,
-        y,
-        width,
-        height,
-        lifetimeMs: 0,
-      };
-      patientState.contactDurationMs = 0;
-      patientState.timeSinceLastPatientGoneMs = 0;
-    }
+ * Start the race on the relay's seed and difficulty. Both players race on
+ * the standard rules, solo, so their runs match.
+ * @param {{seed:string, difficulty:string}} message - Start message.
+ */
+function startVersusRun(message) {
+  if (gameState !== GAME_STATE.START && gameState !== GAME_STATE.GAME_OVER) {
     return;
   }
+  if (activeConfig !== DEFAULT_CONFIG) {
+    applyConfig(DEFAULT_CONFIG);
+  }
+  seedInputEl.value = message.seed;
+  difficultySelectEl.value = message.difficulty;
+  playersSelectEl.value = "1";
+  versusState.racing = true;
+  versusState.opponent = null;
+  versusState.opponentLeft = false;
+  versusStatusEl.textContent = "";
+  startGame();
+}
 
-  const patient = patientState.active;
-  patient.lifetimeMs += dtMs;
-  const playerBox = {
-    x: player.x,
-    y: player.y,
-    width: PLAYER_WIDTH,
-    height: PLAYER_HEIGHT,
-  };
-  const patientBox = {
-    x: patient.x,
-    y: patient.y,
-    width: patient.width,
-    height: patient.height,
-  };
+/**
+ * Tell the opponent about this run when what they see of it has changed.
+ */
+function sendVersusStatus() {
+  if (!versusState.racing) {
+    return;
+  }
+  const status = createStatus(simState);
+  if (isSameStatus(status, versusState.lastStatus)) {
+    return;
+  }
+  versusState.lastStatus = status;
+  sendVersusMessage({ type: MESSAGE_TYPES.STATUS, status });
+}
 
-  const canTreat =
-    Math.round(knowledgeState.percent) >= KNOWLEDGE_WARNING_THRESHOLD;
+/**
+ * Send a consult, dropping an extra MK book on the opponent's side, once
+ * the cooldown since the last one has run out.
+ */
+function sendConsult() {
+  if (
+    !versusState.racing ||
+    versusState.opponentLeft ||
+    gameState !== GAME_STATE.PLAYING ||
+    !canSendConsult(versusState.lastConsultMs, simState.elapsedMs)
+  ) {
+    return;
+  }
+  versusState.lastConsultMs = simState.elapsedMs;
+  sendVersusMessage({ type: MESSAGE_TYPES.CONSULT });
+  updateConsultButton();
+}
 
-  if (canTreat && intersects(playerBox, patientBox)) {
-    patientState.contactDurationMs += dtMs;
-    if (patientState.contactDurationMs >= PATIENT_TREAT_DURATION_MS) {
-      scoreState.patientsTreated += 1;
-      updateHud();
-      patientState.active = null;
-      patientState.timeSinceLastPatientGoneMs = 0;
-      patientState.contactDurationMs = 0;
-      return;
-    }
-  } else {
-    patientState.contactDurationMs = 0;
+/**
+ * Drop the books of consults received since the last step, recording each
+ * so the replay plays them back at the same moment.
+ * @returns {object[]} Simulation events.
+ */
+function applyConsults() {
+  const events = [];
+  while (versusState.pendingConsults > 0) {
+    versusState.pendingConsults -= 1;
+    recordConsult(recorder, simState.elapsedMs);
+    events.push(...receiveConsult(simState).events);
   }
+  return events;
+}
 
-  if (patient.lifetimeMs >= PATIENT_VISIBLE_MS) {
-    patientState.active = null;
-    patientState.timeSinceLastPatientGoneMs = 0;
-    patientState.contactDurationMs = 0;
+/**
+ * Show the opponent's latest status in the side panel and, once this run
+ * is over, how the race went.
+ */
+function updateVersusPanel() {
+  const { racing, opponent, opponentLeft } = versusState;
+  versusPanelEl.classList.toggle("visible", racing);
+  opponentScoreEl.textContent = opponent ? String(opponent.score) : "-";
+  opponentKnowledgeEl.textContent = opponent ? `${opponent.knowledge}%` : "-";
+  opponentMistakesEl.textContent = opponent
+    ? `${opponent.mistakes} / ${opponent.maxMistakes}`
+    : "-";
+  opponentPatientsEl.textContent = opponent
+    ? String(opponent.patientsTreated)
+    : "-";
+  if (opponentLeft) {
+    opponentStateEl.textContent = "Left the race";
+  } else if (opponent && opponent.over) {
+    opponentStateEl.textContent = "Finished";
+  } else {
+    opponentStateEl.textContent = opponent
+      ? `Playing, level ${opponent.level}`
+      : "Starting...";
+  }
+  if (racing && gameState === GAME_STATE.GAME_OVER) {
+    versusResultLineEl.textContent = describeResult(
+      createStatus(simState),
+      opponent,
+      opponentLeft
+    );
   }
+  updateConsultButton();
 }
 
 /**
- * Spawn a ground mistake (red book on the floor); player must jump over it.
+ * Show on the consult button whether a consult can be sent, or how long
+ * until one can.
  */
-function spawnGroundMistake() {
-  const width = 22;
-  const height = 26;
-  const x = randomBetween(20, canvas.width - 20 - width);
-  const y = FLOOR_Y - height;
-  groundMistakes.push({
-    x,
-    y,
-    width,
-    height,
-    lifetimeMs: 0,
-  });
+function updateConsultButton() {
+  const { racing, opponentLeft, lastConsultMs } = versusState;
+  const ready = canSendConsult(lastConsultMs, simState.elapsedMs);
+  consultButtonEl.disabled =
+    !racing || opponentLeft || simState.over || !ready;
+  consultButtonEl.textContent = ready
+    ? "Consult (C)"
+    : `Consult in ${Math.ceil(
+        (lastConsultMs + CONSULT_COOLDOWN_MS - simState.elapsedMs) / 1000
+      )} s`;
 }
 
 /**
- * Update ground mistakes: spawn, lifetime, and collision with player.
- * @param {number} dtMs - Delta time in milliseconds.
+ * Handle a key press while initials are being entered.
+ * @param {KeyboardEvent} event - Keyboard event.
  */
-function updateGroundMistakes(dtMs) {
-  groundMistakeSpawnState.timeSinceLastSpawnMs += dtMs;
-  if (
-    groundMistakeSpawnState.timeSinceLastSpawnMs >=
-    groundMistakeSpawnState.nextSpawnDelayMs
-  ) {
-    spawnGroundMistake();
-    groundMistakeSpawnState.timeSinceLastSpawnMs = 0;
-    groundMistakeSpawnState.nextSpawnDelayMs = randomBetween(
-      GROUND_MISTAKE_SPAWN_INTERVAL_MIN_MS,
-      GROUND_MISTAKE_SPAWN_INTERVAL_MAX_MS
+function handleInitialsKey(event) {
+  const char = event.key.length === 1 ? event.key.toUpperCase() : "";
+  if (event.key === "ArrowUp") {
+    cycleInitial(1);
+  } else if (event.key === "ArrowDown") {
+    cycleInitial(-1);
+  } else if (event.key === "ArrowLeft" || event.key === "Backspace") {
+    initialsEntry.cursor = Math.max(0, initialsEntry.cursor - 1);
+    updateInitialsEntry();
+  } else if (event.key === "ArrowRight") {
+    initialsEntry.cursor = Math.min(
+      INITIALS_LENGTH - 1,
+      initialsEntry.cursor + 1
     );
+    updateInitialsEntry();
+  } else if (event.key === "Enter") {
+    confirmInitials();
+  } else if (char && INITIALS_ALPHABET.includes(char)) {
+    initialsEntry.letters[initialsEntry.cursor] = char;
+    initialsEntry.cursor = Math.min(
+      INITIALS_LENGTH - 1,
+      initialsEntry.cursor + 1
+    );
+    updateInitialsEntry();
+  } else {
+    return;
   }
+  event.preventDefault();
+}
 
-  const playerBox = getPlayerHitBox();
+/**
+ * Load the question banks listed in the questions index and offer their
+ * specialties on the start screen. Without them quiz mode stays off.
+ * @returns {Promise<void>} Resolves once the banks are loaded or given up on.
+ */
+function loadQuestionBanks() {
+  const fetchJson = (url) =>
+    fetch(url).then((response) => {
+      if (!response.ok) {
+        throw new Error(`${url} answered ${response.status}.`);
+      }
+      return response.json();
+    });
+  return fetchJson(`${QUESTIONS_DIR}/${QUESTIONS_INDEX}`)
+    .then((index) =>
+      Promise.all(
+        index.banks.map((file) => fetchJson(`${QUESTIONS_DIR}/${file}`))
+      )
+    )
+    .then((banks) => {
+      quizState.banks = banks;
+      listSpecialties(banks).forEach((specialty) => {
+        const option = document.createElement("option");
+        option.value = specialty;
+        option.textContent = specialty;
+        specialtySelectEl.appendChild(option);
+      });
+      specialtyFieldEl.classList.add("visible");
+    })
+    .catch(() => {
+      quizState.banks = [];
+      specialtyFieldEl.classList.remove("visible");
+    });
+}
 
-  for (let i = groundMistakes.length - 1; i >= 0; i -= 1) {
-    const ob = groundMistakes[i];
-    ob.lifetimeMs += dtMs;
+/**
+ * Stop play on a caught assessment and ask the next question from the deck.
+ */
+function openQuiz() {
+  gameState = GAME_STATE.QUIZ;
+  const question = drawQuestion(quizState.deck);
+  quizState.question = question;
+  quizState.choiceIndex = null;
+
+  quizSpecialtyEl.textContent = question.specialty;
+  quizStemEl.textContent = question.stem;
+  quizChoicesEl.innerHTML = "";
+  question.choices.forEach((choice, index) => {
+    const button = document.createElement("button");
+    button.className = "quiz-choice";
+    button.textContent = `${index + 1}. ${choice}`;
+    button.addEventListener("click", () => chooseAnswer(index));
+    quizChoicesEl.appendChild(button);
+  });
+  quizFeedbackEl.textContent = "";
+  quizExplanationEl.textContent = "";
+  quizContinueButtonEl.classList.remove("visible");
+  quizScreenEl.classList.add("visible");
+}
 
-    if (intersects(playerBox, ob)) {
-      mistakesState.count = clamp(
-        mistakesState.count + 1,
-        0,
-        MAX_MISTAKES
-      );
-      updateHud();
-      groundMistakes.splice(i, 1);
-      if (mistakesState.count >= MAX_MISTAKES) {
-        endGame();
-        return;
-      }
-      continue;
+/**
+ * Lock in a choice and show whether it was right, with the explanation.
+ * The run stays frozen until the player continues.
+ * @param {number} choiceIndex - Index of the chosen answer.
+ */
+function chooseAnswer(choiceIndex) {
+  const { question } = quizState;
+  if (gameState !== GAME_STATE.QUIZ || quizState.choiceIndex !== null) {
+    return;
+  }
+  if (choiceIndex < 0 || choiceIndex >= question.choices.length) {
+    return;
+  }
+  quizState.choiceIndex = choiceIndex;
+  const correct = isCorrectAnswer(question, choiceIndex);
+
+  Array.from(quizChoicesEl.children).forEach((button, index) => {
+    button.disabled = true;
+    if (index === question.answer) {
+      button.classList.add("correct");
+    } else if (index === choiceIndex) {
+      button.classList.add("wrong");
     }
+  });
+  quizFeedbackEl.textContent = correct
+    ? "Correct! Clinical Mistakes cleared."
+    : "Incorrect. That counts as a Clinical Mistake.";
+  quizExplanationEl.textContent = question.explanation || "";
+  quizContinueButtonEl.classList.add("visible");
+  quizContinueButtonEl.focus();
+}
 
-    if (ob.lifetimeMs >= GROUND_MISTAKE_DURATION_MS) {
-      groundMistakes.splice(i, 1);
-    }
+/**
+ * Apply the chosen answer to the run and go back to playing.
+ */
+function closeQuiz() {
+  const { question, choiceIndex } = quizState;
+  if (gameState !== GAME_STATE.QUIZ || choiceIndex === null) {
+    return;
+  }
+  const correct = isCorrectAnswer(question, choiceIndex);
+  recordAnswer(recorder, simState.elapsedMs, {
+    questionId: question.id,
+    choiceIndex,
+    correct,
+  });
+  const { events } = answerAssessment(simState, correct);
+  recordRunEvents(runLog, events, simState);
+  playEventSounds(events);
+  announceEvents(events, updateAchievements(events));
+  addScorePopups(events);
+  markHurtPlayers(events);
+  quizScreenEl.classList.remove("visible");
+  quizState.question = null;
+  updateHud();
+  if (simState.over) {
+    endGame();
+    return;
   }
+  gameState = GAME_STATE.PLAYING;
+  lastTimestamp = null;
+  frameClock.accumulatorMs = 0;
 }
 
 /**
- * Render the skyline background with muted colors.
+ * Handle a key press while a question is open: 1-4 pick an answer, Enter
+ * continues once one is picked.
+ * @param {KeyboardEvent} event - Keyboard event.
  */
-function drawBackground() {
-  const gradient = ctx.createLinearGradient(0, 0, 0, canvas.height);
+function handleQuizKey(event) {
+  const choiceIndex = Number.parseInt(event.key, 10) - 1;
+  if (event.key === "Enter" && quizState.choiceIndex !== null) {
+    closeQuiz();
+  } else if (Number.isInteger(choiceIndex)) {
+    chooseAnswer(choiceIndex);
+  } else {
+    return;
+  }
+  event.preventDefault();
+}
+
+/**
+ * Pause a run in progress and show the pause menu.
+ * The simulation is simply not stepped while paused, so every timer
+ * (erosion, spawn delays, patient and ground-mistake lifetimes) freezes.
+ */
+function pauseGame() {
+  if (gameState !== GAME_STATE.PLAYING) {
+    return;
+  }
+  gameState = GAME_STATE.PAUSED;
+  pauseScreenEl.classList.add("visible");
+  stopMusic(audio);
+}
+
+/**
+ * Resume a paused run. Time spent in the menu is not fed to the simulation.
+ */
+function resumeGame() {
+  if (gameState !== GAME_STATE.PAUSED) {
+    return;
+  }
+  gameState = GAME_STATE.PLAYING;
+  pauseScreenEl.classList.remove("visible");
+  lastTimestamp = null;
+  frameClock.accumulatorMs = 0;
+  startMusic(audio, audio.music.step);
+}
+
+/**
+ * Abandon a paused run, and any race it was part of, and return to the
+ * start screen.
+ */
+function quitToTitle() {
+  if (gameState !== GAME_STATE.PAUSED) {
+    return;
+  }
+  gameState = GAME_STATE.START;
+  pauseScreenEl.classList.remove("visible");
+  startScreenEl.classList.add("visible");
+  leaveVersus();
+}
+
+/**
+ * Pause a run in progress, or resume a paused one. Does nothing while the
+ * controls screen is open over the pause menu.
+ */
+function togglePause() {
+  if (settingsView.returnScreenEl) {
+    return;
+  }
+  if (gameState === GAME_STATE.PLAYING) {
+    pauseGame();
+  } else if (gameState === GAME_STATE.PAUSED) {
+    resumeGame();
+  }
+}
+
+/**
+ * Handle keyboard down events.
+ * @param {KeyboardEvent} event - Keyboard event.
+ */
+function handleKeyDown(event) {
+  if (settingsView.returnScreenEl) {
+    handleSettingsKey(event);
+    return;
+  }
+
+  if (achievementsScreenEl.classList.contains("visible")) {
+    if (event.key === "Escape") {
+      event.preventDefault();
+      closeAchievements();
+    }
+    return;
+  }
+
+  if (historyScreenEl.classList.contains("visible")) {
+    if (event.key === "Escape") {
+      event.preventDefault();
+      closeHistory();
+    }
+    return;
+  }
+
+  if (gameState === GAME_STATE.GAME_OVER && initialsEntry.active) {
+    handleInitialsKey(event);
+    return;
+  }
+
+  if (gameState === GAME_STATE.QUIZ) {
+    handleQuizKey(event);
+    return;
+  }
+
+  if (isCoopRun() && findAction(NURSE_BINDINGS, event.code)) {
+    heldKeys.add(event.code);
+    syncInput();
+    return;
+  }
+
+  const action = findAction(keyBindings, event.code);
+  if (!action && event.code === "KeyC" && versusState.racing) {
+    if (!event.repeat) {
+      sendConsult();
+    }
+    return;
+  }
+  if (action === ACTIONS.PAUSE) {
+    if (!event.repeat) {
+      togglePause();
+    }
+  } else if (action) {
+    heldKeys.add(event.code);
+    syncInput();
+  }
+}
+
+/**
+ * Handle keyboard up events.
+ * @param {KeyboardEvent} event - Keyboard event.
+ */
+function handleKeyUp(event) {
+  heldKeys.delete(event.code);
+  syncInput();
+}
+
+/**
+ * Read the connected gamepads once per frame. Start toggles the pause menu
+ * when it is first pressed.
+ */
+function pollGamepads() {
+  if (gamepadState.ids.length === 0 || !navigator.getGamepads) {
+    return;
+  }
+  const input = readGamepads(Array.from(navigator.getGamepads()));
+  if (input.pause && !gamepadState.input.pause) {
+    togglePause();
+  }
+  gamepadState.input = input;
+  syncInput();
+}
+
+/**
+ * Show which gamepads are connected on the controls screen.
+ */
+function updateGamepadStatus() {
+  gamepadStatusEl.textContent =
+    gamepadState.ids.length > 0
+      ? `Gamepad: ${gamepadState.ids.join(", ")}`
+      : "No gamepad connected. Plug one in and press a button on it.";
+}
+
+/**
+ * Names of the keys bound to an action, for help text.
+ * @param {string} action - An ACTIONS value.
+ * @returns {string} Key names joined with " / ", or "unbound".
+ */
+function describeKeys(action) {
+  const names = keyBindings[action]
+    .filter((code) => code !== null)
+    .map(formatKey);
+  return names.length > 0 ? names.join(" / ") : "unbound";
+}
+
+/**
+ * Bring the key help on the start and pause screens in line with the
+ * current bindings.
+ */
+function updateControlsHelp() {
+  moveKeysEl.textContent = `${describeKeys(ACTIONS.LEFT)}, ${describeKeys(
+    ACTIONS.RIGHT
+  )}`;
+  jumpKeysEl.textContent = describeKeys(ACTIONS.JUMP);
+  pauseKeysEls.forEach((el) => {
+    el.textContent = describeKeys(ACTIONS.PAUSE);
+  });
+}
+
+/**
+ * Fill the bindings table on the controls screen.
+ */
+function renderBindings() {
+  bindingsBodyEl.replaceChildren();
+  Object.values(ACTIONS).forEach((action) => {
+    const row = document.createElement("tr");
+    const label = document.createElement("td");
+    label.textContent = ACTION_LABELS[action];
+    row.appendChild(label);
+    keyBindings[action].forEach((code, slot) => {
+      const capturing =
+        settingsView.capture !== null &&
+        settingsView.capture.action === action &&
+        settingsView.capture.slot === slot;
+      const cell = document.createElement("td");
+      const button = document.createElement("button");
+      button.className = "secondary-button binding-button";
+      button.classList.toggle("capturing", capturing);
+      button.textContent = capturing ? "Press a key..." : formatKey(code);
+      button.addEventListener("click", () => {
+        settingsView.capture = { action, slot };
+        renderBindings();
+      });
+      cell.appendChild(button);
+      row.appendChild(cell);
+    });
+    bindingsBodyEl.appendChild(row);
+  });
+}
+
+/**
+ * Use new bindings, save them and refresh everything that shows them.
+ * @param {object} bindings - Bindings from controls.js.
+ */
+function applyBindings(bindings) {
+  keyBindings = bindings;
+  saveBindings(getLocalStorage(), bindings);
+  heldKeys.clear();
+  syncInput();
+  renderBindings();
+  updateControlsHelp();
+}
+
+/**
+ * Open the controls screen over the start or pause screen.
+ * @param {HTMLElement} returnScreenEl - Screen to go back to when done.
+ */
+function openSettings(returnScreenEl) {
+  settingsView.returnScreenEl = returnScreenEl;
+  settingsView.capture = null;
+  returnScreenEl.classList.remove("visible");
+  settingsScreenEl.classList.add("visible");
+  renderBindings();
+  updateGamepadStatus();
+}
+
+/**
+ * Close the controls screen and go back to where it was opened.
+ */
+function closeSettings() {
+  if (!settingsView.returnScreenEl) {
+    return;
+  }
+  settingsScreenEl.classList.remove("visible");
+  settingsView.returnScreenEl.classList.add("visible");
+  settingsView.returnScreenEl = null;
+  settingsView.capture = null;
+}
+
+/**
+ * Keys on the controls screen: bind the slot waiting for a key, or close
+ * the screen with Escape.
+ * @param {KeyboardEvent} event - Keyboard event.
+ */
+function handleSettingsKey(event) {
+  const { capture } = settingsView;
+  if (!capture) {
+    if (event.key === "Escape") {
+      closeSettings();
+    }
+    return;
+  }
+  event.preventDefault();
+  settingsView.capture = null;
+  if (event.code === "Escape") {
+    renderBindings();
+  } else if (event.code === "Backspace") {
+    applyBindings(bindKey(keyBindings, capture.action, capture.slot, null));
+  } else {
+    applyBindings(
+      bindKey(keyBindings, capture.action, capture.slot, event.code)
+    );
+  }
+}
+
+/**
+ * Whether the current run has a second player.
+ * @returns {boolean} True in co-op.
+ */
+function isCoopRun() {
+  return simState.players.length > 1;
+}
+
+/**
+ * Combine keyboard, touch and gamepad input into inputState, and light up
+ * the touch buttons being held. In co-op the nurse's keys go to
+ * nurseInputState instead; touch and gamepads stay with the doctor.
+ */
+function syncInput() {
+  const [keys, nurseKeys] = isCoopRun()
+    ? readCoopKeys(keyBindings, heldKeys)
+    : [readKeys(keyBindings, heldKeys), {}];
+  const touch = readTouchInput(touchInput);
+  Object.keys(inputState).forEach((control) => {
+    inputState[control] =
+      keys[control] || touch[control] || gamepadState.input[control];
+    nurseInputState[control] = Boolean(nurseKeys[control]);
+  });
+  touchButtonEls.forEach((button) => {
+    button.classList.toggle("active", touch[button.dataset.control]);
+  });
+}
+
+/**
+ * Show the touch controls and settings, once the device shows it has a
+ * touch screen.
+ */
+function enableTouchControls() {
+  document.body.classList.add("touch-enabled");
+}
+
+/**
+ * Switch between on-screen buttons, swipes and tilt.
+ * @param {string} mode - A TOUCH_MODES value.
+ */
+function setTouchMode(mode) {
+  touchMode = mode;
+  touchModeSelectEl.value = mode;
+  touchControlsEl.dataset.mode = mode;
+  saveTouchMode(getLocalStorage(), mode);
+  releaseAll(touchInput);
+  syncInput();
+}
+
+/**
+ * Whether the browser reports device orientation, which tilt needs.
+ * @returns {boolean} True when tilt can be offered.
+ */
+function isTiltSupported() {
+  return "DeviceOrientationEvent" in window;
+}
+
+/**
+ * Offer the touch modes this device supports on the start screen.
+ */
+function fillTouchModeSelect() {
+  Object.values(TOUCH_MODES).forEach((mode) => {
+    if (mode === TOUCH_MODES.TILT && !isTiltSupported()) {
+      return;
+    }
+    const option = document.createElement("option");
+    option.value = mode;
+    option.textContent = TOUCH_MODE_LABELS[mode];
+    touchModeSelectEl.appendChild(option);
+  });
+}
+
+/**
+ * Ask for motion sensor access where the browser requires it (iOS Safari
+ * only grants it from a tap). Falls back to the buttons when refused.
+ */
+function requestTiltPermission() {
+  const { DeviceOrientationEvent } = window;
+  if (
+    touchMode !== TOUCH_MODES.TILT ||
+    typeof DeviceOrientationEvent.requestPermission !== "function"
+  ) {
+    return;
+  }
+  DeviceOrientationEvent.requestPermission()
+    .then((permission) => {
+      if (permission !== "granted") {
+        setTouchMode(TOUCH_MODES.BUTTONS);
+      }
+    })
+    .catch(() => setTouchMode(TOUCH_MODES.BUTTONS));
+}
+
+/**
+ * The on-screen button under a point, if any.
+ * @param {number} x - Client x.
+ * @param {number} y - Client y.
+ * @returns {string|null} Control name, or null.
+ */
+function findTouchControl(x, y) {
+  const element = document.elementFromPoint(x, y);
+  const button = element && element.closest("[data-control]");
+  return button ? button.dataset.control : null;
+}
+
+/**
+ * Update the HUD elements based on current state.
+ */
+function updateHud() {
+  const knowledgePercent = clamp(
+    Math.round(simState.knowledge.percent),
+    KNOWLEDGE_MIN,
+    KNOWLEDGE_MAX
+  );
+  knowledgeFillEl.style.width = `${knowledgePercent}%`;
+  knowledgePercentEl.textContent = `${knowledgePercent}%`;
+  knowledgeMeterEl.setAttribute("aria-valuenow", String(knowledgePercent));
+
+  const thermometer = knowledgeFillEl.parentElement?.parentElement;
+  if (thermometer) {
+    if (knowledgePercent < simState.rules.knowledge.warningThreshold) {
+      thermometer.classList.add("knowledge-low");
+      knowledgePercentEl.classList.add("knowledge-critical-text");
+    } else {
+      thermometer.classList.remove("knowledge-low");
+      knowledgePercentEl.classList.remove("knowledge-critical-text");
+    }
+  }
+
+  const mistakeCount = simState.mistakes.count;
+  const maxMistakes = simState.rules.mistakes.max;
+  const mistakeRatio = mistakeCount / maxMistakes;
+  mistakeFillEl.style.width = `${Math.round(mistakeRatio * 100)}%`;
+  mistakeCountEl.textContent = `${mistakeCount} / ${maxMistakes}`;
+  mistakeMeterEl.setAttribute("aria-valuenow", String(mistakeCount));
+  mistakeMeterEl.setAttribute("aria-valuemax", String(maxMistakes));
+
+  patientsTreatedEl.textContent = String(simState.score.patientsTreated);
+  playerCatchesCounterEl.classList.toggle("visible", isCoopRun());
+  playerCatchesEl.textContent = simState.players
+    .map((player) => `${PLAYER_LABELS[player.role]} ${player.catches}`)
+    .join(" / ");
+  scoreTotalEl.textContent = String(
+    computeScore(
+      simState.score.patientPoints,
+      simState.score.assessmentsPassed,
+      simState.score.bonusPoints
+    )
+  );
+  scoreMultiplierEl.textContent = formatMultiplier(
+    getMultiplier(simState.rules.scoring, simState.streaks).total
+  );
+  assessmentsPassedEl.textContent = String(simState.score.assessmentsPassed);
+  shiftLevelEl.textContent = `${simState.level} / ${simState.rules.difficulty.maxLevel}`;
+  setMusicTempo(
+    audio,
+    getMusicTempo(simState.mistakes.count, simState.rules.mistakes.max)
+  );
+  updateWaitingRoom();
+  updateEffectList();
+  sendVersusStatus();
+}
+
+/**
+ * List the waiting room in the HUD, next to be admitted first.
+ */
+function updateWaitingRoom() {
+  waitingListEl.textContent = "";
+  simState.patients.waiting.forEach((patient) => {
+    const patientCase = simState.rules.patients.cases[patient.type];
+    const item = document.createElement("li");
+    item.className = `waiting-patient triage-${patientCase.triage}`;
+    item.textContent = `P${getTriagePriority(patientCase.triage)} ${
+      patientCase.label
+    } ${formatSeverity(patient)}`.trim();
+    waitingListEl.appendChild(item);
+  });
+  if (simState.patients.waiting.length === 0) {
+    const item = document.createElement("li");
+    item.className = "waiting-empty";
+    item.textContent = "Empty";
+    waitingListEl.appendChild(item);
+  }
+}
+
+/**
+ * List the running power-ups in the HUD with the seconds they have left.
+ * Called every frame, so the list is only rebuilt when its text changes.
+ */
+function updateEffectList() {
+  const running = Object.values(POWER_UPS)
+    .filter((powerUp) => isEffectActive(simState, powerUp))
+    .map((powerUp) => ({
+      label: simState.rules.powerUps.effects[powerUp].label,
+      seconds: Math.ceil(simState.effects[powerUp] / 1000),
+    }));
+  const text = running
+    .map(({ label, seconds }) => `${label} ${seconds}s`)
+    .join(",");
+  if (effectListEl.dataset.text === text) {
+    return;
+  }
+  effectListEl.dataset.text = text;
+  effectListEl.textContent = "";
+  running.forEach(({ label, seconds }) => {
+    const item = document.createElement("li");
+    item.className = "active-effect";
+    const name = document.createElement("span");
+    name.textContent = label;
+    const time = document.createElement("span");
+    time.className = "active-effect-time";
+    time.textContent = `${seconds}s`;
+    item.append(name, time);
+    effectListEl.appendChild(item);
+  });
+  if (running.length === 0) {
+    const item = document.createElement("li");
+    item.className = "waiting-empty";
+    item.textContent = "None";
+    effectListEl.appendChild(item);
+  }
+}
+
+/**
+ * Render the skyline background with muted colors.
+ */
+function drawBackground() {
+  const gradient = ctx.createLinearGradient(0, 0, 0, canvas.height);
   gradient.addColorStop(0, "#101020");
   gradient.addColorStop(0.5, "#050510");
   gradient.addColorStop(1, "#020208");
@@ -631,29 +2120,11 @@ function drawBackground() {
   ctx.fillStyle = "#15152a";
   ctx.fillRect(0, FLOOR_Y + 12, canvas.width, canvas.height - FLOOR_Y - 12);
 
-  const buildings = [
-    { x: 20, width: 80, height: 180 },
-    { x: 140, width: 60, height: 150 },
-    { x: 230, width: 110, height: 210, medical: true },
-    { x: 380, width: 90, height: 160 },
-    { x: 500, width: 120, height: 220, medical: true },
-    { x: 660, width: 80, height: 170 },
-  ];
-
-  buildings.forEach((b) => {
+  skyline.buildings.forEach((b) => {
     const baseY = FLOOR_Y + 10;
     ctx.fillStyle = "#181833";
     ctx.fillRect(b.x, baseY - b.height, b.width, b.height);
 
-    ctx.fillStyle = "#1f1f42";
-    for (let wy = baseY - 10; wy > baseY - b.height + 10; wy -= 18) {
-      for (let wx = b.x + 6; wx < b.x + b.width - 8; wx += 16) {
-        if (Math.random() < 0.45) {
-          ctx.fillRect(wx, wy, 6, 8);
-        }
-      }
-    }
-
     if (b.medical) {
       ctx.fillStyle = "#20264a";
       ctx.fillRect(b.x + b.width / 2 - 12, baseY - b.height - 18, 24, 18);
@@ -665,225 +2136,788 @@ function drawBackground() {
       ctx.fillRect(cx - 2, cy - 6, 4, 12);
     }
   });
+
+  ctx.fillStyle = "#1f1f42";
+  skyline.windows.forEach((w) => {
+    ctx.fillRect(w.x, w.y, 6, 8);
+  });
+}
+
+/**
+ * Draw the ground.
+ */
+function drawGround() {
+  ctx.fillStyle = "#19192b";
+  ctx.fillRect(0, FLOOR_Y, canvas.width, canvas.height - FLOOR_Y);
+
+  ctx.fillStyle = "#242444";
+  for (let x = 0; x < canvas.width; x += 32) {
+    ctx.fillRect(x, FLOOR_Y, 16, 4);
+  }
+}
+
+/**
+ * A sprite sheet's image, loading it the first time it is asked for.
+ * @param {string} src - Image URL from the theme.
+ * @returns {HTMLImageElement|null} The image once it has loaded, else null.
+ */
+function getSheetImage(src) {
+  let image = themeState.images.get(src);
+  if (!image) {
+    image = new Image();
+    image.src = src;
+    themeState.images.set(src, image);
+  }
+  return image.complete && image.naturalWidth > 0 ? image : null;
+}
+
+/**
+ * Draw an entity with the active theme's sprite for it. Animations run on
+ * simulation time, so they pause with the game and match in replays.
+ * @param {string} key - Sprite key, e.g. "player.doctor".
+ * @param {string} animation - An ANIMATIONS value.
+ * @param {number} startedMs - Simulation time the animation started.
+ * @param {{x:number,y:number,width:number,height:number}} bounds - Where
+ *   the entity is.
+ * @param {object} [options] - drawFrame() options: flip and colors.
+ */
+function drawSprite(key, animation, startedMs, bounds, options = {}) {
+  let sprite = themeState.active.sprites[key];
+  const image = sprite.sheet ? getSheetImage(sprite.sheet.src) : null;
+  if (sprite.sheet && !image) {
+    sprite = standardTheme.sprites[key];
+  }
+  const frame = getSpriteFrame(
+    sprite,
+    animation,
+    simState.elapsedMs - startedMs,
+    accessibility.reducedMotion
+  );
+  drawFrame(ctx, sprite, frame, bounds, { ...options, image });
+}
+
+/**
+ * A player's animator, created the first time it is needed.
+ * @param {number} index - Player index.
+ * @returns {object} Animator.
+ */
+function getPlayerAnimator(index) {
+  if (!playerAnimators[index]) {
+    playerAnimators[index] = createAnimator();
+  }
+  return playerAnimators[index];
+}
+
+/**
+ * Show the hurt animation on players who just made a Clinical Mistake.
+ * @param {object[]} events - Events from the simulation.
+ */
+function markHurtPlayers(events) {
+  getHurtPlayers(events).forEach((index) => {
+    markHurt(getPlayerAnimator(index), simState.elapsedMs);
+  });
+}
+
+/**
+ * Draw a player with their role's sprite, animated by what they are doing,
+ * and the mentor's shield around them while it lasts.
+ * @param {object} player - One of simState.players.
+ * @param {number} index - The player's index.
+ */
+function drawPlayer(player, index) {
+  const { x, y } = getRenderPosition(player);
+  const animator = updatePlayerAnimator(
+    getPlayerAnimator(index),
+    player,
+    findTreatedPatient(simState, player) !== null,
+    simState.elapsedMs
+  );
+  drawSprite(
+    `player.${player.role}`,
+    animator.animation,
+    animator.startedMs,
+    { x, y, width: PLAYER_WIDTH, height: PLAYER_HEIGHT },
+    { flip: player.facing < 0 }
+  );
+
+  if (isEffectActive(simState, POWER_UPS.MENTOR)) {
+    ctx.strokeStyle = "rgba(179, 157, 219, 0.8)";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.ellipse(
+      x + PLAYER_WIDTH / 2,
+      y + PLAYER_HEIGHT / 2,
+      PLAYER_WIDTH / 2 + 6,
+      PLAYER_HEIGHT / 2 + 6,
+      0,
+      0,
+      Math.PI * 2
+    );
+    ctx.stroke();
+  }
+}
+
+/**
+ * Draw an MK or ERR book: its sprite, coloured from the accessibility
+ * palette, with its label on top.
+ * @param {{x:number,y:number,width:number,height:number}} box - Book bounds.
+ * @param {boolean} isMistake - Whether this is an ERR book.
+ */
+function drawBook(box, isMistake) {
+  const colors = isMistake ? getPalette().mistake : getPalette().knowledge;
+  const type = isMistake ? ITEM_TYPES.MISTAKE : ITEM_TYPES.KNOWLEDGE;
+  drawSprite(`item.${type}`, ANIMATIONS.IDLE, 0, box, { colors });
+
+  ctx.fillStyle = colors.text;
+  ctx.font = "9px 'Courier New', monospace";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(
+    isMistake ? "ERR" : "MK",
+    box.x + box.width / 2,
+    box.y + box.height * 0.7
+  );
+}
+
+/**
+ * Draw a falling item: book, assessment or power-up.
+ * @param {object} item - Falling item object.
+ */
+function drawItem(item) {
+  ctx.save();
+  if (item.type === ITEM_TYPES.KNOWLEDGE || item.type === ITEM_TYPES.MISTAKE) {
+    drawBook(item, item.type === ITEM_TYPES.MISTAKE);
+  } else {
+    drawSprite(getItemSpriteKey(item), ANIMATIONS.IDLE, 0, item, {
+      colors: getPalette().assessment,
+    });
+  }
+  ctx.restore();
+}
+
+/**
+ * Draw a ground mistake obstacle (ERR book on the floor).
+ * @param {object} ob - Ground mistake object with x, y, width, height.
+ */
+function drawGroundMistake(ob) {
+  ctx.save();
+  drawBook(ob, true);
+  ctx.restore();
+}
+
+/**
+ * Mark a patient's severity as "!" per level of deterioration.
+ * @param {{severity:number}} patient - Waiting or admitted patient.
+ * @returns {string} Marks, or "" for a patient who has not deteriorated.
+ */
+function formatSeverity(patient) {
+  return "!".repeat(patient.severity);
+}
+
+/**
+ * Draw one patient on the floor with its case, triage colour, time left and
+ * treatment progress. The sprite shows the case, and whether the patient
+ * is being treated or is critical.
+ * @param {object} p - Admitted patient.
+ */
+function drawPatient(p) {
+  const patientCase = simState.rules.patients.cases[p.type];
+  const needs = getPatientNeeds(simState.rules, p);
+  const palette = getPalette();
+  const triageColor = palette.triage[patientCase.triage];
+  const treated = simState.players.some(
+    (player) => findTreatedPatient(simState, player) === p
+  );
+  ctx.save();
+
+  drawSprite(
+    `patient.${p.type}`,
+    getPatientAnimation(treated, needs.critical),
+    0,
+    p,
+    { colors: { triage: triageColor } }
+  );
+
+  const treatable = canTreat(simState, p);
+  const centerX = p.x + p.width / 2;
+
+  ctx.font = "10px system-ui, sans-serif";
+  ctx.textAlign = "center";
+  if (!treatable) {
+    ctx.fillStyle = "#f5d14f";
+    ctx.fillText(`Need ${needs.knowledgeThreshold}%`, centerX, p.y - 22);
+  }
+  ctx.fillStyle = triageColor;
+  ctx.fillText(
+    `P${getTriagePriority(
+      patientCase.triage
+    )} ${patientCase.label.toUpperCase()} ${formatSeverity(p)}`.trim(),
+    centerX,
+    p.y - 2
+  );
+  if (!treatable) {
+    ctx.fillStyle = "rgba(0,0,0,0.5)";
+    ctx.fillRect(p.x - 2, p.y, p.width + 4, p.height);
+  }
+
+  // Time left before the patient leaves (or is lost, if critical).
+  const timeLeft = clamp(1 - p.lifetimeMs / patientCase.lifetimeMs, 0, 1);
+  ctx.fillStyle = needs.critical ? palette.critical : triageColor;
+  ctx.fillRect(p.x - 2, p.y + p.height + 4, (p.width + 4) * timeLeft, 2);
+
+  if (treatable && p.contactDurationMs > 0) {
+    const fraction = clamp(p.contactDurationMs / needs.treatDurationMs, 0, 1);
+    ctx.strokeStyle = palette.progress;
+    ctx.strokeRect(p.x - 2, p.y - 17, p.width + 4, 5);
+    ctx.fillStyle = palette.progress;
+    ctx.fillRect(p.x - 2, p.y - 17, (p.width + 4) * fraction, 5);
+  }
+
+  ctx.restore();
+}
+
+/**
+ * Draw every patient on the floor.
+ */
+function drawPatients() {
+  simState.patients.floor.forEach(drawPatient);
+}
+
+/**
+ * Format simulation time as m:ss for the replay controls.
+ * @param {number} ms - Time in milliseconds.
+ * @returns {string} Formatted time.
+ */
+function formatClock(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return `${minutes}:${seconds}`;
+}
+
+/**
+ * Sync the replay control bar with the playback position.
+ */
+function updateReplayControls() {
+  const { playback } = replayView;
+  replayPlayButtonEl.textContent = replayView.paused ? "Play" : "Pause";
+  replaySpeedButtonEl.textContent = `${replayView.speed}x`;
+  replayScrubberEl.value = String(playback.state.elapsedMs);
+  replayTimeEl.textContent = `${formatClock(
+    playback.state.elapsedMs
+  )} / ${formatClock(playback.replay.durationMs)}`;
+}
+
+/**
+ * Show a replay inside the canvas, hiding the screen it was opened from.
+ * @param {object} replay - Replay to play.
+ * @param {HTMLElement} returnScreenEl - Screen to show again on exit.
+ */
+function startReplay(replay, returnScreenEl) {
+  gameState = GAME_STATE.REPLAY;
+  replayView.playback = createPlayback(replay);
+  replayView.clockMs = 0;
+  replayView.paused = false;
+  replayView.speed = REPLAY_SPEEDS[0];
+  replayView.returnScreenEl = returnScreenEl;
+  replayView.savedSimState = simState;
+
+  simState = replayView.playback.state;
+  skyline = createSkyline(
+    replay.seed,
+    (replay.config || DEFAULT_CONFIG).scene
+  );
+  previousPositions = new Map();
+  scorePopups = [];
+  playerAnimators = [];
+  returnScreenEl.classList.remove("visible");
+  replayScrubberEl.max = String(replay.durationMs);
+  replayControlsEl.classList.add("visible");
+
+  lastTimestamp = null;
+  updateHud();
+  updateReplayControls();
+}
+
+/**
+ * Leave the replay and go back to the screen it was opened from.
+ */
+function exitReplay() {
+  const returnState =
+    replayView.returnScreenEl === startScreenEl
+      ? GAME_STATE.START
+      : GAME_STATE.GAME_OVER;
+  simState = replayView.savedSimState;
+  skyline = createSkyline(simState.seed, activeConfig.scene);
+  previousPositions = new Map();
+  playerAnimators = [];
+  replayControlsEl.classList.remove("visible");
+  replayView.returnScreenEl.classList.add("visible");
+  replayView.playback = null;
+  gameState = returnState;
+  updateHud();
+}
+
+/**
+ * Move the replay to a new position, for scrubbing.
+ * @param {number} targetMs - Simulation time to jump to.
+ */
+function seekReplay(targetMs) {
+  replayView.playback = seekPlayback(replayView.playback, targetMs);
+  replayView.clockMs = replayView.playback.state.elapsedMs;
+  simState = replayView.playback.state;
+  playerAnimators = [];
+  updateHud();
+  updateReplayControls();
+}
+
+/**
+ * Advance the replay by real elapsed time scaled by the playback speed.
+ * @param {number} dtMs - Real time since the last frame.
+ */
+function updateReplay(dtMs) {
+  const { playback } = replayView;
+  if (replayView.paused) {
+    return;
+  }
+  replayView.clockMs += dtMs * replayView.speed;
+  const events = advancePlaybackTo(playback, replayView.clockMs);
+  if (events.length > 0) {
+    playEventSounds(events);
+    addScorePopups(events);
+    markHurtPlayers(events);
+    updateHud();
+  }
+  if (isPlaybackFinished(playback)) {
+    replayView.paused = true;
+  }
+  updateReplayControls();
+}
+
+/**
+ * Tell screen readers what a batch of simulation events meant.
+ * @param {object[]} events - Events from the simulation.
+ * @param {object[]} [badges] - Badges the events earned.
+ */
+function announceEvents(events, badges = []) {
+  const messages = [
+    ...describeEvents(events, simState, knowledgeBand),
+    ...badges.map(({ label }) => `Badge earned: ${label}.`),
+  ];
+  knowledgeBand = getKnowledgeBand(simState);
+  if (messages.length > 0) {
+    announcerEl.textContent = messages.join(" ");
+  }
+}
+
+/**
+ * Colours for drawing, from the chosen palette.
+ * @returns {object} Palette from accessibility.js.
+ */
+function getPalette() {
+  return PALETTES[accessibility.palette];
+}
+
+/**
+ * Offer the palettes and game speeds on the settings screen.
+ */
+function fillAccessibilitySelects() {
+  Object.keys(PALETTES).forEach((name) => {
+    const option = document.createElement("option");
+    option.value = name;
+    option.textContent = PALETTES[name].label;
+    paletteSelectEl.appendChild(option);
+  });
+  GAME_SPEEDS.forEach((speed) => {
+    const option = document.createElement("option");
+    option.value = String(speed);
+    option.textContent = `${Math.round(speed * 100)}%`;
+    gameSpeedSelectEl.appendChild(option);
+  });
+}
+
+/**
+ * Apply the accessibility settings to the page and the settings screen.
+ */
+function updateAccessibility() {
+  Object.keys(PALETTES).forEach((name) => {
+    document.body.classList.toggle(
+      `palette-${name}`,
+      name === accessibility.palette
+    );
+  });
+  document.body.classList.toggle("reduced-motion", accessibility.reducedMotion);
+  paletteSelectEl.value = accessibility.palette;
+  gameSpeedSelectEl.value = String(accessibility.gameSpeed);
+  reducedMotionToggleEl.checked = accessibility.reducedMotion;
+}
+
+/**
+ * Change and save the accessibility settings.
+ * @param {object} changes - Settings to change.
+ */
+function changeAccessibility(changes) {
+  accessibility = { ...accessibility, ...changes };
+  saveAccessibilitySettings(getLocalStorage(), accessibility);
+  updateAccessibility();
+}
+
+/**
+ * Multiplier for the HUD and popups, e.g. "x1.75".
+ * @param {number} multiplier - Multiplier from getMultiplier().
+ * @returns {string} Label.
+ */
+function formatMultiplier(multiplier) {
+  return `x${Number(multiplier.toFixed(2))}`;
+}
+
+/**
+ * Float the points and streaks from a batch of events over the player.
+ * @param {object[]} events - Events from the simulation.
+ */
+function addScorePopups(events) {
+  events.forEach((event) => {
+    let text = null;
+    let streak = false;
+    switch (event.type) {
+      case EVENT_TYPES.PATIENT_TREATED:
+      case EVENT_TYPES.ASSESSMENT_PASSED:
+        text = `+${event.points + event.bonus}`;
+        if (event.multiplier > 1) {
+          text += ` ${formatMultiplier(event.multiplier)}`;
+        }
+        break;
+      case EVENT_TYPES.CATCH_STREAK:
+        text = `${event.streak} MK in a row!`;
+        streak = true;
+        break;
+      case EVENT_TYPES.CLEAN_STREAK:
+        text = `${event.seconds}s clean!`;
+        streak = true;
+        break;
+      default:
+        break;
+    }
+    if (text !== null) {
+      // Treatments name everyone who helped; the first of them gets the
+      // popup.
+      const player = event.players ? event.players[0] : event.player || 0;
+      scorePopups.push({
+        text,
+        streak,
+        player,
+        ageMs: 0,
+        // Stack popups from the same step rather than drawing them on top
+        // of each other.
+        offsetY:
+          scorePopups.filter(
+            (popup) => popup.ageMs === 0 && popup.player === player
+          ).length * 14,
+      });
+    }
+  });
 }
 
 /**
- * Draw the ground.
+ * Age the score popups and drop the ones that have faded out.
+ * @param {number} dtMs - Real time since the last frame.
  */
-function drawGround() {
-  ctx.fillStyle = "#19192b";
-  ctx.fillRect(0, FLOOR_Y, canvas.width, canvas.height - FLOOR_Y);
-
-  ctx.fillStyle = "#242444";
-  for (let x = 0; x < canvas.width; x += 32) {
-    ctx.fillRect(x, FLOOR_Y, 16, 4);
-  }
+function updateScorePopups(dtMs) {
+  scorePopups.forEach((popup) => {
+    popup.ageMs += dtMs;
+  });
+  scorePopups = scorePopups.filter((popup) => popup.ageMs < SCORE_POPUP_MS);
 }
 
 /**
- * Draw the doctor sprite using simple pixel blocks.
+ * Draw the score popups above their players. They fade out in place when
+ * reduced motion is on, and rise as they fade otherwise.
  */
-function drawPlayer() {
+function drawScorePopups() {
   ctx.save();
-  ctx.translate(player.x + PLAYER_WIDTH / 2, player.y + PLAYER_HEIGHT);
-  ctx.scale(player.facing, 1);
-  ctx.translate(-PLAYER_WIDTH / 2, -PLAYER_HEIGHT);
-
-  ctx.fillStyle = "#1a1a1a";
-  ctx.fillRect(8, -1, 16, 11);
-
-  ctx.fillStyle = "#b8956e";
-  ctx.fillRect(10, 0, 12, 12);
-
-  ctx.fillStyle = "#2b2b3f";
-  ctx.fillRect(12, 12, 8, 6);
-
-  ctx.fillStyle = "#f5f5ff";
-  ctx.fillRect(6, 18, 20, 24);
-
-  ctx.fillStyle = "#d1d1e6";
-  ctx.fillRect(6, 30, 20, 2);
-
-  ctx.fillStyle = "#f5f5ff";
-  ctx.fillRect(6, 18, 8, 18);
-  ctx.fillRect(18, 18, 8, 18);
-
-  ctx.fillStyle = "#b8956e";
-  ctx.fillRect(4, 26, 4, 8);
-  ctx.fillRect(24, 26, 4, 8);
-
-  ctx.fillStyle = "#c0c0ff";
-  ctx.beginPath();
-  ctx.arc(16, 22, 4, 0, Math.PI * 2);
-  ctx.strokeStyle = "#c0c0ff";
-  ctx.lineWidth = 2;
-  ctx.stroke();
-
-  ctx.fillStyle = "#c0c0ff";
-  ctx.fillRect(16, 18, 2, 8);
-
-  ctx.fillStyle = "#3c3c5c";
-  ctx.fillRect(8, 42, 7, 10);
-  ctx.fillRect(17, 42, 7, 10);
-
+  ctx.font = "bold 14px system-ui, sans-serif";
+  ctx.textAlign = "center";
+  scorePopups.forEach((popup) => {
+    const player = simState.players[popup.player] || simState.players[0];
+    const { x, y } = getRenderPosition(player);
+    const progress = popup.ageMs / SCORE_POPUP_MS;
+    const rise = accessibility.reducedMotion
+      ? 0
+      : progress * SCORE_POPUP_RISE_PX;
+    ctx.globalAlpha = 1 - progress;
+    ctx.fillStyle = popup.streak ? "#8fd3ff" : "#f5d14f";
+    ctx.fillText(
+      popup.text,
+      x + PLAYER_WIDTH / 2,
+      y - 12 - popup.offsetY - rise
+    );
+  });
   ctx.restore();
 }
 
 /**
- * Draw a falling item: book or assessment.
- * @param {object} item - Falling item object.
+ * Unlock any badges a batch of events earned, save the progress, and queue
+ * a toast for each new badge. Replays never call this, so watching a run
+ * earns nothing.
+ * @param {object[]} events - Events from the simulation.
+ * @returns {object[]} Badges the events earned.
  */
-function drawItem(item) {
-  ctx.save();
-
-  if (item.type === ITEM_TYPES.KNOWLEDGE) {
-    ctx.fillStyle = "#0f9d58";
-    ctx.fillRect(item.x, item.y, item.width, item.height);
-    ctx.fillStyle = "#0c7040";
-    ctx.fillRect(item.x + 2, item.y + 2, item.width - 4, item.height - 4);
-    ctx.fillStyle = "#e5ffe5";
-    ctx.font = "10px 'Courier New', monospace";
-    ctx.textAlign = "center";
-    ctx.textBaseline = "middle";
-    ctx.fillText("MK", item.x + item.width / 2, item.y + item.height / 2);
-  } else if (item.type === ITEM_TYPES.MISTAKE) {
-    ctx.fillStyle = "#c62828";
-    ctx.fillRect(item.x, item.y, item.width, item.height);
-    ctx.fillStyle = "#8b1b1b";
-    ctx.fillRect(item.x + 2, item.y + 2, item.width - 4, item.height - 4);
-    ctx.fillStyle = "#ffe5e5";
-    ctx.font = "10px 'Courier New', monospace";
-    ctx.textAlign = "center";
-    ctx.textBaseline = "middle";
-    ctx.fillText("ERR", item.x + item.width / 2, item.y + item.height / 2);
-  } else if (item.type === ITEM_TYPES.ASSESSMENT) {
-    const cx = item.x + item.width / 2;
-    const cy = item.y + item.height / 2;
-    const outerR = 14;
-    const innerR = 6;
-    const rays = 8;
-
-    ctx.beginPath();
-    for (let i = 0; i < rays * 2; i += 1) {
-      const r = i % 2 === 0 ? outerR : innerR;
-      const a = (Math.PI * 2 * i) / (rays * 2) - Math.PI / 2;
-      const x = cx + r * Math.cos(a);
-      const y = cy + r * Math.sin(a);
-      if (i === 0) {
-        ctx.moveTo(x, y);
-      } else {
-        ctx.lineTo(x, y);
-      }
-    }
-    ctx.closePath();
-    ctx.fillStyle = "#ffcc00";
-    ctx.fill();
-    ctx.strokeStyle = "#b8860b";
-    ctx.lineWidth = 1;
-    ctx.stroke();
+function updateAchievements(events) {
+  const { unlocked, changed } = checkAchievements(
+    achievementProgress,
+    achievementRun,
+    events,
+    simState
+  );
+  if (changed) {
+    saveProgress(getLocalStorage(), achievementProgress);
   }
+  unlocked.forEach((achievement) => {
+    achievementToasts.push({ achievement, ageMs: 0 });
+  });
+  return unlocked;
+}
 
-  ctx.restore();
+/**
+ * Age the toast on show and move on to the next one when it is done.
+ * @param {number} dtMs - Real time since the last frame.
+ */
+function updateAchievementToasts(dtMs) {
+  if (achievementToasts.length === 0) {
+    return;
+  }
+  achievementToasts[0].ageMs += dtMs;
+  if (achievementToasts[0].ageMs >= ACHIEVEMENT_TOAST_MS) {
+    achievementToasts.shift();
+  }
 }
 
 /**
- * Draw a ground mistake obstacle (red book on the floor).
- * @param {object} ob - Ground mistake object with x, y, width, height.
+ * Draw the toast on show at the top of the canvas. It slides down into
+ * place unless reduced motion is on.
  */
-function drawGroundMistake(ob) {
+function drawAchievementToast() {
+  if (achievementToasts.length === 0) {
+    return;
+  }
+  const { achievement, ageMs } = achievementToasts[0];
+  const width = 260;
+  const height = 44;
+  const x = (canvas.width - width) / 2;
+  const slide = accessibility.reducedMotion
+    ? 1
+    : Math.min(1, ageMs / ACHIEVEMENT_TOAST_SLIDE_MS);
+  const y = 12 - (1 - slide) * (height + 12);
+
   ctx.save();
-  ctx.fillStyle = "#c62828";
-  ctx.fillRect(ob.x, ob.y, ob.width, ob.height);
-  ctx.fillStyle = "#8b1b1b";
-  ctx.fillRect(ob.x + 2, ob.y + 2, ob.width - 4, ob.height - 4);
-  ctx.fillStyle = "#ffe5e5";
-  ctx.font = "10px 'Courier New', monospace";
+  ctx.fillStyle = "rgba(16, 20, 40, 0.92)";
+  ctx.fillRect(x, y, width, height);
+  ctx.strokeStyle = "#f5d14f";
+  ctx.lineWidth = 2;
+  ctx.strokeRect(x, y, width, height);
+
+  // Badge: a gold medal with a star.
+  ctx.fillStyle = "#f5d14f";
+  ctx.beginPath();
+  ctx.arc(x + 24, y + height / 2, 13, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.fillStyle = "#8a6d00";
+  ctx.font = "bold 14px system-ui, sans-serif";
   ctx.textAlign = "center";
   ctx.textBaseline = "middle";
-  ctx.fillText(
-    "ERR",
-    ob.x + ob.width / 2,
-    ob.y + ob.height / 2
-  );
+  ctx.fillText("*", x + 24, y + height / 2 + 2);
+
+  ctx.textAlign = "left";
+  ctx.fillStyle = "#f5d14f";
+  ctx.font = "10px system-ui, sans-serif";
+  ctx.fillText("BADGE EARNED", x + 46, y + 14);
+  ctx.fillStyle = "#ffffff";
+  ctx.font = "bold 14px system-ui, sans-serif";
+  ctx.fillText(achievement.label, x + 46, y + 30);
   ctx.restore();
 }
 
 /**
- * Draw the active patient, if any (stretcher with bandaged person).
+ * Fill the badge gallery with every badge, earned or not.
  */
-function drawPatient() {
-  if (!patientState.active) {
-    return;
-  }
-
-  const p = patientState.active;
-  ctx.save();
+function renderAchievements() {
+  const badges = listAchievements(achievementProgress);
+  achievementListEl.replaceChildren();
+  badges.forEach(({ achievement, unlockedAt, count }) => {
+    const item = document.createElement("li");
+    item.className = "achievement";
+    item.classList.toggle("achievement-unlocked", unlockedAt !== null);
+    const name = document.createElement("strong");
+    name.textContent = achievement.label;
+    const description = document.createElement("span");
+    description.textContent = achievement.description;
+    const status = document.createElement("span");
+    status.className = "achievement-status";
+    if (unlockedAt !== null) {
+      status.textContent = `Earned ${new Date(unlockedAt).toLocaleDateString()}`;
+    } else if (count !== null) {
+      status.textContent = `${count} / ${achievement.goal}`;
+    } else {
+      status.textContent = "Locked";
+    }
+    item.append(name, description, status);
+    achievementListEl.appendChild(item);
+  });
+  const earned = badges.filter(({ unlockedAt }) => unlockedAt !== null);
+  achievementCountEl.textContent = `${earned.length} of ${ACHIEVEMENTS.length} earned`;
+}
 
-  const stretcherY = p.y + p.height - 4;
-  const stretcherH = 6;
+/**
+ * Open the badge gallery over the start screen.
+ */
+function openAchievements() {
+  renderAchievements();
+  startScreenEl.classList.remove("visible");
+  achievementsScreenEl.classList.add("visible");
+  achievementsDoneButtonEl.focus();
+}
 
-  ctx.fillStyle = "#2a2a3a";
-  ctx.fillRect(p.x - 2, stretcherY, p.width + 4, stretcherH);
-  ctx.strokeStyle = "#3f3f5a";
-  ctx.strokeRect(p.x - 2, stretcherY, p.width + 4, stretcherH);
+/**
+ * Close the badge gallery and go back to the start screen.
+ */
+function closeAchievements() {
+  achievementsScreenEl.classList.remove("visible");
+  startScreenEl.classList.add("visible");
+}
 
-  ctx.fillStyle = "#4a4a6a";
-  ctx.fillRect(p.x, stretcherY + 2, 4, stretcherH - 2);
-  ctx.fillRect(p.x + p.width - 4, stretcherY + 2, 4, stretcherH - 2);
+/**
+ * Play the effects for a batch of simulation events.
+ * @param {object[]} events - Events from the simulation.
+ */
+function playEventSounds(events) {
+  getEventSounds(events, simState).forEach((name) => playSound(audio, name));
+}
 
-  const ly = stretcherY - 10;
-  ctx.fillStyle = "#fff8f0";
-  ctx.fillRect(p.x + 8, ly + 2, 18, 8);
-  ctx.fillStyle = "#e8d5c4";
-  ctx.fillRect(p.x + 2, ly, 10, 10);
-  ctx.fillRect(p.x + 24, ly + 4, 4, 6);
+/**
+ * How many treatment ticks the patients being treated have earned between
+ * them, so each new one can be heard. In co-op two patients can be
+ * treated at once.
+ * @returns {number} Completed ticks, or 0 when nobody is being treated.
+ */
+function getTreatmentTick() {
+  return simState.patients.floor.reduce(
+    (ticks, patient) =>
+      ticks + Math.floor(patient.contactDurationMs / TREATMENT_TICK_MS),
+    0
+  );
+}
 
-  ctx.fillStyle = "#f0e0d0";
-  ctx.fillRect(p.x + 8, ly, 2, 12);
-  ctx.fillRect(p.x + 26, ly, 2, 12);
+/**
+ * Show the sound settings on the HUD button and the controls screen.
+ */
+function updateSoundControls() {
+  const { volume, muted } = audio.settings;
+  muteButtonEl.textContent = muted ? "Sound: Off" : "Sound: On";
+  muteButtonEl.setAttribute("aria-pressed", String(muted));
+  volumeSliderEl.value = String(Math.round(volume * 100));
+  muteToggleEl.checked = muted;
+}
 
-  ctx.fillStyle = "rgba(255,240,200,0.95)";
-  ctx.fillRect(p.x + 4, ly + 2, 6, 4);
-  ctx.strokeStyle = "#b8956e";
-  ctx.strokeRect(p.x + 4, ly + 2, 6, 4);
+/**
+ * Change and save the sound settings.
+ * @param {{volume?:number, muted?:boolean}} changes - Settings to change.
+ */
+function changeSoundSettings(changes) {
+  const settings = { ...audio.settings, ...changes };
+  applyAudioSettings(audio, settings);
+  saveAudioSettings(getLocalStorage(), settings);
+  updateSoundControls();
+}
 
-  ctx.fillStyle = "#c62828";
-  ctx.fillRect(p.x + 15, ly + 4, 4, 4);
-  ctx.fillRect(p.x + 14, ly + 5, 6, 2);
-  ctx.strokeStyle = "#8b0000";
-  ctx.strokeRect(p.x + 15, ly + 4, 4, 4);
-  ctx.strokeRect(p.x + 14, ly + 5, 6, 2);
+/**
+ * Remember where moving entities are before a fixed step runs.
+ * @returns {Map<object, {x:number,y:number}>} Positions keyed by entity.
+ */
+function capturePositions() {
+  const positions = new Map();
+  simState.players.forEach((player) => {
+    positions.set(player, { x: player.x, y: player.y });
+  });
+  simState.fallingItems.forEach((item) => {
+    positions.set(item, { x: item.x, y: item.y });
+  });
+  return positions;
+}
 
-  const canTreat =
-    Math.round(knowledgeState.percent) >= KNOWLEDGE_WARNING_THRESHOLD;
+/**
+ * Position to draw an entity at, blended between its last two steps.
+ * @param {{x:number,y:number}} entity - Player or falling item.
+ * @returns {{x:number,y:number}} Interpolated position.
+ */
+function getRenderPosition(entity) {
+  const previous = previousPositions.get(entity);
+  if (!previous) {
+    return { x: entity.x, y: entity.y };
+  }
+  return {
+    x: previous.x + (entity.x - previous.x) * renderAlpha,
+    y: previous.y + (entity.y - previous.y) * renderAlpha,
+  };
+}
 
-  ctx.font = "10px system-ui, sans-serif";
-  ctx.textAlign = "center";
-  if (!canTreat) {
-    ctx.fillStyle = "#f5d14f";
-    ctx.fillText("Need more knowledge", p.x + p.width / 2, p.y - 12);
-    ctx.fillStyle = "#fff8e0";
-    ctx.fillText("PATIENT", p.x + p.width / 2, p.y - 2);
-    ctx.fillStyle = "rgba(0,0,0,0.5)";
-    ctx.fillRect(p.x - 2, p.y, p.width + 4, p.height);
-  } else {
-    ctx.fillStyle = "#fff8e0";
-    ctx.fillText("PATIENT", p.x + p.width / 2, p.y - 2);
+/**
+ * Draw the current simulation state.
+ */
+function drawScene() {
+  drawBackground();
+  drawGround();
+  simState.groundMistakes.forEach(drawGroundMistake);
+  drawPatients();
+  simState.players.forEach(drawPlayer);
+  simState.fallingItems.forEach((item) => {
+    drawItem({ ...item, ...getRenderPosition(item) });
+  });
+  drawScorePopups();
+  if (gameState === GAME_STATE.PLAYING) {
+    drawAchievementToast();
   }
+}
 
-  if (canTreat && patientState.contactDurationMs > 0) {
-    const fraction = clamp(
-      patientState.contactDurationMs / PATIENT_TREAT_DURATION_MS,
-      0,
-      1
+/**
+ * Run the fixed simulation steps owed for this frame.
+ * @param {number} dtMs - Real time since the last frame.
+ */
+function updatePlaying(dtMs) {
+  const { steps, alpha } = advanceClock(
+    frameClock,
+    dtMs * accessibility.gameSpeed
+  );
+  const input = isCoopRun() ? [inputState, nurseInputState] : inputState;
+  for (let i = 0; i < steps; i += 1) {
+    previousPositions = capturePositions();
+    const consultEvents = applyConsults();
+    recordStep(recorder, input, simState.elapsedMs);
+    const tickBefore = getTreatmentTick();
+    const events = consultEvents.concat(
+      stepSimulation(simState, input, FIXED_STEP_MS).events
     );
-    ctx.strokeStyle = "#2ecc71";
-    ctx.strokeRect(p.x - 2, p.y - 17, p.width + 4, 5);
-    ctx.fillStyle = "#2ecc71";
-    ctx.fillRect(p.x - 2, p.y - 17, (p.width + 4) * fraction, 5);
+    recordRunStep(runLog, events, simState, FIXED_STEP_MS);
+    if (getTreatmentTick() > tickBefore) {
+      playSound(audio, "treatmentTick");
+    }
+    if (events.length > 0) {
+      playEventSounds(events);
+      announceEvents(events, updateAchievements(events));
+      addScorePopups(events);
+      markHurtPlayers(events);
+      updateHud();
+    }
+    if (simState.over) {
+      endGame();
+      return;
+    }
+    if (simState.assessment.awaitingAnswer) {
+      renderAlpha = 1;
+      openQuiz();
+      return;
+    }
   }
-
-  ctx.restore();
+  renderAlpha = alpha;
 }
 
 /**
@@ -891,7 +2925,11 @@ function drawPatient() {
  * @param {DOMHighResTimeStamp} timestamp - Current timestamp.
  */
 function gameLoop(timestamp) {
-  if (gameState !== GAME_STATE.PLAYING) {
+  pollGamepads();
+  if (
+    document.hidden ||
+    (gameState !== GAME_STATE.PLAYING && gameState !== GAME_STATE.REPLAY)
+  ) {
     requestAnimationFrame(gameLoop);
     return;
   }
@@ -901,51 +2939,384 @@ function gameLoop(timestamp) {
   }
 
   const dtMs = timestamp - lastTimestamp;
-  const dtSeconds = dtMs / 1000;
   lastTimestamp = timestamp;
 
-  updatePlayer(dtSeconds);
-  updateKnowledgeAndItems(dtMs);
-  updateFallingItems(dtSeconds);
-  if (gameState === GAME_STATE.GAME_OVER) {
+  if (gameState === GAME_STATE.REPLAY) {
+    updateReplay(dtMs);
+    updateScorePopups(dtMs);
+    updateEffectList();
+    drawScene();
     requestAnimationFrame(gameLoop);
     return;
   }
-  updatePatient(dtMs);
-  updateGroundMistakes(dtMs);
+
+  updatePlaying(dtMs);
   if (gameState === GAME_STATE.GAME_OVER) {
     requestAnimationFrame(gameLoop);
     return;
   }
 
-  drawBackground();
-  drawGround();
-  groundMistakes.forEach(drawGroundMistake);
-  drawPatient();
-  drawPlayer();
-  fallingItems.forEach(drawItem);
+  updateScorePopups(dtMs);
+  updateAchievementToasts(dtMs);
+  updateEffectList();
+  if (versusState.racing) {
+    updateConsultButton();
+  }
+  drawScene();
 
   requestAnimationFrame(gameLoop);
 }
 
 startButtonEl.addEventListener("click", () => {
   if (gameState === GAME_STATE.START || gameState === GAME_STATE.GAME_OVER) {
+    requestTiltPermission();
+    leaveVersus();
     startGame();
   }
 });
 
 restartButtonEl.addEventListener("click", () => {
   if (gameState === GAME_STATE.GAME_OVER) {
+    leaveVersus();
+    startGame();
+  }
+});
+
+versusButtonEl.addEventListener("click", () => {
+  if (gameState === GAME_STATE.START) {
+    requestTiltPermission();
+    findOpponent();
+  }
+});
+
+roomInputEl.addEventListener("keydown", (event) => {
+  if (event.key === "Enter" && gameState === GAME_STATE.START) {
+    findOpponent();
+  }
+});
+
+consultButtonEl.addEventListener("click", () => {
+  sendConsult();
+  // Drop focus so Space jumps instead of pressing the button again.
+  consultButtonEl.blur();
+});
+
+watchReplayButtonEl.addEventListener("click", () => {
+  if (gameState === GAME_STATE.GAME_OVER && lastReplay) {
+    startReplay(lastReplay, gameOverScreenEl);
+  }
+});
+
+exportReplayButtonEl.addEventListener("click", () => {
+  if (!lastReplay) {
+    return;
+  }
+  downloadFile(
+    serializeReplay(lastReplay),
+    "application/json",
+    `cert-quest-replay-${lastReplay.seed}.json`
+  );
+});
+
+historyButtonEl.addEventListener("click", () => {
+  if (gameState === GAME_STATE.START) {
+    openHistory();
+  }
+});
+
+historyDoneButtonEl.addEventListener("click", closeHistory);
+
+exportCsvButtonEl.addEventListener("click", () => {
+  const { runs } = loadHistory(getLocalStorage());
+  const day = new Date().toISOString().slice(0, 10);
+  downloadFile(historyToCsv(runs), "text/csv", `cert-quest-runs-${day}.csv`);
+});
+
+exportJsonButtonEl.addEventListener("click", () => {
+  const { runs } = loadHistory(getLocalStorage());
+  const day = new Date().toISOString().slice(0, 10);
+  downloadFile(
+    historyToJson(runs),
+    "application/json",
+    `cert-quest-runs-${day}.json`
+  );
+});
+
+replayFileInputEl.addEventListener("change", () => {
+  const file = replayFileInputEl.files[0];
+  replayFileInputEl.value = "";
+  if (!file || gameState !== GAME_STATE.START) {
+    return;
+  }
+  file
+    .text()
+    .then((text) => {
+      replayErrorEl.textContent = "";
+      startReplay(parseReplay(text), startScreenEl);
+    })
+    .catch((error) => {
+      replayErrorEl.textContent = error.message;
+    });
+});
+
+configFileInputEl.addEventListener("change", () => {
+  const file = configFileInputEl.files[0];
+  configFileInputEl.value = "";
+  if (!file || gameState !== GAME_STATE.START) {
+    return;
+  }
+  file
+    .text()
+    .then((text) => applyConfig(parseConfig(text)))
+    .catch((error) => {
+      configErrorEl.textContent = error.message;
+    });
+});
+
+configResetButtonEl.addEventListener("click", () => {
+  applyConfig(DEFAULT_CONFIG);
+});
+
+replayPlayButtonEl.addEventListener("click", () => {
+  if (isPlaybackFinished(replayView.playback)) {
+    seekReplay(0);
+  }
+  replayView.paused = !replayView.paused;
+  updateReplayControls();
+});
+
+replaySpeedButtonEl.addEventListener("click", () => {
+  const index = REPLAY_SPEEDS.indexOf(replayView.speed);
+  replayView.speed = REPLAY_SPEEDS[(index + 1) % REPLAY_SPEEDS.length];
+  updateReplayControls();
+});
+
+replayScrubberEl.addEventListener("input", () => {
+  seekReplay(Number(replayScrubberEl.value));
+});
+
+replayExitButtonEl.addEventListener("click", exitReplay);
+
+initialsSaveButtonEl.addEventListener("click", confirmInitials);
+
+resumeButtonEl.addEventListener("click", resumeGame);
+
+pauseRestartButtonEl.addEventListener("click", () => {
+  if (gameState === GAME_STATE.PAUSED) {
+    leaveVersus();
     startGame();
   }
 });
 
+quitButtonEl.addEventListener("click", quitToTitle);
+
+quizContinueButtonEl.addEventListener("click", closeQuiz);
+
+// Touch: buttons follow the finger so a thumb can slide between them, and
+// the canvas takes swipes (or, in tilt mode, taps to jump). Pointer events
+// cover several fingers at once.
+window.addEventListener("pointerdown", (event) => {
+  if (event.pointerType === "touch") {
+    enableTouchControls();
+  }
+});
+
+touchControlsEl.addEventListener("pointerdown", (event) => {
+  const button = event.target.closest("[data-control]");
+  if (!button) {
+    return;
+  }
+  event.preventDefault();
+  pressControl(touchInput, event.pointerId, button.dataset.control);
+  syncInput();
+});
+
+touchControlsEl.addEventListener("pointermove", (event) => {
+  if (!touchInput.pointers.has(event.pointerId)) {
+    return;
+  }
+  pressControl(
+    touchInput,
+    event.pointerId,
+    findTouchControl(event.clientX, event.clientY)
+  );
+  syncInput();
+});
+
+canvas.addEventListener("pointerdown", (event) => {
+  if (event.pointerType !== "touch" || gameState !== GAME_STATE.PLAYING) {
+    return;
+  }
+  event.preventDefault();
+  if (touchMode === TOUCH_MODES.SWIPE) {
+    startSwipe(touchInput, event.pointerId, event.clientX, event.clientY);
+  } else if (touchMode === TOUCH_MODES.TILT) {
+    pressControl(touchInput, event.pointerId, "jump");
+  }
+  syncInput();
+});
+
+canvas.addEventListener("pointermove", (event) => {
+  moveSwipe(touchInput, event.pointerId, event.clientX, event.clientY);
+  syncInput();
+});
+
+["pointerup", "pointercancel"].forEach((type) => {
+  window.addEventListener(type, (event) => {
+    releasePointer(touchInput, event.pointerId);
+    syncInput();
+  });
+});
+
+window.addEventListener("deviceorientation", (event) => {
+  if (touchMode !== TOUCH_MODES.TILT) {
+    return;
+  }
+  const screenAngle =
+    (window.screen.orientation && window.screen.orientation.angle) ||
+    window.orientation ||
+    0;
+  setTilt(touchInput, getTiltDegrees(event, screenAngle));
+  syncInput();
+});
+
+touchPauseButtonEl.addEventListener("click", togglePause);
+
+settingsButtonEl.addEventListener("click", () => {
+  if (gameState === GAME_STATE.START) {
+    openSettings(startScreenEl);
+  }
+});
+
+pauseSettingsButtonEl.addEventListener("click", () => {
+  if (gameState === GAME_STATE.PAUSED) {
+    openSettings(pauseScreenEl);
+  }
+});
+
+settingsDoneButtonEl.addEventListener("click", closeSettings);
+
+achievementsButtonEl.addEventListener("click", () => {
+  if (gameState === GAME_STATE.START) {
+    openAchievements();
+  }
+});
+
+achievementsDoneButtonEl.addEventListener("click", closeAchievements);
+
+muteButtonEl.addEventListener("click", () => {
+  unlockAudio(audio);
+  changeSoundSettings({ muted: !audio.settings.muted });
+  // Drop focus so Space jumps instead of pressing the button again.
+  muteButtonEl.blur();
+});
+
+muteToggleEl.addEventListener("change", () => {
+  changeSoundSettings({ muted: muteToggleEl.checked });
+});
+
+volumeSliderEl.addEventListener("input", () => {
+  changeSoundSettings({ volume: Number(volumeSliderEl.value) / 100 });
+});
+
+themeSelectEl.addEventListener("change", () => {
+  applyTheme(themeSelectEl.value);
+  if (themeSelectEl.value !== CUSTOM_THEME) {
+    saveThemeName(getLocalStorage(), themeSelectEl.value);
+  }
+});
+
+paletteSelectEl.addEventListener("change", () => {
+  changeAccessibility({ palette: paletteSelectEl.value });
+});
+
+gameSpeedSelectEl.addEventListener("change", () => {
+  changeAccessibility({ gameSpeed: Number(gameSpeedSelectEl.value) });
+});
+
+reducedMotionToggleEl.addEventListener("change", () => {
+  changeAccessibility({ reducedMotion: reducedMotionToggleEl.checked });
+});
+
+Object.keys(BINDING_PRESETS).forEach((preset) => {
+  const button = document.createElement("button");
+  button.className = "secondary-button";
+  button.textContent = BINDING_PRESETS[preset].label;
+  button.addEventListener("click", () => {
+    settingsView.capture = null;
+    applyBindings(createBindings(preset));
+  });
+  bindingsPresetsEl.appendChild(button);
+});
+
+// Hot-plug: browsers announce a gamepad once a button on it is pressed,
+// and again when it is unplugged.
+window.addEventListener("gamepadconnected", (event) => {
+  gamepadState.ids.push(event.gamepad.id);
+  updateGamepadStatus();
+});
+
+window.addEventListener("gamepaddisconnected", (event) => {
+  const index = gamepadState.ids.indexOf(event.gamepad.id);
+  if (index >= 0) {
+    gamepadState.ids.splice(index, 1);
+  }
+  gamepadState.input = readGamepads([]);
+  syncInput();
+  updateGamepadStatus();
+});
+
+touchModeSelectEl.addEventListener("change", () => {
+  setTouchMode(touchModeSelectEl.value);
+  requestTiltPermission();
+});
+
+// Open the pause menu when the tab is hidden; time spent away is never fed
+// to the simulation.
+document.addEventListener("visibilitychange", () => {
+  if (document.hidden) {
+    pauseGame();
+    heldKeys.clear();
+    releaseAll(touchInput);
+    syncInput();
+  }
+  lastTimestamp = null;
+  frameClock.accumulatorMs = 0;
+});
+
+seedInputEl.value = readSeedFromUrl() || "";
+fillDifficultySelect();
+fillTouchModeSelect();
+updateControlsHelp();
+updateSoundControls();
+fillAccessibilitySelects();
+updateAccessibility();
+fillThemeSelect();
+applyTheme(themeState.name);
+setTouchMode(
+  touchMode === TOUCH_MODES.TILT && !isTiltSupported()
+    ? TOUCH_MODES.BUTTONS
+    : touchMode
+);
+if (window.matchMedia("(pointer: coarse)").matches) {
+  enableTouchControls();
+}
+renderLeaderboard(
+  startLeaderboardEl,
+  loadLeaderboard(getLocalStorage()).entries,
+  null
+);
+fetchWardScores();
+loadQuestionBanks();
+loadConfigFromUrl();
+loadThemeFromUrl();
+
 window.addEventListener("keydown", handleKeyDown);
 window.addEventListener("keyup", handleKeyUp);
 
 drawBackground();
 drawGround();
-drawPlayer();
+simState.players.forEach(drawPlayer);
 
 requestAnimationFrame(gameLoop);
 
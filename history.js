@@ -0,0 +1,297 @@
+/**
+ * Run history for Cert Quest.
+ * Keeps every finished run in localStorage, newest first, so educators can
+ * export results as CSV or JSON instead of collecting screenshots. Unlike
+ * the high-score table it keeps every run, up to a cap, whatever it
+ * scored. Reading is defensive: unreadable storage yields an empty history.
+ */
+
+(function (root) {
+  const Scoring =
+    typeof module !== "undefined" && module.exports
+      ? require("./scoring")
+      : root.CertQuestScoring;
+  const Analytics =
+    typeof module !== "undefined" && module.exports
+      ? require("./analytics")
+      : root.CertQuestAnalytics;
+
+  const HISTORY_STORAGE_KEY = "certQuest.history";
+  const HISTORY_VERSION = 2;
+
+  // Oldest runs are dropped past this, which keeps the history to a few
+  // hundred kilobytes of localStorage.
+  const MAX_RUNS = 500;
+
+  /**
+   * Upgrades from each older schema version to the next one, keyed by the
+   * version they upgrade from.
+   */
+  const MIGRATIONS = {
+    // Version 2 adds the player count; every earlier run was played solo.
+    1: (data) => ({
+      version: 2,
+      runs: Array.isArray(data.runs)
+        ? data.runs.map((run) => ({ ...run, players: 1 }))
+        : [],
+    }),
+  };
+
+  /**
+   * Every field of a run, in export order. `header` names the CSV column.
+   */
+  const HISTORY_COLUMNS = [
+    { key: "date", header: "date", type: "string" },
+    { key: "seed", header: "seed", type: "string" },
+    { key: "difficulty", header: "difficulty", type: "string" },
+    { key: "rules", header: "rules", type: "string" },
+    { key: "quiz", header: "quiz", type: "boolean" },
+    { key: "players", header: "players", type: "number" },
+    { key: "durationMs", header: "duration_ms", type: "number" },
+    { key: "level", header: "level_reached", type: "number" },
+    { key: "score", header: "score", type: "number" },
+    { key: "patientPoints", header: "patient_points", type: "number" },
+    { key: "assessmentPoints", header: "assessment_points", type: "number" },
+    { key: "bonusPoints", header: "bonus_points", type: "number" },
+    { key: "patientsTreated", header: "patients_treated", type: "number" },
+    { key: "patientsLeft", header: "patients_left", type: "number" },
+    { key: "assessmentsPassed", header: "assessments_passed", type: "number" },
+    { key: "mistakes", header: "mistakes", type: "number" },
+    { key: "mistakesFalling", header: "mistakes_falling", type: "number" },
+    { key: "mistakesGround", header: "mistakes_ground", type: "number" },
+    { key: "mistakesPatient", header: "mistakes_patient", type: "number" },
+    {
+      key: "mistakesAssessment",
+      header: "mistakes_assessment",
+      type: "number",
+    },
+    { key: "booksCaught", header: "books_caught", type: "number" },
+    { key: "booksMissed", header: "books_missed", type: "number" },
+    { key: "lowKnowledgeMs", header: "low_knowledge_ms", type: "number" },
+    {
+      key: "treatmentsAbandoned",
+      header: "treatments_abandoned",
+      type: "number",
+    },
+  ];
+
+  /**
+   * An empty history at the current schema version.
+   * @returns {{version:number, runs:object[]}} Empty history.
+   */
+  function createEmptyHistory() {
+    return { version: HISTORY_VERSION, runs: [] };
+  }
+
+  /**
+   * Whether a stored run has every field, each of the right type.
+   * @param {object} run - Stored run.
+   * @returns {boolean} True when usable.
+   */
+  function isValidRun(run) {
+    return (
+      Boolean(run) &&
+      HISTORY_COLUMNS.every(({ key, type }) =>
+        type === "number"
+          ? Number.isFinite(run[key])
+          : typeof run[key] === type
+      )
+    );
+  }
+
+  /**
+   * Bring stored data up to the current schema version.
+   * @param {object} data - Parsed stored history.
+   * @returns {object} Current-version history.
+   */
+  function migrateHistory(data) {
+    let history = data;
+    while (history.version < HISTORY_VERSION) {
+      const migrate = MIGRATIONS[history.version];
+      if (!migrate) {
+        throw new Error(`No history migration from v${history.version}.`);
+      }
+      history = migrate(history);
+    }
+    return history;
+  }
+
+  /**
+   * Decode stored history text, upgrading older versions. Never throws.
+   * @param {string|null} raw - Stored JSON text.
+   * @returns {{version:number, runs:object[]}} Decoded or empty history.
+   */
+  function parseHistory(raw) {
+    try {
+      const parsed = JSON.parse(raw);
+      if (!parsed || !Number.isInteger(parsed.version)) {
+        return createEmptyHistory();
+      }
+      const data = migrateHistory(parsed);
+      if (data.version !== HISTORY_VERSION || !Array.isArray(data.runs)) {
+        return createEmptyHistory();
+      }
+      return {
+        version: HISTORY_VERSION,
+        runs: data.runs.filter(isValidRun).slice(0, MAX_RUNS),
+      };
+    } catch (error) {
+      return createEmptyHistory();
+    }
+  }
+
+  /**
+   * Read the history from storage. Never throws.
+   * @param {Storage} storage - localStorage or a compatible object.
+   * @returns {{version:number, runs:object[]}} Stored or empty history.
+   */
+  function loadHistory(storage) {
+    try {
+      return parseHistory(storage.getItem(HISTORY_STORAGE_KEY));
+    } catch (error) {
+      return createEmptyHistory();
+    }
+  }
+
+  /**
+   * Write the history to storage.
+   * @param {Storage} storage - localStorage or a compatible object.
+   * @param {{version:number, runs:object[]}} history - History to save.
+   * @returns {boolean} Whether the write succeeded.
+   */
+  function saveHistory(storage, history) {
+    try {
+      storage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(history));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Build a history run from a finished simulation and its run log.
+   * @param {object} state - Simulation state at game over.
+   * @param {object} log - Run log from analytics.js.
+   * @param {object} options - Run details the state does not hold.
+   * @param {string} options.rules - Name of the rule set played.
+   * @param {Date} [options.date] - When the run finished.
+   * @returns {object} History run.
+   */
+  function createHistoryRun(state, log, options) {
+    const { score } = state;
+    const { MISTAKE_SOURCES } = Analytics;
+    const preset = state.rules.difficulty.presets[state.difficulty];
+    return {
+      date: (options.date || new Date()).toISOString(),
+      seed: state.seed,
+      difficulty: preset.label,
+      rules: options.rules,
+      quiz: state.quizMode,
+      players: state.players.length,
+      durationMs: Math.round(state.elapsedMs),
+      level: state.level,
+      score: Scoring.computeScore(
+        score.patientPoints,
+        score.assessmentsPassed,
+        score.bonusPoints
+      ),
+      patientPoints: score.patientPoints,
+      assessmentPoints: score.assessmentsPassed * Scoring.ASSESSMENT_POINTS,
+      bonusPoints: score.bonusPoints,
+      patientsTreated: score.patientsTreated,
+      patientsLeft: log.patients.left + log.patients.lost,
+      assessmentsPassed: score.assessmentsPassed,
+      mistakes: Analytics.countMistakes(log),
+      mistakesFalling: log.mistakes[MISTAKE_SOURCES.FALLING],
+      mistakesGround: log.mistakes[MISTAKE_SOURCES.GROUND],
+      mistakesPatient: log.mistakes[MISTAKE_SOURCES.PATIENT],
+      mistakesAssessment: log.mistakes[MISTAKE_SOURCES.ASSESSMENT],
+      booksCaught: log.books.caught,
+      booksMissed: log.books.missed,
+      lowKnowledgeMs: Math.round(log.lowKnowledgeMs),
+      treatmentsAbandoned: log.patients.abandoned,
+    };
+  }
+
+  /**
+   * Add a run at the front, dropping the oldest past the cap.
+   * @param {{version:number, runs:object[]}} history - Current history.
+   * @param {object} run - Run from createHistoryRun().
+   * @returns {{version:number, runs:object[]}} New history.
+   */
+  function addRun(history, run) {
+    return {
+      version: HISTORY_VERSION,
+      runs: [run].concat(history.runs).slice(0, MAX_RUNS),
+    };
+  }
+
+  /**
+   * Quote a CSV field when it needs it. Text that a spreadsheet would run
+   * as a formula (such as a rule set named "=SUM(...)") is prefixed with an
+   * apostrophe so it stays text.
+   * @param {*} value - Field value.
+   * @returns {string} CSV field.
+   */
+  function toCsvField(value) {
+    let text = String(value);
+    if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * The history as CSV, one row per run with a header row first.
+   * @param {object[]} runs - Runs to export.
+   * @returns {string} CSV text.
+   */
+  function historyToCsv(runs) {
+    const lines = [HISTORY_COLUMNS.map(({ header }) => header).join(",")];
+    runs.forEach((run) => {
+      lines.push(
+        HISTORY_COLUMNS.map(({ key }) => toCsvField(run[key])).join(",")
+      );
+    });
+    return `${lines.join("\r\n")}\r\n`;
+  }
+
+  /**
+   * The history as JSON.
+   * @param {object[]} runs - Runs to export.
+   * @param {Date} [exportedAt] - When the export was made.
+   * @returns {string} JSON text.
+   */
+  function historyToJson(runs, exportedAt) {
+    return JSON.stringify(
+      {
+        version: HISTORY_VERSION,
+        exportedAt: (exportedAt || new Date()).toISOString(),
+        runs,
+      },
+      null,
+      2
+    );
+  }
+
+  const CertQuestHistory = {
+    HISTORY_STORAGE_KEY,
+    HISTORY_VERSION,
+    MAX_RUNS,
+    HISTORY_COLUMNS,
+    createEmptyHistory,
+    parseHistory,
+    loadHistory,
+    saveHistory,
+    createHistoryRun,
+    addRun,
+    historyToCsv,
+    historyToJson,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = CertQuestHistory;
+  } else {
+    root.CertQuestHistory = CertQuestHistory;
+  }
+})(typeof window !== "undefined" ? window : globalThis);
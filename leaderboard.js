@@ -0,0 +1,256 @@
+/**
+ * Local high-score table for Cert Quest.
+ * Keeps the top runs in localStorage under a versioned schema. Reading is
+ * defensive: missing, corrupted or unreadable storage yields an empty table
+ * instead of breaking game startup.
+ */
+
+(function (root) {
+  const STORAGE_KEY = "certQuest.leaderboard";
+  const INITIALS_STORAGE_KEY = "certQuest.lastInitials";
+  const LEADERBOARD_VERSION = 1;
+  const MAX_ENTRIES = 10;
+  const INITIALS_LENGTH = 3;
+  const INITIALS_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
+
+  /**
+   * Upgrades from each older schema version to the next one, keyed by the
+   * version they upgrade from. Entries keep the score they were awarded, so
+   * a later change to computeScore adds a step here instead of rewriting
+   * old results.
+   */
+  const MIGRATIONS = {};
+
+  /**
+   * An empty table at the current schema version.
+   * @returns {{version:number, entries:object[]}} Empty table.
+   */
+  function createEmptyLeaderboard() {
+    return { version: LEADERBOARD_VERSION, entries: [] };
+  }
+
+  /**
+   * Upper-case initials and pad or trim them to three allowed characters.
+   * @param {string} initials - Raw initials.
+   * @returns {string} Normalized initials.
+   */
+  function normalizeInitials(initials) {
+    const letters = String(initials || "")
+      .toUpperCase()
+      .split("")
+      .filter((char) => INITIALS_ALPHABET.includes(char))
+      .join("");
+    return letters.slice(0, INITIALS_LENGTH).padEnd(INITIALS_LENGTH, "A");
+  }
+
+  /**
+   * Whether a stored entry has every field the table renders.
+   * @param {object} entry - Stored entry.
+   * @returns {boolean} True when usable.
+   */
+  function isValidEntry(entry) {
+    return (
+      Boolean(entry) &&
+      typeof entry.initials === "string" &&
+      Number.isFinite(entry.score) &&
+      Number.isFinite(entry.patientsTreated) &&
+      Number.isFinite(entry.assessmentsPassed) &&
+      Number.isFinite(entry.durationMs) &&
+      typeof entry.date === "string"
+    );
+  }
+
+  /**
+   * Order entries best first; ties go to the earlier run.
+   * @param {object} a - First entry.
+   * @param {object} b - Second entry.
+   * @returns {number} Sort order.
+   */
+  function compareEntries(a, b) {
+    if (b.score !== a.score) {
+      return b.score - a.score;
+    }
+    return a.date.localeCompare(b.date);
+  }
+
+  /**
+   * Bring stored data up to the current schema version.
+   * @param {object} data - Parsed stored table.
+   * @returns {{version:number, entries:object[]}} Current-version table.
+   */
+  function migrateLeaderboard(data) {
+    let table = data;
+    while (table.version < LEADERBOARD_VERSION) {
+      const migrate = MIGRATIONS[table.version];
+      if (!migrate) {
+        throw new Error(`No leaderboard migration from v${table.version}.`);
+      }
+      table = migrate(table);
+    }
+    if (table.version !== LEADERBOARD_VERSION) {
+      throw new Error(`Unknown leaderboard version: ${table.version}.`);
+    }
+    return table;
+  }
+
+  /**
+   * Decode stored table text. Never throws.
+   * @param {string|null} raw - Stored JSON text.
+   * @param {number} [maxEntries] - Rows to keep.
+   * @returns {{version:number, entries:object[]}} Decoded or empty table.
+   */
+  function parseLeaderboard(raw, maxEntries = MAX_ENTRIES) {
+    try {
+      if (!raw) {
+        return createEmptyLeaderboard();
+      }
+      const data = JSON.parse(raw);
+      if (!data || !Number.isInteger(data.version)) {
+        return createEmptyLeaderboard();
+      }
+      const table = migrateLeaderboard(data);
+      const entries = Array.isArray(table.entries)
+        ? table.entries.filter(isValidEntry)
+        : [];
+      return {
+        version: LEADERBOARD_VERSION,
+        entries: entries.sort(compareEntries).slice(0, maxEntries),
+      };
+    } catch (error) {
+      return createEmptyLeaderboard();
+    }
+  }
+
+  /**
+   * Read the table from storage. Never throws.
+   * @param {Storage} storage - localStorage or a compatible object.
+   * @returns {{version:number, entries:object[]}} Stored or empty table.
+   */
+  function loadLeaderboard(storage) {
+    try {
+      return parseLeaderboard(storage.getItem(STORAGE_KEY));
+    } catch (error) {
+      return createEmptyLeaderboard();
+    }
+  }
+
+  /**
+   * Write the table to storage.
+   * @param {Storage} storage - localStorage or a compatible object.
+   * @param {{version:number, entries:object[]}} table - Table to save.
+   * @returns {boolean} Whether the write succeeded.
+   */
+  function saveLeaderboard(storage, table) {
+    try {
+      storage.setItem(STORAGE_KEY, JSON.stringify(table));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Whether a score would earn a place on the table.
+   * @param {{entries:object[]}} table - Current table.
+   * @param {number} score - Score to check.
+   * @returns {boolean} True when the score makes the top ten.
+   */
+  function qualifiesForLeaderboard(table, score) {
+    if (score <= 0) {
+      return false;
+    }
+    if (table.entries.length < MAX_ENTRIES) {
+      return true;
+    }
+    return score > table.entries[table.entries.length - 1].score;
+  }
+
+  /**
+   * Build a table entry for a finished run.
+   * @param {object} run - Run summary.
+   * @param {string} run.initials - Player initials.
+   * @param {number} run.score - Total score.
+   * @param {number} run.patientsTreated - Patients treated.
+   * @param {number} run.assessmentsPassed - Assessments passed.
+   * @param {number} run.durationMs - Run length in milliseconds.
+   * @param {string} [run.seed] - Run seed.
+   * @param {Date} [run.date] - When the run finished.
+   * @returns {object} Table entry.
+   */
+  function createEntry(run) {
+    return {
+      initials: normalizeInitials(run.initials),
+      score: run.score,
+      patientsTreated: run.patientsTreated,
+      assessmentsPassed: run.assessmentsPassed,
+      durationMs: Math.round(run.durationMs),
+      seed: run.seed || "",
+      date: (run.date || new Date()).toISOString(),
+    };
+  }
+
+  /**
+   * Add an entry, keeping the table sorted and capped (ten rows by default).
+   * @param {{version:number, entries:object[]}} table - Current table.
+   * @param {object} entry - Entry from createEntry().
+   * @param {number} [maxEntries] - Rows to keep.
+   * @returns {{version:number, entries:object[]}} New table.
+   */
+  function addEntry(table, entry, maxEntries = MAX_ENTRIES) {
+    const entries = table.entries.concat(entry).sort(compareEntries);
+    return {
+      version: LEADERBOARD_VERSION,
+      entries: entries.slice(0, maxEntries),
+    };
+  }
+
+  /**
+   * Read the initials used last time, for prefilling the entry.
+   * @param {Storage} storage - localStorage or a compatible object.
+   * @returns {string} Normalized initials.
+   */
+  function loadLastInitials(storage) {
+    try {
+      return normalizeInitials(storage.getItem(INITIALS_STORAGE_KEY));
+    } catch (error) {
+      return normalizeInitials("");
+    }
+  }
+
+  /**
+   * Remember initials for the next entry.
+   * @param {Storage} storage - localStorage or a compatible object.
+   * @param {string} initials - Initials to remember.
+   */
+  function saveLastInitials(storage, initials) {
+    try {
+      storage.setItem(INITIALS_STORAGE_KEY, normalizeInitials(initials));
+    } catch (error) {
+      // Storage is optional; the prefill simply falls back next time.
+    }
+  }
+
+  const CertQuestLeaderboard = {
+    STORAGE_KEY,
+    LEADERBOARD_VERSION,
+    MAX_ENTRIES,
+    INITIALS_LENGTH,
+    INITIALS_ALPHABET,
+    normalizeInitials,
+    createEmptyLeaderboard,
+    parseLeaderboard,
+    loadLeaderboard,
+    saveLeaderboard,
+    qualifiesForLeaderboard,
+    createEntry,
+    addEntry,
+    loadLastInitials,
+    saveLastInitials,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = CertQuestLeaderboard;
+  } else {
+    root.CertQuestLeaderboard = CertQuestLeaderboard;
+  }
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,756 @@
+/* eslint-disable no-console */
+
+/**
+ * Question bank tool: checks the banks in questions/ and converts questions
+ * written elsewhere into the bank format described in quiz.js. Uses only
+ * Node built-ins.
+ *
+ * Usage:
+ *   npm run questions -- validate [bank.json ...]
+ *   npm run questions -- import <file> --specialty <name>
+ *                        [--format csv|anki|gift] [--prefix <id prefix>]
+ *                        [--out <bank.json>]
+ *
+ * validate defaults to every bank listed in questions/index.json, reports
+ * malformed entries and duplicates across banks, and exits non-zero when it
+ * finds any. import prints the new bank, or writes it with --out, and
+ * refuses to write a bank that would not validate.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+
+const Quiz = require("./quiz");
+
+const QUESTIONS_DIR = path.join(__dirname, Quiz.QUESTIONS_DIR);
+const IMPORT_FORMATS = ["csv", "anki", "gift"];
+const FORMAT_BY_EXTENSION = {
+  ".csv": "csv",
+  ".txt": "anki",
+  ".tsv": "anki",
+  ".gift": "gift",
+};
+// GIFT stems may start with a markup marker such as [html].
+const GIFT_MARKUP = /^\[(html|markdown|plain|moodle)\]/;
+const ANKI_SEPARATORS = {
+  tab: "\t",
+  comma: ",",
+  semicolon: ";",
+  pipe: "|",
+  space: " ",
+};
+
+/**
+ * Turn a specialty name into an id prefix, e.g. "Emergency Medicine" into
+ * "emergency-medicine".
+ * @param {string} text - Name to convert.
+ * @returns {string} Lower-case slug.
+ */
+function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Split delimited text into rows of fields. Handles quoted fields with
+ * doubled quotes and line breaks, CRLF line endings and a leading BOM, as
+ * written by spreadsheets and by Anki.
+ * @param {string} text - File contents.
+ * @param {string} [delimiter] - Field separator.
+ * @returns {string[][]} Rows, without blank lines.
+ */
+function parseDelimited(text, delimiter = ",") {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const source = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") {
+        i += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+}
+
+/**
+ * Split a list cell such as "cardiology; ecg" into its items.
+ * @param {string} text - Cell text.
+ * @param {RegExp} [separator] - Item separator.
+ * @returns {string[]} Trimmed, non-empty items.
+ */
+function splitList(text, separator = /[;|]/) {
+  return String(text || "")
+    .split(separator)
+    .map((item) => item.trim())
+    .filter((item) => item !== "");
+}
+
+/**
+ * Work out which choice an answer cell points at. Accepts a letter (A-F),
+ * a 1-based number, or the text of the correct choice.
+ * @param {string} value - Answer cell.
+ * @param {string[]} choices - The question's choices.
+ * @returns {number|null} Choice index, or null when it cannot be matched.
+ */
+function resolveAnswer(value, choices) {
+  const text = String(value || "").trim();
+  if (/^[A-Fa-f]$/.test(text)) {
+    return text.toUpperCase().charCodeAt(0) - 65;
+  }
+  if (/^\d+$/.test(text)) {
+    return Number(text) - 1;
+  }
+  const index = choices.findIndex(
+    (choice) => choice.toLowerCase() === text.toLowerCase()
+  );
+  return index === -1 ? null : index;
+}
+
+/**
+ * Fill in the optional fields shared by every importer. Tags that name a
+ * difficulty set the difficulty instead.
+ * @param {object} question - Question with its required fields.
+ * @param {{tags?: string[], difficulty?: string, references?: string[]}}
+ *   extra - Optional fields read from the source.
+ * @returns {object} Question in bank format.
+ */
+function withOptionalFields(question, extra) {
+  const result = { ...question };
+  const tags = [];
+  let { difficulty } = extra;
+  (extra.tags || []).forEach((tag) => {
+    const lower = tag.toLowerCase();
+    if (!difficulty && Quiz.DIFFICULTIES.includes(lower)) {
+      difficulty = lower;
+    } else if (!tags.includes(tag)) {
+      tags.push(tag);
+    }
+  });
+  if (tags.length > 0) {
+    result.tags = tags;
+  }
+  if (difficulty) {
+    result.difficulty = difficulty.toLowerCase();
+  }
+  if (extra.references && extra.references.length > 0) {
+    result.references = extra.references;
+  }
+  return result;
+}
+
+/**
+ * Convert a spreadsheet saved as CSV. The first row names the columns:
+ * `stem` (or `question`), one column per choice whose name starts with
+ * `choice` or `option`, `answer` (or `correct`), `explanation`, and
+ * optionally `id`, `tags`, `difficulty` and `references`. Lists use `;` or
+ * `|` between items. Blank choice cells are skipped.
+ * @param {string} text - CSV text.
+ * @returns {{questions: object[], problems: string[]}} Imported questions
+ *   and problems that stopped a row from being read.
+ */
+function importCsv(text) {
+  const [header, ...rows] = parseDelimited(text, ",");
+  const problems = [];
+  if (!header) {
+    return { questions: [], problems: ["file is empty"] };
+  }
+  const names = header.map((name) => name.trim().toLowerCase());
+  const column = (...aliases) =>
+    names.findIndex((name) => aliases.includes(name));
+  const choiceColumns = names
+    .map((name, index) => (/^(choice|option)/.test(name) ? index : -1))
+    .filter((index) => index !== -1);
+  const stemColumn = column("stem", "question");
+  const answerColumn = column("answer", "correct");
+  if (stemColumn === -1 || answerColumn === -1 || choiceColumns.length === 0) {
+    problems.push(
+      "header needs stem, answer and choice columns " +
+        "(e.g. stem,choice1,choice2,answer,explanation)"
+    );
+    return { questions: [], problems };
+  }
+  const idColumn = column("id");
+  const cell = (cells, index) =>
+    index === -1 || cells[index] === undefined ? "" : cells[index].trim();
+
+  const questions = rows.map((cells) => {
+    // Letters and numbers count the choice columns as written, so the
+    // answer is found before blank cells are dropped.
+    const columns = choiceColumns.map((index) => cell(cells, index));
+    const choices = columns.filter((choice) => choice !== "");
+    const written = resolveAnswer(cell(cells, answerColumn), columns);
+    const answer =
+      written === null || !columns[written]
+        ? null
+        : columns.slice(0, written).filter((choice) => choice !== "").length;
+    return withOptionalFields(
+      {
+        id: cell(cells, idColumn),
+        stem: cell(cells, stemColumn),
+        choices,
+        answer,
+        explanation: cell(cells, column("explanation")),
+      },
+      {
+        tags: splitList(cell(cells, column("tags", "tag"))),
+        difficulty: cell(cells, column("difficulty")),
+        references: splitList(
+          cell(cells, column("references", "reference"))
+        ),
+      }
+    );
+  });
+  return { questions, problems };
+}
+
+/**
+ * Reduce an Anki HTML field to plain text.
+ * @param {string} html - Field contents.
+ * @returns {string} Text with line breaks kept as newlines.
+ */
+function htmlToText(html) {
+  return String(html || "")
+    .replace(/<br\s*\/?>|<\/div>|<\/p>|<\/li>/gi, "\n")
+    .replace(/<[^>]*>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * Convert an Anki "Notes in Plain Text" export. Each note's fields are, in
+ * order: question, choices (one per line, "A." / "1)" labels are dropped),
+ * answer (letter, number or text) and explanation. Anki's `#separator:`
+ * and `#... column:` header lines are honoured: the tags column supplies
+ * space-separated tags, and guid, notetype and deck columns are skipped.
+ * @param {string} text - Exported text.
+ * @returns {{questions: object[], problems: string[]}} Imported questions
+ *   and problems that stopped a note from being read.
+ */
+function importAnki(text) {
+  const lines = text.replace(/^\uFEFF/, "").split(/\r?\n/);
+  let delimiter = "\t";
+  let tagsColumn = -1;
+  const skippedColumns = [];
+  const body = [];
+  lines.forEach((line) => {
+    const directive = /^#([a-z ]+):(.*)$/i.exec(line);
+    if (!directive) {
+      body.push(line);
+      return;
+    }
+    const [, name, value] = directive;
+    if (name.toLowerCase() === "separator") {
+      const key = value.trim().toLowerCase();
+      delimiter = ANKI_SEPARATORS[key] || value;
+    } else if (name.toLowerCase() === "tags column") {
+      tagsColumn = Number.parseInt(value, 10) - 1;
+    } else if (/^(guid|notetype|deck) column$/i.test(name)) {
+      skippedColumns.push(Number.parseInt(value, 10) - 1);
+    }
+  });
+
+  const problems = [];
+  const questions = [];
+  parseDelimited(body.join("\n"), delimiter).forEach((columns, index) => {
+    const fields = columns.filter(
+      (field, column) =>
+        column !== tagsColumn && !skippedColumns.includes(column)
+    );
+    if (fields.length < 4) {
+      problems.push(
+        `note ${index + 1} has ${fields.length} fields; expected question, ` +
+          "choices, answer and explanation"
+      );
+      return;
+    }
+    const choices = htmlToText(fields[1])
+      .split("\n")
+      .map((choice) => choice.replace(/^\s*([A-Fa-f]|\d)[.)]\s+/, "").trim())
+      .filter((choice) => choice !== "");
+    questions.push(
+      withOptionalFields(
+        {
+          id: "",
+          stem: htmlToText(fields[0]).trim(),
+          choices,
+          answer: resolveAnswer(htmlToText(fields[2]), choices),
+          explanation: htmlToText(fields[3]).trim(),
+        },
+        {
+          tags: splitList(columns[tagsColumn], /\s+/),
+        }
+      )
+    );
+  });
+  return { questions, problems };
+}
+
+/**
+ * Index of the first unescaped occurrence of a character in GIFT text.
+ * @param {string} text - GIFT text.
+ * @param {string} char - Character to find.
+ * @param {number} [from] - Index to start at.
+ * @returns {number} Index, or -1.
+ */
+function findUnescaped(text, char, from = 0) {
+  for (let i = from; i < text.length; i += 1) {
+    if (text[i] === "\\") {
+      i += 1;
+    } else if (text[i] === char) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Undo GIFT escapes (\: \= \~ \# \{ \} \\ and \n).
+ * @param {string} text - Escaped text.
+ * @returns {string} Plain text.
+ */
+function unescapeGift(text) {
+  return text
+    .replace(/\\n/g, "\n")
+    .replace(/\\([:=~#{}\\])/g, "$1")
+    .trim();
+}
+
+/**
+ * Split the inside of a GIFT answer block on unescaped `=` and `~`.
+ * @param {string} block - Text between the braces, general feedback removed.
+ * @returns {Array<{correct: boolean, text: string}>} Answers in order.
+ */
+function splitGiftAnswers(block) {
+  const answers = [];
+  let current = null;
+  for (let i = 0; i < block.length; i += 1) {
+    const char = block[i];
+    if (char === "\\") {
+      if (current) {
+        current.text += block.slice(i, i + 2);
+      }
+      i += 1;
+    } else if (char === "=" || char === "~") {
+      current = { correct: char === "=", text: "" };
+      answers.push(current);
+    } else if (current) {
+      current.text += char;
+    }
+  }
+  return answers.map((answer) => {
+    let text = answer.text;
+    const feedbackAt = findUnescaped(text, "#");
+    if (feedbackAt !== -1) {
+      text = text.slice(0, feedbackAt);
+    }
+    let { correct } = answer;
+    const weight = /^\s*%(-?\d+(?:\.\d+)?)%/.exec(text);
+    if (weight) {
+      correct = Number(weight[1]) === 100;
+      text = text.slice(weight[0].length);
+    }
+    return { correct, text: unescapeGift(text) };
+  });
+}
+
+/**
+ * Convert Moodle GIFT text. Multiple-choice questions are read: the `::id::`
+ * title becomes the id, `=` marks the correct answer, `~` the others, and
+ * the `####` general feedback becomes the explanation. `$CATEGORY:` lines
+ * tag the questions that follow with the category's last part. Other GIFT
+ * question types are reported and skipped.
+ * @param {string} text - GIFT text.
+ * @returns {{questions: object[], problems: string[]}} Imported questions
+ *   and problems that stopped a question from being read.
+ */
+function importGift(text) {
+  const problems = [];
+  const questions = [];
+  let category = "";
+  let count = 0;
+  const blocks = text
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .filter((line) => !/^\s*\/\//.test(line))
+    .join("\n")
+    .split(/\n\s*\n/);
+
+  blocks.forEach((rawBlock) => {
+    let block = rawBlock.trim();
+    const categoryLine = /^\$CATEGORY:\s*(.*)$/m.exec(block);
+    if (categoryLine) {
+      category = categoryLine[1].split("/").pop().trim();
+      block = block.replace(categoryLine[0], "").trim();
+    }
+    if (block === "") {
+      return;
+    }
+    count += 1;
+    const label = `question ${count}`;
+    let id = "";
+    const title = /^::((?:\\.|[^:\\]|:(?!:))*)::/.exec(block);
+    if (title) {
+      id = unescapeGift(title[1]);
+      block = block.slice(title[0].length);
+    }
+    const open = findUnescaped(block, "{");
+    const close = open === -1 ? -1 : findUnescaped(block, "}", open);
+    if (open === -1 || close === -1) {
+      problems.push(`${label} has no {answer} block`);
+      return;
+    }
+    if (block.slice(close + 1).trim() !== "") {
+      problems.push(
+        `${label} is a missing-word question; only plain multiple choice ` +
+          "is supported"
+      );
+      return;
+    }
+    let inside = block.slice(open + 1, close);
+    let explanation = "";
+    const generalFeedback = inside.indexOf("####");
+    if (generalFeedback !== -1) {
+      explanation = unescapeGift(inside.slice(generalFeedback + 4));
+      inside = inside.slice(0, generalFeedback);
+    }
+    const answers = splitGiftAnswers(inside);
+    if (answers.length === 0) {
+      problems.push(`${label} is not a multiple-choice question`);
+      return;
+    }
+    const correct = answers.filter((answer) => answer.correct);
+    if (correct.length !== 1) {
+      problems.push(`${label} needs exactly one = (correct) answer`);
+      return;
+    }
+    questions.push(
+      withOptionalFields(
+        {
+          id,
+          stem: unescapeGift(block.slice(0, open).replace(GIFT_MARKUP, "")),
+          choices: answers.map((answer) => answer.text),
+          answer: answers.indexOf(correct[0]),
+          explanation,
+        },
+        { tags: category ? [slugify(category)] : [] }
+      )
+    );
+  });
+  return { questions, problems };
+}
+
+const IMPORTERS = {
+  csv: importCsv,
+  anki: importAnki,
+  gift: importGift,
+};
+
+/**
+ * Name a question in a report: its position and, when it has one, its id.
+ * @param {object} question - Question being reported.
+ * @param {number} index - Position in its bank.
+ * @returns {string} Label such as `question 3 (cardio-003)`.
+ */
+function describeQuestion(question, index) {
+  const id = question && typeof question.id === "string" ? question.id : "";
+  return id ? `question ${index + 1} (${id})` : `question ${index + 1}`;
+}
+
+/**
+ * Find question ids and stems used more than once across banks. Stems are
+ * compared ignoring case and spacing.
+ * @param {Array<{file: string, bank: object}>} sources - Banks to compare,
+ *   with the file each came from.
+ * @returns {Array<{kind: string, key: string,
+ *   places: Array<{file: string, index: number}>}>} Repeated ids and stems.
+ */
+function findDuplicates(sources) {
+  const seen = { id: new Map(), stem: new Map() };
+  sources.forEach(({ file, bank }) => {
+    if (!bank || !Array.isArray(bank.questions)) {
+      return;
+    }
+    bank.questions.forEach((question, index) => {
+      if (!question) {
+        return;
+      }
+      const keys = {
+        id: typeof question.id === "string" ? question.id.trim() : "",
+        stem:
+          typeof question.stem === "string"
+            ? question.stem.trim().toLowerCase().replace(/\s+/g, " ")
+            : "",
+      };
+      Object.keys(keys).forEach((kind) => {
+        if (keys[kind] === "") {
+          return;
+        }
+        const places = seen[kind].get(keys[kind]) || [];
+        places.push({ file, index });
+        seen[kind].set(keys[kind], places);
+      });
+    });
+  });
+  const duplicates = [];
+  Object.keys(seen).forEach((kind) => {
+    seen[kind].forEach((places, key) => {
+      if (places.length > 1) {
+        duplicates.push({ kind, key, places });
+      }
+    });
+  });
+  return duplicates;
+}
+
+/**
+ * Describe a duplicate for a report.
+ * @param {{kind: string, key: string,
+ *   places: Array<{file: string, index: number}>}} duplicate - Duplicate
+ *   from findDuplicates().
+ * @returns {string} One-line description.
+ */
+function describeDuplicate({ kind, key, places }) {
+  const shown = key.length > 60 ? `${key.slice(0, 57)}...` : key;
+  const where = places
+    .map(({ file, index }) =>
+      file ? `${file} question ${index + 1}` : `question ${index + 1}`
+    )
+    .join(", ");
+  return `duplicate ${kind} "${shown}": ${where}`;
+}
+
+/**
+ * List what is wrong with a bank and each of its questions, including ids
+ * and stems repeated inside the bank.
+ * @param {object} bank - Parsed bank.
+ * @returns {string[]} Problems; empty when the bank is valid.
+ */
+function getBankProblems(bank) {
+  if (!bank || typeof bank !== "object") {
+    return ["bank is not an object"];
+  }
+  const problems = [];
+  if (bank.version !== Quiz.QUESTION_BANK_VERSION) {
+    problems.push(
+      `bank version is ${bank.version}; expected ${Quiz.QUESTION_BANK_VERSION}`
+    );
+  }
+  if (typeof bank.specialty !== "string" || bank.specialty.trim() === "") {
+    problems.push("bank is missing its specialty");
+  }
+  if (!Array.isArray(bank.questions)) {
+    problems.push("bank has no questions list");
+    return problems;
+  }
+  bank.questions.forEach((question, index) => {
+    Quiz.getQuestionProblems(question).forEach((problem) => {
+      problems.push(`${describeQuestion(question, index)} ${problem}`);
+    });
+  });
+  findDuplicates([{ file: "", bank }]).forEach((duplicate) => {
+    problems.push(describeDuplicate(duplicate));
+  });
+  return problems;
+}
+
+/**
+ * Build a bank from imported questions, numbering any without an id.
+ * @param {object[]} questions - Questions from an importer.
+ * @param {string} specialty - Specialty of the new bank.
+ * @param {string} [prefix] - Id prefix; defaults to the specialty slug.
+ * @returns {object} Bank in the current format.
+ */
+function createBank(questions, specialty, prefix = slugify(specialty)) {
+  return {
+    version: Quiz.QUESTION_BANK_VERSION,
+    specialty,
+    questions: questions.map((question, index) => ({
+      ...question,
+      id: question.id || `${prefix}-${String(index + 1).padStart(3, "0")}`,
+    })),
+  };
+}
+
+/**
+ * Read the bank files listed in the questions index.
+ * @param {string} dir - Question bank directory.
+ * @returns {string[]} Bank file paths.
+ */
+function listIndexedBanks(dir) {
+  const index = JSON.parse(
+    fs.readFileSync(path.join(dir, Quiz.QUESTIONS_INDEX), "utf8")
+  );
+  return index.banks.map((file) => path.join(dir, path.basename(file)));
+}
+
+/**
+ * Validate bank files and print a report.
+ * @param {string[]} files - Bank files; empty for every indexed bank.
+ * @returns {number} Exit code: 0 when every bank is clean.
+ */
+function runValidate(files) {
+  const paths = files.length > 0 ? files : listIndexedBanks(QUESTIONS_DIR);
+  const sources = [];
+  let problemCount = 0;
+  paths.forEach((file) => {
+    const name = path.relative(process.cwd(), file) || file;
+    let bank;
+    try {
+      bank = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+      console.error(`${name}: cannot be read: ${error.message}`);
+      problemCount += 1;
+      return;
+    }
+    sources.push({ file: name, bank });
+    const problems = getBankProblems(bank);
+    problems.forEach((problem) => console.error(`${name}: ${problem}`));
+    problemCount += problems.length;
+    if (problems.length === 0) {
+      console.log(`${name}: ${bank.questions.length} questions OK`);
+    }
+  });
+  // Repeats inside one bank were reported with that bank above.
+  const shared = findDuplicates(sources).filter(
+    ({ places }) => new Set(places.map(({ file }) => file)).size > 1
+  );
+  shared.forEach((duplicate) => console.error(describeDuplicate(duplicate)));
+  problemCount += shared.length;
+  if (problemCount > 0) {
+    console.error(`${problemCount} problem(s) found.`);
+    return 1;
+  }
+  return 0;
+}
+
+/**
+ * Import a file into a new bank and print or write it.
+ * @param {string} file - Source file.
+ * @param {{specialty?: string, format?: string, prefix?: string,
+ *   out?: string}} options - Command-line options.
+ * @returns {number} Exit code: 0 when the bank was produced.
+ */
+function runImport(file, options) {
+  if (!file || !options.specialty) {
+    console.error("import needs a file and --specialty.");
+    return 2;
+  }
+  const format =
+    options.format || FORMAT_BY_EXTENSION[path.extname(file).toLowerCase()];
+  if (!IMPORT_FORMATS.includes(format)) {
+    console.error(`Pick --format: one of ${IMPORT_FORMATS.join(", ")}.`);
+    return 2;
+  }
+  const { questions, problems } = IMPORTERS[format](
+    fs.readFileSync(file, "utf8")
+  );
+  const bank = createBank(questions, options.specialty, options.prefix);
+  const allProblems = problems.concat(getBankProblems(bank));
+  if (allProblems.length > 0) {
+    allProblems.forEach((problem) => console.error(`${file}: ${problem}`));
+    console.error(`${allProblems.length} problem(s) found; nothing written.`);
+    return 1;
+  }
+  const json = `${JSON.stringify(bank, null, 2)}\n`;
+  if (options.out) {
+    fs.writeFileSync(options.out, json);
+    console.log(
+      `Wrote ${bank.questions.length} questions to ${options.out}. ` +
+        `Add it to ${Quiz.QUESTIONS_DIR}/${Quiz.QUESTIONS_INDEX} to use it.`
+    );
+  } else {
+    process.stdout.write(json);
+  }
+  return 0;
+}
+
+/**
+ * Run the tool with command-line arguments.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {number} Exit code.
+ */
+function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        specialty: { type: "string" },
+        format: { type: "string" },
+        prefix: { type: "string" },
+        out: { type: "string" },
+      },
+    });
+  } catch (error) {
+    console.error(error.message);
+    return 2;
+  }
+  const [command, ...files] = parsed.positionals;
+  try {
+    if (command === "validate") {
+      return runValidate(files);
+    }
+    if (command === "import") {
+      return runImport(files[0], parsed.values);
+    }
+  } catch (error) {
+    console.error(error.message);
+    return 1;
+  }
+  console.error(
+    "Usage: npm run questions -- validate [bank.json ...]\n" +
+      "       npm run questions -- import <file> --specialty <name> " +
+      "[--format csv|anki|gift] [--prefix <id prefix>] [--out <bank.json>]"
+  );
+  return 2;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  parseDelimited,
+  resolveAnswer,
+  importCsv,
+  importAnki,
+  importGift,
+  getBankProblems,
+  findDuplicates,
+  createBank,
+  main,
+};
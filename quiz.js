@@ -0,0 +1,256 @@
+/**
+ * Quiz mode for Cert Quest.
+ * Question banks are JSON files grouped by specialty, listed in
+ * questions/index.json. A run draws its questions from a deck shuffled by
+ * the run seed, so the same seed asks the same questions in the same order.
+ *
+ * Bank format (version 1):
+ *   {
+ *     "version": 1,
+ *     "specialty": "Cardiology",
+ *     "questions": [{
+ *       "id": "cardio-001",          unique across all banks
+ *       "stem": "...",               the question text
+ *       "choices": ["...", "..."],   2 to 6 distinct answers
+ *       "answer": 1,                 index of the correct choice
+ *       "explanation": "...",        shown after answering
+ *       "tags": ["cardiology"],      optional specialty tags
+ *       "difficulty": "medium",      optional: easy, medium or hard
+ *       "references": ["..."]        optional sources
+ *     }]
+ *   }
+ */
+
+(function (root) {
+  const Sim =
+    typeof module !== "undefined" && module.exports
+      ? require("./sim")
+      : root.CertQuestSim;
+
+  const QUESTIONS_DIR = "questions";
+  const QUESTIONS_INDEX = "index.json";
+  const ALL_SPECIALTIES = "all";
+  const QUESTION_BANK_VERSION = 1;
+  const MIN_CHOICES = 2;
+  const MAX_CHOICES = 6;
+  const DIFFICULTIES = ["easy", "medium", "hard"];
+
+  /**
+   * Whether a value is a string with something other than whitespace in it.
+   * @param {*} value - Value to check.
+   * @returns {boolean} True for non-blank strings.
+   */
+  function isFilledString(value) {
+    return typeof value === "string" && value.trim() !== "";
+  }
+
+  /**
+   * Whether a value is an array of non-blank strings.
+   * @param {*} value - Value to check.
+   * @returns {boolean} True for a list of strings.
+   */
+  function isStringList(value) {
+    return Array.isArray(value) && value.every(isFilledString);
+  }
+
+  /**
+   * List what is wrong with a question, in the words an author would use to
+   * fix it.
+   * @param {object} question - Candidate question.
+   * @returns {string[]} Problems; empty when the question is valid.
+   */
+  function getQuestionProblems(question) {
+    if (!question || typeof question !== "object") {
+      return ["is not an object"];
+    }
+    const problems = [];
+    if (!isFilledString(question.id)) {
+      problems.push("is missing its id");
+    }
+    if (!isFilledString(question.stem)) {
+      problems.push("is missing its stem");
+    }
+    const { choices } = question;
+    if (!isStringList(choices)) {
+      problems.push("needs choices as a list of non-empty strings");
+    } else {
+      if (choices.length < MIN_CHOICES || choices.length > MAX_CHOICES) {
+        problems.push(
+          `has ${choices.length} choices; use ${MIN_CHOICES} to ${MAX_CHOICES}`
+        );
+      }
+      const normalized = choices.map((choice) => choice.trim().toLowerCase());
+      if (new Set(normalized).size !== normalized.length) {
+        problems.push("repeats a choice");
+      }
+      if (
+        !Number.isInteger(question.answer) ||
+        question.answer < 0 ||
+        question.answer >= choices.length
+      ) {
+        problems.push("has no valid answer index");
+      }
+    }
+    if (!isFilledString(question.explanation)) {
+      problems.push("is missing its explanation");
+    }
+    if (question.tags !== undefined && !isStringList(question.tags)) {
+      problems.push("needs tags as a list of strings");
+    }
+    if (
+      question.difficulty !== undefined &&
+      !DIFFICULTIES.includes(question.difficulty)
+    ) {
+      problems.push(`has difficulty other than ${DIFFICULTIES.join(", ")}`);
+    }
+    if (
+      question.references !== undefined &&
+      !isStringList(question.references)
+    ) {
+      problems.push("needs references as a list of strings");
+    }
+    return problems;
+  }
+
+  /**
+   * Whether a question has everything the overlay needs.
+   * @param {object} question - Candidate question.
+   * @returns {boolean} True when usable.
+   */
+  function isValidQuestion(question) {
+    return getQuestionProblems(question).length === 0;
+  }
+
+  /**
+   * Flatten loaded banks into one question list, tagging each question with
+   * its bank's specialty and dropping malformed entries.
+   * @param {object[]} banks - Parsed bank files.
+   * @param {string} [specialty] - Specialty to keep, or "all".
+   * @returns {object[]} Usable questions.
+   */
+  function collectQuestions(banks, specialty = ALL_SPECIALTIES) {
+    const questions = [];
+    for (const bank of banks) {
+      if (!bank || !Array.isArray(bank.questions)) {
+        continue;
+      }
+      if (specialty !== ALL_SPECIALTIES && bank.specialty !== specialty) {
+        continue;
+      }
+      for (const question of bank.questions) {
+        if (isValidQuestion(question)) {
+          questions.push({ ...question, specialty: bank.specialty });
+        }
+      }
+    }
+    return questions;
+  }
+
+  /**
+   * List the specialties present in the loaded banks.
+   * @param {object[]} banks - Parsed bank files.
+   * @returns {string[]} Specialty names, in bank order.
+   */
+  function listSpecialties(banks) {
+    const names = [];
+    for (const bank of banks) {
+      if (bank && typeof bank.specialty === "string") {
+        if (!names.includes(bank.specialty)) {
+          names.push(bank.specialty);
+        }
+      }
+    }
+    return names;
+  }
+
+  /**
+   * Look a question up by id.
+   * @param {object[]} questions - Questions from collectQuestions().
+   * @param {string} id - Question id.
+   * @returns {object|null} The question, or null when unknown.
+   */
+  function findQuestion(questions, id) {
+    return questions.find((question) => question.id === id) || null;
+  }
+
+  /**
+   * Shuffle question indexes in place (Fisher-Yates).
+   * @param {number[]} order - Indexes to shuffle.
+   * @param {{state:number}} rng - Generator state.
+   */
+  function shuffle(order, rng) {
+    for (let i = order.length - 1; i > 0; i -= 1) {
+      const j = Sim.randomBetween(rng, 0, i);
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+  }
+
+  /**
+   * Create a seeded deck over a question list.
+   * @param {object[]} questions - Questions from collectQuestions().
+   * @param {string} seed - Run seed.
+   * @returns {object} Deck state.
+   */
+  function createQuizDeck(questions, seed) {
+    const deck = {
+      questions,
+      rng: Sim.createRng(`quiz:${seed}`),
+      order: questions.map((question, index) => index),
+      position: 0,
+    };
+    shuffle(deck.order, deck.rng);
+    return deck;
+  }
+
+  /**
+   * Draw the next question, reshuffling once every question has been asked.
+   * @param {object} deck - Deck from createQuizDeck(), advanced in place.
+   * @returns {object|null} Next question, or null for an empty deck.
+   */
+  function drawQuestion(deck) {
+    if (deck.order.length === 0) {
+      return null;
+    }
+    if (deck.position >= deck.order.length) {
+      shuffle(deck.order, deck.rng);
+      deck.position = 0;
+    }
+    const question = deck.questions[deck.order[deck.position]];
+    deck.position += 1;
+    return question;
+  }
+
+  /**
+   * Whether a choice is the question's correct answer.
+   * @param {object} question - Question being answered.
+   * @param {number} choiceIndex - Index of the chosen answer.
+   * @returns {boolean} True when correct.
+   */
+  function isCorrectAnswer(question, choiceIndex) {
+    return choiceIndex === question.answer;
+  }
+
+  const CertQuestQuiz = {
+    QUESTIONS_DIR,
+    QUESTIONS_INDEX,
+    ALL_SPECIALTIES,
+    QUESTION_BANK_VERSION,
+    MIN_CHOICES,
+    MAX_CHOICES,
+    DIFFICULTIES,
+    getQuestionProblems,
+    isValidQuestion,
+    collectQuestions,
+    listSpecialties,
+    findQuestion,
+    createQuizDeck,
+    drawQuestion,
+    isCorrectAnswer,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = CertQuestQuiz;
+  } else {
+    root.CertQuestQuiz = CertQuestQuiz;
+  }
+})(typeof window !== "undefined" ? window : globalThis);
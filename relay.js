@@ -0,0 +1,386 @@
+/**
+ * Head-to-head relay for Cert Quest: pairs two players by room code and
+ * forwards their statuses and consults over WebSocket. Uses only Node
+ * built-ins, like server.js, which attaches it at /api/versus. The relay
+ * never runs the game; it only picks the shared seed and checks each
+ * message with versus.js before passing it on.
+ */
+
+const crypto = require("crypto");
+
+const Sim = require("./sim");
+const Versus = require("./versus");
+
+// From RFC 6455, section 1.3.
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+const OPCODES = {
+  TEXT: 0x1,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa,
+};
+
+// Clients wait CONSULT_COOLDOWN_MS of game time between consults, which
+// can run ahead of wall-clock time by a little; the relay only stops a
+// client from flooding its opponent.
+const MIN_CONSULT_GAP_MS = Versus.CONSULT_COOLDOWN_MS / 2;
+
+/**
+ * The Sec-WebSocket-Accept value answering a handshake key.
+ * @param {string} key - The client's Sec-WebSocket-Key header.
+ * @returns {string} Accept value.
+ */
+function getAcceptKey(key) {
+  return crypto
+    .createHash("sha1")
+    .update(key + WEBSOCKET_GUID)
+    .digest("base64");
+}
+
+/**
+ * Build one unfragmented frame. Servers send unmasked frames; a mask is
+ * only given when acting as a client, as the tests do.
+ * @param {number} opcode - An OPCODES value.
+ * @param {Buffer} [payload] - Frame payload.
+ * @param {Buffer} [mask] - Four masking bytes.
+ * @returns {Buffer} Encoded frame.
+ */
+function encodeFrame(opcode, payload = Buffer.alloc(0), mask = null) {
+  const { length } = payload;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  if (!mask) {
+    return Buffer.concat([header, payload]);
+  }
+  header[1] |= 0x80;
+  const masked = Buffer.alloc(length);
+  for (let i = 0; i < length; i += 1) {
+    masked[i] = payload[i] ^ mask[i % 4];
+  }
+  return Buffer.concat([header, mask, masked]);
+}
+
+/**
+ * Split received bytes into complete client frames. Client frames must be
+ * masked; fragmented and oversized frames are refused, since every relay
+ * message is small.
+ * @param {Buffer} buffer - Bytes received and not yet decoded.
+ * @param {number} [maxPayload] - Largest payload accepted.
+ * @returns {{frames: Array<{opcode:number, payload:Buffer}>, rest: Buffer}}
+ *   Decoded frames, and the bytes of an incomplete frame left over.
+ */
+function decodeFrames(buffer, maxPayload = Versus.MAX_MESSAGE_BYTES) {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const first = buffer[offset];
+    const second = buffer[offset + 1];
+    let length = second & 0x7f;
+    let headerLength = 2;
+    if (length === 126) {
+      if (buffer.length - offset < 4) {
+        break;
+      }
+      length = buffer.readUInt16BE(offset + 2);
+      headerLength = 4;
+    } else if (length === 127) {
+      if (buffer.length - offset < 10) {
+        break;
+      }
+      const longLength = buffer.readBigUInt64BE(offset + 2);
+      length =
+        longLength > BigInt(maxPayload) ? Infinity : Number(longLength);
+      headerLength = 10;
+    }
+    if ((first & 0x80) === 0) {
+      throw new Error("Fragmented frames are not supported.");
+    }
+    if ((second & 0x80) === 0) {
+      throw new Error("Client frames must be masked.");
+    }
+    if (length > maxPayload) {
+      throw new Error("Frame is too large.");
+    }
+    const maskStart = offset + headerLength;
+    const frameEnd = maskStart + 4 + length;
+    if (buffer.length < frameEnd) {
+      break;
+    }
+    const payload = Buffer.alloc(length);
+    for (let i = 0; i < length; i += 1) {
+      payload[i] = buffer[maskStart + 4 + i] ^ buffer[maskStart + (i % 4)];
+    }
+    frames.push({ opcode: first & 0x0f, payload });
+    offset = frameEnd;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Pair players by room code and forward their messages. Transport-free:
+ * each player is a peer with a send(text) method, so the pairing rules
+ * can be tested without sockets.
+ * @param {object} [options] - Relay options.
+ * @param {function(): string} [options.generateSeed] - Seed picker for
+ *   each race.
+ * @param {function(): number} [options.now] - Clock for the consult limit.
+ * @returns {{connect: function(object): {receive: function(string),
+ *   disconnect: function()}, rooms: Map<string, object>}} Relay.
+ */
+function createRelay(options = {}) {
+  const generateSeed = options.generateSeed || Sim.generateSeed;
+  const now = options.now || Date.now;
+  const rooms = new Map();
+  const { MESSAGE_TYPES } = Versus;
+
+  /**
+   * Send a message to one peer.
+   * @param {object} peer - Peer with send(text).
+   * @param {object} message - Message to send.
+   */
+  function send(peer, message) {
+    peer.send(Versus.encodeMessage(message));
+  }
+
+  /**
+   * Add a player. Returns what the transport calls as messages arrive and
+   * when the player goes away.
+   * @param {{send: function(string)}} peer - The player's connection.
+   * @returns {{receive: function(string), disconnect: function()}}
+   *   Connection handlers.
+   */
+  function connect(peer) {
+    let room = null;
+    let lastConsultAt = -Infinity;
+
+    /**
+     * Put the player in a room, starting the race when it is the second.
+     * @param {object} message - JOIN message.
+     */
+    function join(message) {
+      if (room) {
+        send(peer, { type: MESSAGE_TYPES.ERROR, message: "Already joined." });
+        return;
+      }
+      const existing = rooms.get(message.room);
+      if (!existing) {
+        room = {
+          code: message.room,
+          difficulty: message.difficulty,
+          peers: [peer],
+          started: false,
+        };
+        rooms.set(room.code, room);
+        send(peer, { type: MESSAGE_TYPES.WAITING });
+        return;
+      }
+      if (existing.started) {
+        send(peer, {
+          type: MESSAGE_TYPES.ERROR,
+          message: "That room is already racing. Pick another code.",
+        });
+        return;
+      }
+      room = existing;
+      room.peers.push(peer);
+      room.started = true;
+      const start = {
+        type: MESSAGE_TYPES.START,
+        seed: generateSeed(),
+        difficulty: room.difficulty,
+      };
+      room.peers.forEach((other) => send(other, start));
+    }
+
+    /**
+     * Pass a message on to the opponent.
+     * @param {object} message - STATUS or CONSULT message.
+     */
+    function forward(message) {
+      if (message.type === MESSAGE_TYPES.CONSULT) {
+        const at = now();
+        if (at - lastConsultAt < MIN_CONSULT_GAP_MS) {
+          return;
+        }
+        lastConsultAt = at;
+      }
+      room.peers
+        .filter((other) => other !== peer)
+        .forEach((other) => send(other, message));
+    }
+
+    return {
+      receive(text) {
+        const message = Versus.parseMessage(text);
+        if (!message) {
+          send(peer, {
+            type: MESSAGE_TYPES.ERROR,
+            message: "Malformed message.",
+          });
+          return;
+        }
+        if (message.type === MESSAGE_TYPES.JOIN) {
+          join(message);
+          return;
+        }
+        if (
+          room &&
+          room.started &&
+          (message.type === MESSAGE_TYPES.STATUS ||
+            message.type === MESSAGE_TYPES.CONSULT)
+        ) {
+          forward(message);
+          return;
+        }
+        send(peer, {
+          type: MESSAGE_TYPES.ERROR,
+          message: "Unexpected message.",
+        });
+      },
+      disconnect() {
+        if (!room) {
+          return;
+        }
+        room.peers = room.peers.filter((other) => other !== peer);
+        room.peers.forEach((other) =>
+          send(other, { type: MESSAGE_TYPES.LEFT })
+        );
+        if (room.peers.length === 0) {
+          rooms.delete(room.code);
+        }
+        room = null;
+      },
+    };
+  }
+
+  return { connect, rooms };
+}
+
+/**
+ * Speak WebSocket on an upgraded socket and hand its messages to the
+ * relay.
+ * @param {net.Socket} socket - Upgraded socket.
+ * @param {object} relay - Relay from createRelay().
+ * @param {Buffer} head - Bytes that arrived with the upgrade request.
+ */
+function acceptSocket(socket, relay, head) {
+  let buffered = head;
+  let closed = false;
+  const connection = relay.connect({
+    send(text) {
+      if (!closed) {
+        socket.write(encodeFrame(OPCODES.TEXT, Buffer.from(text, "utf8")));
+      }
+    },
+  });
+
+  /**
+   * Leave the relay once, however the socket ends.
+   */
+  function close() {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    connection.disconnect();
+  }
+
+  /**
+   * Decode and handle every complete frame received so far.
+   */
+  function readFrames() {
+    let decoded;
+    try {
+      decoded = decodeFrames(buffered);
+    } catch (error) {
+      close();
+      socket.end(encodeFrame(OPCODES.CLOSE));
+      return;
+    }
+    buffered = decoded.rest;
+    decoded.frames.forEach(({ opcode, payload }) => {
+      if (closed) {
+        return;
+      }
+      if (opcode === OPCODES.TEXT) {
+        connection.receive(payload.toString("utf8"));
+      } else if (opcode === OPCODES.PING) {
+        socket.write(encodeFrame(OPCODES.PONG, payload));
+      } else if (opcode === OPCODES.CLOSE) {
+        close();
+        socket.end(encodeFrame(OPCODES.CLOSE));
+      }
+    });
+  }
+
+  socket.on("data", (chunk) => {
+    buffered = Buffer.concat([buffered, chunk]);
+    readFrames();
+  });
+  socket.on("close", close);
+  socket.on("error", () => socket.destroy());
+  if (buffered.length > 0) {
+    readFrames();
+  }
+}
+
+/**
+ * Answer WebSocket upgrades on /api/versus with the relay. Other upgrade
+ * requests are refused.
+ * @param {http.Server} server - HTTP server.
+ * @param {object} [relay] - Relay from createRelay().
+ * @returns {object} The relay.
+ */
+function attachRelay(server, relay = createRelay()) {
+  server.on("upgrade", (req, socket, head) => {
+    let pathname;
+    try {
+      ({ pathname } = new URL(req.url, "http://localhost"));
+    } catch (error) {
+      pathname = null;
+    }
+    const key = req.headers["sec-websocket-key"];
+    if (
+      pathname !== `/${Versus.VERSUS_PATH}` ||
+      String(req.headers.upgrade).toLowerCase() !== "websocket" ||
+      typeof key !== "string"
+    ) {
+      socket.end("HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n");
+      return;
+    }
+    socket.write(
+      [
+        "HTTP/1.1 101 Switching Protocols",
+        "Upgrade: websocket",
+        "Connection: Upgrade",
+        `Sec-WebSocket-Accept: ${getAcceptKey(key)}`,
+        "",
+        "",
+      ].join("\r\n")
+    );
+    acceptSocket(socket, relay, head);
+  });
+  return relay;
+}
+
+module.exports = {
+  OPCODES,
+  getAcceptKey,
+  encodeFrame,
+  decodeFrames,
+  createRelay,
+  attachRelay,
+};
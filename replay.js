@@ -0,0 +1,411 @@
+/**
+ * Replay recording and playback for Cert Quest.
+ * A replay is the run seed, the number of fixed simulation steps, a
+ * timestamped stream of input changes and, in quiz mode, the assessment
+ * answers. Runs on a custom rule set also carry their config file, and
+ * head-to-head runs the times the opponent's consults arrived. Feeding
+ * those back through sim.js reproduces the original run exactly.
+ */
+
+(function (root) {
+  const Sim =
+    typeof module !== "undefined" && module.exports
+      ? require("./sim")
+      : root.CertQuestSim;
+  const Config =
+    typeof module !== "undefined" && module.exports
+      ? require("./config")
+      : root.CertQuestConfig;
+
+  // Version 2: fixed-step runs, so per-step durations are no longer stored.
+  // Version 3: adds quiz mode and the recorded assessment answers.
+  // Version 4: records Sim.RULES_VERSION, so later rule changes are caught
+  // without a new replay format.
+  // Version 5: records the difficulty preset the run was played on.
+  // Version 6: records the config file of runs on custom rules.
+  // Version 7: records the streak bonus points.
+  // Version 8: records co-op runs, with one input snapshot per player.
+  // Version 9: records the consults received in a head-to-head run.
+  const REPLAY_VERSION = 9;
+
+  /**
+   * Copy the fields of an input snapshot that the simulation reads.
+   * @param {{left:boolean,right:boolean,jump:boolean}|object[]} input -
+   *   Input state, or one per player in a co-op run.
+   * @returns {object|object[]} Plain copy.
+   */
+  function copyInput(input) {
+    if (Array.isArray(input)) {
+      return input.map(copyInput);
+    }
+    return {
+      left: Boolean(input.left),
+      right: Boolean(input.right),
+      jump: Boolean(input.jump),
+    };
+  }
+
+  /**
+   * Whether two input snapshots differ in any field.
+   * @param {object} a - First snapshot.
+   * @param {object} b - Second snapshot.
+   * @returns {boolean} True when they differ.
+   */
+  function inputChanged(a, b) {
+    if (Array.isArray(a)) {
+      return a.some((input, index) => inputChanged(input, b[index]));
+    }
+    return a.left !== b.left || a.right !== b.right || a.jump !== b.jump;
+  }
+
+  /**
+   * Create a recorder for a run that is about to start.
+   * @param {string} seed - Seed of the run being recorded.
+   * @param {{quiz?: boolean, coop?: boolean, config?: object}} [options] -
+   *   Run options: quiz and co-op mode as passed to createState, and the
+   *   full config from parseConfig() for a run on custom rules.
+   * @returns {object} Recorder state.
+   */
+  function createRecorder(seed, options = {}) {
+    return {
+      seed: String(seed),
+      quiz: Boolean(options.quiz),
+      coop: Boolean(options.coop),
+      config: options.config || null,
+      steps: 0,
+      inputs: [],
+      answers: [],
+      consults: [],
+      lastInput: null,
+    };
+  }
+
+  /**
+   * Record one fixed simulation step. Call it right before the matching
+   * step() so the input change is stamped with the time it takes effect.
+   * Co-op runs store each change as `{t, players}`.
+   * @param {object} recorder - Recorder from createRecorder().
+   * @param {{left:boolean,right:boolean,jump:boolean}|object[]} input -
+   *   Input snapshot, or one per player, as passed to step().
+   * @param {number} elapsedMs - Simulation time before the step.
+   */
+  function recordStep(recorder, input, elapsedMs) {
+    const snapshot = copyInput(input);
+    if (!recorder.lastInput || inputChanged(snapshot, recorder.lastInput)) {
+      recorder.inputs.push(
+        Array.isArray(snapshot)
+          ? { t: elapsedMs, players: snapshot }
+          : { t: elapsedMs, ...snapshot }
+      );
+      recorder.lastInput = snapshot;
+    }
+    recorder.steps += 1;
+  }
+
+  /**
+   * Record the answer to a quiz-mode assessment, right before the matching
+   * answerAssessment() call.
+   * @param {object} recorder - Recorder from createRecorder().
+   * @param {number} elapsedMs - Simulation time of the answer.
+   * @param {{questionId:string, choiceIndex:number, correct:boolean}} answer
+   *   - The question asked and the choice made.
+   */
+  function recordAnswer(recorder, elapsedMs, answer) {
+    recorder.answers.push({
+      t: elapsedMs,
+      questionId: String(answer.questionId),
+      choiceIndex: answer.choiceIndex,
+      correct: Boolean(answer.correct),
+    });
+  }
+
+  /**
+   * Record a consult from a head-to-head opponent, right before the
+   * matching receiveConsult() call.
+   * @param {object} recorder - Recorder from createRecorder().
+   * @param {number} elapsedMs - Simulation time the consult arrived.
+   */
+  function recordConsult(recorder, elapsedMs) {
+    recorder.consults.push({ t: elapsedMs });
+  }
+
+  /**
+   * Turn a recorder into a finished replay once the run is over.
+   * @param {object} recorder - Recorder from createRecorder().
+   * @param {object} state - Final simulation state.
+   * @returns {object} Replay object.
+   */
+  function finishRecording(recorder, state) {
+    return {
+      version: REPLAY_VERSION,
+      rulesVersion: Sim.RULES_VERSION,
+      seed: recorder.seed,
+      quiz: recorder.quiz,
+      coop: recorder.coop,
+      difficulty: state.difficulty,
+      config: recorder.config,
+      durationMs: state.elapsedMs,
+      score: {
+        patientsTreated: state.score.patientsTreated,
+        patientPoints: state.score.patientPoints,
+        assessmentsPassed: state.score.assessmentsPassed,
+        bonusPoints: state.score.bonusPoints,
+      },
+      steps: recorder.steps,
+      inputs: recorder.inputs.slice(),
+      answers: recorder.answers.slice(),
+      consults: recorder.consults.slice(),
+    };
+  }
+
+  /**
+   * Serialize a replay for export.
+   * @param {object} replay - Replay object.
+   * @returns {string} JSON text.
+   */
+  function serializeReplay(replay) {
+    return JSON.stringify(replay);
+  }
+
+  /**
+   * Parse and validate exported replay text.
+   * @param {string} text - JSON text from serializeReplay().
+   * @returns {object} Replay object.
+   */
+  function parseReplay(text) {
+    let replay;
+    try {
+      replay = JSON.parse(text);
+    } catch (error) {
+      throw new Error("Replay file is not valid JSON.");
+    }
+    return validateReplay(replay);
+  }
+
+  /**
+   * Check that a decoded object has the shape of a replay.
+   * @param {object} replay - Candidate replay.
+   * @returns {object} The same replay, when valid.
+   */
+  function validateReplay(replay) {
+    if (!replay || typeof replay !== "object") {
+      throw new Error("Replay file is not a replay.");
+    }
+    if (replay.version !== REPLAY_VERSION) {
+      throw new Error(`Unsupported replay version: ${replay.version}.`);
+    }
+    if (replay.rulesVersion !== Sim.RULES_VERSION) {
+      throw new Error(
+        "Replay was recorded with different game rules and cannot be played."
+      );
+    }
+    if (typeof replay.seed !== "string" || replay.seed === "") {
+      throw new Error("Replay is missing its seed.");
+    }
+    if (
+      replay.config !== null &&
+      Config.getConfigProblems(replay.config).length > 0
+    ) {
+      throw new Error("Replay rule set is not valid.");
+    }
+    const { presets } = Config.resolveConfig(replay.config).rules.difficulty;
+    if (!Object.prototype.hasOwnProperty.call(presets, replay.difficulty)) {
+      throw new Error("Replay difficulty is unknown.");
+    }
+    if (!Number.isInteger(replay.steps) || replay.steps < 0) {
+      throw new Error("Replay step count is malformed.");
+    }
+    if (typeof replay.coop !== "boolean") {
+      throw new Error("Replay player count is malformed.");
+    }
+    if (
+      !Array.isArray(replay.inputs) ||
+      !replay.inputs.every(
+        (entry) =>
+          entry &&
+          typeof entry.t === "number" &&
+          (!replay.coop ||
+            (Array.isArray(entry.players) && entry.players.length === 2))
+      )
+    ) {
+      throw new Error("Replay inputs are malformed.");
+    }
+    if (
+      typeof replay.quiz !== "boolean" ||
+      !Array.isArray(replay.answers) ||
+      !replay.answers.every(
+        (entry) =>
+          entry &&
+          typeof entry.t === "number" &&
+          typeof entry.questionId === "string" &&
+          Number.isInteger(entry.choiceIndex) &&
+          typeof entry.correct === "boolean"
+      )
+    ) {
+      throw new Error("Replay answers are malformed.");
+    }
+    if (
+      !Array.isArray(replay.consults) ||
+      !replay.consults.every((entry) => entry && typeof entry.t === "number")
+    ) {
+      throw new Error("Replay consults are malformed.");
+    }
+    return replay;
+  }
+
+  /**
+   * Start playing a replay from the beginning.
+   * @param {object} replay - Replay object.
+   * @returns {object} Playback state.
+   */
+  function createPlayback(replay) {
+    return {
+      replay,
+      state: Sim.createState({
+        seed: replay.seed,
+        quiz: replay.quiz,
+        coop: replay.coop,
+        difficulty: replay.difficulty,
+        rules: Config.resolveConfig(replay.config).rules,
+      }),
+      stepIndex: 0,
+      inputIndex: 0,
+      answerIndex: 0,
+      consultIndex: 0,
+      input: copyInput(replay.coop ? [{}, {}] : {}),
+    };
+  }
+
+  /**
+   * Whether the simulation is waiting on an assessment answer the replay
+   * still holds.
+   * @param {object} playback - Playback state.
+   * @returns {boolean} True when the next recorded answer applies now.
+   */
+  function hasPendingAnswer(playback) {
+    return (
+      playback.state.assessment.awaitingAnswer &&
+      playback.answerIndex < playback.replay.answers.length
+    );
+  }
+
+  /**
+   * Whether every recorded step and answer has been played.
+   * @param {object} playback - Playback state.
+   * @returns {boolean} True when the replay is finished.
+   */
+  function isPlaybackFinished(playback) {
+    return (
+      playback.state.over ||
+      (playback.stepIndex >= playback.replay.steps &&
+        !hasPendingAnswer(playback))
+    );
+  }
+
+  /**
+   * Play the next recorded step. A waiting assessment is answered first with
+   * the recorded answer; a run can also end on an answer after its last step.
+   * Consults that had arrived by now drop their books before the step.
+   * @param {object} playback - Playback state, advanced in place.
+   * @returns {object[]} Simulation events from the step.
+   */
+  function advancePlayback(playback) {
+    if (isPlaybackFinished(playback)) {
+      return [];
+    }
+    const { inputs, answers, consults } = playback.replay;
+    const betweenEvents = [];
+    if (hasPendingAnswer(playback)) {
+      const answer = answers[playback.answerIndex];
+      playback.answerIndex += 1;
+      betweenEvents.push(
+        ...Sim.answerAssessment(playback.state, answer.correct).events
+      );
+      if (isPlaybackFinished(playback)) {
+        return betweenEvents;
+      }
+    }
+    while (
+      playback.inputIndex < inputs.length &&
+      inputs[playback.inputIndex].t <= playback.state.elapsedMs
+    ) {
+      const entry = inputs[playback.inputIndex];
+      playback.input = copyInput(
+        playback.replay.coop ? entry.players : entry
+      );
+      playback.inputIndex += 1;
+    }
+    while (
+      playback.consultIndex < consults.length &&
+      consults[playback.consultIndex].t <= playback.state.elapsedMs
+    ) {
+      playback.consultIndex += 1;
+      betweenEvents.push(...Sim.receiveConsult(playback.state).events);
+    }
+    playback.stepIndex += 1;
+    const { events } = Sim.step(
+      playback.state,
+      playback.input,
+      Sim.FIXED_STEP_MS
+    );
+    return betweenEvents.concat(events);
+  }
+
+  /**
+   * Play recorded steps until simulation time would pass targetMs. A closing
+   * answer after the last step is played as soon as it is reached.
+   * @param {object} playback - Playback state, advanced in place.
+   * @param {number} targetMs - Simulation time to play up to.
+   * @returns {object[]} Simulation events from the played steps.
+   */
+  function advancePlaybackTo(playback, targetMs) {
+    const events = [];
+    while (
+      !isPlaybackFinished(playback) &&
+      (playback.stepIndex >= playback.replay.steps ||
+        playback.state.elapsedMs + Sim.FIXED_STEP_MS <= targetMs)
+    ) {
+      events.push(...advancePlayback(playback));
+    }
+    return events;
+  }
+
+  /**
+   * Jump to a point in the replay. Seeking backwards re-plays from the
+   * start, since the simulation can only run forwards.
+   * @param {object} playback - Playback state.
+   * @param {number} targetMs - Simulation time to seek to.
+   * @returns {object} Playback positioned at targetMs.
+   */
+  function seekPlayback(playback, targetMs) {
+    const next =
+      targetMs < playback.state.elapsedMs
+        ? createPlayback(playback.replay)
+        : playback;
+    advancePlaybackTo(next, targetMs);
+    return next;
+  }
+
+  const CertQuestReplay = {
+    REPLAY_VERSION,
+    createRecorder,
+    recordStep,
+    recordAnswer,
+    recordConsult,
+    finishRecording,
+    serializeReplay,
+    parseReplay,
+    validateReplay,
+    createPlayback,
+    isPlaybackFinished,
+    advancePlayback,
+    advancePlaybackTo,
+    seekPlayback,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = CertQuestReplay;
+  } else {
+    root.CertQuestReplay = CertQuestReplay;
+  }
+})(typeof window !== "undefined" ? window : globalThis);
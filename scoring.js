@@ -0,0 +1,286 @@
+/**
+ * Scoring for Cert Quest.
+ * Base points come from treated patients and passed assessments; streaks
+ * raise a multiplier on top of them. Three streaks count: MK books caught
+ * in a row without a mistake, patients treated back-to-back, and time
+ * without a mistake. Pure functions on plain objects, so sim.js can keep
+ * the streaks in its state and the rules stay testable in Node.
+ */
+
+(function (root) {
+  const ASSESSMENT_POINTS = 2;
+
+  /**
+   * How streaks turn into multiplier. Each streak adds its own share, up to
+   * its cap; the shares add up on top of 1x.
+   */
+  const DEFAULT_SCORING_RULES = {
+    // Every catchStreakStep MK books in a row adds catchStreakBonus.
+    catchStreakStep: 5,
+    catchStreakBonus: 0.25,
+    maxCatchBonus: 1,
+    // Every patient treated since the last one left untreated adds
+    // treatStreakBonus to the next.
+    treatStreakBonus: 0.5,
+    maxTreatBonus: 1.5,
+    // Every cleanTimeStepMs without a mistake adds cleanTimeBonus.
+    cleanTimeStepMs: 30000,
+    cleanTimeBonus: 0.25,
+    maxCleanBonus: 1,
+  };
+
+  const STREAKS = {
+    CATCH: "catch",
+    TREAT: "treat",
+    CLEAN: "clean",
+  };
+
+  /**
+   * Compute the total score from patient points, assessments passed and
+   * streak bonus.
+   * @param {number} patientPoints - Points earned treating patients; each
+   *   case is worth its own amount.
+   * @param {number} assessmentsPassed - Number of assessments passed.
+   * @param {number} [bonusPoints] - Points added by streak multipliers.
+   * @returns {number} Total score.
+   */
+  function computeScore(patientPoints, assessmentsPassed, bonusPoints = 0) {
+    if (
+      typeof patientPoints !== "number" ||
+      typeof assessmentsPassed !== "number" ||
+      typeof bonusPoints !== "number"
+    ) {
+      throw new Error("Score inputs must be numeric.");
+    }
+    if (patientPoints < 0 || assessmentsPassed < 0 || bonusPoints < 0) {
+      throw new Error("Score inputs must be non-negative.");
+    }
+    return (
+      patientPoints * 1 + assessmentsPassed * ASSESSMENT_POINTS + bonusPoints
+    );
+  }
+
+  /**
+   * Streak state for the start of a run.
+   * @returns {object} Streaks, bests and the bonus earned by each streak.
+   */
+  function createStreaks() {
+    return {
+      catchStreak: 0,
+      treatStreak: 0,
+      lastMistakeMs: 0,
+      cleanSteps: 0,
+      best: { catchStreak: 0, treatStreak: 0, cleanMs: 0 },
+      bonus: { [STREAKS.CATCH]: 0, [STREAKS.TREAT]: 0, [STREAKS.CLEAN]: 0 },
+    };
+  }
+
+  /**
+   * The share each streak adds to the multiplier right now.
+   * @param {object} rules - Scoring rules, e.g. DEFAULT_SCORING_RULES.
+   * @param {object} streaks - Streaks from createStreaks().
+   * @returns {{catch:number, treat:number, clean:number, total:number}}
+   *   Shares, and the multiplier they add up to.
+   */
+  function getMultiplier(rules, streaks) {
+    const parts = {
+      [STREAKS.CATCH]: Math.min(
+        rules.maxCatchBonus,
+        Math.floor(streaks.catchStreak / rules.catchStreakStep) *
+          rules.catchStreakBonus
+      ),
+      [STREAKS.TREAT]: Math.min(
+        rules.maxTreatBonus,
+        streaks.treatStreak * rules.treatStreakBonus
+      ),
+      [STREAKS.CLEAN]: Math.min(
+        rules.maxCleanBonus,
+        streaks.cleanSteps * rules.cleanTimeBonus
+      ),
+    };
+    return {
+      ...parts,
+      total: 1 + parts.catch + parts.treat + parts.clean,
+    };
+  }
+
+  /**
+   * The highest multiplier the rules allow, with every streak at its cap.
+   * @param {object} rules - Scoring rules.
+   * @returns {number} Multiplier.
+   */
+  function getMaxMultiplier(rules) {
+    return 1 + rules.maxCatchBonus + rules.maxTreatBonus + rules.maxCleanBonus;
+  }
+
+  /**
+   * Count an MK book caught.
+   * @param {object} rules - Scoring rules.
+   * @param {object} streaks - Streaks, updated in place.
+   * @returns {boolean} True when the streak just reached a new step.
+   */
+  function recordCatch(rules, streaks) {
+    streaks.catchStreak += 1;
+    streaks.best.catchStreak = Math.max(
+      streaks.best.catchStreak,
+      streaks.catchStreak
+    );
+    return streaks.catchStreak % rules.catchStreakStep === 0;
+  }
+
+  /**
+   * Count the time since the last mistake.
+   * @param {object} rules - Scoring rules.
+   * @param {object} streaks - Streaks, updated in place.
+   * @param {number} elapsedMs - Simulation time.
+   * @returns {boolean} True when the clean stretch just reached a new step.
+   */
+  function recordCleanTime(rules, streaks, elapsedMs) {
+    const cleanMs = elapsedMs - streaks.lastMistakeMs;
+    streaks.best.cleanMs = Math.max(streaks.best.cleanMs, cleanMs);
+    const steps = Math.floor(cleanMs / rules.cleanTimeStepMs);
+    if (steps > streaks.cleanSteps) {
+      streaks.cleanSteps = steps;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * A clinical mistake ends every streak.
+   * @param {object} streaks - Streaks, updated in place.
+   * @param {number} elapsedMs - Simulation time of the mistake.
+   */
+  function recordMistake(streaks, elapsedMs) {
+    streaks.catchStreak = 0;
+    streaks.treatStreak = 0;
+    streaks.lastMistakeMs = elapsedMs;
+    streaks.cleanSteps = 0;
+  }
+
+  /**
+   * A patient leaving untreated ends the back-to-back treatment streak.
+   * @param {object} streaks - Streaks, updated in place.
+   */
+  function recordPatientLeft(streaks) {
+    streaks.treatStreak = 0;
+  }
+
+  /**
+   * Multiply base points by the current multiplier. The bonus is rounded
+   * down per streak and credited to the streak that earned it.
+   * @param {object} rules - Scoring rules.
+   * @param {object} streaks - Streaks, bonus updated in place.
+   * @param {number} basePoints - Points before the multiplier.
+   * @returns {{bonus:number, multiplier:number}} Points added on top of
+   *   the base, and the multiplier applied.
+   */
+  function awardPoints(rules, streaks, basePoints) {
+    const multiplier = getMultiplier(rules, streaks);
+    let bonus = 0;
+    Object.values(STREAKS).forEach((streak) => {
+      const points = Math.floor(basePoints * multiplier[streak]);
+      streaks.bonus[streak] += points;
+      bonus += points;
+    });
+    return { bonus, multiplier: multiplier.total };
+  }
+
+  /**
+   * Award a treated patient's points, then extend the treatment streak.
+   * @param {object} rules - Scoring rules.
+   * @param {object} streaks - Streaks, updated in place.
+   * @param {number} basePoints - The case's points.
+   * @returns {{bonus:number, multiplier:number}} Award.
+   */
+  function recordTreatment(rules, streaks, basePoints) {
+    const award = awardPoints(rules, streaks, basePoints);
+    streaks.treatStreak += 1;
+    streaks.best.treatStreak = Math.max(
+      streaks.best.treatStreak,
+      streaks.treatStreak
+    );
+    return award;
+  }
+
+  /**
+   * Award a passed assessment's points.
+   * @param {object} rules - Scoring rules.
+   * @param {object} streaks - Streaks, updated in place.
+   * @returns {{bonus:number, multiplier:number}} Award.
+   */
+  function recordAssessment(rules, streaks) {
+    return awardPoints(rules, streaks, ASSESSMENT_POINTS);
+  }
+
+  /**
+   * Lines for the Game Over breakdown, ending with the total.
+   * @param {{patientsTreated:number, patientPoints:number,
+   *   assessmentsPassed:number, bonusPoints:number}} score - Final score.
+   * @param {object} streaks - Final streaks.
+   * @returns {Array<{label:string, detail:string, points:number}>} Rows.
+   */
+  function getScoreBreakdown(score, streaks) {
+    const { best, bonus } = streaks;
+    const cleanSeconds = Math.floor(best.cleanMs / 1000);
+    return [
+      {
+        label: "Patients",
+        detail: `${score.patientsTreated} treated`,
+        points: score.patientPoints,
+      },
+      {
+        label: "Assessments",
+        detail: `${score.assessmentsPassed} x ${ASSESSMENT_POINTS}`,
+        points: score.assessmentsPassed * ASSESSMENT_POINTS,
+      },
+      {
+        label: "MK streak bonus",
+        detail: `best ${best.catchStreak} in a row`,
+        points: bonus[STREAKS.CATCH],
+      },
+      {
+        label: "Back-to-back bonus",
+        detail: `best ${best.treatStreak} patients in a row`,
+        points: bonus[STREAKS.TREAT],
+      },
+      {
+        label: "Clean shift bonus",
+        detail: `longest ${cleanSeconds} s without a mistake`,
+        points: bonus[STREAKS.CLEAN],
+      },
+      {
+        label: "Total",
+        detail: "",
+        points: computeScore(
+          score.patientPoints,
+          score.assessmentsPassed,
+          score.bonusPoints
+        ),
+      },
+    ];
+  }
+
+  const CertQuestScoring = {
+    ASSESSMENT_POINTS,
+    DEFAULT_SCORING_RULES,
+    STREAKS,
+    computeScore,
+    createStreaks,
+    getMultiplier,
+    getMaxMultiplier,
+    recordCatch,
+    recordCleanTime,
+    recordMistake,
+    recordPatientLeft,
+    recordTreatment,
+    recordAssessment,
+    getScoreBreakdown,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = CertQuestScoring;
+  } else {
+    root.CertQuestScoring = CertQuestScoring;
+  }
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,554 @@
+/* eslint-disable no-console */
+
+/**
+ * Cert Quest server: serves the static game files, a shared ward
+ * leaderboard and the head-to-head relay. Uses only Node built-ins so it
+ * runs fully offline.
+ *
+ * Endpoints:
+ *   GET  /api/scores?limit=10  - best scores, best first.
+ *   POST /api/scores           - submit { initials, replay }. The replay is
+ *                                re-simulated and the score it produces is
+ *                                what gets stored.
+ *   WS   /api/versus           - head-to-head relay (see relay.js).
+ *
+ * Run with: PORT=3000 node server.js
+ */
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const Sim = require("./sim");
+const Scoring = require("./scoring");
+const Replay = require("./replay");
+const Leaderboard = require("./leaderboard");
+const Quiz = require("./quiz");
+const Relay = require("./relay");
+
+const ROOT_DIR = __dirname;
+const DATA_FILE =
+  process.env.SCORES_FILE || path.join(ROOT_DIR, "data", "scores.json");
+const QUESTIONS_DIR = path.join(ROOT_DIR, Quiz.QUESTIONS_DIR);
+
+const MAX_STORED_SCORES = 100;
+const MAX_LISTED_SCORES = 50;
+const MAX_BODY_BYTES = 2 * 1024 * 1024;
+// One hour of play; longer replays are refused rather than re-simulated.
+const MAX_REPLAY_STEPS = Math.ceil((60 * 60 * 1000) / Sim.FIXED_STEP_MS);
+// Bounds used by the plausibility check, across every patient case.
+const FASTEST_TREATMENT_MS = Math.min(
+  ...Object.values(Sim.PATIENT_CASES).map((c) => c.treatDurationMs)
+);
+const MOST_PATIENT_POINTS = Math.max(
+  ...Object.values(Sim.PATIENT_CASES).map((c) => c.points)
+);
+// ...and across the whole difficulty curve.
+const FASTEST_ITEM_SPAWN_MS = Math.min(
+  ...Object.values(Sim.DIFFICULTY_CURVE).map((t) => t.itemSpawnIntervalMinMs)
+);
+
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const RATE_LIMIT_MAX_SUBMISSIONS = 5;
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".ico": "image/x-icon",
+};
+
+// What the browser loads: the page, its stylesheet and scripts (in
+// index.html order), and the folders it fetches question banks and rule
+// sets from. Everything else in the game directory stays private.
+const PUBLIC_FILES = [
+  "index.html",
+  "style.css",
+  "scoring.js",
+  "sim.js",
+  "config.js",
+  "replay.js",
+  "leaderboard.js",
+  "quiz.js",
+  "touch.js",
+  "controls.js",
+  "audio.js",
+  "accessibility.js",
+  "achievements.js",
+  "analytics.js",
+  "history.js",
+  "versus.js",
+  "sprites.js",
+  "game.js",
+];
+const PUBLIC_DIRS = ["questions", "configs"];
+
+/**
+ * Error carrying the HTTP status to answer with.
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code.
+   * @param {string} message - Message sent to the client.
+   */
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Read every question bank listed in the questions index. A missing or
+ * broken index leaves quiz runs unverifiable, so they are refused.
+ * @param {string} dir - Question bank directory.
+ * @returns {object[]} Questions from all banks.
+ */
+function loadQuestions(dir) {
+  try {
+    const index = JSON.parse(
+      fs.readFileSync(path.join(dir, Quiz.QUESTIONS_INDEX), "utf8")
+    );
+    const banks = index.banks.map((file) =>
+      JSON.parse(fs.readFileSync(path.join(dir, path.basename(file)), "utf8"))
+    );
+    return Quiz.collectQuestions(banks);
+  } catch (error) {
+    console.error(`Could not load question banks: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Check each recorded quiz answer against the question bank, so a replay
+ * cannot mark a wrong choice as correct.
+ * @param {object[]} answers - Recorded answers.
+ * @param {object[]} questions - Known questions.
+ */
+function verifyAnswers(answers, questions) {
+  for (const answer of answers) {
+    const question = Quiz.findQuestion(questions, answer.questionId);
+    if (!question) {
+      throw new HttpError(422, `Unknown question: ${answer.questionId}.`);
+    }
+    const correct = Quiz.isCorrectAnswer(question, answer.choiceIndex);
+    if (correct !== answer.correct) {
+      throw new HttpError(422, "Replay answers do not match the questions.");
+    }
+  }
+}
+
+/**
+ * Cheap sanity check on a claimed result before re-simulating it.
+ * Each treated patient needs at least the quickest case's treatment time
+ * and is worth at most the richest case's points, and each assessment
+ * needs knowledge to climb from 50% to 100%, which takes at least five MK
+ * books at the fastest spawn rate. Streaks can at most lift the base points
+ * to the highest multiplier.
+ * @param {{patientsTreated:number, patientPoints:number,
+ *   assessmentsPassed:number, bonusPoints:number}} score - Claim.
+ * @param {number} durationMs - Claimed run length.
+ * @returns {boolean} Whether the claim fits in the time available.
+ */
+function isPlausibleScore(score, durationMs) {
+  if (
+    !score ||
+    !Number.isInteger(score.patientsTreated) ||
+    !Number.isInteger(score.patientPoints) ||
+    !Number.isInteger(score.assessmentsPassed) ||
+    !Number.isInteger(score.bonusPoints) ||
+    score.patientsTreated < 0 ||
+    score.patientPoints < 0 ||
+    score.assessmentsPassed < 0 ||
+    score.bonusPoints < 0 ||
+    !Number.isFinite(durationMs)
+  ) {
+    return false;
+  }
+  const patientTimeMs = score.patientsTreated * FASTEST_TREATMENT_MS;
+  const assessmentTimeMs =
+    score.assessmentsPassed * 5 * FASTEST_ITEM_SPAWN_MS;
+  const basePoints = Sim.computeScore(
+    score.patientPoints,
+    score.assessmentsPassed
+  );
+  const mostMultiplier = Scoring.getMaxMultiplier(Sim.DEFAULT_RULES.scoring);
+  return (
+    score.patientPoints <= score.patientsTreated * MOST_PATIENT_POINTS &&
+    score.bonusPoints <= basePoints * (mostMultiplier - 1) &&
+    patientTimeMs <= durationMs &&
+    assessmentTimeMs <= durationMs
+  );
+}
+
+/**
+ * Validate a submission and turn it into a leaderboard entry.
+ * The stored numbers come from re-playing the replay, not from the claim.
+ * @param {object} body - Decoded request body.
+ * @param {object[]} [questions] - Question banks for checking quiz answers.
+ * @returns {object} Leaderboard entry.
+ */
+function verifySubmission(body, questions = []) {
+  if (!body || typeof body !== "object") {
+    throw new HttpError(400, "Submission must be a JSON object.");
+  }
+  if (typeof body.initials !== "string" || body.initials.trim() === "") {
+    throw new HttpError(400, "Submission is missing initials.");
+  }
+
+  let replay;
+  try {
+    replay = Replay.validateReplay(body.replay);
+  } catch (error) {
+    throw new HttpError(400, error.message);
+  }
+  if (replay.config !== null) {
+    throw new HttpError(
+      422,
+      "Runs on a custom rule set cannot join the ward leaderboard."
+    );
+  }
+  if (replay.coop) {
+    throw new HttpError(422, "Co-op runs cannot join the ward leaderboard.");
+  }
+  if (replay.consults.length > 0) {
+    throw new HttpError(
+      422,
+      "Runs that received consults cannot join the ward leaderboard."
+    );
+  }
+  if (replay.steps > MAX_REPLAY_STEPS) {
+    throw new HttpError(422, "Replay is too long to verify.");
+  }
+  if (!isPlausibleScore(replay.score, replay.durationMs)) {
+    throw new HttpError(422, "Score is not plausible for the run length.");
+  }
+  verifyAnswers(replay.answers, questions);
+
+  const playback = Replay.createPlayback(replay);
+  while (!Replay.isPlaybackFinished(playback)) {
+    Replay.advancePlayback(playback);
+  }
+  const { state } = playback;
+  if (
+    !state.over ||
+    state.elapsedMs !== replay.durationMs ||
+    state.score.patientsTreated !== replay.score.patientsTreated ||
+    state.score.patientPoints !== replay.score.patientPoints ||
+    state.score.assessmentsPassed !== replay.score.assessmentsPassed ||
+    state.score.bonusPoints !== replay.score.bonusPoints
+  ) {
+    throw new HttpError(422, "Replay does not reproduce the claimed score.");
+  }
+
+  const score = Sim.computeScore(
+    state.score.patientPoints,
+    state.score.assessmentsPassed,
+    state.score.bonusPoints
+  );
+  if (score <= 0) {
+    throw new HttpError(422, "Only runs that score points can be submitted.");
+  }
+
+  return Leaderboard.createEntry({
+    initials: body.initials,
+    score,
+    patientsTreated: state.score.patientsTreated,
+    assessmentsPassed: state.score.assessmentsPassed,
+    durationMs: state.elapsedMs,
+    seed: replay.seed,
+  });
+}
+
+/**
+ * Fixed-window submission limiter keyed by client.
+ * @param {number} windowMs - Window length.
+ * @param {number} max - Submissions allowed per window.
+ * @returns {function(string, number): number} Returns 0 when allowed, or
+ *   the milliseconds to wait.
+ */
+function createRateLimiter(windowMs, max) {
+  const windows = new Map();
+  return (clientId, now) => {
+    const current = windows.get(clientId);
+    if (!current || now - current.startMs >= windowMs) {
+      windows.set(clientId, { startMs: now, count: 1 });
+      if (windows.size > 10000) {
+        windows.forEach((value, key) => {
+          if (now - value.startMs >= windowMs) {
+            windows.delete(key);
+          }
+        });
+      }
+      return 0;
+    }
+    if (current.count >= max) {
+      return windowMs - (now - current.startMs);
+    }
+    current.count += 1;
+    return 0;
+  };
+}
+
+/**
+ * Leaderboard persisted as a JSON file. Writes are queued so concurrent
+ * submissions never interleave, and land via a rename so a crash cannot
+ * leave a half-written file.
+ * @param {string} filePath - Path of the JSON file.
+ * @returns {{list: function(): object, add: function(object): Promise<object>}}
+ */
+function createScoreStore(filePath) {
+  let raw = null;
+  try {
+    raw = fs.readFileSync(filePath, "utf8");
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.warn(`Could not read ${filePath}: ${error.message}`);
+    }
+  }
+  let table = Leaderboard.parseLeaderboard(raw, MAX_STORED_SCORES);
+  let writeQueue = Promise.resolve();
+
+  return {
+    list() {
+      return table;
+    },
+    add(entry) {
+      table = Leaderboard.addEntry(table, entry, MAX_STORED_SCORES);
+      const snapshot = JSON.stringify(table);
+      const write = writeQueue.then(async () => {
+        const tempPath = `${filePath}.tmp`;
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, snapshot);
+        await fs.promises.rename(tempPath, filePath);
+      });
+      // A failed write is reported to its caller but must not block the
+      // writes queued after it.
+      writeQueue = write.catch(() => {});
+      return write.then(() => table);
+    },
+  };
+}
+
+/**
+ * Send a JSON response.
+ * @param {http.ServerResponse} res - Response.
+ * @param {number} status - HTTP status.
+ * @param {object} payload - Body to encode.
+ * @param {object} [headers] - Extra headers.
+ */
+function sendJson(res, status, payload, headers = {}) {
+  res.writeHead(status, {
+    "Content-Type": CONTENT_TYPES[".json"],
+    "Cache-Control": "no-store",
+    ...headers,
+  });
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * Read and decode a JSON request body.
+ * @param {http.IncomingMessage} req - Request.
+ * @returns {Promise<object>} Decoded body.
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        tooLarge = true;
+        chunks.length = 0;
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (tooLarge) {
+        reject(new HttpError(413, "Submission is too large."));
+        return;
+      }
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch (error) {
+        reject(new HttpError(400, "Submission is not valid JSON."));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Identify the client for rate limiting. Proxy headers are only trusted
+ * when TRUST_PROXY is set, as on Railway.
+ * @param {http.IncomingMessage} req - Request.
+ * @returns {string} Client identifier.
+ */
+function getClientId(req) {
+  const forwarded = req.headers["x-forwarded-for"];
+  if (process.env.TRUST_PROXY && typeof forwarded === "string") {
+    return forwarded.split(",")[0].trim();
+  }
+  return req.socket.remoteAddress || "unknown";
+}
+
+/**
+ * Whether a file in the game directory is one of the game's assets.
+ * @param {string} relativePath - Path from the game directory, using the
+ *   platform's separator.
+ * @returns {boolean} True when it may be served.
+ */
+function isPublicPath(relativePath) {
+  const parts = relativePath.split(path.sep);
+  if (parts.some((part) => part === "" || part.startsWith("."))) {
+    return false;
+  }
+  return parts.length === 1
+    ? PUBLIC_FILES.includes(parts[0])
+    : PUBLIC_DIRS.includes(parts[0]);
+}
+
+/**
+ * Serve a file from the game directory.
+ * @param {string} pathname - Decoded URL path.
+ * @param {http.ServerResponse} res - Response.
+ */
+async function serveStatic(pathname, res) {
+  const relativePath = pathname === "/" ? "index.html" : pathname.slice(1);
+  const filePath = path.resolve(ROOT_DIR, relativePath);
+  const contentType = CONTENT_TYPES[path.extname(filePath)];
+  if (
+    !filePath.startsWith(ROOT_DIR + path.sep) ||
+    !isPublicPath(path.relative(ROOT_DIR, filePath)) ||
+    !contentType
+  ) {
+    throw new HttpError(404, "Not found.");
+  }
+
+  let stat;
+  try {
+    stat = await fs.promises.stat(filePath);
+  } catch (error) {
+    throw new HttpError(404, "Not found.");
+  }
+  if (!stat.isFile()) {
+    throw new HttpError(404, "Not found.");
+  }
+  // Headers wait for the file to open, so a file that vanished since the
+  // stat can still get a 500; a read failing later can only cut it short.
+  const stream = fs.createReadStream(filePath);
+  stream.on("open", () => {
+    res.writeHead(200, {
+      "Content-Type": contentType,
+      "Content-Length": stat.size,
+    });
+    stream.pipe(res);
+  });
+  stream.on("error", (error) => {
+    console.error(error);
+    if (res.headersSent) {
+      res.destroy();
+    } else {
+      sendJson(res, 500, { error: "Internal server error." });
+    }
+  });
+}
+
+/**
+ * Build the HTTP server, with the head-to-head relay attached.
+ * @param {object} [options] - Server options.
+ * @param {string} [options.dataFile] - Leaderboard file.
+ * @param {string} [options.questionsDir] - Question bank directory.
+ * @returns {http.Server} Server, not yet listening.
+ */
+function createServer(options = {}) {
+  const store = createScoreStore(options.dataFile || DATA_FILE);
+  const questions = loadQuestions(options.questionsDir || QUESTIONS_DIR);
+  const limitSubmission = createRateLimiter(
+    RATE_LIMIT_WINDOW_MS,
+    RATE_LIMIT_MAX_SUBMISSIONS
+  );
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, "http://localhost");
+      let pathname;
+      try {
+        pathname = decodeURIComponent(url.pathname);
+      } catch (error) {
+        throw new HttpError(400, "Malformed URL.");
+      }
+
+      if (pathname === "/api/scores") {
+        if (req.method === "GET") {
+          const limit = Math.min(
+            Number.parseInt(url.searchParams.get("limit"), 10) || 10,
+            MAX_LISTED_SCORES
+          );
+          sendJson(res, 200, { scores: store.list().entries.slice(0, limit) });
+          return;
+        }
+        if (req.method === "POST") {
+          const waitMs = limitSubmission(getClientId(req), Date.now());
+          if (waitMs > 0) {
+            sendJson(
+              res,
+              429,
+              { error: "Too many submissions. Try again shortly." },
+              { "Retry-After": String(Math.ceil(waitMs / 1000)) }
+            );
+            return;
+          }
+          const body = await readJsonBody(req);
+          const entry = verifySubmission(body, questions);
+          const table = await store.add(entry);
+          const index = table.entries.indexOf(entry);
+          sendJson(res, 201, {
+            entry,
+            rank: index === -1 ? null : index + 1,
+          });
+          return;
+        }
+        throw new HttpError(405, "Method not allowed.");
+      }
+
+      if (req.method !== "GET" && req.method !== "HEAD") {
+        throw new HttpError(405, "Method not allowed.");
+      }
+      await serveStatic(pathname, res);
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 500;
+      if (status === 500) {
+        console.error(error);
+      }
+      if (!res.headersSent) {
+        sendJson(res, status, {
+          error: status === 500 ? "Internal server error." : error.message,
+        });
+      }
+    }
+  });
+  Relay.attachRelay(server);
+  return server;
+}
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 3000;
+  createServer().listen(port, () => {
+    console.log(`Cert Quest listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = {
+  HttpError,
+  isPlausibleScore,
+  isPublicPath,
+  loadQuestions,
+  verifySubmission,
+  createRateLimiter,
+  createServer,
+};
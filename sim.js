@@ -0,0 +1,1499 @@
+/**
+ * Headless simulation core for Cert Quest.
+ * Holds every game rule with no DOM or canvas access, so the same code
+ * drives the browser game and the Node tests. The tunable rules live in
+ * DEFAULT_RULES; a run can be given a different set (see config.js).
+ */
+
+(function (root) {
+  const Scoring =
+    typeof module !== "undefined" && module.exports
+      ? require("./scoring")
+      : root.CertQuestScoring;
+
+  // Bumped whenever a rule change would make old replays play out
+  // differently, so they are refused instead of silently diverging.
+  const RULES_VERSION = 6;
+
+  // Simulation clock: the rules always advance in fixed 60 Hz steps so
+  // results do not depend on the display frame rate.
+  const FIXED_STEP_MS = 1000 / 60;
+  const MAX_CATCH_UP_STEPS = 5;
+
+  // World constants
+  const WORLD_WIDTH = 800;
+  const WORLD_HEIGHT = 450;
+  const FLOOR_Y = WORLD_HEIGHT - 60;
+
+  const PLAYER_WIDTH = 32;
+  const PLAYER_HEIGHT = 52;
+  const PLAYER_SPEED = 220;
+  const JUMP_VELOCITY = -420;
+  const GRAVITY = 1100;
+
+  // A co-op run adds a nurse beside the doctor. The two share the knowledge
+  // and mistakes meters; standing over the same patient treats them
+  // SHARED_TREAT_SPEED times as fast.
+  const PLAYER_ROLES = {
+    DOCTOR: "doctor",
+    NURSE: "nurse",
+  };
+  const SHARED_TREAT_SPEED = 1.75;
+
+  const ITEM_TYPES = {
+    KNOWLEDGE: "knowledge",
+    MISTAKE: "mistake",
+    ASSESSMENT: "assessment",
+    POWER_UP: "powerUp",
+  };
+
+  const POWER_UPS = {
+    COFFEE: "coffee",
+    MENTOR: "mentor",
+    UPTODATE: "upToDate",
+    MAGNET: "magnet",
+  };
+
+  const KNOWLEDGE_START = 50;
+  const KNOWLEDGE_PICKUP_AMOUNT = 10;
+  const KNOWLEDGE_EROSION_STEP = 5;
+  const KNOWLEDGE_MIN = 0;
+  const KNOWLEDGE_MAX = 100;
+  const KNOWLEDGE_WARNING_THRESHOLD = 30;
+
+  const MAX_MISTAKES = 5;
+
+  const BOOK_WIDTH = 22;
+  const BOOK_HEIGHT = 26;
+  const ASSESSMENT_WIDTH = 26;
+  const ASSESSMENT_HEIGHT = 30;
+
+  // Power-ups: a small share of falling items. Each one starts a timed
+  // effect; catching one that is already running restarts its timer at the
+  // full duration rather than adding to it, and different effects run side
+  // by side. The mentor shield holds a single charge: it absorbs the next
+  // clinical mistake and ends, or expires unused when its timer runs out.
+  const POWER_UP_CHANCE = 0.06;
+  const POWER_UP_SIZE = 24;
+  const POWER_UP_FALL_SPEED = 150;
+  const COFFEE_SPEED_MULTIPLIER = 1.5;
+  const MAGNET_RANGE = 240;
+  const MAGNET_PULL_SPEED = 240;
+
+  /**
+   * Rules for each power-up. `weight` sets how often it falls relative to
+   * the others.
+   */
+  const POWER_UP_EFFECTS = {
+    [POWER_UPS.COFFEE]: { label: "Coffee", durationMs: 6000, weight: 3 },
+    [POWER_UPS.MENTOR]: { label: "Mentor", durationMs: 20000, weight: 2 },
+    [POWER_UPS.UPTODATE]: { label: "UpToDate", durationMs: 10000, weight: 2 },
+    [POWER_UPS.MAGNET]: { label: "Magnet", durationMs: 8000, weight: 2 },
+  };
+
+  const PATIENT_GAP_MS = 2000;
+  const PATIENT_WIDTH = 28;
+  const PATIENT_HEIGHT = 32;
+
+  // The floor is split into one bay per patient so stretchers never overlap.
+  // Arrivals queue in the waiting room until a bay frees up.
+  const MAX_PATIENTS_ON_FLOOR = 3;
+  const WAITING_ROOM_CAPACITY = 4;
+
+  // Waiting patients get worse: every DETERIORATION_MS spent waiting (in the
+  // waiting room or on the floor) raises their severity by one, up to the
+  // maximum. Each level needs more knowledge and a longer treatment, and a
+  // patient at the maximum is critical whatever their case.
+  const PATIENT_DETERIORATION_MS = 6000;
+  const MAX_PATIENT_SEVERITY = 2;
+  const DETERIORATION_KNOWLEDGE_STEP = 10;
+  const DETERIORATION_TREAT_STEP_MS = 500;
+
+  const PATIENT_TYPES = {
+    CHEST_PAIN: "chestPain",
+    SEPSIS: "sepsis",
+    FRACTURE: "fracture",
+    PEDIATRIC: "pediatric",
+    LACERATION: "laceration",
+  };
+
+  // Triage categories, most urgent first (Manchester-style colours).
+  const TRIAGE_LEVELS = {
+    RED: "red",
+    ORANGE: "orange",
+    YELLOW: "yellow",
+    GREEN: "green",
+  };
+
+  /**
+   * Rules for each patient case. Critical cases count as a clinical
+   * mistake if they leave untreated. `weight` sets how often a case
+   * arrives relative to the others.
+   */
+  const PATIENT_CASES = {
+    [PATIENT_TYPES.CHEST_PAIN]: {
+      label: "Chest pain",
+      triage: TRIAGE_LEVELS.RED,
+      treatDurationMs: 2500,
+      knowledgeThreshold: 50,
+      lifetimeMs: 6500,
+      points: 3,
+      critical: true,
+      weight: 2,
+    },
+    [PATIENT_TYPES.SEPSIS]: {
+      label: "Sepsis",
+      triage: TRIAGE_LEVELS.RED,
+      treatDurationMs: 3000,
+      knowledgeThreshold: 60,
+      lifetimeMs: 7500,
+      points: 4,
+      critical: true,
+      weight: 1,
+    },
+    [PATIENT_TYPES.PEDIATRIC]: {
+      label: "Pediatric fever",
+      triage: TRIAGE_LEVELS.ORANGE,
+      treatDurationMs: 2000,
+      knowledgeThreshold: 40,
+      lifetimeMs: 8000,
+      points: 2,
+      critical: false,
+      weight: 2,
+    },
+    [PATIENT_TYPES.FRACTURE]: {
+      label: "Fracture",
+      triage: TRIAGE_LEVELS.YELLOW,
+      treatDurationMs: 2000,
+      knowledgeThreshold: 30,
+      lifetimeMs: 9000,
+      points: 1,
+      critical: false,
+      weight: 3,
+    },
+    [PATIENT_TYPES.LACERATION]: {
+      label: "Laceration",
+      triage: TRIAGE_LEVELS.GREEN,
+      treatDurationMs: 1500,
+      knowledgeThreshold: 20,
+      lifetimeMs: 10000,
+      points: 1,
+      critical: false,
+      weight: 2,
+    },
+  };
+
+  const GROUND_MISTAKE_DURATION_MS = 2000;
+  const ASSESSMENT_FALL_SPEED = 133;
+
+  // Shift levels: a run gets harder by one level every LEVEL_DURATION_MS,
+  // from its preset's starting level up to MAX_LEVEL.
+  const LEVEL_DURATION_MS = 30000;
+  const MAX_LEVEL = 10;
+
+  /**
+   * Tuning at the first and the last shift level. Levels in between are
+   * interpolated, so every value ramps evenly over the shift.
+   */
+  const DIFFICULTY_CURVE = {
+    first: {
+      itemSpawnIntervalMinMs: 900,
+      itemSpawnIntervalMaxMs: 1800,
+      mistakeChance: 0.175,
+      knowledgeFallSpeed: 180,
+      mistakeFallSpeed: 260,
+      knowledgeErosionIntervalMs: 1800,
+      groundMistakeSpawnIntervalMinMs: 2400,
+      groundMistakeSpawnIntervalMaxMs: 5600,
+      patientArrivalIntervalMs: 7000,
+    },
+    last: {
+      itemSpawnIntervalMinMs: 700,
+      itemSpawnIntervalMaxMs: 1300,
+      mistakeChance: 0.3,
+      knowledgeFallSpeed: 230,
+      mistakeFallSpeed: 340,
+      knowledgeErosionIntervalMs: 1200,
+      groundMistakeSpawnIntervalMinMs: 1600,
+      groundMistakeSpawnIntervalMaxMs: 3600,
+      patientArrivalIntervalMs: 2500,
+    },
+  };
+
+  // Named presets for the start screen; each sets where on the curve a run
+  // begins.
+  const DIFFICULTY_PRESETS = {
+    intern: { label: "Intern", startLevel: 1 },
+    resident: { label: "Resident", startLevel: 4 },
+    attending: { label: "Attending", startLevel: 7 },
+  };
+  const DEFAULT_DIFFICULTY = "intern";
+
+  /**
+   * Every tunable rule, grouped the way config files override them. Rule
+   * code reads these from state.rules rather than from the constants above,
+   * which are the defaults.
+   */
+  const DEFAULT_RULES = {
+    player: {
+      speed: PLAYER_SPEED,
+      jumpVelocity: JUMP_VELOCITY,
+      gravity: GRAVITY,
+    },
+    knowledge: {
+      start: KNOWLEDGE_START,
+      pickupAmount: KNOWLEDGE_PICKUP_AMOUNT,
+      erosionStep: KNOWLEDGE_EROSION_STEP,
+      warningThreshold: KNOWLEDGE_WARNING_THRESHOLD,
+    },
+    mistakes: {
+      max: MAX_MISTAKES,
+    },
+    items: {
+      bookWidth: BOOK_WIDTH,
+      bookHeight: BOOK_HEIGHT,
+      assessmentWidth: ASSESSMENT_WIDTH,
+      assessmentHeight: ASSESSMENT_HEIGHT,
+      assessmentFallSpeed: ASSESSMENT_FALL_SPEED,
+      groundMistakeDurationMs: GROUND_MISTAKE_DURATION_MS,
+    },
+    powerUps: {
+      chance: POWER_UP_CHANCE,
+      size: POWER_UP_SIZE,
+      fallSpeed: POWER_UP_FALL_SPEED,
+      coffeeSpeedMultiplier: COFFEE_SPEED_MULTIPLIER,
+      magnetRange: MAGNET_RANGE,
+      magnetPullSpeed: MAGNET_PULL_SPEED,
+      effects: POWER_UP_EFFECTS,
+    },
+    scoring: Scoring.DEFAULT_SCORING_RULES,
+    patients: {
+      gapMs: PATIENT_GAP_MS,
+      maxOnFloor: MAX_PATIENTS_ON_FLOOR,
+      waitingRoomCapacity: WAITING_ROOM_CAPACITY,
+      deteriorationMs: PATIENT_DETERIORATION_MS,
+      maxSeverity: MAX_PATIENT_SEVERITY,
+      deteriorationKnowledgeStep: DETERIORATION_KNOWLEDGE_STEP,
+      deteriorationTreatStepMs: DETERIORATION_TREAT_STEP_MS,
+      sharedTreatSpeed: SHARED_TREAT_SPEED,
+      cases: PATIENT_CASES,
+    },
+    difficulty: {
+      levelDurationMs: LEVEL_DURATION_MS,
+      maxLevel: MAX_LEVEL,
+      curve: DIFFICULTY_CURVE,
+      presets: DIFFICULTY_PRESETS,
+      defaultPreset: DEFAULT_DIFFICULTY,
+    },
+  };
+
+  /**
+   * Events reported by step() so observers (HUD, renderer, tests) can
+   * react without reaching into the rules.
+   */
+  const EVENT_TYPES = {
+    KNOWLEDGE_CAUGHT: "knowledgeCaught",
+    KNOWLEDGE_MISSED: "knowledgeMissed",
+    KNOWLEDGE_ERODED: "knowledgeEroded",
+    MISTAKE_CAUGHT: "mistakeCaught",
+    GROUND_MISTAKE_HIT: "groundMistakeHit",
+    ASSESSMENT_SPAWNED: "assessmentSpawned",
+    ASSESSMENT_CAUGHT: "assessmentCaught",
+    ASSESSMENT_PASSED: "assessmentPassed",
+    ASSESSMENT_FAILED: "assessmentFailed",
+    ASSESSMENT_MISSED: "assessmentMissed",
+    POWER_UP_CAUGHT: "powerUpCaught",
+    POWER_UP_EXPIRED: "powerUpExpired",
+    CATCH_STREAK: "catchStreak",
+    CLEAN_STREAK: "cleanStreak",
+    PATIENT_ARRIVED: "patientArrived",
+    PATIENT_ADMITTED: "patientAdmitted",
+    PATIENT_DETERIORATED: "patientDeteriorated",
+    LEVEL_UP: "levelUp",
+    PATIENT_TREATED: "patientTreated",
+    TREATMENT_ABANDONED: "treatmentAbandoned",
+    PATIENT_LEFT: "patientLeft",
+    PATIENT_LOST: "patientLost",
+    CONSULT_RECEIVED: "consultReceived",
+    GAME_OVER: "gameOver",
+  };
+
+  /**
+   * Clamp a numeric value between min and max.
+   * @param {number} value - Value to clamp.
+   * @param {number} min - Minimum value.
+   * @param {number} max - Maximum value.
+   * @returns {number} Clamped value.
+   */
+  function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+  }
+
+  /**
+   * Hash a seed of any type into a 32-bit integer (FNV-1a over its text).
+   * @param {string|number} seed - Seed value.
+   * @returns {number} Unsigned 32-bit hash.
+   */
+  function hashSeed(seed) {
+    const text = String(seed);
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i += 1) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Create a seeded random number generator.
+   * The generator is a plain object so it can live inside the simulation
+   * state and be copied or serialized with it.
+   * @param {string|number} seed - Seed value.
+   * @returns {{state:number}} Generator state.
+   */
+  function createRng(seed) {
+    return { state: hashSeed(seed) };
+  }
+
+  /**
+   * Draw the next float in [0, 1) from a generator (mulberry32).
+   * @param {{state:number}} rng - Generator state, advanced in place.
+   * @returns {number} Random float.
+   */
+  function nextRandom(rng) {
+    rng.state = (rng.state + 0x6d2b79f5) >>> 0;
+    let t = rng.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Generate a random integer between min and max inclusive.
+   * @param {{state:number}} rng - Generator state.
+   * @param {number} min - Minimum integer.
+   * @param {number} max - Maximum integer.
+   * @returns {number} Random integer in range.
+   */
+  function randomBetween(rng, min, max) {
+    return Math.floor(nextRandom(rng) * (max - min + 1)) + min;
+  }
+
+  /**
+   * Pick a short, human-friendly seed for a run started without one.
+   * @returns {string} Six-character seed.
+   */
+  function generateSeed() {
+    return Math.floor(Math.random() * 36 ** 6)
+      .toString(36)
+      .toUpperCase()
+      .padStart(6, "0");
+  }
+
+  /**
+   * Axis-aligned bounding box intersection test.
+   * @param {{x:number,y:number,width:number,height:number}} a - First box.
+   * @param {{x:number,y:number,width:number,height:number}} b - Second box.
+   * @returns {boolean} Whether the boxes intersect.
+   */
+  function intersects(a, b) {
+    return !(
+      a.x + a.width < b.x ||
+      a.x > b.x + b.width ||
+      a.y + a.height < b.y ||
+      a.y > b.y + b.height
+    );
+  }
+
+  /**
+   * Tuning for a shift level, interpolated along the difficulty curve.
+   * Whole numbers on the curve stay whole so they can seed randomBetween().
+   * @param {object} rules - Rule set, e.g. DEFAULT_RULES.
+   * @param {number} level - Shift level, 1 to the rules' maxLevel.
+   * @returns {object} Tuning values keyed like DIFFICULTY_CURVE.first.
+   */
+  function getDifficulty(rules, level) {
+    const { maxLevel, curve } = rules.difficulty;
+    const progress =
+      maxLevel > 1 ? (clamp(level, 1, maxLevel) - 1) / (maxLevel - 1) : 0;
+    const { first, last } = curve;
+    const tuning = {};
+    for (const key of Object.keys(first)) {
+      const value = first[key] + (last[key] - first[key]) * progress;
+      tuning[key] =
+        Number.isInteger(first[key]) && Number.isInteger(last[key])
+          ? Math.round(value)
+          : value;
+    }
+    return tuning;
+  }
+
+  /**
+   * Shift level reached after some time on a preset.
+   * @param {object} rules - Rule set, e.g. DEFAULT_RULES.
+   * @param {string} difficulty - Key of the rules' presets.
+   * @param {number} elapsedMs - Simulation time.
+   * @returns {number} Level, 1 to the rules' maxLevel.
+   */
+  function getShiftLevel(rules, difficulty, elapsedMs) {
+    const { levelDurationMs, maxLevel, presets } = rules.difficulty;
+    return Math.min(
+      maxLevel,
+      presets[difficulty].startLevel + Math.floor(elapsedMs / levelDurationMs)
+    );
+  }
+
+  /**
+   * A player standing on the floor.
+   * @param {string} role - One of PLAYER_ROLES.
+   * @param {number} x - Left edge.
+   * @returns {object} Player state; `catches` counts the MK books they
+   *   caught.
+   */
+  function createPlayer(role, x) {
+    return {
+      role,
+      x,
+      y: FLOOR_Y - PLAYER_HEIGHT,
+      vx: 0,
+      vy: 0,
+      onGround: true,
+      facing: 1,
+      catches: 0,
+    };
+  }
+
+  /**
+   * Create a fresh simulation state for the start of a run.
+   * The same seed and the same inputs always produce the same run.
+   * In quiz mode a caught assessment waits for answerAssessment() instead
+   * of passing on contact. A co-op run starts the doctor and the nurse a
+   * third of the way in from each side. The difficulty names one of the
+   * rules' presets. Custom rules must already be validated (config.js does
+   * this).
+   * @param {{seed?: string|number, quiz?: boolean, coop?: boolean,
+   *   difficulty?: string, rules?: object}} [options] - Run options.
+   * @returns {object} New simulation state.
+   */
+  function createState(options = {}) {
+    const seed =
+      options.seed === undefined || options.seed === ""
+        ? generateSeed()
+        : String(options.seed);
+    const rules = options.rules || DEFAULT_RULES;
+    const { presets } = rules.difficulty;
+    const difficulty = options.difficulty || rules.difficulty.defaultPreset;
+    if (!Object.prototype.hasOwnProperty.call(presets, difficulty)) {
+      throw new Error(`Unknown difficulty: ${difficulty}.`);
+    }
+    const level = presets[difficulty].startLevel;
+    const tuning = getDifficulty(rules, level);
+    const rng = createRng(seed);
+    return {
+      seed,
+      rng,
+      // Consults draw from their own generator, so receiving one leaves
+      // the shift's spawns in step with the opponent's.
+      consultRng: createRng(`consult:${seed}`),
+      rules,
+      quizMode: Boolean(options.quiz),
+      difficulty,
+      level,
+      over: false,
+      elapsedMs: 0,
+      players: options.coop
+        ? [
+            createPlayer(
+              PLAYER_ROLES.DOCTOR,
+              WORLD_WIDTH / 3 - PLAYER_WIDTH / 2
+            ),
+            createPlayer(
+              PLAYER_ROLES.NURSE,
+              (WORLD_WIDTH * 2) / 3 - PLAYER_WIDTH / 2
+            ),
+          ]
+        : [
+            createPlayer(
+              PLAYER_ROLES.DOCTOR,
+              WORLD_WIDTH / 2 - PLAYER_WIDTH / 2
+            ),
+          ],
+      knowledge: {
+        percent: rules.knowledge.start,
+        timeSinceErosionMs: 0,
+      },
+      mistakes: {
+        count: 0,
+      },
+      effects: createEffects(),
+      score: {
+        patientsTreated: 0,
+        patientPoints: 0,
+        assessmentsPassed: 0,
+        bonusPoints: 0,
+      },
+      streaks: Scoring.createStreaks(),
+      fallingItems: [],
+      itemSpawn: {
+        timeSinceLastSpawnMs: 0,
+        nextSpawnDelayMs: randomBetween(
+          rng,
+          tuning.itemSpawnIntervalMinMs,
+          tuning.itemSpawnIntervalMaxMs
+        ),
+      },
+      assessment: {
+        pending: false,
+        awaitingAnswer: false,
+      },
+      patients: {
+        floor: [],
+        waiting: [],
+        timeSinceArrivalMs: 0,
+        nextArrivalDelayMs: 0,
+        timeSinceAdmissionMs: rules.patients.gapMs,
+      },
+      groundMistakes: [],
+      groundMistakeSpawn: {
+        timeSinceLastSpawnMs: 0,
+        nextSpawnDelayMs: randomBetween(
+          rng,
+          tuning.groundMistakeSpawnIntervalMinMs,
+          tuning.groundMistakeSpawnIntervalMaxMs
+        ),
+      },
+    };
+  }
+
+  /**
+   * Time left on each power-up effect, all off.
+   * @returns {Object<string, number>} Milliseconds left, keyed by POWER_UPS
+   *   value; 0 when the effect is not running.
+   */
+  function createEffects() {
+    const effects = {};
+    Object.values(POWER_UPS).forEach((powerUp) => {
+      effects[powerUp] = 0;
+    });
+    return effects;
+  }
+
+  /**
+   * Whether a power-up effect is running.
+   * @param {object} state - Simulation state.
+   * @param {string} powerUp - One of POWER_UPS.
+   * @returns {boolean} True while the effect has time left.
+   */
+  function isEffectActive(state, powerUp) {
+    return state.effects[powerUp] > 0;
+  }
+
+  /**
+   * What a patient needs right now: their case's rules, raised by however
+   * far they have deteriorated.
+   * @param {object} rules - Rule set, e.g. DEFAULT_RULES.
+   * @param {{type:string, severity?:number}} patient - Patient.
+   * @returns {{knowledgeThreshold:number, treatDurationMs:number,
+   *   critical:boolean}} Current needs.
+   */
+  function getPatientNeeds(rules, patient) {
+    const patientRules = rules.patients;
+    const patientCase = patientRules.cases[patient.type];
+    const severity = patient.severity || 0;
+    return {
+      knowledgeThreshold: Math.min(
+        KNOWLEDGE_MAX,
+        patientCase.knowledgeThreshold +
+          severity * patientRules.deteriorationKnowledgeStep
+      ),
+      treatDurationMs:
+        patientCase.treatDurationMs +
+        severity * patientRules.deteriorationTreatStepMs,
+      critical:
+        patientCase.critical ||
+        (severity > 0 && severity >= patientRules.maxSeverity),
+    };
+  }
+
+  /**
+   * Whether current knowledge is high enough to treat a patient. Without a
+   * patient, checks the general warning threshold.
+   * @param {object} state - Simulation state.
+   * @param {{type:string, severity?:number}} [patient] - Patient to treat.
+   * @returns {boolean} True when treatment is allowed.
+   */
+  function canTreat(state, patient) {
+    const threshold = patient
+      ? getPatientNeeds(state.rules, patient).knowledgeThreshold
+      : state.rules.knowledge.warningThreshold;
+    return Math.round(state.knowledge.percent) >= threshold;
+  }
+
+  /**
+   * The patient a player is treating: the first on the floor that they
+   * touch and that current knowledge allows treating.
+   * @param {object} state - Simulation state.
+   * @param {object} player - One of state.players.
+   * @returns {object|null} Patient, or null when treating nobody.
+   */
+  function findTreatedPatient(state, player) {
+    const playerBox = {
+      x: player.x,
+      y: player.y,
+      width: PLAYER_WIDTH,
+      height: PLAYER_HEIGHT,
+    };
+    return (
+      state.patients.floor.find(
+        (patient) => canTreat(state, patient) && intersects(playerBox, patient)
+      ) || null
+    );
+  }
+
+  /**
+   * Pick one entry of a map at random, weighted by each entry's `weight`.
+   * @param {Object<string, {weight:number}>} entries - Entries to pick from.
+   * @param {{state:number}} rng - Generator state.
+   * @returns {string} Key of the picked entry.
+   */
+  function pickWeighted(entries, rng) {
+    const names = Object.keys(entries);
+    const total = names.reduce((sum, name) => sum + entries[name].weight, 0);
+    let roll = nextRandom(rng) * total;
+    for (const name of names) {
+      roll -= entries[name].weight;
+      if (roll < 0) {
+        return name;
+      }
+    }
+    return names[names.length - 1];
+  }
+
+  /**
+   * Pick the case for an arriving patient, weighted by the rules' cases.
+   * @param {object} rules - Rule set, e.g. DEFAULT_RULES.
+   * @param {{state:number}} rng - Generator state.
+   * @returns {string} One of PATIENT_TYPES.
+   */
+  function pickPatientType(rules, rng) {
+    return pickWeighted(rules.patients.cases, rng);
+  }
+
+  /**
+   * Compute a slightly shrunken hit box for the player to make
+   * catching and dodging feel a bit fairer.
+   * @param {object} player - Player state.
+   * @returns {{x:number,y:number,width:number,height:number}}
+   */
+  function getPlayerHitBox(player) {
+    const paddingX = 4;
+    const paddingTop = 6;
+    const paddingBottom = 6;
+    return {
+      x: player.x + paddingX,
+      y: player.y + paddingTop,
+      width: PLAYER_WIDTH - paddingX * 2,
+      height: PLAYER_HEIGHT - paddingTop - paddingBottom,
+    };
+  }
+
+  /**
+   * Report what caused a clinical mistake and count it, ending the run if
+   * the limit is reached. A running mentor shield absorbs the mistake
+   * instead; the cause is still reported, marked `blocked`.
+   * @param {object} state - Simulation state.
+   * @param {object[]} events - Event list for this step.
+   * @param {object} event - The event that caused the mistake.
+   */
+  function addMistake(state, events, event) {
+    if (isEffectActive(state, POWER_UPS.MENTOR)) {
+      state.effects[POWER_UPS.MENTOR] = 0;
+      events.push({ ...event, blocked: true });
+      return;
+    }
+    events.push(event);
+    Scoring.recordMistake(state.streaks, state.elapsedMs);
+    const maxMistakes = state.rules.mistakes.max;
+    state.mistakes.count = clamp(state.mistakes.count + 1, 0, maxMistakes);
+    if (state.mistakes.count >= maxMistakes) {
+      state.over = true;
+      events.push({ type: EVENT_TYPES.GAME_OVER });
+    }
+  }
+
+  /**
+   * Clear all mistakes and count a passed assessment, with any streak bonus.
+   * @param {object} state - Simulation state.
+   * @param {object[]} events - Event list for this step.
+   */
+  function passAssessment(state, events) {
+    state.mistakes.count = 0;
+    state.assessment.pending = false;
+    state.score.assessmentsPassed += 1;
+    const { bonus, multiplier } = Scoring.recordAssessment(
+      state.rules.scoring,
+      state.streaks
+    );
+    state.score.bonusPoints += bonus;
+    events.push({
+      type: EVENT_TYPES.ASSESSMENT_PASSED,
+      points: Scoring.ASSESSMENT_POINTS,
+      bonus,
+      multiplier,
+    });
+  }
+
+  /**
+   * Resolve a caught assessment in quiz mode. A correct answer passes it;
+   * a wrong answer counts as a clinical mistake.
+   * @param {object} state - Simulation state.
+   * @param {boolean} correct - Whether the question was answered correctly.
+   * @returns {{state: object, events: object[]}} Next state and events.
+   */
+  function answerAssessment(state, correct) {
+    const events = [];
+    if (state.over || !state.assessment.awaitingAnswer) {
+      return { state, events };
+    }
+    state.assessment.awaitingAnswer = false;
+    if (correct) {
+      passAssessment(state, events);
+    } else {
+      state.assessment.pending = false;
+      addMistake(state, events, { type: EVENT_TYPES.ASSESSMENT_FAILED });
+    }
+    return { state, events };
+  }
+
+  /**
+   * Spawn a falling item at a random horizontal position.
+   * MK items are more common than mistake items, and power-ups are rarer
+   * still.
+   * @param {object} state - Simulation state.
+   */
+  function spawnRandomItem(state) {
+    const tuning = getDifficulty(state.rules, state.level);
+    const powerUpRules = state.rules.powerUps;
+    let type = ITEM_TYPES.KNOWLEDGE;
+    const roll = nextRandom(state.rng);
+    if (roll > 1 - tuning.mistakeChance) {
+      type = ITEM_TYPES.MISTAKE;
+    } else if (roll < powerUpRules.chance) {
+      type = ITEM_TYPES.POWER_UP;
+    }
+
+    if (type === ITEM_TYPES.POWER_UP) {
+      const powerUp = pickWeighted(powerUpRules.effects, state.rng);
+      const size = powerUpRules.size;
+      state.fallingItems.push({
+        type,
+        powerUp,
+        x: randomBetween(state.rng, 20, WORLD_WIDTH - 20 - size),
+        y: -size,
+        width: size,
+        height: size,
+        vy: powerUpRules.fallSpeed,
+      });
+      return;
+    }
+
+    spawnBook(state, type);
+  }
+
+  /**
+   * Drop an MK or red book at a random horizontal position, falling at the
+   * current level's speed for its type.
+   * @param {object} state - Simulation state.
+   * @param {string} type - ITEM_TYPES.KNOWLEDGE or ITEM_TYPES.MISTAKE.
+   * @param {{state:number}} [rng] - Generator for the position; the run's
+   *   own by default.
+   */
+  function spawnBook(state, type, rng = state.rng) {
+    const tuning = getDifficulty(state.rules, state.level);
+    const width = state.rules.items.bookWidth;
+    const height = state.rules.items.bookHeight;
+    const x = randomBetween(rng, 20, WORLD_WIDTH - 20 - width);
+    const y = -height;
+
+    let vy;
+    if (type === ITEM_TYPES.KNOWLEDGE) {
+      vy = tuning.knowledgeFallSpeed;
+    } else {
+      vy = tuning.mistakeFallSpeed;
+    }
+
+    state.fallingItems.push({
+      type,
+      x,
+      y,
+      width,
+      height,
+      vy,
+    });
+  }
+
+  /**
+   * Drop an extra MK book sent by the opponent in a head-to-head run. Like
+   * answerAssessment() it happens between steps, so replays record when
+   * each one arrived.
+   * @param {object} state - Simulation state.
+   * @returns {{state: object, events: object[]}} Next state and events.
+   */
+  function receiveConsult(state) {
+    const events = [];
+    if (state.over) {
+      return { state, events };
+    }
+    spawnBook(state, ITEM_TYPES.KNOWLEDGE, state.consultRng);
+    events.push({ type: EVENT_TYPES.CONSULT_RECEIVED });
+    return { state, events };
+  }
+
+  /**
+   * Spawn an assessment item when knowledge is full.
+   * @param {object} state - Simulation state.
+   */
+  function spawnAssessmentItem(state) {
+    const { items } = state.rules;
+    const width = items.assessmentWidth;
+    const height = items.assessmentHeight;
+    const x = randomBetween(state.rng, 20, WORLD_WIDTH - 20 - width);
+    const y = -height;
+
+    state.fallingItems.push({
+      type: ITEM_TYPES.ASSESSMENT,
+      x,
+      y,
+      width,
+      height,
+      vy: items.assessmentFallSpeed,
+    });
+  }
+
+  /**
+   * Update a player's position and velocity based on input and physics.
+   * @param {object} state - Simulation state.
+   * @param {object} player - One of state.players, updated in place.
+   * @param {{left:boolean,right:boolean,jump:boolean}} input - Input snapshot.
+   * @param {number} dtSeconds - Delta time in seconds.
+   */
+  function updatePlayer(state, player, input, dtSeconds) {
+    const { jumpVelocity, gravity } = state.rules.player;
+    const speed = isEffectActive(state, POWER_UPS.COFFEE)
+      ? state.rules.player.speed * state.rules.powerUps.coffeeSpeedMultiplier
+      : state.rules.player.speed;
+    player.vx = 0;
+    if (input.left) {
+      player.vx -= speed;
+      player.facing = -1;
+    }
+    if (input.right) {
+      player.vx += speed;
+      player.facing = 1;
+    }
+
+    if (input.jump && player.onGround) {
+      player.vy = jumpVelocity;
+      player.onGround = false;
+    }
+
+    player.vy += gravity * dtSeconds;
+
+    player.x += player.vx * dtSeconds;
+    player.y += player.vy * dtSeconds;
+
+    if (player.y + PLAYER_HEIGHT >= FLOOR_Y) {
+      player.y = FLOOR_Y - PLAYER_HEIGHT;
+      player.vy = 0;
+      player.onGround = true;
+    }
+
+    player.x = clamp(player.x, 0, WORLD_WIDTH - PLAYER_WIDTH);
+  }
+
+  /**
+   * Run down the power-up timers.
+   * @param {object} state - Simulation state.
+   * @param {number} dtMs - Delta time in milliseconds.
+   * @param {object[]} events - Event list for this step.
+   */
+  function updateEffects(state, dtMs, events) {
+    Object.values(POWER_UPS).forEach((powerUp) => {
+      if (!isEffectActive(state, powerUp)) {
+        return;
+      }
+      state.effects[powerUp] = Math.max(0, state.effects[powerUp] - dtMs);
+      if (state.effects[powerUp] === 0) {
+        events.push({ type: EVENT_TYPES.POWER_UP_EXPIRED, powerUp });
+      }
+    });
+  }
+
+  /**
+   * Update knowledge erosion and item spawning. UpToDate holds erosion
+   * where it is.
+   * @param {object} state - Simulation state.
+   * @param {number} dtMs - Delta time in milliseconds.
+   * @param {object[]} events - Event list for this step.
+   */
+  function updateKnowledgeAndItems(state, dtMs, events) {
+    const { knowledge, itemSpawn } = state;
+    const knowledgeRules = state.rules.knowledge;
+    const tuning = getDifficulty(state.rules, state.level);
+    if (!isEffectActive(state, POWER_UPS.UPTODATE)) {
+      knowledge.timeSinceErosionMs += dtMs;
+    }
+    while (knowledge.timeSinceErosionMs >= tuning.knowledgeErosionIntervalMs) {
+      if (knowledge.percent > KNOWLEDGE_MIN) {
+        knowledge.percent = clamp(
+          knowledge.percent - knowledgeRules.erosionStep,
+          KNOWLEDGE_MIN,
+          KNOWLEDGE_MAX
+        );
+        events.push({ type: EVENT_TYPES.KNOWLEDGE_ERODED });
+      }
+      knowledge.timeSinceErosionMs -= tuning.knowledgeErosionIntervalMs;
+    }
+
+    if (
+      !state.assessment.pending &&
+      Math.round(knowledge.percent) >= KNOWLEDGE_MAX
+    ) {
+      state.assessment.pending = true;
+      knowledge.percent = knowledgeRules.start;
+      spawnAssessmentItem(state);
+      events.push({ type: EVENT_TYPES.ASSESSMENT_SPAWNED });
+    }
+
+    itemSpawn.timeSinceLastSpawnMs += dtMs;
+    if (itemSpawn.timeSinceLastSpawnMs >= itemSpawn.nextSpawnDelayMs) {
+      spawnRandomItem(state);
+      itemSpawn.timeSinceLastSpawnMs = 0;
+      itemSpawn.nextSpawnDelayMs = randomBetween(
+        state.rng,
+        tuning.itemSpawnIntervalMinMs,
+        tuning.itemSpawnIntervalMaxMs
+      );
+    }
+  }
+
+  /**
+   * Pull an MK book sideways toward the nearest player while the magnet
+   * runs and the book is within range.
+   * @param {object} state - Simulation state.
+   * @param {object} item - Falling MK book, moved in place.
+   * @param {number} dtSeconds - Delta time in seconds.
+   */
+  function pullTowardPlayer(state, item, dtSeconds) {
+    const { magnetRange, magnetPullSpeed } = state.rules.powerUps;
+    const offsets = state.players.map((player) => ({
+      dx: player.x + PLAYER_WIDTH / 2 - (item.x + item.width / 2),
+      dy: player.y + PLAYER_HEIGHT / 2 - (item.y + item.height / 2),
+    }));
+    const { dx, dy } = offsets.reduce((nearest, offset) =>
+      Math.hypot(offset.dx, offset.dy) < Math.hypot(nearest.dx, nearest.dy)
+        ? offset
+        : nearest
+    );
+    if (Math.hypot(dx, dy) > magnetRange) {
+      return;
+    }
+    const pull = Math.min(Math.abs(dx), magnetPullSpeed * dtSeconds);
+    item.x += Math.sign(dx) * pull;
+  }
+
+  /**
+   * Start or restart a power-up's effect when a player catches it. Effects
+   * are shared, so in co-op they help both players.
+   * @param {object} state - Simulation state.
+   * @param {string} powerUp - One of POWER_UPS.
+   * @param {number} player - Index of the player who caught it.
+   * @param {object[]} events - Event list for this step.
+   */
+  function catchPowerUp(state, powerUp, player, events) {
+    const refreshed = isEffectActive(state, powerUp);
+    state.effects[powerUp] = state.rules.powerUps.effects[powerUp].durationMs;
+    events.push({
+      type: EVENT_TYPES.POWER_UP_CAUGHT,
+      powerUp,
+      refreshed,
+      player,
+    });
+  }
+
+  /**
+   * Update falling items, handle collisions and removals. Catch events
+   * carry `player`, the index in state.players of whoever caught the item.
+   * @param {object} state - Simulation state.
+   * @param {number} dtSeconds - Delta time in seconds.
+   * @param {object[]} events - Event list for this step.
+   */
+  function updateFallingItems(state, dtSeconds, events) {
+    const { fallingItems } = state;
+    const playerBoxes = state.players.map(getPlayerHitBox);
+    const magnet = isEffectActive(state, POWER_UPS.MAGNET);
+    for (let i = fallingItems.length - 1; i >= 0; i -= 1) {
+      const item = fallingItems[i];
+      item.y += item.vy * dtSeconds;
+      if (magnet && item.type === ITEM_TYPES.KNOWLEDGE) {
+        pullTowardPlayer(state, item, dtSeconds);
+      }
+
+      const player = playerBoxes.findIndex((box) => intersects(box, item));
+      if (player !== -1) {
+        fallingItems.splice(i, 1);
+        if (item.type === ITEM_TYPES.KNOWLEDGE) {
+          state.knowledge.percent = clamp(
+            state.knowledge.percent + state.rules.knowledge.pickupAmount,
+            KNOWLEDGE_MIN,
+            KNOWLEDGE_MAX
+          );
+          state.players[player].catches += 1;
+          events.push({ type: EVENT_TYPES.KNOWLEDGE_CAUGHT, player });
+          if (Scoring.recordCatch(state.rules.scoring, state.streaks)) {
+            events.push({
+              type: EVENT_TYPES.CATCH_STREAK,
+              streak: state.streaks.catchStreak,
+              player,
+            });
+          }
+        } else if (item.type === ITEM_TYPES.MISTAKE) {
+          addMistake(state, events, {
+            type: EVENT_TYPES.MISTAKE_CAUGHT,
+            player,
+          });
+          if (state.over) {
+            return;
+          }
+        } else if (item.type === ITEM_TYPES.ASSESSMENT) {
+          if (state.quizMode) {
+            state.assessment.awaitingAnswer = true;
+            events.push({ type: EVENT_TYPES.ASSESSMENT_CAUGHT, player });
+          } else {
+            passAssessment(state, events);
+          }
+        } else if (item.type === ITEM_TYPES.POWER_UP) {
+          catchPowerUp(state, item.powerUp, player, events);
+        }
+        // eslint-disable-next-line no-continue
+        continue;
+      }
+
+      if (item.y > WORLD_HEIGHT + 40) {
+        if (item.type === ITEM_TYPES.ASSESSMENT) {
+          state.assessment.pending = false;
+          events.push({ type: EVENT_TYPES.ASSESSMENT_MISSED });
+        } else if (item.type === ITEM_TYPES.KNOWLEDGE) {
+          events.push({ type: EVENT_TYPES.KNOWLEDGE_MISSED });
+        }
+        fallingItems.splice(i, 1);
+      }
+    }
+  }
+
+  /**
+   * Add waiting time to a patient and raise their severity when it crosses
+   * the next deterioration step.
+   * @param {object} rules - Rule set, e.g. DEFAULT_RULES.
+   * @param {object} patient - Waiting or admitted patient, updated in place.
+   * @param {number} dtMs - Delta time in milliseconds.
+   * @param {object[]} events - Event list for this step.
+   */
+  function deterioratePatient(rules, patient, dtMs, events) {
+    patient.waitedMs += dtMs;
+    const severity = Math.min(
+      rules.patients.maxSeverity,
+      Math.floor(patient.waitedMs / rules.patients.deteriorationMs)
+    );
+    if (severity > patient.severity) {
+      patient.severity = severity;
+      events.push({
+        type: EVENT_TYPES.PATIENT_DETERIORATED,
+        patientType: patient.type,
+        severity,
+      });
+    }
+  }
+
+  /**
+   * Let a new patient into the waiting room when one is due and there is
+   * space, then schedule the next arrival.
+   * @param {object} state - Simulation state.
+   * @param {number} dtMs - Delta time in milliseconds.
+   * @param {object[]} events - Event list for this step.
+   */
+  function updateArrivals(state, dtMs, events) {
+    const patients = state.patients;
+    patients.timeSinceArrivalMs += dtMs;
+    if (
+      patients.timeSinceArrivalMs < patients.nextArrivalDelayMs ||
+      patients.waiting.length >= state.rules.patients.waitingRoomCapacity
+    ) {
+      return;
+    }
+    const type = pickPatientType(state.rules, state.rng);
+    patients.waiting.push({ type, waitedMs: 0, severity: 0 });
+    events.push({ type: EVENT_TYPES.PATIENT_ARRIVED, patientType: type });
+
+    const intervalMs = getDifficulty(
+      state.rules,
+      state.level
+    ).patientArrivalIntervalMs;
+    patients.timeSinceArrivalMs = 0;
+    patients.nextArrivalDelayMs = randomBetween(
+      state.rng,
+      Math.round(intervalMs * 0.75),
+      Math.round(intervalMs * 1.25)
+    );
+  }
+
+  /**
+   * Move the longest-waiting patient onto a free bay, at most one every
+   * gapMs.
+   * @param {object} state - Simulation state.
+   * @param {number} dtMs - Delta time in milliseconds.
+   * @param {object[]} events - Event list for this step.
+   */
+  function admitPatient(state, dtMs, events) {
+    const patients = state.patients;
+    const { maxOnFloor, gapMs } = state.rules.patients;
+    patients.timeSinceAdmissionMs += dtMs;
+    if (
+      patients.waiting.length === 0 ||
+      patients.floor.length >= maxOnFloor ||
+      patients.timeSinceAdmissionMs < gapMs
+    ) {
+      return;
+    }
+    let bay = 0;
+    while (patients.floor.some((patient) => patient.bay === bay)) {
+      bay += 1;
+    }
+    const bayWidth = WORLD_WIDTH / maxOnFloor;
+    const bayStart = Math.round(bay * bayWidth);
+    const x = randomBetween(
+      state.rng,
+      bayStart + 40,
+      Math.round(bayStart + bayWidth) - 40 - PATIENT_WIDTH
+    );
+    const patient = patients.waiting.shift();
+    patients.floor.push({
+      ...patient,
+      bay,
+      x,
+      y: FLOOR_Y - PATIENT_HEIGHT,
+      width: PATIENT_WIDTH,
+      height: PATIENT_HEIGHT,
+      lifetimeMs: 0,
+      contactDurationMs: 0,
+    });
+    patients.timeSinceAdmissionMs = 0;
+    events.push({
+      type: EVENT_TYPES.PATIENT_ADMITTED,
+      patientType: patient.type,
+    });
+  }
+
+  /**
+   * Update patient arrivals, the waiting room, and treatment on the floor.
+   * Each player treats one patient at a time: the first treatable patient
+   * they are standing over. Two players over the same patient treat them
+   * sharedTreatSpeed times as fast.
+   * @param {object} state - Simulation state.
+   * @param {number} dtMs - Delta time in milliseconds.
+   * @param {object[]} events - Event list for this step.
+   */
+  function updatePatients(state, dtMs, events) {
+    const patients = state.patients;
+    updateArrivals(state, dtMs, events);
+    for (const patient of patients.waiting) {
+      deterioratePatient(state.rules, patient, dtMs, events);
+    }
+    admitPatient(state, dtMs, events);
+
+    // Indexes of the players treating each patient.
+    const treaters = new Map();
+    state.players.forEach((player, index) => {
+      const treating = findTreatedPatient(state, player);
+      if (treating) {
+        treaters.set(treating, (treaters.get(treating) || []).concat(index));
+      }
+    });
+
+    for (let i = patients.floor.length - 1; i >= 0; i -= 1) {
+      const patient = patients.floor[i];
+      const patientCase = state.rules.patients.cases[patient.type];
+      patient.lifetimeMs += dtMs;
+      deterioratePatient(state.rules, patient, dtMs, events);
+      const needs = getPatientNeeds(state.rules, patient);
+
+      if (treaters.has(patient)) {
+        patient.contactDurationMs +=
+          treaters.get(patient).length > 1
+            ? dtMs * state.rules.patients.sharedTreatSpeed
+            : dtMs;
+        if (patient.contactDurationMs >= needs.treatDurationMs) {
+          const { bonus, multiplier } = Scoring.recordTreatment(
+            state.rules.scoring,
+            state.streaks,
+            patientCase.points
+          );
+          state.score.patientsTreated += 1;
+          state.score.patientPoints += patientCase.points;
+          state.score.bonusPoints += bonus;
+          patients.floor.splice(i, 1);
+          patients.timeSinceAdmissionMs = 0;
+          events.push({
+            type: EVENT_TYPES.PATIENT_TREATED,
+            patientType: patient.type,
+            severity: patient.severity,
+            players: treaters.get(patient),
+            points: patientCase.points,
+            bonus,
+            multiplier,
+          });
+          // eslint-disable-next-line no-continue
+          continue;
+        }
+      } else {
+        if (patient.contactDurationMs > 0) {
+          events.push({
+            type: EVENT_TYPES.TREATMENT_ABANDONED,
+            patientType: patient.type,
+          });
+        }
+        patient.contactDurationMs = 0;
+      }
+
+      if (patient.lifetimeMs >= patientCase.lifetimeMs) {
+        patients.floor.splice(i, 1);
+        patients.timeSinceAdmissionMs = 0;
+        Scoring.recordPatientLeft(state.streaks);
+        if (needs.critical) {
+          addMistake(state, events, {
+            type: EVENT_TYPES.PATIENT_LOST,
+            patientType: patient.type,
+          });
+          if (state.over) {
+            return;
+          }
+        } else {
+          events.push({
+            type: EVENT_TYPES.PATIENT_LEFT,
+            patientType: patient.type,
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Spawn a ground mistake (red book on the floor); player must jump over it.
+   * @param {object} state - Simulation state.
+   */
+  function spawnGroundMistake(state) {
+    const width = state.rules.items.bookWidth;
+    const height = state.rules.items.bookHeight;
+    const x = randomBetween(state.rng, 20, WORLD_WIDTH - 20 - width);
+    const y = FLOOR_Y - height;
+    state.groundMistakes.push({
+      x,
+      y,
+      width,
+      height,
+      lifetimeMs: 0,
+    });
+  }
+
+  /**
+   * Update ground mistakes: spawn, lifetime, and collision with player.
+   * @param {object} state - Simulation state.
+   * @param {number} dtMs - Delta time in milliseconds.
+   * @param {object[]} events - Event list for this step.
+   */
+  function updateGroundMistakes(state, dtMs, events) {
+    const { groundMistakes, groundMistakeSpawn } = state;
+    groundMistakeSpawn.timeSinceLastSpawnMs += dtMs;
+    if (
+      groundMistakeSpawn.timeSinceLastSpawnMs >=
+      groundMistakeSpawn.nextSpawnDelayMs
+    ) {
+      spawnGroundMistake(state);
+      groundMistakeSpawn.timeSinceLastSpawnMs = 0;
+      const tuning = getDifficulty(state.rules, state.level);
+      groundMistakeSpawn.nextSpawnDelayMs = randomBetween(
+        state.rng,
+        tuning.groundMistakeSpawnIntervalMinMs,
+        tuning.groundMistakeSpawnIntervalMaxMs
+      );
+    }
+
+    const playerBoxes = state.players.map(getPlayerHitBox);
+
+    for (let i = groundMistakes.length - 1; i >= 0; i -= 1) {
+      const ob = groundMistakes[i];
+      ob.lifetimeMs += dtMs;
+
+      const player = playerBoxes.findIndex((box) => intersects(box, ob));
+      if (player !== -1) {
+        groundMistakes.splice(i, 1);
+        addMistake(state, events, {
+          type: EVENT_TYPES.GROUND_MISTAKE_HIT,
+          player,
+        });
+        if (state.over) {
+          return;
+        }
+        // eslint-disable-next-line no-continue
+        continue;
+      }
+
+      if (ob.lifetimeMs >= state.rules.items.groundMistakeDurationMs) {
+        groundMistakes.splice(i, 1);
+      }
+    }
+  }
+
+  /**
+   * Advance the simulation by one tick.
+   * The state is updated in place and returned alongside the events that
+   * happened during the tick. A finished run, or one waiting for an
+   * assessment answer, is left untouched. A co-op run takes one input
+   * snapshot per player, in state.players order; a lone snapshot moves the
+   * first player and leaves any other standing still.
+   * @param {object} state - Simulation state from createState().
+   * @param {{left:boolean,right:boolean,jump:boolean}|object[]} input -
+   *   Input snapshot, or one per player.
+   * @param {number} dtMs - Delta time in milliseconds.
+   * @returns {{state: object, events: object[]}} Next state and events.
+   */
+  function step(state, input, dtMs) {
+    const events = [];
+    if (state.over || state.assessment.awaitingAnswer) {
+      return { state, events };
+    }
+
+    const dtSeconds = dtMs / 1000;
+    state.elapsedMs += dtMs;
+    const level = getShiftLevel(state.rules, state.difficulty, state.elapsedMs);
+    if (level !== state.level) {
+      state.level = level;
+      events.push({ type: EVENT_TYPES.LEVEL_UP, level });
+    }
+    const { scoring } = state.rules;
+    if (Scoring.recordCleanTime(scoring, state.streaks, state.elapsedMs)) {
+      events.push({
+        type: EVENT_TYPES.CLEAN_STREAK,
+        seconds: (state.streaks.cleanSteps * scoring.cleanTimeStepMs) / 1000,
+      });
+    }
+
+    updateEffects(state, dtMs, events);
+    const inputs = Array.isArray(input) ? input : [input];
+    state.players.forEach((player, index) => {
+      updatePlayer(state, player, inputs[index] || {}, dtSeconds);
+    });
+    updateKnowledgeAndItems(state, dtMs, events);
+    updateFallingItems(state, dtSeconds, events);
+    if (state.over) {
+      return { state, events };
+    }
+    updatePatients(state, dtMs, events);
+    if (state.over) {
+      return { state, events };
+    }
+    updateGroundMistakes(state, dtMs, events);
+
+    return { state, events };
+  }
+
+  /**
+   * Create the accumulator that turns frame times into fixed steps.
+   * @returns {{accumulatorMs:number}} Clock state.
+   */
+  function createClock() {
+    return { accumulatorMs: 0 };
+  }
+
+  /**
+   * Add one rendered frame's duration to the clock.
+   * Returns how many fixed steps to run now and how far the frame sits
+   * between the last two steps, for render interpolation. A backlog longer
+   * than MAX_CATCH_UP_STEPS (e.g. after a stall) is dropped rather than
+   * replayed in a burst.
+   * @param {{accumulatorMs:number}} clock - Clock state, updated in place.
+   * @param {number} frameMs - Real time since the previous frame.
+   * @returns {{steps:number, alpha:number}} Steps to run and blend factor.
+   */
+  function advanceClock(clock, frameMs) {
+    clock.accumulatorMs += Math.max(0, frameMs);
+    let steps = Math.floor(clock.accumulatorMs / FIXED_STEP_MS);
+    if (steps > MAX_CATCH_UP_STEPS) {
+      steps = MAX_CATCH_UP_STEPS;
+      clock.accumulatorMs = 0;
+    } else {
+      clock.accumulatorMs -= steps * FIXED_STEP_MS;
+    }
+    return { steps, alpha: clock.accumulatorMs / FIXED_STEP_MS };
+  }
+
+  const CertQuestSim = {
+    RULES_VERSION,
+    FIXED_STEP_MS,
+    MAX_CATCH_UP_STEPS,
+    WORLD_WIDTH,
+    WORLD_HEIGHT,
+    FLOOR_Y,
+    PLAYER_WIDTH,
+    PLAYER_HEIGHT,
+    PLAYER_ROLES,
+    SHARED_TREAT_SPEED,
+    ITEM_TYPES,
+    POWER_UPS,
+    POWER_UP_EFFECTS,
+    KNOWLEDGE_MIN,
+    KNOWLEDGE_MAX,
+    KNOWLEDGE_WARNING_THRESHOLD,
+    MAX_MISTAKES,
+    PATIENT_TYPES,
+    TRIAGE_LEVELS,
+    PATIENT_CASES,
+    MAX_PATIENTS_ON_FLOOR,
+    WAITING_ROOM_CAPACITY,
+    PATIENT_DETERIORATION_MS,
+    MAX_PATIENT_SEVERITY,
+    LEVEL_DURATION_MS,
+    MAX_LEVEL,
+    DIFFICULTY_CURVE,
+    DIFFICULTY_PRESETS,
+    DEFAULT_DIFFICULTY,
+    DEFAULT_RULES,
+    EVENT_TYPES,
+    computeScore: Scoring.computeScore,
+    clamp,
+    createRng,
+    nextRandom,
+    randomBetween,
+    generateSeed,
+    intersects,
+    isEffectActive,
+    getPatientNeeds,
+    canTreat,
+    findTreatedPatient,
+    getDifficulty,
+    getShiftLevel,
+    getPlayerHitBox,
+    createState,
+    step,
+    answerAssessment,
+    receiveConsult,
+    createClock,
+    advanceClock,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = CertQuestSim;
+  } else {
+    root.CertQuestSim = CertQuestSim;
+  }
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,1234 @@
+/**
+ * Sprites and animation for Cert Quest.
+ * Everything on the play field is drawn from a theme: a set of sprites,
+ * each either inline pixel art or frames cut from a sprite-sheet image,
+ * with animations that game.js picks by what each entity is doing (idle,
+ * run, jump, treating, hurt). Artists reskin the game by writing a theme
+ * file; game logic never changes. Holds no DOM references; game.js loads
+ * sheet images and passes in the canvas context.
+ *
+ * Theme format (version 1):
+ *   {
+ *     "version": 1,
+ *     "name": "Night ward",                 shown in Settings
+ *     "extends": "standard",                optional built-in theme
+ *     "palettes": { "player.doctor": { "T": "#345678" } },   recolours
+ *     "sprites": { "player.doctor": { ... } }                replacements
+ *   }
+ *
+ * Sprite keys are "player.<role>", "patient.<case>", "item.knowledge",
+ * "item.mistake", "item.assessment" and "powerUp.<kind>" (see SPRITE_KEYS).
+ *
+ * Inline sprite, drawn from rows of palette characters:
+ *   {
+ *     "width": 16, "height": 29,            art size in art pixels
+ *     "box": { "x": 0, "y": 3, "width": 16, "height": 26 },
+ *                                           the part laid over the entity
+ *     "palette": { "T": "#f5f5ff", "g": "@triage", "c": null },
+ *     "frames": {
+ *       "stand": ["....TT....", ...],       one string per row
+ *       "reach": { "from": "stand", "rows": { "18": "..." },
+ *                  "palette": { ... } }     a copy with rows replaced
+ *     },
+ *     "animations": { "idle": { "fps": 2, "frames": ["stand", "reach"] } }
+ *   }
+ * "." and null palette entries are transparent. Colours starting with "@"
+ * are filled in when drawing: the triage colour, or the book and star
+ * colours of the accessibility palette.
+ *
+ * Sheet sprite, one animation per row of equal-sized frames:
+ *   {
+ *     "sheet": { "src": "themes/doctor.png", "frameWidth": 32,
+ *                "frameHeight": 58 },
+ *     "box": { "x": 0, "y": 6, "width": 32, "height": 52 },
+ *     "animations": { "idle": { "row": 0, "frames": 2, "fps": 2 } }
+ *   }
+ *
+ * Every sprite needs an idle animation, which stands in for any it lacks.
+ * Art faces right; entities facing left are drawn flipped.
+ */
+
+(function (root) {
+  const Sim =
+    typeof module !== "undefined" && module.exports
+      ? require("./sim")
+      : root.CertQuestSim;
+
+  const THEME_VERSION = 1;
+  const THEME_STORAGE_KEY = "certQuest.theme";
+  const DEFAULT_THEME = "standard";
+
+  const ANIMATIONS = {
+    IDLE: "idle",
+    RUN: "run",
+    JUMP: "jump",
+    TREATING: "treating",
+    HURT: "hurt",
+  };
+
+  // How long a player shows the hurt animation after a Clinical Mistake.
+  const HURT_MS = 600;
+
+  // Largest inline art and sheet frame, in pixels either way.
+  const MAX_ART_SIZE = 128;
+
+  const SPRITE_KEYS = [
+    ...Object.values(Sim.PLAYER_ROLES).map((role) => `player.${role}`),
+    ...Object.values(Sim.PATIENT_TYPES).map((type) => `patient.${type}`),
+    `item.${Sim.ITEM_TYPES.KNOWLEDGE}`,
+    `item.${Sim.ITEM_TYPES.MISTAKE}`,
+    `item.${Sim.ITEM_TYPES.ASSESSMENT}`,
+    ...Object.values(Sim.POWER_UPS).map((powerUp) => `powerUp.${powerUp}`),
+  ];
+
+  // The doctor and the nurse share their art; their palettes differ. Rows
+  // 0-2 sit above the hit box, for the nurse's cap.
+  const PLAYER_FRAMES = {
+    stand: [
+      "................",
+      "......cccc......",
+      ".....ccrrcc.....",
+      "....hhhhhhhh....",
+      "....hhssssss....",
+      "....hssssses....",
+      "....hssssssss...",
+      "....hsssssss....",
+      ".....ssssss.....",
+      "......nnnn......",
+      "......nnnn......",
+      "....TTnnnnTT....",
+      "...TTTTTaTTTT...",
+      "...TTTaaaaTTT...",
+      "...TTTaTTawwT...",
+      "...TTTaaaawwT...",
+      "..sTTTTTTTTTTs..",
+      "..sTTTTTTTTTTs..",
+      "..stttttttttts..",
+      "..sTTTTTTTTTTs..",
+      "...TTTTTTTTTT...",
+      "...TTTTTTTTTT...",
+      "...TTTTTTTTTT...",
+      "...TTTTTTTTTT...",
+      "....LLL..LLL....",
+      "....LLL..LLL....",
+      "....LLL..LLL....",
+      "....LLL..LLL....",
+      "....kkk..kkk....",
+    ],
+    breathe: {
+      from: "stand",
+      rows: {
+        16: "...TTTTTTTTTT...",
+        20: "..sTTTTTTTTTTs..",
+      },
+    },
+    stride: {
+      from: "stand",
+      rows: {
+        24: "....LLL..LLL....",
+        25: "...LLL....LLL...",
+        26: "...LL......LL...",
+        27: "..LL........LL..",
+        28: "..kk........kk..",
+      },
+    },
+    pass: {
+      from: "stand",
+      rows: {
+        24: ".....LLLLLL.....",
+        25: "......LLLL......",
+        26: "......LLLL......",
+        27: "......LL.LL.....",
+        28: "......kk.kk.....",
+      },
+    },
+    leap: {
+      from: "stand",
+      rows: {
+        9: "..s...nnnn...s..",
+        10: "..s...nnnn...s..",
+        11: "..sTTTnnnnTTTs..",
+        16: "...TTTTTTTTTT...",
+        17: "...TTTTTTTTTT...",
+        18: "...tttttttttt...",
+        19: "...TTTTTTTTTT...",
+        24: "....LLLLLLLL....",
+        25: "....LLLLLLLL....",
+        26: "...kkk....kkk...",
+        27: "................",
+        28: "................",
+      },
+    },
+    reach: {
+      from: "stand",
+      rows: {
+        16: "...TTTTTTTTTT...",
+        17: "...TTTTTTTTTT...",
+        18: "..stttttttttts..",
+        19: "..sTTTTTTTTTTs..",
+        20: "..sTTTTTTTTTTs..",
+        21: "..sTTTTTTTTTTs..",
+      },
+    },
+    ouch: {
+      from: "stand",
+      rows: {
+        9: "..s...nnnn...s..",
+        10: "..s...nnnn...s..",
+        11: "..sTTTnnnnTTTs..",
+        16: "...TTTTTTTTTT...",
+        17: "...TTTTTTTTTT...",
+        18: "...tttttttttt...",
+        19: "...TTTTTTTTTT...",
+      },
+    },
+    ouchFlash: { from: "ouch", palette: { T: "#ff8a80", t: "#e53935" } },
+  };
+
+  const PLAYER_ANIMATIONS = {
+    [ANIMATIONS.IDLE]: { fps: 2, frames: ["stand", "breathe"] },
+    [ANIMATIONS.RUN]: { fps: 10, frames: ["stride", "stand", "pass", "stand"] },
+    [ANIMATIONS.JUMP]: { fps: 1, frames: ["leap"] },
+    [ANIMATIONS.TREATING]: { fps: 4, frames: ["stand", "reach"] },
+    [ANIMATIONS.HURT]: { fps: 8, frames: ["ouch", "ouchFlash"] },
+  };
+
+  /**
+   * A player sprite: the shared art in one outfit.
+   * @param {Object<string, string|null>} palette - Colours by character.
+   * @returns {object} Sprite.
+   */
+  function createPlayerSprite(palette) {
+    return {
+      width: 16,
+      height: 29,
+      box: { x: 0, y: 3, width: 16, height: 26 },
+      palette,
+      frames: PLAYER_FRAMES,
+      animations: PLAYER_ANIMATIONS,
+    };
+  }
+
+  // One frame per case, lying on a stretcher with the triage tag at its
+  // foot. The art runs past the hit box on the left for the IV pole.
+  const PATIENT_ROWS = {
+    [Sim.PATIENT_TYPES.CHEST_PAIN]: [
+      "....................",
+      "....................",
+      "....................",
+      "....................",
+      "...........e........",
+      "..........e.e.......",
+      "........ee...e.ee...",
+      "..............e.....",
+      "....................",
+      "......ssss..........",
+      ".....ssssssbhhbhhb..",
+      ".....skssssbhhhhhbsg",
+      ".....ssssssbbhhhbbsg",
+      "......ssssbbbbbbbbsg",
+      "....SSSSSSSSSSSSSSSS",
+      "....SSSSSSSSSSSSSSSS",
+      ".....WW.........WW..",
+    ],
+    [Sim.PATIENT_TYPES.SEPSIS]: [
+      "....................",
+      "iii.................",
+      "iii.................",
+      "iii.................",
+      "iii.................",
+      "..p.................",
+      "..p.................",
+      "..p....d............",
+      "..p....d............",
+      "..p...ssss..........",
+      "..p..ssssssbbbbbbb..",
+      "..p..skssssbbbbbbbsg",
+      "..p..ssssssbbbbbbbsg",
+      "..p...ssssbbbbbbbbsg",
+      "..p.SSSSSSSSSSSSSSSS",
+      ".pppSSSSSSSSSSSSSSSS",
+      ".....WW.........WW..",
+    ],
+    [Sim.PATIENT_TYPES.FRACTURE]: [
+      "....................",
+      "....................",
+      "....................",
+      "....................",
+      "....................",
+      "....................",
+      "....................",
+      "....................",
+      "....................",
+      "......ssss..........",
+      ".....ssssssbbbooooo.",
+      ".....skssssbbbocccog",
+      ".....ssssssbbbocccog",
+      "......ssssbbbbooooog",
+      "....SSSSSSSSSSSSSSSS",
+      "....SSSSSSSSSSSSSSSS",
+      ".....WW.........WW..",
+    ],
+    [Sim.PATIENT_TYPES.PEDIATRIC]: [
+      "....................",
+      "....................",
+      "....................",
+      "....................",
+      "....................",
+      "....................",
+      "....................",
+      "....................",
+      "....................",
+      "....................",
+      "......ssss.....t..t.",
+      "......skssbbbbbstttg",
+      "......ssssbbbbbstttg",
+      "......ssssbbbbbstttg",
+      "....SSSSSSSSSSSSSSSS",
+      "....SSSSSSSSSSSSSSSS",
+      ".....WW.........WW..",
+    ],
+    [Sim.PATIENT_TYPES.LACERATION]: [
+      "....................",
+      "....................",
+      "....................",
+      "....................",
+      "....................",
+      "....................",
+      "....................",
+      "....................",
+      "....................",
+      "......ssss..........",
+      ".....ssssssbbbbbbb..",
+      ".....skssssbbbbbbbsg",
+      ".....ssssssBBBBBbbsg",
+      "......ssssbBBrrBbbsg",
+      "....SSSSSSSSSSSSSSSS",
+      "....SSSSSSSSSSSSSSSS",
+      ".....WW.........WW..",
+    ],
+  };
+
+  const PATIENT_PALETTE = {
+    s: "#e8d5c4",
+    k: "#7a6050",
+    b: "#fff8f0",
+    g: "@triage",
+    S: "#2a2a3a",
+    W: "#4a4a6a",
+    e: "#ff8a80",
+    h: "#e53935",
+    i: "#bfe3ff",
+    p: "#9aa0c0",
+    d: "#7fc8ff",
+    c: "#f5f5f5",
+    o: "#9e9e9e",
+    t: "#a1704a",
+    B: "#f0e0d0",
+    r: "#c62828",
+  };
+
+  /**
+   * A patient sprite: the case lies still, its gown glows while it is
+   * treated and the stretcher flashes while it is critical.
+   * @param {string[]} rows - The case's art.
+   * @param {Object<string, string>} [palette] - Colours changed for the
+   *   case.
+   * @returns {object} Sprite.
+   */
+  function createPatientSprite(rows, palette = {}) {
+    return {
+      width: 20,
+      height: 17,
+      box: { x: 5, y: 0, width: 14, height: 16 },
+      palette: { ...PATIENT_PALETTE, ...palette },
+      frames: {
+        lying: rows,
+        glow: { from: "lying", palette: { b: "#dcf5e3" } },
+        alarm: { from: "lying", palette: { S: "#6a2433" } },
+      },
+      animations: {
+        [ANIMATIONS.IDLE]: { fps: 1, frames: ["lying"] },
+        [ANIMATIONS.TREATING]: { fps: 4, frames: ["lying", "glow"] },
+        [ANIMATIONS.HURT]: { fps: 2, frames: ["lying", "alarm"] },
+      },
+    };
+  }
+
+  /**
+   * A single-frame sprite covering its whole art.
+   * @param {string[]} rows - Art.
+   * @param {Object<string, string>} palette - Colours by character.
+   * @returns {object} Sprite.
+   */
+  function createStillSprite(rows, palette) {
+    return {
+      width: rows[0].length,
+      height: rows.length,
+      box: { x: 0, y: 0, width: rows[0].length, height: rows.length },
+      palette,
+      frames: { still: rows },
+      animations: { [ANIMATIONS.IDLE]: { fps: 1, frames: ["still"] } },
+    };
+  }
+
+  // Books take their colours from the accessibility palette; the plus and
+  // the cross tell them apart without colour vision.
+  const BOOK_PALETTE = { o: "@outer", i: "@inner", x: "@text" };
+
+  // Power-ups share a pale disc, with each kind's icon on top.
+  const DISC_PALETTE = {
+    r: "rgba(255, 255, 255, 0.6)",
+    d: "rgba(255, 255, 255, 0.15)",
+  };
+
+  const STANDARD_SPRITES = {
+    [`player.${Sim.PLAYER_ROLES.DOCTOR}`]: createPlayerSprite({
+      c: null,
+      r: null,
+      h: "#1a1a1a",
+      s: "#b8956e",
+      e: "#2b2b3f",
+      n: "#2b2b3f",
+      T: "#f5f5ff",
+      t: "#d1d1e6",
+      a: "#c0c0ff",
+      w: "#f5f5ff",
+      L: "#3c3c5c",
+      k: "#1f1f2e",
+    }),
+    [`player.${Sim.PLAYER_ROLES.NURSE}`]: createPlayerSprite({
+      c: "#ffffff",
+      r: "#e53935",
+      h: "#4a2c1d",
+      s: "#8d5a3b",
+      e: "#2b1a10",
+      n: "#2b2b3f",
+      T: "#4fb3bf",
+      t: "#3a8d97",
+      a: "#4fb3bf",
+      w: "#f5f5ff",
+      L: "#2f6f77",
+      k: "#1f1f2e",
+    }),
+    ...Object.keys(PATIENT_ROWS).reduce((sprites, type) => {
+      sprites[`patient.${type}`] = createPatientSprite(
+        PATIENT_ROWS[type],
+        type === Sim.PATIENT_TYPES.SEPSIS ? { s: "#f0a890" } : {}
+      );
+      return sprites;
+    }, {}),
+    [`item.${Sim.ITEM_TYPES.KNOWLEDGE}`]: createStillSprite(
+      [
+        "ooooooooooo",
+        "oiiiiiiiiio",
+        "oiiiixiiiio",
+        "oiiiixiiiio",
+        "oiixxxxxiio",
+        "oiiiixiiiio",
+        "oiiiixiiiio",
+        "oiiiiiiiiio",
+        "oiiiiiiiiio",
+        "oiiiiiiiiio",
+        "oiiiiiiiiio",
+        "oiiiiiiiiio",
+        "ooooooooooo",
+      ],
+      BOOK_PALETTE
+    ),
+    [`item.${Sim.ITEM_TYPES.MISTAKE}`]: createStillSprite(
+      [
+        "ooooooooooo",
+        "oiiiiiiiiio",
+        "oiixiiixiio",
+        "oiiixixiiio",
+        "oiiiixiiiio",
+        "oiiixixiiio",
+        "oiixiiixiio",
+        "oiiiiiiiiio",
+        "oiiiiiiiiio",
+        "oiiiiiiiiio",
+        "oiiiiiiiiio",
+        "oiiiiiiiiio",
+        "ooooooooooo",
+      ],
+      BOOK_PALETTE
+    ),
+    [`item.${Sim.ITEM_TYPES.ASSESSMENT}`]: {
+      width: 13,
+      height: 15,
+      box: { x: 0, y: 0, width: 13, height: 15 },
+      palette: { f: "@fill", s: "@stroke" },
+      frames: {
+        star: [
+          "......s......",
+          "......f......",
+          ".s....f....s.",
+          "..f..fff..f..",
+          "...fffffff...",
+          "....fffff....",
+          "..fffffffff..",
+          "sfffffffffffs",
+          "..fffffffff..",
+          "....fffff....",
+          "...fffffff...",
+          "..f..fff..f..",
+          ".s....f....s.",
+          "......f......",
+          "......s......",
+        ],
+        twinkle: { from: "star", palette: { s: "#ffffff" } },
+      },
+      animations: {
+        [ANIMATIONS.IDLE]: { fps: 3, frames: ["star", "twinkle"] },
+      },
+    },
+    [`powerUp.${Sim.POWER_UPS.COFFEE}`]: createStillSprite(
+      [
+        "....rrrr....",
+        "..rrsdsdrr..",
+        ".rddsdsdddr.",
+        ".rddddddddr.",
+        "rddwwwwwdddr",
+        "rddwcccwwwdr",
+        "rddwwwwwdwdr",
+        "rddwwwwwwwdr",
+        ".rdwwwwwddr.",
+        ".rddwwwdddr.",
+        "..rrddddrr..",
+        "....rrrr....",
+      ],
+      { ...DISC_PALETTE, w: "#f5f5ff", c: "#6f4e37", s: "#cfd8dc" }
+    ),
+    [`powerUp.${Sim.POWER_UPS.MENTOR}`]: createStillSprite(
+      [
+        "....rrrr....",
+        "..rrdlldrr..",
+        ".rdllpplldr.",
+        ".rlpppppplr.",
+        "rdlppppppldr",
+        "rdlppppppldr",
+        "rdlppppppldr",
+        "rddlpppplddr",
+        ".rddlpplddr.",
+        ".rdddlldddr.",
+        "..rrddddrr..",
+        "....rrrr....",
+      ],
+      { ...DISC_PALETTE, p: "#7e57c2", l: "#d1c4e9" }
+    ),
+    [`powerUp.${Sim.POWER_UPS.UPTODATE}`]: createStillSprite(
+      [
+        "....rrrr....",
+        "..eeeeeeee..",
+        ".rdbbbbbbdr.",
+        ".rddbbbbddr.",
+        "rddddbbddddr",
+        "rddddbbddddr",
+        "rdddbddbdddr",
+        "rddbdbbdbddr",
+        ".rbbbbbbbbr.",
+        ".reeeeeeeer.",
+        "..rrddddrr..",
+        "....rrrr....",
+      ],
+      { ...DISC_PALETTE, b: "#4fc3f7", e: "#e1f5fe" }
+    ),
+    [`powerUp.${Sim.POWER_UPS.MAGNET}`]: createStillSprite(
+      [
+        "....rrrr....",
+        "..rrddddrr..",
+        ".rddmmmmddr.",
+        ".rdmmmmmmdr.",
+        "rdmmddddmmdr",
+        "rdmmddddmmdr",
+        "rdmmddddmmdr",
+        "rdmmddddmmdr",
+        ".rttddddttr.",
+        ".rttddddttr.",
+        "..rrddddrr..",
+        "....rrrr....",
+      ],
+      { ...DISC_PALETTE, m: "#e53935", t: "#cfd8dc" }
+    ),
+  };
+
+  /**
+   * The built-in themes, offered in Settings. Themes other than the
+   * standard one only recolour it, as a theme file can.
+   */
+  const THEMES = {
+    standard: {
+      version: THEME_VERSION,
+      name: "Standard",
+      sprites: STANDARD_SPRITES,
+    },
+    theatre: {
+      version: THEME_VERSION,
+      name: "Theatre scrubs",
+      extends: "standard",
+      palettes: {
+        [`player.${Sim.PLAYER_ROLES.DOCTOR}`]: {
+          T: "#2e7d5b",
+          t: "#25664a",
+          w: "#2e7d5b",
+          L: "#1f5540",
+        },
+        [`player.${Sim.PLAYER_ROLES.NURSE}`]: {
+          T: "#3949ab",
+          t: "#2c3a8c",
+          a: "#3949ab",
+          L: "#283593",
+        },
+        ...Object.values(Sim.PATIENT_TYPES).reduce((palettes, type) => {
+          palettes[`patient.${type}`] = { b: "#d7e8f7" };
+          return palettes;
+        }, {}),
+      },
+    },
+  };
+
+  /**
+   * Whether a value is a plain object (not null or an array).
+   * @param {*} value - Value to check.
+   * @returns {boolean} True for plain objects.
+   */
+  function isPlainObject(value) {
+    return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+  }
+
+  /**
+   * Whether a value is a usable art or frame size.
+   * @param {*} value - Value to check.
+   * @returns {boolean} True for whole numbers from 1 to MAX_ART_SIZE.
+   */
+  function isArtSize(value) {
+    return Number.isInteger(value) && value >= 1 && value <= MAX_ART_SIZE;
+  }
+
+  /**
+   * Build an object with the same keys, each value mapped.
+   * @param {object} object - Source object.
+   * @param {function(*, string): *} map - Maps each value.
+   * @returns {object} Mapped copy.
+   */
+  function mapValues(object, map) {
+    return Object.keys(object).reduce((mapped, key) => {
+      mapped[key] = map(object[key], key);
+      return mapped;
+    }, {});
+  }
+
+  /**
+   * An inline frame's rows and palette, following `from` back to the rows
+   * it copies.
+   * @param {object} sprite - Inline sprite.
+   * @param {string} name - Frame name.
+   * @param {string[]} [seen] - Frames already followed, to catch loops.
+   * @returns {{rows:string[], palette:object}} Resolved frame.
+   */
+  function resolveFrame(sprite, name, seen = []) {
+    const frame = sprite.frames[name];
+    if (Array.isArray(frame)) {
+      return { rows: frame, palette: sprite.palette };
+    }
+    if (!isPlainObject(frame)) {
+      throw new Error(`frame "${name}" is missing`);
+    }
+    if (seen.includes(name)) {
+      throw new Error(`frame "${name}" copies itself`);
+    }
+    const base = resolveFrame(sprite, frame.from, seen.concat(name));
+    const rows = base.rows.slice();
+    const replaced = frame.rows || {};
+    Object.keys(replaced).forEach((index) => {
+      rows[Number(index)] = replaced[index];
+    });
+    return { rows, palette: { ...base.palette, ...frame.palette } };
+  }
+
+  /**
+   * List what is wrong with an inline sprite's palette and frames.
+   * @param {object} sprite - Inline sprite.
+   * @param {string} path - Where the sprite is, for messages.
+   * @returns {string[]} Problems.
+   */
+  function getArtProblems(sprite, path) {
+    const problems = [];
+    if (!isArtSize(sprite.width) || !isArtSize(sprite.height)) {
+      return [`${path}.width and height must be 1 to ${MAX_ART_SIZE}`];
+    }
+    if (!isPlainObject(sprite.palette)) {
+      return [`${path}.palette must be an object`];
+    }
+    Object.keys(sprite.palette).forEach((char) => {
+      const color = sprite.palette[char];
+      if (char.length !== 1 || char === ".") {
+        problems.push(`${path}.palette keys must be single characters`);
+      } else if (color !== null && typeof color !== "string") {
+        problems.push(`${path}.palette.${char} must be a colour or null`);
+      }
+    });
+    if (!isPlainObject(sprite.frames)) {
+      return problems.concat(`${path}.frames must be an object`);
+    }
+    Object.keys(sprite.frames).forEach((name) => {
+      const framePath = `${path}.frames.${name}`;
+      let frame;
+      try {
+        frame = resolveFrame(sprite, name);
+      } catch (error) {
+        problems.push(`${framePath}: ${error.message}`);
+        return;
+      }
+      const fits =
+        frame.rows.length === sprite.height &&
+        frame.rows.every(
+          (row) => typeof row === "string" && row.length === sprite.width
+        );
+      if (!fits) {
+        problems.push(
+          `${framePath} must be ${sprite.height} rows of ${sprite.width} characters`
+        );
+        return;
+      }
+      const unknown = frame.rows
+        .join("")
+        .split("")
+        .find((char) => char !== "." && !(char in frame.palette));
+      if (unknown !== undefined) {
+        problems.push(`${framePath} uses "${unknown}", which has no colour`);
+      }
+    });
+    return problems;
+  }
+
+  /**
+   * List what is wrong with one sprite.
+   * @param {object} sprite - Sprite from a theme.
+   * @param {string} path - Where the sprite is, for messages.
+   * @returns {string[]} Problems; empty when the sprite is usable.
+   */
+  function getSpriteProblems(sprite, path) {
+    if (!isPlainObject(sprite)) {
+      return [`${path} must be an object`];
+    }
+    const { sheet, box, animations } = sprite;
+    let problems;
+    let width;
+    let height;
+    if (sheet !== undefined) {
+      problems =
+        isPlainObject(sheet) &&
+        typeof sheet.src === "string" &&
+        sheet.src !== "" &&
+        isArtSize(sheet.frameWidth) &&
+        isArtSize(sheet.frameHeight)
+          ? []
+          : [`${path}.sheet needs a src, frameWidth and frameHeight`];
+      width = sheet && sheet.frameWidth;
+      height = sheet && sheet.frameHeight;
+    } else {
+      problems = getArtProblems(sprite, path);
+      ({ width, height } = sprite);
+    }
+    const boxFits =
+      isPlainObject(box) &&
+      ["x", "y", "width", "height"].every((key) =>
+        Number.isInteger(box[key])
+      ) &&
+      box.x >= 0 &&
+      box.y >= 0 &&
+      box.width >= 1 &&
+      box.height >= 1 &&
+      box.x + box.width <= width &&
+      box.y + box.height <= height;
+    if (!boxFits) {
+      problems.push(`${path}.box must lie within the art`);
+    }
+    if (!isPlainObject(animations) || !animations[ANIMATIONS.IDLE]) {
+      return problems.concat(`${path}.animations needs an idle animation`);
+    }
+    Object.keys(animations).forEach((name) => {
+      const animationPath = `${path}.animations.${name}`;
+      const animation = animations[name];
+      if (!Object.values(ANIMATIONS).includes(name)) {
+        problems.push(`${animationPath} is not an animation`);
+        return;
+      }
+      if (
+        !isPlainObject(animation) ||
+        !(animation.fps > 0) ||
+        (animation.loop !== undefined && typeof animation.loop !== "boolean")
+      ) {
+        problems.push(`${animationPath} needs fps above 0`);
+        return;
+      }
+      const framesFit =
+        sheet !== undefined
+          ? Number.isInteger(animation.row) &&
+            animation.row >= 0 &&
+            Number.isInteger(animation.frames) &&
+            animation.frames >= 1
+          : Array.isArray(animation.frames) &&
+            animation.frames.length > 0 &&
+            animation.frames.every(
+              (frame) =>
+                isPlainObject(sprite.frames) &&
+                Object.prototype.hasOwnProperty.call(sprite.frames, frame)
+            );
+      if (!framesFit) {
+        problems.push(
+          sheet !== undefined
+            ? `${animationPath} needs a row and a frame count`
+            : `${animationPath}.frames must name frames of the sprite`
+        );
+      }
+    });
+    return problems;
+  }
+
+  /**
+   * Every sprite of a theme, its base theme's sprites first and its
+   * palettes applied. Assumes the theme passed getThemeProblems().
+   * @param {object} theme - Theme.
+   * @returns {Object<string, object>} Sprites by key.
+   */
+  function mergeSprites(theme) {
+    const sprites = {
+      ...(theme.extends ? mergeSprites(THEMES[theme.extends]) : {}),
+      ...theme.sprites,
+    };
+    const palettes = theme.palettes || {};
+    Object.keys(palettes).forEach((key) => {
+      sprites[key] = {
+        ...sprites[key],
+        palette: { ...sprites[key].palette, ...palettes[key] },
+      };
+    });
+    return sprites;
+  }
+
+  /**
+   * List what is wrong with a theme.
+   * @param {object} theme - Parsed theme file or built-in theme.
+   * @returns {string[]} Problems; empty when the theme is usable.
+   */
+  function getThemeProblems(theme) {
+    if (!isPlainObject(theme)) {
+      return ["theme must be a JSON object"];
+    }
+    if (theme.version !== THEME_VERSION) {
+      return [`version must be ${THEME_VERSION}`];
+    }
+    const problems = [];
+    if (typeof theme.name !== "string" || theme.name.trim() === "") {
+      problems.push("name must be a non-empty string");
+    }
+    if (
+      theme.extends !== undefined &&
+      !Object.prototype.hasOwnProperty.call(THEMES, theme.extends)
+    ) {
+      return problems.concat(
+        `extends must be one of ${Object.keys(THEMES).join(", ")}`
+      );
+    }
+    ["sprites", "palettes"].forEach((field) => {
+      if (theme[field] === undefined) {
+        return;
+      }
+      if (!isPlainObject(theme[field])) {
+        problems.push(`${field} must be an object`);
+        return;
+      }
+      Object.keys(theme[field]).forEach((key) => {
+        if (!SPRITE_KEYS.includes(key)) {
+          problems.push(`${field}.${key} is not a sprite`);
+        } else if (field === "palettes" && !isPlainObject(theme[field][key])) {
+          problems.push(`${field}.${key} must be an object`);
+        }
+      });
+    });
+    if (problems.length > 0) {
+      return problems;
+    }
+    const sprites = mergeSprites(theme);
+    SPRITE_KEYS.forEach((key) => {
+      if (!sprites[key]) {
+        problems.push(`sprites.${key} is missing`);
+      } else {
+        problems.push(...getSpriteProblems(sprites[key], `sprites.${key}`));
+      }
+    });
+    return problems;
+  }
+
+  /**
+   * Merge a theme over the theme it extends, refusing it when it does not
+   * validate.
+   * @param {object} theme - Parsed theme file or built-in theme.
+   * @returns {{name:string, sprites:Object<string, object>}} Every sprite.
+   */
+  function resolveTheme(theme) {
+    const problems = getThemeProblems(theme);
+    if (problems.length > 0) {
+      throw new Error(`Theme is not valid: ${problems.join("; ")}.`);
+    }
+    return { name: theme.name, sprites: mergeSprites(theme) };
+  }
+
+  /**
+   * Parse and resolve theme file text.
+   * @param {string} text - JSON text.
+   * @returns {{name:string, sprites:Object<string, object>}} Resolved
+   *   theme.
+   */
+  function parseTheme(text) {
+    let theme;
+    try {
+      theme = JSON.parse(text);
+    } catch (error) {
+      throw new Error("Theme file is not valid JSON.");
+    }
+    return resolveTheme(theme);
+  }
+
+  /**
+   * Colour of one art pixel.
+   * @param {object} palette - Colours by character.
+   * @param {string} char - Pixel character.
+   * @returns {string|null} Colour, or null when transparent.
+   */
+  function getPixelColor(palette, char) {
+    return char === "." ? null : palette[char] || null;
+  }
+
+  /**
+   * Turn rows of art into runs of same-coloured pixels, so a frame draws
+   * with one fillRect per run.
+   * @param {{rows:string[], palette:object}} frame - Resolved frame.
+   * @returns {Array<{color:string, x:number, y:number, width:number}>}
+   *   Runs, in art pixels.
+   */
+  function toRuns(frame) {
+    const runs = [];
+    frame.rows.forEach((row, y) => {
+      let start = 0;
+      while (start < row.length) {
+        const color = getPixelColor(frame.palette, row[start]);
+        let end = start + 1;
+        while (
+          end < row.length &&
+          getPixelColor(frame.palette, row[end]) === color
+        ) {
+          end += 1;
+        }
+        if (color) {
+          runs.push({ color, x: start, y, width: end - start });
+        }
+        start = end;
+      }
+    });
+    return runs;
+  }
+
+  /**
+   * Prepare a sprite for drawing: inline frames become runs, computed once
+   * and shared between animations; sheet frames become source offsets.
+   * @param {object} sprite - Valid sprite.
+   * @returns {object} Compiled sprite for getSpriteFrame() and drawFrame().
+   */
+  function compileSprite(sprite) {
+    const { sheet, box } = sprite;
+    if (sheet) {
+      return {
+        width: sheet.frameWidth,
+        height: sheet.frameHeight,
+        box,
+        sheet,
+        animations: mapValues(sprite.animations, (animation) => ({
+          fps: animation.fps,
+          loop: animation.loop !== false,
+          frames: Array.from({ length: animation.frames }, (unused, i) => ({
+            sx: i * sheet.frameWidth,
+            sy: animation.row * sheet.frameHeight,
+          })),
+        })),
+      };
+    }
+    const frames = mapValues(sprite.frames, (frame, name) => ({
+      runs: toRuns(resolveFrame(sprite, name)),
+    }));
+    return {
+      width: sprite.width,
+      height: sprite.height,
+      box,
+      sheet: null,
+      animations: mapValues(sprite.animations, (animation) => ({
+        fps: animation.fps,
+        loop: animation.loop !== false,
+        frames: animation.frames.map((name) => frames[name]),
+      })),
+    };
+  }
+
+  /**
+   * Compile every sprite of a resolved theme.
+   * @param {{name:string, sprites:Object<string, object>}} theme - Theme
+   *   from resolveTheme() or parseTheme().
+   * @returns {{name:string, sprites:Object<string, object>}} Compiled
+   *   theme.
+   */
+  function compileTheme(theme) {
+    return {
+      name: theme.name,
+      sprites: mapValues(theme.sprites, compileSprite),
+    };
+  }
+
+  /**
+   * Which frame of an animation shows after some time. With reduced
+   * motion every animation holds its first frame.
+   * @param {{fps:number, loop:boolean, frames:object[]}} animation -
+   *   Compiled animation.
+   * @param {number} elapsedMs - Time since the animation started.
+   * @param {boolean} reducedMotion - Whether motion is reduced.
+   * @returns {number} Frame index.
+   */
+  function getFrameIndex(animation, elapsedMs, reducedMotion) {
+    const count = animation.frames.length;
+    if (reducedMotion || count === 1) {
+      return 0;
+    }
+    const index = Math.floor((Math.max(0, elapsedMs) * animation.fps) / 1000);
+    return animation.loop ? index % count : Math.min(index, count - 1);
+  }
+
+  /**
+   * The frame of a compiled sprite to draw now.
+   * @param {object} sprite - Compiled sprite.
+   * @param {string} animation - An ANIMATIONS value; the idle animation
+   *   stands in when the sprite lacks it.
+   * @param {number} elapsedMs - Time since the animation started.
+   * @param {boolean} reducedMotion - Whether motion is reduced.
+   * @returns {object} Frame for drawFrame().
+   */
+  function getSpriteFrame(sprite, animation, elapsedMs, reducedMotion) {
+    const playing =
+      sprite.animations[animation] || sprite.animations[ANIMATIONS.IDLE];
+    return playing.frames[getFrameIndex(playing, elapsedMs, reducedMotion)];
+  }
+
+  /**
+   * Draw a frame with the sprite's box laid over an entity's bounds, so
+   * the art scales with entities a rule set resizes.
+   * @param {CanvasRenderingContext2D} ctx - Canvas context.
+   * @param {object} sprite - Compiled sprite.
+   * @param {object} frame - Frame from getSpriteFrame().
+   * @param {{x:number, y:number, width:number, height:number}} bounds -
+   *   Where the entity is.
+   * @param {object} [options] - Drawing options.
+   * @param {boolean} [options.flip] - Mirror the art, for entities facing
+   *   left.
+   * @param {Object<string, string>} [options.colors] - Colours for the
+   *   palette's "@" entries.
+   * @param {CanvasImageSource} [options.image] - Loaded sheet image, for
+   *   sheet sprites.
+   */
+  function drawFrame(ctx, sprite, frame, bounds, options = {}) {
+    const { box } = sprite;
+    const scaleX = bounds.width / box.width;
+    const scaleY = bounds.height / box.height;
+    if (sprite.sheet) {
+      ctx.save();
+      if (options.flip) {
+        ctx.translate(bounds.x * 2 + bounds.width, 0);
+        ctx.scale(-1, 1);
+      }
+      ctx.imageSmoothingEnabled = false;
+      ctx.drawImage(
+        options.image,
+        frame.sx,
+        frame.sy,
+        sprite.width,
+        sprite.height,
+        bounds.x - box.x * scaleX,
+        bounds.y - box.y * scaleY,
+        sprite.width * scaleX,
+        sprite.height * scaleY
+      );
+      ctx.restore();
+      return;
+    }
+    const colors = options.colors || {};
+    frame.runs.forEach((run) => {
+      const color =
+        run.color[0] === "@" ? colors[run.color.slice(1)] : run.color;
+      if (!color) {
+        return;
+      }
+      // Mirrored about the middle of the box.
+      const x = options.flip
+        ? box.x * 2 + box.width - run.x - run.width
+        : run.x;
+      ctx.fillStyle = color;
+      ctx.fillRect(
+        bounds.x + (x - box.x) * scaleX,
+        bounds.y + (run.y - box.y) * scaleY,
+        run.width * scaleX,
+        scaleY
+      );
+    });
+  }
+
+  /**
+   * Animation state for one player.
+   * @returns {{animation:string, startedMs:number, hurtUntilMs:number}}
+   *   Animator; times are simulation time.
+   */
+  function createAnimator() {
+    return {
+      animation: ANIMATIONS.IDLE,
+      startedMs: 0,
+      hurtUntilMs: -Infinity,
+    };
+  }
+
+  /**
+   * Show the hurt animation for a while.
+   * @param {object} animator - Animator, updated in place.
+   * @param {number} timeMs - Simulation time now.
+   */
+  function markHurt(animator, timeMs) {
+    animator.hurtUntilMs = timeMs + HURT_MS;
+  }
+
+  /**
+   * Pick a player's animation from what they are doing, restarting it when
+   * it changes.
+   * @param {object} animator - Animator, updated in place.
+   * @param {object} player - One of state.players.
+   * @param {boolean} treating - Whether the player is treating a patient.
+   * @param {number} timeMs - Simulation time now.
+   * @returns {object} The animator.
+   */
+  function updatePlayerAnimator(animator, player, treating, timeMs) {
+    let animation = ANIMATIONS.IDLE;
+    if (timeMs < animator.hurtUntilMs) {
+      animation = ANIMATIONS.HURT;
+    } else if (!player.onGround) {
+      animation = ANIMATIONS.JUMP;
+    } else if (treating) {
+      animation = ANIMATIONS.TREATING;
+    } else if (player.vx !== 0) {
+      animation = ANIMATIONS.RUN;
+    }
+    if (animation !== animator.animation) {
+      animator.animation = animation;
+      animator.startedMs = timeMs;
+    }
+    return animator;
+  }
+
+  /**
+   * A patient's animation.
+   * @param {boolean} treated - Whether anyone is treating the patient.
+   * @param {boolean} critical - Whether the patient is critical.
+   * @returns {string} An ANIMATIONS value.
+   */
+  function getPatientAnimation(treated, critical) {
+    if (treated) {
+      return ANIMATIONS.TREATING;
+    }
+    return critical ? ANIMATIONS.HURT : ANIMATIONS.IDLE;
+  }
+
+  /**
+   * The players a batch of events hurt: a red book caught or walked into
+   * that the Mentor did not block.
+   * @param {object[]} events - Events from the simulation.
+   * @returns {number[]} Player indexes.
+   */
+  function getHurtPlayers(events) {
+    const { EVENT_TYPES } = Sim;
+    return events
+      .filter(
+        (event) =>
+          (event.type === EVENT_TYPES.MISTAKE_CAUGHT ||
+            event.type === EVENT_TYPES.GROUND_MISTAKE_HIT) &&
+          !event.blocked
+      )
+      .map((event) => event.player);
+  }
+
+  /**
+   * Sprite key for a falling item.
+   * @param {{type:string, powerUp?:string}} item - Falling item.
+   * @returns {string} A SPRITE_KEYS value.
+   */
+  function getItemSpriteKey(item) {
+    return item.type === Sim.ITEM_TYPES.POWER_UP
+      ? `powerUp.${item.powerUp}`
+      : `item.${item.type}`;
+  }
+
+  /**
+   * Read the chosen built-in theme. Never throws.
+   * @param {Storage} storage - localStorage or a compatible object.
+   * @returns {string} A THEMES key.
+   */
+  function loadThemeName(storage) {
+    try {
+      const name = storage.getItem(THEME_STORAGE_KEY);
+      return Object.prototype.hasOwnProperty.call(THEMES, name)
+        ? name
+        : DEFAULT_THEME;
+    } catch (error) {
+      return DEFAULT_THEME;
+    }
+  }
+
+  /**
+   * Save the chosen built-in theme for the next visit.
+   * @param {Storage} storage - localStorage or a compatible object.
+   * @param {string} name - A THEMES key.
+   */
+  function saveThemeName(storage, name) {
+    try {
+      storage.setItem(THEME_STORAGE_KEY, name);
+    } catch (error) {
+      // Storage is optional; the theme lasts until the page closes.
+    }
+  }
+
+  const CertQuestSprites = {
+    THEME_VERSION,
+    THEME_STORAGE_KEY,
+    DEFAULT_THEME,
+    ANIMATIONS,
+    HURT_MS,
+    SPRITE_KEYS,
+    THEMES,
+    getThemeProblems,
+    resolveTheme,
+    parseTheme,
+    compileTheme,
+    getFrameIndex,
+    getSpriteFrame,
+    drawFrame,
+    createAnimator,
+    markHurt,
+    updatePlayerAnimator,
+    getPatientAnimation,
+    getHurtPlayers,
+    getItemSpriteKey,
+    loadThemeName,
+    saveThemeName,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = CertQuestSprites;
+  } else {
+    root.CertQuestSprites = CertQuestSprites;
+  }
+})(typeof window !== "undefined" ? window : globalThis);
@@ -1,11 +1,36 @@
 /* eslint-disable no-console */
 
 /**
- * Lightweight tests for Cert Quest scoring.
+ * Lightweight tests for Cert Quest scoring and simulation rules.
  * Run with: node tests.js
  */
 
-const { CertQuest } = require("./test-shim");
+const fs = require("fs");
+const http = require("http");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+
+const CertQuest = require("./sim");
+const Scoring = require("./scoring");
+const Replay = require("./replay");
+const Config = require("./config");
+const Touch = require("./touch");
+const Controls = require("./controls");
+const Audio = require("./audio");
+const Accessibility = require("./accessibility");
+const Achievements = require("./achievements");
+const Analytics = require("./analytics");
+const History = require("./history");
+const Versus = require("./versus");
+const Relay = require("./relay");
+const Sprites = require("./sprites");
+const Leaderboard = require("./leaderboard");
+const Quiz = require("./quiz");
+const QuestionBank = require("./question-bank");
+const Server = require("./server");
+
+const IDLE_INPUT = { left: false, right: false, jump: false };
 
 function assertEqual(actual, expected, label) {
   if (actual !== expected) {
@@ -15,16 +40,2789 @@ function assertEqual(actual, expected, label) {
   }
 }
 
-function runTests() {
-  console.log("Running Cert Quest tests...");
+/**
+ * Create a state with spawning pushed far into the future so tests only
+ * see the items they place themselves.
+ */
+function createQuietState(options = {}) {
+  const state = CertQuest.createState(options);
+  state.itemSpawn.nextSpawnDelayMs = Infinity;
+  state.groundMistakeSpawn.nextSpawnDelayMs = Infinity;
+  state.patients.nextArrivalDelayMs = Infinity;
+  return state;
+}
+
+/**
+ * Place an item of the given type right on top of the player.
+ */
+function dropOnPlayer(state, type) {
+  state.fallingItems.push({
+    type,
+    x: state.players[0].x,
+    y: state.players[0].y + 10,
+    width: 22,
+    height: 26,
+    vy: 0,
+  });
+}
+
+function eventTypes(events) {
+  return events.map((event) => event.type).join(",");
+}
+
+/**
+ * Put a patient of the given case right under the player.
+ */
+function placePatient(state, type) {
+  const patient = {
+    type,
+    bay: state.patients.floor.length,
+    x: state.players[0].x,
+    y: CertQuest.FLOOR_Y - 32,
+    width: 28,
+    height: 32,
+    waitedMs: 0,
+    severity: 0,
+    lifetimeMs: 0,
+    contactDurationMs: 0,
+  };
+  state.patients.floor.push(patient);
+  return patient;
+}
+
+function testPatients() {
+  const { PATIENT_TYPES, PATIENT_CASES, EVENT_TYPES } = CertQuest;
+
+  const sepsis = PATIENT_CASES[PATIENT_TYPES.SEPSIS];
+  let state = createQuietState();
+  let patient = placePatient(state, PATIENT_TYPES.SEPSIS);
+  state.knowledge.percent = sepsis.knowledgeThreshold - 5;
+  CertQuest.step(state, IDLE_INPUT, 100);
+  assertEqual(patient.contactDurationMs, 0, "case threshold blocks treatment");
+  state.knowledge.percent = 90;
+  let events = [];
+  for (let i = 0; i < sepsis.treatDurationMs / 100; i += 1) {
+    events = CertQuest.step(state, IDLE_INPUT, 100).events;
+  }
+  assertEqual(state.patients.floor.length, 0, "case treated after its time");
+  assertEqual(state.score.patientPoints, sepsis.points, "case points scored");
+  assertEqual(events[0].patientType, PATIENT_TYPES.SEPSIS, "event has case");
+
+  state = createQuietState();
+  placePatient(state, PATIENT_TYPES.CHEST_PAIN).x = 600;
+  state.players[0].x = 0;
+  events = CertQuest.step(
+    state,
+    IDLE_INPUT,
+    PATIENT_CASES[PATIENT_TYPES.CHEST_PAIN].lifetimeMs
+  ).events;
+  assertEqual(
+    eventTypes(events).includes(EVENT_TYPES.PATIENT_LOST),
+    true,
+    "critical patient lost"
+  );
+  assertEqual(state.mistakes.count, 1, "lost critical patient is a mistake");
+
+  state = createQuietState();
+  placePatient(state, PATIENT_TYPES.FRACTURE).x = 600;
+  state.players[0].x = 0;
+  CertQuest.step(
+    state,
+    IDLE_INPUT,
+    PATIENT_CASES[PATIENT_TYPES.FRACTURE].lifetimeMs
+  );
+  assertEqual(state.mistakes.count, 0, "other patients leave harmlessly");
+
+  const arrivals = new Set();
+  state = CertQuest.createState({ seed: "TRIAGE" });
+  state.itemSpawn.nextSpawnDelayMs = Infinity;
+  state.groundMistakeSpawn.nextSpawnDelayMs = Infinity;
+  for (let i = 0; i < 100; i += 1) {
+    state.patients.nextArrivalDelayMs = 0;
+    state.patients.waiting = [];
+    events = CertQuest.step(state, IDLE_INPUT, 16).events;
+    arrivals.add(events[0].patientType);
+  }
+  assertEqual(
+    arrivals.size,
+    Object.keys(PATIENT_CASES).length,
+    "every case arrives"
+  );
+
+  state = createQuietState();
+  state.players[0].x = 0;
+  const waitingRoom = state.patients.waiting;
+  for (let i = 0; i < 4; i += 1) {
+    state.patients.nextArrivalDelayMs = 0;
+    CertQuest.step(state, IDLE_INPUT, 16);
+  }
+  state.patients.nextArrivalDelayMs = Infinity;
+  assertEqual(
+    state.patients.floor.length + waitingRoom.length,
+    4,
+    "arrivals queue in the waiting room"
+  );
+  const nextUp = waitingRoom[0].type;
+  CertQuest.step(state, IDLE_INPUT, 2000);
+  assertEqual(
+    state.patients.floor[state.patients.floor.length - 1].type,
+    nextUp,
+    "longest-waiting patient is admitted first"
+  );
+  for (let i = 0; i < 4; i += 1) {
+    CertQuest.step(state, IDLE_INPUT, 2000);
+  }
+  assertEqual(
+    state.patients.floor.length <= CertQuest.MAX_PATIENTS_ON_FLOOR,
+    true,
+    "floor holds a limited number of patients"
+  );
+  const bays = state.patients.floor.map((p) => p.bay);
+  assertEqual(new Set(bays).size, bays.length, "patients get separate bays");
+
+  state = createQuietState();
+  for (let i = 0; i < 10; i += 1) {
+    state.patients.nextArrivalDelayMs = 0;
+    CertQuest.step(state, IDLE_INPUT, 16);
+  }
+  assertEqual(
+    state.patients.waiting.length,
+    CertQuest.WAITING_ROOM_CAPACITY,
+    "a full waiting room holds back arrivals"
+  );
+
+  state = createQuietState();
+  patient = placePatient(state, PATIENT_TYPES.FRACTURE);
+  patient.x = 600;
+  const fracture = PATIENT_CASES[PATIENT_TYPES.FRACTURE];
+  events = CertQuest.step(
+    state,
+    IDLE_INPUT,
+    CertQuest.PATIENT_DETERIORATION_MS
+  ).events;
+  assertEqual(
+    eventTypes(events).includes(EVENT_TYPES.PATIENT_DETERIORATED),
+    true,
+    "waiting patient deteriorates"
+  );
+  const needs = CertQuest.getPatientNeeds(state.rules, patient);
+  assertEqual(
+    needs.knowledgeThreshold > fracture.knowledgeThreshold,
+    true,
+    "deteriorated patient needs more knowledge"
+  );
+  assertEqual(
+    needs.treatDurationMs > fracture.treatDurationMs,
+    true,
+    "deteriorated patient takes longer to treat"
+  );
+  patient.severity = CertQuest.MAX_PATIENT_SEVERITY;
+  assertEqual(
+    CertQuest.getPatientNeeds(state.rules, patient).critical,
+    true,
+    "worst-off patient becomes critical"
+  );
+}
+
+function testDifficulty() {
+  const {
+    DEFAULT_RULES,
+    DIFFICULTY_CURVE,
+    MAX_LEVEL,
+    LEVEL_DURATION_MS,
+    EVENT_TYPES,
+  } = CertQuest;
+
+  assertEqual(
+    JSON.stringify(CertQuest.getDifficulty(DEFAULT_RULES, 1)),
+    JSON.stringify(DIFFICULTY_CURVE.first),
+    "first level uses the start of the curve"
+  );
+  assertEqual(
+    JSON.stringify(CertQuest.getDifficulty(DEFAULT_RULES, MAX_LEVEL + 5)),
+    JSON.stringify(DIFFICULTY_CURVE.last),
+    "levels past the last use the end of the curve"
+  );
+  const middle = CertQuest.getDifficulty(
+    DEFAULT_RULES,
+    Math.ceil(MAX_LEVEL / 2)
+  );
+  assertEqual(
+    middle.patientArrivalIntervalMs <
+      DIFFICULTY_CURVE.first.patientArrivalIntervalMs &&
+      middle.patientArrivalIntervalMs >
+        DIFFICULTY_CURVE.last.patientArrivalIntervalMs,
+    true,
+    "middle levels sit between the ends"
+  );
+  assertEqual(
+    Number.isInteger(middle.itemSpawnIntervalMinMs),
+    true,
+    "interpolated timings stay whole"
+  );
 
+  let state = createQuietState();
+  assertEqual(state.level, 1, "default preset starts at level 1");
+  let events = CertQuest.step(state, IDLE_INPUT, LEVEL_DURATION_MS).events;
+  assertEqual(state.level, 2, "level rises over the shift");
+  assertEqual(
+    eventTypes(events).includes(EVENT_TYPES.LEVEL_UP),
+    true,
+    "level up reported"
+  );
+  state.elapsedMs = LEVEL_DURATION_MS * MAX_LEVEL * 2;
+  CertQuest.step(state, IDLE_INPUT, 16);
+  assertEqual(state.level, MAX_LEVEL, "level stops at the top");
+
+  state = CertQuest.createState({ difficulty: "attending" });
+  assertEqual(
+    state.level,
+    CertQuest.DIFFICULTY_PRESETS.attending.startLevel,
+    "preset sets the starting level"
+  );
+  events = CertQuest.step(state, IDLE_INPUT, 16).events;
+  assertEqual(
+    eventTypes(events).includes(EVENT_TYPES.LEVEL_UP),
+    false,
+    "starting level is not a level up"
+  );
+  assertThrows(
+    () => CertQuest.createState({ difficulty: "consultant" }),
+    "unknown difficulty rejected"
+  );
+}
+
+function testScoring() {
   assertEqual(CertQuest.computeScore(0, 0), 0, "score zero");
   assertEqual(CertQuest.computeScore(5, 0), 5, "score patients only");
   assertEqual(CertQuest.computeScore(0, 3), 6, "score assessments only");
   assertEqual(CertQuest.computeScore(4, 2), 8, "score combined");
+  assertEqual(CertQuest.computeScore(4, 2, 3), 11, "score with bonus");
+}
 
-  console.log("All tests passed.");
+function testStreaks() {
+  const { EVENT_TYPES, ITEM_TYPES } = CertQuest;
+  const rules = Scoring.DEFAULT_SCORING_RULES;
+
+  let streaks = Scoring.createStreaks();
+  assertEqual(Scoring.getMultiplier(rules, streaks).total, 1, "starts at 1x");
+  for (let i = 1; i < rules.catchStreakStep; i += 1) {
+    assertEqual(Scoring.recordCatch(rules, streaks), false, "no step yet");
+  }
+  assertEqual(Scoring.recordCatch(rules, streaks), true, "catch streak step");
+  assertEqual(
+    Scoring.getMultiplier(rules, streaks).catch,
+    rules.catchStreakBonus,
+    "catch streak raises the multiplier"
+  );
+  let award = Scoring.recordTreatment(rules, streaks, 4);
+  assertEqual(award.multiplier, 1 + rules.catchStreakBonus, "award multiplier");
+  assertEqual(award.bonus, 1, "bonus is the base times the extra share");
+  award = Scoring.recordTreatment(rules, streaks, 4);
+  assertEqual(
+    award.multiplier,
+    1 + rules.catchStreakBonus + rules.treatStreakBonus,
+    "back-to-back treatment adds to the multiplier"
+  );
+  Scoring.recordPatientLeft(streaks);
+  assertEqual(streaks.treatStreak, 0, "a patient leaving ends the run");
+  assertEqual(streaks.best.treatStreak, 2, "best treatment run is kept");
+
+  assertEqual(
+    Scoring.recordCleanTime(rules, streaks, rules.cleanTimeStepMs - 1),
+    false,
+    "clean time below a step"
+  );
+  assertEqual(
+    Scoring.recordCleanTime(rules, streaks, rules.cleanTimeStepMs),
+    true,
+    "clean time step"
+  );
+  Scoring.recordMistake(streaks, rules.cleanTimeStepMs);
+  assertEqual(
+    Scoring.getMultiplier(rules, streaks).total,
+    1,
+    "a mistake ends every streak"
+  );
+  assertEqual(streaks.best.catchStreak, 5, "best catch streak is kept");
+
+  streaks = Scoring.createStreaks();
+  for (let i = 0; i < 100; i += 1) {
+    Scoring.recordCatch(rules, streaks);
+    Scoring.recordTreatment(rules, streaks, 1);
+  }
+  Scoring.recordCleanTime(rules, streaks, 3600000);
+  assertEqual(
+    Scoring.getMultiplier(rules, streaks).total,
+    Scoring.getMaxMultiplier(rules),
+    "every streak is capped"
+  );
+
+  let state = createQuietState();
+  for (let i = 0; i < rules.catchStreakStep; i += 1) {
+    dropOnPlayer(state, ITEM_TYPES.KNOWLEDGE);
+    state.knowledge.percent = 0;
+    const { events } = CertQuest.step(state, IDLE_INPUT, 16);
+    if (i === rules.catchStreakStep - 1) {
+      assertEqual(
+        events[events.length - 1].streak,
+        rules.catchStreakStep,
+        "sim reports catch streak steps"
+      );
+    }
+  }
+  state.knowledge.percent = 90;
+  placePatient(state, CertQuest.PATIENT_TYPES.FRACTURE);
+  let events = [];
+  for (let i = 0; i < 10; i += 1) {
+    events = events.concat(CertQuest.step(state, IDLE_INPUT, 200).events);
+  }
+  const treated = events.find((e) => e.type === EVENT_TYPES.PATIENT_TREATED);
+  assertEqual(treated.multiplier, 1.25, "treatment uses the multiplier");
+  assertEqual(state.score.bonusPoints, treated.bonus, "sim keeps the bonus");
+
+  state = createQuietState();
+  const { events: cleanEvents } = CertQuest.step(
+    state,
+    IDLE_INPUT,
+    rules.cleanTimeStepMs
+  );
+  assertEqual(
+    cleanEvents.some(
+      (e) =>
+        e.type === EVENT_TYPES.CLEAN_STREAK &&
+        e.seconds === rules.cleanTimeStepMs / 1000
+    ),
+    true,
+    "sim reports clean stretches"
+  );
+
+  const breakdown = Scoring.getScoreBreakdown(
+    {
+      patientsTreated: 2,
+      patientPoints: 5,
+      assessmentsPassed: 1,
+      bonusPoints: 3,
+    },
+    { ...Scoring.createStreaks(), bonus: { catch: 1, treat: 2, clean: 0 } }
+  );
+  assertEqual(
+    breakdown.map((row) => row.points).join(","),
+    "5,2,1,2,0,10",
+    "breakdown lists every part and the total"
+  );
+}
+
+function testSimulation() {
+  const { ITEM_TYPES, EVENT_TYPES } = CertQuest;
+
+  let state = createQuietState();
+  dropOnPlayer(state, ITEM_TYPES.KNOWLEDGE);
+  let result = CertQuest.step(state, IDLE_INPUT, 16);
+  assertEqual(state.knowledge.percent, 60, "knowledge pickup");
+  assertEqual(
+    eventTypes(result.events),
+    EVENT_TYPES.KNOWLEDGE_CAUGHT,
+    "knowledge pickup event"
+  );
+
+  state = createQuietState();
+  CertQuest.step(state, IDLE_INPUT, 1800);
+  assertEqual(state.knowledge.percent, 45, "knowledge erosion");
+
+  state = createQuietState();
+  state.mistakes.count = CertQuest.MAX_MISTAKES - 1;
+  dropOnPlayer(state, ITEM_TYPES.MISTAKE);
+  result = CertQuest.step(state, IDLE_INPUT, 16);
+  assertEqual(state.over, true, "max mistakes ends run");
+  assertEqual(
+    eventTypes(result.events),
+    `${EVENT_TYPES.MISTAKE_CAUGHT},${EVENT_TYPES.GAME_OVER}`,
+    "max mistakes events"
+  );
+  const overElapsed = state.elapsedMs;
+  CertQuest.step(state, IDLE_INPUT, 16);
+  assertEqual(state.elapsedMs, overElapsed, "finished run does not advance");
+
+  state = createQuietState();
+  state.mistakes.count = 3;
+  dropOnPlayer(state, ITEM_TYPES.ASSESSMENT);
+  CertQuest.step(state, IDLE_INPUT, 16);
+  assertEqual(state.mistakes.count, 0, "assessment clears mistakes");
+  assertEqual(state.score.assessmentsPassed, 1, "assessment counted");
+
+  state = createQuietState();
+  placePatient(state, CertQuest.PATIENT_TYPES.FRACTURE);
+  for (let i = 0; i < 10; i += 1) {
+    CertQuest.step(state, IDLE_INPUT, 200);
+  }
+  assertEqual(state.score.patientsTreated, 1, "patient treated");
+  assertEqual(state.patients.floor.length, 0, "treated patient leaves");
+}
+
+/**
+ * Place a power-up right on top of the player.
+ */
+function dropPowerUp(state, powerUp) {
+  dropOnPlayer(state, CertQuest.ITEM_TYPES.POWER_UP);
+  state.fallingItems[state.fallingItems.length - 1].powerUp = powerUp;
+}
+
+function testPowerUps() {
+  const { EVENT_TYPES, ITEM_TYPES, POWER_UPS, POWER_UP_EFFECTS } = CertQuest;
+  const coffee = POWER_UP_EFFECTS[POWER_UPS.COFFEE];
+  const walkRight = { left: false, right: true, jump: false };
+
+  let state = createQuietState();
+  dropPowerUp(state, POWER_UPS.COFFEE);
+  let result = CertQuest.step(state, IDLE_INPUT, 16);
+  assertEqual(
+    result.events[0].type,
+    EVENT_TYPES.POWER_UP_CAUGHT,
+    "power-up caught event"
+  );
+  assertEqual(result.events[0].refreshed, false, "first catch starts it");
+  assertEqual(
+    state.effects[POWER_UPS.COFFEE],
+    coffee.durationMs,
+    "coffee runs for its duration"
+  );
+  const boostedFrom = state.players[0].x;
+  CertQuest.step(state, walkRight, 100);
+  const plain = createQuietState();
+  const plainFrom = plain.players[0].x;
+  CertQuest.step(plain, walkRight, 100);
+  assertEqual(
+    Math.round(state.players[0].x - boostedFrom),
+    Math.round(
+      (plain.players[0].x - plainFrom) *
+        CertQuest.DEFAULT_RULES.powerUps.coffeeSpeedMultiplier
+    ),
+    "coffee speeds the player up"
+  );
+
+  state.effects[POWER_UPS.COFFEE] = 500;
+  dropPowerUp(state, POWER_UPS.COFFEE);
+  result = CertQuest.step(state, IDLE_INPUT, 16);
+  assertEqual(result.events[0].refreshed, true, "second catch refreshes");
+  assertEqual(
+    state.effects[POWER_UPS.COFFEE],
+    coffee.durationMs,
+    "refresh restarts the timer instead of adding to it"
+  );
+  result = CertQuest.step(state, IDLE_INPUT, coffee.durationMs);
+  assertEqual(state.effects[POWER_UPS.COFFEE], 0, "coffee wears off");
+  assertEqual(
+    result.events[0].type,
+    EVENT_TYPES.POWER_UP_EXPIRED,
+    "expiry is reported"
+  );
+
+  state = createQuietState();
+  dropPowerUp(state, POWER_UPS.MENTOR);
+  dropPowerUp(state, POWER_UPS.UPTODATE);
+  CertQuest.step(state, IDLE_INPUT, 16);
+  assertEqual(
+    CertQuest.isEffectActive(state, POWER_UPS.MENTOR) &&
+      CertQuest.isEffectActive(state, POWER_UPS.UPTODATE),
+    true,
+    "different power-ups run side by side"
+  );
+  dropOnPlayer(state, ITEM_TYPES.MISTAKE);
+  result = CertQuest.step(state, IDLE_INPUT, 16);
+  assertEqual(state.mistakes.count, 0, "mentor absorbs a mistake");
+  assertEqual(result.events[0].blocked, true, "absorbed mistake is marked");
+  assertEqual(
+    CertQuest.isEffectActive(state, POWER_UPS.MENTOR),
+    false,
+    "mentor shield is used up"
+  );
+  dropOnPlayer(state, ITEM_TYPES.MISTAKE);
+  CertQuest.step(state, IDLE_INPUT, 16);
+  assertEqual(state.mistakes.count, 1, "only one mistake is absorbed");
+
+  state = createQuietState();
+  state.effects[POWER_UPS.UPTODATE] = 10000;
+  CertQuest.step(state, IDLE_INPUT, 1800);
+  assertEqual(state.knowledge.percent, 50, "UpToDate freezes erosion");
+
+  state = createQuietState();
+  state.effects[POWER_UPS.MAGNET] = 8000;
+  const near = {
+    type: ITEM_TYPES.KNOWLEDGE,
+    x: state.players[0].x + 120,
+    y: state.players[0].y,
+    width: 22,
+    height: 26,
+    vy: 0,
+  };
+  const far = { ...near, x: state.players[0].x + 120, y: -400 };
+  const nearFrom = near.x;
+  state.fallingItems.push(near, far);
+  CertQuest.step(state, IDLE_INPUT, 100);
+  assertEqual(near.x < nearFrom, true, "magnet pulls nearby MK books");
+  assertEqual(far.x, nearFrom, "magnet has a limited range");
+
+  const { rules } = Config.resolveConfig({
+    version: Config.CONFIG_VERSION,
+    name: "Power-ups only",
+    rules: {
+      powerUps: { chance: 1 },
+      difficulty: {
+        curve: { first: { mistakeChance: 0 }, last: { mistakeChance: 0 } },
+      },
+    },
+  });
+  state = CertQuest.createState({ seed: "POWER", rules });
+  state.itemSpawn.nextSpawnDelayMs = 0;
+  CertQuest.step(state, IDLE_INPUT, 16);
+  const spawned = state.fallingItems[0];
+  assertEqual(spawned.type, ITEM_TYPES.POWER_UP, "power-ups spawn");
+  assertEqual(
+    Object.values(POWER_UPS).includes(spawned.powerUp),
+    true,
+    "spawned power-up has a kind"
+  );
+}
+
+/**
+ * Play a scripted run: alternate walking left and right, jumping now and then.
+ */
+function playScriptedRun(seed, steps) {
+  const state = CertQuest.createState({ seed });
+  for (let i = 0; i < steps && !state.over; i += 1) {
+    const input = {
+      left: Math.floor(i / 90) % 2 === 0,
+      right: Math.floor(i / 90) % 2 === 1,
+      jump: i % 45 === 0,
+    };
+    CertQuest.step(state, input, 16);
+  }
+  return state;
+}
+
+/**
+ * Drive a run through the fixed-step clock at a given display frame rate
+ * until it has taken the requested number of steps.
+ */
+function runAtFrameRate(frameMs, totalSteps) {
+  const state = CertQuest.createState({ seed: "RATE" });
+  const clock = CertQuest.createClock();
+  let stepsTaken = 0;
+  while (stepsTaken < totalSteps) {
+    const { steps } = CertQuest.advanceClock(clock, frameMs);
+    for (let i = 0; i < steps && stepsTaken < totalSteps; i += 1) {
+      const input = { left: false, right: stepsTaken % 200 < 100, jump: false };
+      CertQuest.step(state, input, CertQuest.FIXED_STEP_MS);
+      stepsTaken += 1;
+    }
+  }
+  return state;
+}
+
+function testFixedStepClock() {
+  const { FIXED_STEP_MS, MAX_CATCH_UP_STEPS } = CertQuest;
+
+  let clock = CertQuest.createClock();
+  let frame = CertQuest.advanceClock(clock, FIXED_STEP_MS * 2.5);
+  assertEqual(frame.steps, 2, "clock runs whole steps");
+  assertEqual(Math.round(frame.alpha * 100), 50, "clock keeps remainder");
+  frame = CertQuest.advanceClock(clock, FIXED_STEP_MS / 2);
+  assertEqual(frame.steps, 1, "clock carries remainder forward");
+
+  clock = CertQuest.createClock();
+  frame = CertQuest.advanceClock(clock, 5000);
+  assertEqual(frame.steps, MAX_CATCH_UP_STEPS, "clock caps catch-up");
+  assertEqual(clock.accumulatorMs, 0, "clock drops backlog after a stall");
+
+  const state = createQuietState();
+  CertQuest.step(state, IDLE_INPUT, 1800 * 3);
+  assertEqual(state.knowledge.percent, 35, "long step erodes every interval");
+
+  const at30Hz = runAtFrameRate(1000 / 30, 600);
+  const at144Hz = runAtFrameRate(1000 / 144, 600);
+  assertEqual(
+    JSON.stringify(at30Hz),
+    JSON.stringify(at144Hz),
+    "frame rate does not change the run"
+  );
+}
+
+function testDeterminism() {
+  const first = playScriptedRun("WARD-7", 3000);
+  const second = playScriptedRun("WARD-7", 3000);
+  assertEqual(
+    JSON.stringify(first),
+    JSON.stringify(second),
+    "same seed and inputs give the same run"
+  );
+
+  const other = playScriptedRun("WARD-8", 3000);
+  assertEqual(
+    JSON.stringify(first) === JSON.stringify(other),
+    false,
+    "different seeds give different runs"
+  );
+
+  const rngA = CertQuest.createRng(42);
+  const rngB = CertQuest.createRng("42");
+  assertEqual(
+    CertQuest.nextRandom(rngA),
+    CertQuest.nextRandom(rngB),
+    "numeric and text seeds match"
+  );
+}
+
+/**
+ * Input from a simple bot that walks to the waiting patient and stays there.
+ */
+function patientSeekingInput(state) {
+  const patient = state.patients.floor[0];
+  if (!patient) {
+    return IDLE_INPUT;
+  }
+  const offset = patient.x - state.players[0].x;
+  return { left: offset < -4, right: offset > 4, jump: false };
+}
+
+/**
+ * Input that alternates between walking left, right and standing, with
+ * regular jumps.
+ */
+function wanderingInput(state, i) {
+  return {
+    left: Math.floor(i / 70) % 3 === 0,
+    right: Math.floor(i / 70) % 3 === 1,
+    jump: i % 37 < 3,
+  };
+}
+
+/**
+ * Record a scripted run the way the browser loop does, one fixed step at a
+ * time.
+ */
+function recordScriptedRun(
+  seed,
+  chooseInput = wanderingInput,
+  difficulty = CertQuest.DEFAULT_DIFFICULTY
+) {
+  const state = CertQuest.createState({ seed, difficulty });
+  const recorder = Replay.createRecorder(state.seed);
+  for (let i = 0; !state.over && state.elapsedMs < 600000; i += 1) {
+    const input = chooseInput(state, i);
+    Replay.recordStep(recorder, input, state.elapsedMs);
+    CertQuest.step(state, input, CertQuest.FIXED_STEP_MS);
+  }
+  return { state, replay: Replay.finishRecording(recorder, state) };
+}
+
+function assertThrows(fn, label) {
+  let threw = false;
+  try {
+    fn();
+  } catch (error) {
+    threw = true;
+  }
+  assertEqual(threw, true, label);
+}
+
+function testReplay() {
+  const { state, replay } = recordScriptedRun("REPLAY-1");
+  const loaded = Replay.parseReplay(Replay.serializeReplay(replay));
+
+  const playback = Replay.createPlayback(loaded);
+  while (!Replay.isPlaybackFinished(playback)) {
+    Replay.advancePlayback(playback);
+  }
+  assertEqual(
+    JSON.stringify(playback.state.score),
+    JSON.stringify(state.score),
+    "replay reproduces score"
+  );
+  assertEqual(playback.state.over, state.over, "replay ends the same way");
+  assertEqual(
+    playback.state.elapsedMs,
+    state.elapsedMs,
+    "replay ends at the same moment"
+  );
+
+  const halfway = replay.durationMs / 2;
+  const scrubbed = Replay.seekPlayback(playback, halfway);
+  assertEqual(
+    scrubbed.state.elapsedMs <= halfway,
+    true,
+    "scrubbing back rewinds"
+  );
+  Replay.advancePlaybackTo(scrubbed, replay.durationMs);
+  assertEqual(
+    JSON.stringify(scrubbed.state),
+    JSON.stringify(playback.state),
+    "scrubbing back then forward matches a straight playback"
+  );
+
+  assertThrows(() => Replay.parseReplay("{"), "replay rejects bad JSON");
+  assertThrows(
+    () => Replay.parseReplay(JSON.stringify({ ...replay, version: 99 })),
+    "replay rejects unknown version"
+  );
+  assertThrows(
+    () => Replay.parseReplay(JSON.stringify({ ...replay, steps: "x" })),
+    "replay rejects malformed steps"
+  );
+  assertThrows(
+    () =>
+      Replay.parseReplay(
+        JSON.stringify({ ...replay, rulesVersion: CertQuest.RULES_VERSION - 1 })
+      ),
+    "replay rejects runs from older rules"
+  );
+  assertThrows(
+    () =>
+      Replay.parseReplay(JSON.stringify({ ...replay, difficulty: "consultant" })),
+    "replay rejects unknown difficulty"
+  );
+
+  const hard = recordScriptedRun("REPLAY-2", wanderingInput, "attending");
+  const hardPlayback = Replay.createPlayback(
+    Replay.parseReplay(Replay.serializeReplay(hard.replay))
+  );
+  Replay.advancePlaybackTo(hardPlayback, hard.replay.durationMs);
+  assertEqual(
+    JSON.stringify(hardPlayback.state),
+    JSON.stringify(hard.state),
+    "replay keeps its difficulty"
+  );
+}
+
+/**
+ * In-memory stand-in for localStorage.
+ */
+function createMemoryStorage(initial = {}) {
+  const data = { ...initial };
+  return {
+    getItem: (key) => (key in data ? data[key] : null),
+    setItem: (key, value) => {
+      data[key] = String(value);
+    },
+  };
+}
+
+function testLeaderboard() {
+  const storage = createMemoryStorage();
+  let table = Leaderboard.loadLeaderboard(storage);
+  assertEqual(table.entries.length, 0, "leaderboard starts empty");
+  assertEqual(
+    Leaderboard.qualifiesForLeaderboard(table, 0),
+    false,
+    "zero score does not qualify"
+  );
+
+  for (let score = 1; score <= 12; score += 1) {
+    const entry = Leaderboard.createEntry({
+      initials: "dr",
+      score,
+      patientsTreated: score,
+      assessmentsPassed: 0,
+      durationMs: 1000 * score,
+      date: new Date(Date.UTC(2026, 0, score)),
+    });
+    table = Leaderboard.addEntry(table, entry);
+  }
+  Leaderboard.saveLeaderboard(storage, table);
+  table = Leaderboard.loadLeaderboard(storage);
+  assertEqual(table.entries.length, 10, "leaderboard keeps top ten");
+  assertEqual(table.entries[0].score, 12, "leaderboard sorted best first");
+  assertEqual(table.entries[0].initials, "DRA", "initials normalized");
+  assertEqual(
+    Leaderboard.qualifiesForLeaderboard(table, 4),
+    true,
+    "beating tenth place qualifies"
+  );
+  assertEqual(
+    Leaderboard.qualifiesForLeaderboard(table, 3),
+    false,
+    "tying tenth place does not qualify"
+  );
+
+  const corrupted = [
+    "{not json",
+    "null",
+    JSON.stringify({ version: 99, entries: [] }),
+    JSON.stringify({ version: 1, entries: "oops" }),
+  ];
+  corrupted.forEach((raw) => {
+    const broken = createMemoryStorage({ [Leaderboard.STORAGE_KEY]: raw });
+    assertEqual(
+      Leaderboard.loadLeaderboard(broken).entries.length,
+      0,
+      `corrupted leaderboard ignored: ${raw}`
+    );
+  });
+
+  const mixed = createMemoryStorage({
+    [Leaderboard.STORAGE_KEY]: JSON.stringify({
+      version: 1,
+      entries: [table.entries[0], { initials: "BAD" }],
+    }),
+  });
+  assertEqual(
+    Leaderboard.loadLeaderboard(mixed).entries.length,
+    1,
+    "malformed entries dropped"
+  );
+
+  const throwing = {
+    getItem: () => {
+      throw new Error("denied");
+    },
+    setItem: () => {
+      throw new Error("denied");
+    },
+  };
+  assertEqual(
+    Leaderboard.loadLeaderboard(throwing).entries.length,
+    0,
+    "unreadable storage gives empty leaderboard"
+  );
+  assertEqual(
+    Leaderboard.saveLeaderboard(throwing, table),
+    false,
+    "unwritable storage reports failure"
+  );
+}
+
+/**
+ * Input from a bot that chases the lowest book or assessment and ignores
+ * mistakes.
+ */
+function itemSeekingInput(state) {
+  const wanted = state.fallingItems.filter(
+    (item) => item.type !== CertQuest.ITEM_TYPES.MISTAKE
+  );
+  if (wanted.length === 0) {
+    return IDLE_INPUT;
+  }
+  const target = wanted.reduce((a, b) => (b.y > a.y ? b : a));
+  const offset = target.x - state.players[0].x;
+  return { left: offset < -4, right: offset > 4, jump: false };
+}
+
+/**
+ * Record a quiz-mode run the way the browser does, answering the first
+ * question right and every later one wrong.
+ */
+function recordQuizRun(seed, questions) {
+  const state = CertQuest.createState({ seed, quiz: true });
+  const recorder = Replay.createRecorder(state.seed, { quiz: true });
+  const deck = Quiz.createQuizDeck(questions, state.seed);
+  while (!state.over && state.elapsedMs < 600000) {
+    if (state.assessment.awaitingAnswer) {
+      const question = Quiz.drawQuestion(deck);
+      const choiceIndex =
+        recorder.answers.length === 0
+          ? question.answer
+          : (question.answer + 1) % question.choices.length;
+      const correct = Quiz.isCorrectAnswer(question, choiceIndex);
+      Replay.recordAnswer(recorder, state.elapsedMs, {
+        questionId: question.id,
+        choiceIndex,
+        correct,
+      });
+      CertQuest.answerAssessment(state, correct);
+    } else {
+      const input = itemSeekingInput(state);
+      Replay.recordStep(recorder, input, state.elapsedMs);
+      CertQuest.step(state, input, CertQuest.FIXED_STEP_MS);
+    }
+  }
+  return { state, replay: Replay.finishRecording(recorder, state) };
+}
+
+function testQuiz() {
+  const { ITEM_TYPES, EVENT_TYPES } = CertQuest;
+
+  let state = createQuietState();
+  state.quizMode = true;
+  state.mistakes.count = 3;
+  dropOnPlayer(state, ITEM_TYPES.ASSESSMENT);
+  let result = CertQuest.step(state, IDLE_INPUT, 16);
+  assertEqual(
+    eventTypes(result.events),
+    EVENT_TYPES.ASSESSMENT_CAUGHT,
+    "quiz assessment waits for an answer"
+  );
+  assertEqual(state.score.assessmentsPassed, 0, "quiz assessment not passed");
+  const frozenAt = state.elapsedMs;
+  CertQuest.step(state, IDLE_INPUT, 16);
+  assertEqual(state.elapsedMs, frozenAt, "run frozen while question open");
+  result = CertQuest.answerAssessment(state, true);
+  assertEqual(state.mistakes.count, 0, "correct answer clears mistakes");
+  assertEqual(state.score.assessmentsPassed, 1, "correct answer counted");
+  assertEqual(state.assessment.pending, false, "correct answer ends it");
+
+  state = createQuietState();
+  state.quizMode = true;
+  state.mistakes.count = CertQuest.MAX_MISTAKES - 1;
+  dropOnPlayer(state, ITEM_TYPES.ASSESSMENT);
+  CertQuest.step(state, IDLE_INPUT, 16);
+  result = CertQuest.answerAssessment(state, false);
+  assertEqual(
+    eventTypes(result.events),
+    `${EVENT_TYPES.ASSESSMENT_FAILED},${EVENT_TYPES.GAME_OVER}`,
+    "wrong answer counts as a mistake"
+  );
+  assertEqual(state.score.assessmentsPassed, 0, "wrong answer not counted");
+
+  const questions = Server.loadQuestions(`${__dirname}/questions`);
+  assertEqual(questions.length > 0, true, "question banks load");
+  assertEqual(
+    questions.every(Quiz.isValidQuestion),
+    true,
+    "bundled questions are well formed"
+  );
+  const banks = [
+    { specialty: "A", questions: [questions[0], { id: "broken" }] },
+    { specialty: "B", questions: [questions[1]] },
+  ];
+  assertEqual(
+    Quiz.collectQuestions(banks).length,
+    2,
+    "malformed questions dropped"
+  );
+  assertEqual(
+    Quiz.collectQuestions(banks, "B")[0].specialty,
+    "B",
+    "questions filtered by specialty"
+  );
+
+  const order = (seed) => {
+    const deck = Quiz.createQuizDeck(questions, seed);
+    return questions.map(() => Quiz.drawQuestion(deck).id).join(",");
+  };
+  assertEqual(order("DECK-1"), order("DECK-1"), "same seed asks same order");
+  assertEqual(
+    new Set(order("DECK-1").split(",")).size,
+    questions.length,
+    "deck asks every question before repeating"
+  );
+  const emptyDeck = Quiz.createQuizDeck([], "DECK-1");
+  assertEqual(Quiz.drawQuestion(emptyDeck), null, "empty deck draws nothing");
+
+  const run = recordQuizRun("QUIZ-8", questions);
+  assertEqual(run.replay.answers.length > 1, true, "quiz run answers");
+  const loaded = Replay.parseReplay(Replay.serializeReplay(run.replay));
+  const playback = Replay.createPlayback(loaded);
+  while (!Replay.isPlaybackFinished(playback)) {
+    Replay.advancePlayback(playback);
+  }
+  assertEqual(
+    JSON.stringify(playback.state),
+    JSON.stringify(run.state),
+    "quiz replay reproduces the run"
+  );
+
+  const firstAnswer = run.replay.answers[0];
+  const cutAtAnswer = Replay.createPlayback({
+    ...run.replay,
+    steps: Math.round(firstAnswer.t / CertQuest.FIXED_STEP_MS),
+    answers: [firstAnswer],
+  });
+  Replay.advancePlaybackTo(cutAtAnswer, firstAnswer.t);
+  assertEqual(
+    cutAtAnswer.state.score.assessmentsPassed,
+    1,
+    "answer after the last step is still played"
+  );
+
+  const entry = Server.verifySubmission(
+    { initials: "abc", replay: run.replay },
+    questions
+  );
+  assertEqual(entry.assessmentsPassed, 1, "quiz run verified");
+  const flipped = {
+    ...run.replay,
+    answers: run.replay.answers.map((answer) => ({
+      ...answer,
+      correct: true,
+    })),
+  };
+  assertThrows(
+    () =>
+      Server.verifySubmission({ initials: "abc", replay: flipped }, questions),
+    "wrong answers claimed as correct rejected"
+  );
+  assertThrows(
+    () => Server.verifySubmission({ initials: "abc", replay: run.replay }),
+    "quiz run rejected without the question banks"
+  );
+}
+
+function testQuestionBankTool() {
+  const index = JSON.parse(
+    fs.readFileSync(`${__dirname}/questions/index.json`, "utf8")
+  );
+  const sources = index.banks.map((file) => ({
+    file,
+    bank: JSON.parse(
+      fs.readFileSync(`${__dirname}/questions/${file}`, "utf8")
+    ),
+  }));
+  sources.forEach(({ file, bank }) => {
+    assertEqual(
+      QuestionBank.getBankProblems(bank).join("; "),
+      "",
+      `bundled bank ${file} validates`
+    );
+  });
+  assertEqual(
+    QuestionBank.findDuplicates(sources).length,
+    0,
+    "bundled banks share no ids or stems"
+  );
+
+  const csv = [
+    "id,stem,choice1,choice2,choice3,answer,explanation,tags,difficulty",
+    ',"Pick ""two""",one,two,,B,"Two, of course.",maths;basics,easy',
+    "q-2,Pick three,one,two,three,three,Three.,,",
+  ].join("\r\n");
+  const fromCsv = QuestionBank.importCsv(csv);
+  assertEqual(fromCsv.problems.length, 0, "csv imports cleanly");
+  const [first, second] = fromCsv.questions;
+  assertEqual(first.stem, 'Pick "two"', "csv unquotes stems");
+  assertEqual(first.choices.length, 2, "csv skips blank choices");
+  assertEqual(first.answer, 1, "csv answer by letter");
+  assertEqual(first.explanation, "Two, of course.", "csv keeps commas");
+  assertEqual(first.tags.join(","), "maths,basics", "csv splits tags");
+  assertEqual(second.answer, 2, "csv answer by choice text");
+  const gapped = QuestionBank.importCsv(
+    [
+      "stem,choice1,choice2,choice3,choice4,answer",
+      "Pick C,alpha,,gamma,delta,C",
+      "Pick B,alpha,,gamma,delta,B",
+    ].join("\n")
+  ).questions;
+  assertEqual(
+    gapped[0].choices[gapped[0].answer],
+    "gamma",
+    "csv letters count blank choice columns"
+  );
+  assertEqual(
+    gapped[1].answer,
+    null,
+    "csv answer naming a blank choice is invalid"
+  );
+  const bank = QuestionBank.createBank(fromCsv.questions, "Basic Maths");
+  assertEqual(bank.questions[0].id, "basic-maths-001", "missing ids numbered");
+  assertEqual(bank.questions[1].id, "q-2", "given ids kept");
+  assertEqual(
+    QuestionBank.getBankProblems(bank).length,
+    0,
+    "imported bank validates"
+  );
+
+  const anki = [
+    "#separator:tab",
+    "#tags column:5",
+    "Two?<br>Pick one\tA. one<br>B. two\tB\t<b>Two</b>.\tmaths hard",
+  ].join("\n");
+  const [fromAnki] = QuestionBank.importAnki(anki).questions;
+  assertEqual(fromAnki.stem, "Two?\nPick one", "anki strips html");
+  assertEqual(fromAnki.choices.join("|"), "one|two", "anki drops labels");
+  assertEqual(fromAnki.answer, 1, "anki answer by letter");
+  assertEqual(fromAnki.difficulty, "hard", "anki difficulty tag");
+
+  const gift = [
+    "// sample",
+    "$CATEGORY: $course$/Basic Maths",
+    "",
+    "::g-1::Two \\{squared\\}? {",
+    "~three#no",
+    "=four",
+    "####Two times two.",
+    "}",
+    "",
+    "True or false? {T}",
+  ].join("\n");
+  const fromGift = QuestionBank.importGift(gift);
+  assertEqual(fromGift.questions.length, 1, "gift reads multiple choice");
+  assertEqual(fromGift.problems.length, 1, "gift reports other types");
+  const [giftQuestion] = fromGift.questions;
+  assertEqual(giftQuestion.id, "g-1", "gift title becomes id");
+  assertEqual(giftQuestion.stem, "Two {squared}?", "gift unescapes stem");
+  assertEqual(giftQuestion.answer, 1, "gift = marks the answer");
+  assertEqual(giftQuestion.choices[0], "three", "gift drops feedback");
+  assertEqual(giftQuestion.explanation, "Two times two.", "gift feedback");
+  assertEqual(giftQuestion.tags[0], "basic-maths", "gift category tag");
+
+  const broken = {
+    version: 1,
+    specialty: "Broken",
+    questions: [
+      { ...first, id: "dup", answer: 5 },
+      { ...second, id: "dup", choices: ["same", "Same"] },
+      { ...second, id: "x", stem: "", difficulty: "brutal" },
+    ],
+  };
+  const problems = QuestionBank.getBankProblems(broken).join("\n");
+  assertEqual(/answer index/.test(problems), true, "bad answer reported");
+  assertEqual(/repeats a choice/.test(problems), true, "repeat reported");
+  assertEqual(/missing its stem/.test(problems), true, "blank stem reported");
+  assertEqual(/difficulty/.test(problems), true, "bad difficulty reported");
+  assertEqual(/duplicate id "dup"/.test(problems), true, "dup id reported");
+  assertEqual(
+    Quiz.collectQuestions([broken]).length,
+    0,
+    "game skips malformed questions"
+  );
+}
+
+function testServerValidation() {
+  const { state, replay } = recordScriptedRun("WARD-1", patientSeekingInput);
+  assertEqual(state.over, true, "bot run finishes");
+  assertEqual(state.score.patientsTreated > 0, true, "bot run scores");
+
+  const entry = Server.verifySubmission({ initials: "abc", replay });
+  assertEqual(entry.initials, "ABC", "verified entry keeps initials");
+  assertEqual(
+    entry.score,
+    CertQuest.computeScore(
+      state.score.patientsTreated,
+      state.score.assessmentsPassed
+    ),
+    "verified entry score comes from the simulation"
+  );
+
+  const inflated = {
+    ...replay,
+    score: {
+      ...replay.score,
+      patientsTreated: replay.score.patientsTreated + 1,
+    },
+  };
+  assertThrows(
+    () => Server.verifySubmission({ initials: "abc", replay: inflated }),
+    "inflated score rejected"
+  );
+  assertThrows(
+    () => Server.verifySubmission({ initials: "", replay }),
+    "missing initials rejected"
+  );
+  assertThrows(
+    () => Server.verifySubmission({ initials: "abc", replay: { seed: 1 } }),
+    "malformed replay rejected"
+  );
+  assertThrows(
+    () =>
+      Server.verifySubmission({
+        initials: "abc",
+        replay: recordScriptedRun("REPLAY-1").replay,
+      }),
+    "pointless run rejected"
+  );
+
+  const tenPatients = {
+    patientsTreated: 10,
+    patientPoints: 10,
+    assessmentsPassed: 0,
+    bonusPoints: 0,
+  };
+  assertEqual(
+    Server.isPlausibleScore(tenPatients, 1000),
+    false,
+    "ten patients in one second is implausible"
+  );
+  const modest = {
+    patientsTreated: 2,
+    patientPoints: 5,
+    assessmentsPassed: 1,
+    bonusPoints: 4,
+  };
+  assertEqual(
+    Server.isPlausibleScore(modest, 60000),
+    true,
+    "modest score in a minute is plausible"
+  );
+  assertEqual(
+    Server.isPlausibleScore({ ...modest, patientPoints: 50 }, 60000),
+    false,
+    "more points than the patients could earn is implausible"
+  );
+  assertEqual(
+    Server.isPlausibleScore({ ...modest, bonusPoints: 40 }, 60000),
+    false,
+    "more bonus than the top multiplier allows is implausible"
+  );
+
+  // Only the game's own assets are served.
+  ["index.html", "game.js", path.join("questions", "index.json")].forEach(
+    (file) => assertEqual(Server.isPublicPath(file), true, `serves ${file}`)
+  );
+  const page = fs.readFileSync(path.join(__dirname, "index.html"), "utf8");
+  [...page.matchAll(/(?:src|href)="([^"]+)"/g)]
+    .map((match) => match[1])
+    .filter((url) => !url.includes(":") && !url.startsWith("#"))
+    .forEach((url) =>
+      assertEqual(Server.isPublicPath(url), true, `index.html loads ${url}`)
+    );
+  [
+    "server.js",
+    "tests.js",
+    "question-bank.js",
+    "package.json",
+    path.join("data", "scores.json"),
+    path.join("questions", ".hidden.json"),
+  ].forEach((file) =>
+    assertEqual(Server.isPublicPath(file), false, `hides ${file}`)
+  );
+
+  const limit = Server.createRateLimiter(1000, 2);
+  assertEqual(limit("a", 0), 0, "first submission allowed");
+  assertEqual(limit("a", 10), 0, "second submission allowed");
+  assertEqual(limit("a", 20) > 0, true, "third submission limited");
+  assertEqual(limit("b", 20), 0, "other clients unaffected");
+  assertEqual(limit("a", 1000), 0, "limit resets after the window");
+}
+
+/**
+ * Load one of the bundled rule sets from configs/.
+ */
+function loadBundledConfig(name) {
+  const file = path.join(__dirname, Config.CONFIGS_DIR, name);
+  return Config.parseConfig(fs.readFileSync(file, "utf8"));
+}
+
+function testConfig() {
+  assertEqual(
+    Config.resolveConfig(null),
+    Config.DEFAULT_CONFIG,
+    "no config means the defaults"
+  );
+  assertEqual(
+    Config.getConfigProblems(Config.DEFAULT_CONFIG).length,
+    0,
+    "default config is valid"
+  );
+
+  const partial = Config.resolveConfig({
+    version: Config.CONFIG_VERSION,
+    name: "Short fuse",
+    rules: {
+      mistakes: { max: 2 },
+      patients: { cases: { sepsis: { points: 9 } } },
+    },
+  });
+  assertEqual(partial.rules.mistakes.max, 2, "config overrides a rule");
+  assertEqual(partial.rules.patients.cases.sepsis.points, 9, "case override");
+  assertEqual(
+    partial.rules.patients.cases.sepsis.label,
+    "Sepsis",
+    "unset case fields keep their defaults"
+  );
+  assertEqual(
+    partial.rules.player.speed,
+    CertQuest.DEFAULT_RULES.player.speed,
+    "unset rules keep their defaults"
+  );
+  assertEqual(
+    CertQuest.DEFAULT_RULES.mistakes.max,
+    CertQuest.MAX_MISTAKES,
+    "merging leaves the defaults alone"
+  );
+
+  const problemsFor = (rules) =>
+    Config.getConfigProblems({ version: 1, name: "Test", rules }).join("\n");
+  assertEqual(
+    /rules\.knowledge\.pickup is not a known setting/.test(
+      problemsFor({ knowledge: { pickup: 5 } })
+    ),
+    true,
+    "unknown setting reported"
+  );
+  assertEqual(
+    /rules\.mistakes\.max must be a whole number from 1 to 20/.test(
+      problemsFor({ mistakes: { max: "3" } })
+    ),
+    true,
+    "wrong type reported"
+  );
+  assertEqual(
+    /rules\.knowledge\.start must be a number from 0 to 100/.test(
+      problemsFor({ knowledge: { start: 150 } })
+    ),
+    true,
+    "out-of-range value reported"
+  );
+  assertEqual(
+    /flu is not a known patient case/.test(
+      problemsFor({ patients: { cases: { flu: { points: 1 } } } })
+    ),
+    true,
+    "unknown patient case reported"
+  );
+  assertEqual(
+    problemsFor({ difficulty: { defaultPreset: "consultant" } }) !== "",
+    true,
+    "default preset must exist"
+  );
+  assertEqual(
+    problemsFor({
+      difficulty: { curve: { first: { itemSpawnIntervalMinMs: 5000 } } },
+    }) !== "",
+    true,
+    "interval minimum must not exceed its maximum"
+  );
+  assertEqual(
+    Config.getConfigProblems({ version: 2, name: "Test" }).length > 0,
+    true,
+    "unknown config version reported"
+  );
+  assertThrows(() => Config.parseConfig("{"), "config rejects bad JSON");
+  assertThrows(
+    () => Config.parseConfig(JSON.stringify({ version: 1, rules: [] })),
+    "config with malformed rules rejected"
+  );
+
+  fs
+    .readdirSync(path.join(__dirname, Config.CONFIGS_DIR))
+    .filter((name) => name.endsWith(".json"))
+    .forEach((name) => {
+      assertEqual(
+        typeof loadBundledConfig(name).name,
+        "string",
+        `bundled config ${name} loads`
+      );
+    });
+
+  const { ITEM_TYPES } = CertQuest;
+  const state = CertQuest.createState({ rules: partial.rules });
+  state.itemSpawn.nextSpawnDelayMs = Infinity;
+  state.groundMistakeSpawn.nextSpawnDelayMs = Infinity;
+  state.patients.nextArrivalDelayMs = Infinity;
+  dropOnPlayer(state, ITEM_TYPES.MISTAKE);
+  CertQuest.step(state, IDLE_INPUT, 16);
+  assertEqual(state.over, false, "first of two mistakes is survivable");
+  dropOnPlayer(state, ITEM_TYPES.MISTAKE);
+  CertQuest.step(state, IDLE_INPUT, 16);
+  assertEqual(state.over, true, "run ends at the config's mistake limit");
+
+  const nightShift = loadBundledConfig("night-shift.json");
+  const night = CertQuest.createState({
+    seed: "NIGHT-1",
+    rules: nightShift.rules,
+  });
+  const recorder = Replay.createRecorder(night.seed, { config: nightShift });
+  for (let i = 0; !night.over && night.elapsedMs < 600000; i += 1) {
+    const input = wanderingInput(night, i);
+    Replay.recordStep(recorder, input, night.elapsedMs);
+    CertQuest.step(night, input, CertQuest.FIXED_STEP_MS);
+  }
+  const replay = Replay.finishRecording(recorder, night);
+  const playback = Replay.createPlayback(
+    Replay.parseReplay(Replay.serializeReplay(replay))
+  );
+  Replay.advancePlaybackTo(playback, replay.durationMs);
+  assertEqual(
+    JSON.stringify(playback.state),
+    JSON.stringify(night),
+    "replay keeps its rule set"
+  );
+  assertThrows(
+    () =>
+      Replay.validateReplay({
+        ...replay,
+        config: { ...nightShift, rules: { mistakes: { max: 0 } } },
+      }),
+    "replay rejects an invalid rule set"
+  );
+  assertThrows(
+    () => Server.verifySubmission({ initials: "abc", replay }),
+    "custom rule set kept off the ward leaderboard"
+  );
+}
+
+function testTouch() {
+  const touch = Touch.createTouchInput();
+  const held = () => {
+    const input = Touch.readTouchInput(touch);
+    return ["left", "right", "jump"].filter((key) => input[key]).join(",");
+  };
+
+  Touch.pressControl(touch, 1, "left");
+  Touch.pressControl(touch, 2, "jump");
+  assertEqual(held(), "left,jump", "two fingers hold two buttons");
+  Touch.pressControl(touch, 1, "right");
+  assertEqual(held(), "right,jump", "sliding a finger swaps buttons");
+  Touch.pressControl(touch, 1, null);
+  assertEqual(held(), "jump", "sliding off a button lets go");
+  Touch.releasePointer(touch, 2);
+  assertEqual(held(), "", "lifting a finger releases its button");
+
+  Touch.startSwipe(touch, 3, 100, 200);
+  Touch.moveSwipe(touch, 3, 100 + Touch.SWIPE_DEAD_ZONE_PX / 2, 200);
+  assertEqual(held(), "", "small drags are ignored");
+  Touch.moveSwipe(touch, 3, 100 - Touch.SWIPE_DEAD_ZONE_PX - 1, 200);
+  assertEqual(held(), "left", "swipe left steers left");
+  Touch.moveSwipe(touch, 3, 100, 200 - Touch.SWIPE_JUMP_PX - 1);
+  assertEqual(held(), "jump", "swipe up jumps");
+  Touch.releasePointer(touch, 3);
+
+  Touch.setTilt(touch, Touch.getTiltDegrees({ beta: 0, gamma: 20 }, 0));
+  assertEqual(held(), "right", "tilting right in portrait steers right");
+  Touch.setTilt(touch, Touch.getTiltDegrees({ beta: 20, gamma: 0 }, 270));
+  assertEqual(held(), "left", "tilt follows the screen rotation");
+  Touch.setTilt(touch, Touch.TILT_DEAD_ZONE_DEG / 2);
+  assertEqual(held(), "", "slight tilt is ignored");
+
+  Touch.pressControl(touch, 4, "left");
+  Touch.releaseAll(touch);
+  assertEqual(held(), "", "releaseAll lets go of everything");
+
+  const storage = createMemoryStorage();
+  assertEqual(
+    Touch.loadTouchMode(storage),
+    Touch.DEFAULT_TOUCH_MODE,
+    "touch mode defaults to buttons"
+  );
+  Touch.saveTouchMode(storage, Touch.TOUCH_MODES.SWIPE);
+  assertEqual(
+    Touch.loadTouchMode(storage),
+    Touch.TOUCH_MODES.SWIPE,
+    "touch mode is remembered"
+  );
+  storage.setItem("certQuest.touchMode", "joystick");
+  assertEqual(
+    Touch.loadTouchMode(storage),
+    Touch.DEFAULT_TOUCH_MODE,
+    "unknown touch mode falls back"
+  );
+}
+
+/**
+ * A standard-mapping gamepad snapshot with the given buttons held.
+ */
+function createGamepad(pressed = [], stickX = 0) {
+  return {
+    connected: true,
+    buttons: Array.from({ length: 17 }, (_, index) => ({
+      pressed: pressed.includes(index),
+    })),
+    axes: [stickX, 0],
+  };
+}
+
+function testControls() {
+  const { ACTIONS } = Controls;
+  const arrows = Controls.createBindings();
+  assertEqual(
+    Controls.findAction(arrows, "ArrowLeft"),
+    ACTIONS.LEFT,
+    "arrow keys move by default"
+  );
+  assertEqual(Controls.findAction(arrows, "KeyP"), ACTIONS.PAUSE, "P pauses");
+  assertEqual(Controls.findAction(arrows, "KeyA"), null, "unbound key");
+
+  const wasd = Controls.createBindings("wasd");
+  assertEqual(Controls.findAction(wasd, "KeyW"), ACTIONS.JUMP, "W jumps");
+  assertEqual(
+    Controls.findAction(wasd, "ArrowRight"),
+    ACTIONS.RIGHT,
+    "WASD keeps the arrows as alternates"
+  );
+
+  const remapped = Controls.bindKey(arrows, ACTIONS.JUMP, 1, "ArrowLeft");
+  assertEqual(
+    Controls.findAction(remapped, "ArrowLeft"),
+    ACTIONS.JUMP,
+    "key rebound to a new action"
+  );
+  assertEqual(remapped.left[0], null, "a key only triggers one action");
+  assertEqual(arrows.left[0], "ArrowLeft", "binding leaves the old map alone");
+  assertEqual(
+    Controls.bindKey(arrows, ACTIONS.PAUSE, 1, null).pause.join(","),
+    "Escape,",
+    "slot cleared"
+  );
+
+  const keys = Controls.readKeys(wasd, new Set(["KeyA", "Space"]));
+  assertEqual(
+    `${keys.left},${keys.right},${keys.jump}`,
+    "true,false,true",
+    "held keys map to actions"
+  );
+  assertEqual(Controls.formatKey("KeyA"), "A", "letter key name");
+  assertEqual(Controls.formatKey("ArrowLeft"), "Left Arrow", "arrow key name");
+  assertEqual(Controls.formatKey(null), "-", "empty slot name");
+
+  const storage = createMemoryStorage();
+  assertEqual(
+    JSON.stringify(Controls.loadBindings(storage)),
+    JSON.stringify(arrows),
+    "bindings default to the arrows"
+  );
+  Controls.saveBindings(storage, wasd);
+  assertEqual(
+    JSON.stringify(Controls.loadBindings(storage)),
+    JSON.stringify(wasd),
+    "bindings are remembered"
+  );
+  storage.setItem("certQuest.keyBindings", JSON.stringify({ left: "KeyA" }));
+  assertEqual(
+    JSON.stringify(Controls.loadBindings(storage)),
+    JSON.stringify(arrows),
+    "malformed saved bindings fall back"
+  );
+
+  const still = Controls.readGamepad(
+    createGamepad([], Controls.STICK_DEAD_ZONE / 2)
+  );
+  assertEqual(still.right, false, "stick inside the dead zone is ignored");
+  const stick = Controls.readGamepad(createGamepad([], -0.8));
+  assertEqual(stick.left, true, "stick left moves left");
+  const pad = Controls.readGamepads([
+    null,
+    createGamepad([15]),
+    createGamepad([0, 9]),
+    { ...createGamepad([14]), connected: false },
+  ]);
+  assertEqual(
+    `${pad.left},${pad.right},${pad.jump},${pad.pause}`,
+    "false,true,true,true",
+    "connected gamepads combine: d-pad, A and Start"
+  );
+}
+
+function testAudio() {
+  const { EVENT_TYPES } = CertQuest;
+  const state = CertQuest.createState();
+  assertEqual(
+    Audio.getEventSounds(
+      [
+        { type: EVENT_TYPES.KNOWLEDGE_CAUGHT },
+        { type: EVENT_TYPES.MISTAKE_CAUGHT },
+        { type: EVENT_TYPES.GROUND_MISTAKE_HIT },
+        { type: EVENT_TYPES.LEVEL_UP },
+      ],
+      state
+    ).join(","),
+    "bookCaught,mistake",
+    "events map to effects, each played once"
+  );
+  assertEqual(
+    Audio.getEventSounds(
+      [{ type: EVENT_TYPES.MISTAKE_CAUGHT, blocked: true }],
+      state
+    ).join(","),
+    "shieldBlock",
+    "a blocked mistake plays the shield instead"
+  );
+  assertEqual(
+    Audio.getEventSounds([{ type: EVENT_TYPES.KNOWLEDGE_ERODED }], state)
+      .length,
+    0,
+    "no warning while knowledge is healthy"
+  );
+  state.knowledge.percent = state.rules.knowledge.warningThreshold - 1;
+  assertEqual(
+    Audio.getEventSounds([{ type: EVENT_TYPES.KNOWLEDGE_ERODED }], state)[0],
+    "knowledgeWarning",
+    "low knowledge warns as it erodes"
+  );
+  Object.keys(Audio.SOUNDS).forEach((name) => {
+    assertEqual(
+      Audio.SOUNDS[name].every((note) => note.duration > 0),
+      true,
+      `${name} notes have durations`
+    );
+  });
+  assertEqual(
+    Audio.MUSIC_PATTERN.bass.length,
+    Audio.MUSIC_PATTERN.lead.length,
+    "music parts line up"
+  );
+  assertEqual(Audio.midiToFrequency(69), 440, "A4 is 440 Hz");
+
+  const { calm, urgent } = Audio.MUSIC_TEMPO_BPM;
+  assertEqual(Audio.getMusicTempo(0, 5), calm, "calm tempo without mistakes");
+  assertEqual(Audio.getMusicTempo(4, 5), urgent, "fastest one mistake out");
+  assertEqual(
+    Audio.getMusicTempo(2, 5) > calm && Audio.getMusicTempo(2, 5) < urgent,
+    true,
+    "tempo rises with mistakes"
+  );
+  assertEqual(Audio.getMusicTempo(0, 1), calm, "one-mistake rules start calm");
+
+  const storage = createMemoryStorage();
+  assertEqual(
+    JSON.stringify(Audio.loadAudioSettings(storage)),
+    JSON.stringify(Audio.DEFAULT_AUDIO_SETTINGS),
+    "sound settings default"
+  );
+  Audio.saveAudioSettings(storage, { volume: 0.25, muted: true });
+  assertEqual(
+    Audio.loadAudioSettings(storage).volume,
+    0.25,
+    "volume is remembered"
+  );
+  storage.setItem("certQuest.audio", JSON.stringify({ volume: 7 }));
+  assertEqual(
+    Audio.loadAudioSettings(storage).volume,
+    Audio.DEFAULT_AUDIO_SETTINGS.volume,
+    "bad saved volume falls back"
+  );
+
+  const silent = Audio.createAudioEngine(null, Audio.DEFAULT_AUDIO_SETTINGS);
+  Audio.unlockAudio(silent);
+  Audio.playSound(silent, "gameOver");
+  Audio.startMusic(silent);
+  assertEqual(silent.music.playing, false, "no Web Audio means no music");
+}
+
+function testAccessibility() {
+  const { EVENT_TYPES, TRIAGE_LEVELS } = CertQuest;
+  Object.keys(Accessibility.PALETTES).forEach((name) => {
+    const palette = Accessibility.PALETTES[name];
+    assertEqual(
+      Object.values(TRIAGE_LEVELS).every((level) => palette.triage[level]),
+      true,
+      `${name} palette colours every triage level`
+    );
+  });
+  assertEqual(
+    Accessibility.getTriagePriority(TRIAGE_LEVELS.RED),
+    1,
+    "red triage is priority 1"
+  );
+  assertEqual(
+    Accessibility.getTriagePriority(TRIAGE_LEVELS.GREEN),
+    4,
+    "green triage is priority 4"
+  );
+
+  const storage = createMemoryStorage();
+  assertEqual(
+    Accessibility.loadAccessibilitySettings(storage, true).reducedMotion,
+    true,
+    "reduced motion follows the system until chosen"
+  );
+  Accessibility.saveAccessibilitySettings(storage, {
+    palette: "redGreen",
+    gameSpeed: 0.5,
+    reducedMotion: false,
+  });
+  const saved = Accessibility.loadAccessibilitySettings(storage, true);
+  assertEqual(saved.palette, "redGreen", "palette is remembered");
+  assertEqual(saved.gameSpeed, 0.5, "game speed is remembered");
+  assertEqual(saved.reducedMotion, false, "saved choice beats the system");
+  storage.setItem(
+    "certQuest.accessibility",
+    JSON.stringify({ palette: "sepia", gameSpeed: 3 })
+  );
+  const fallback = Accessibility.loadAccessibilitySettings(storage, false);
+  assertEqual(fallback.palette, "standard", "unknown palette falls back");
+  assertEqual(fallback.gameSpeed, 1, "unknown game speed falls back");
+
+  const state = CertQuest.createState();
+  state.mistakes.count = 2;
+  assertEqual(
+    Accessibility.describeEvents(
+      [
+        { type: EVENT_TYPES.MISTAKE_CAUGHT },
+        { type: EVENT_TYPES.GROUND_MISTAKE_HIT },
+        { type: EVENT_TYPES.KNOWLEDGE_CAUGHT },
+      ],
+      state,
+      "ok"
+    ).join(" | "),
+    `Clinical mistake, 2 of ${state.rules.mistakes.max}.`,
+    "mistakes are announced once per batch with the count"
+  );
+  assertEqual(
+    Accessibility.describeEvents(
+      [{ type: EVENT_TYPES.ASSESSMENT_PASSED }],
+      state,
+      "ok"
+    )[0],
+    "Assessment passed. Clinical mistakes cleared.",
+    "passed assessments are announced"
+  );
+  assertEqual(
+    Accessibility.describeEvents(
+      [{ type: EVENT_TYPES.MISTAKE_CAUGHT, blocked: true }],
+      state,
+      "ok"
+    )[0],
+    "Mentor shield blocked the mistake.",
+    "blocked mistakes are announced as blocked"
+  );
+  assertEqual(
+    Accessibility.describeEvents(
+      [{ type: EVENT_TYPES.CATCH_STREAK, streak: 10 }],
+      state,
+      "ok"
+    )[0],
+    "10 MK books in a row.",
+    "catch streaks are announced"
+  );
+
+  state.knowledge.percent = state.rules.knowledge.warningThreshold - 1;
+  assertEqual(Accessibility.getKnowledgeBand(state), "low", "low band");
+  assertEqual(
+    Accessibility.describeEvents([], state, "ok")[0].startsWith(
+      "Medical knowledge low"
+    ),
+    true,
+    "dropping below the warning is announced"
+  );
+  assertEqual(
+    Accessibility.describeEvents([], state, "low").length,
+    0,
+    "staying low is not announced again"
+  );
+  state.knowledge.percent = CertQuest.KNOWLEDGE_MAX;
+  assertEqual(
+    Accessibility.describeEvents([], state, "ok")[0],
+    "Medical knowledge full. Catch the assessment.",
+    "full knowledge is announced"
+  );
+}
+
+function testAchievements() {
+  const { EVENT_TYPES, TRIAGE_LEVELS } = CertQuest;
+  const progress = Achievements.createProgress();
+  const run = Achievements.createAchievementRun();
+  const state = CertQuest.createState();
+  const date = new Date("2026-03-01T12:00:00Z");
+  const check = (events) =>
+    Achievements.checkAchievements(progress, run, events, state, date);
+
+  let result = check([{ type: EVENT_TYPES.KNOWLEDGE_CAUGHT }]);
+  assertEqual(result.unlocked.length, 0, "nothing earned yet");
+  assertEqual(result.changed, false, "nothing to save yet");
+
+  const fracture = {
+    type: EVENT_TYPES.PATIENT_TREATED,
+    patientType: "fracture",
+    severity: 0,
+  };
+  result = check([fracture]);
+  assertEqual(result.unlocked[0].id, "firstPatient", "first patient badge");
+  assertEqual(
+    progress.unlocked.firstPatient,
+    date.toISOString(),
+    "unlock date is kept"
+  );
+  assertEqual(progress.totals.patientsTreated, 1, "treated total counts");
+  assertEqual(check([fracture]).unlocked.length, 0, "a badge unlocks once");
+
+  result = check([
+    {
+      type: EVENT_TYPES.PATIENT_TREATED,
+      patientType: "laceration",
+      severity: state.rules.patients.maxSeverity,
+    },
+  ]);
+  assertEqual(result.unlocked[0].id, "againstTheClock", "critical save badge");
+
+  Object.values(TRIAGE_LEVELS).forEach((triage) => {
+    const patientType = Object.keys(state.rules.patients.cases).find(
+      (type) => state.rules.patients.cases[type].triage === triage
+    );
+    check([{ type: EVENT_TYPES.PATIENT_TREATED, patientType, severity: 0 }]);
+  });
+  assertEqual(
+    typeof progress.unlocked.triageMaster,
+    "string",
+    "every triage colour earns triage master"
+  );
+  assertEqual(
+    Achievements.createAchievementRun().triagesTreated.length,
+    0,
+    "triage colours are counted per run"
+  );
+
+  state.elapsedMs = 60000;
+  state.streaks.lastMistakeMs = 1000;
+  assertEqual(
+    check([{ type: EVENT_TYPES.PATIENT_ARRIVED }]).unlocked.length,
+    0,
+    "a mistake restarts the perfect shift"
+  );
+  state.elapsedMs = 61000;
+  assertEqual(
+    check([{ type: EVENT_TYPES.PATIENT_ARRIVED }]).unlocked[0].id,
+    "perfectShift",
+    "60 seconds without a mistake"
+  );
+
+  progress.totals.assessmentsPassed = 24;
+  state.score.assessmentsPassed = 1;
+  assertEqual(
+    check([{ type: EVENT_TYPES.ASSESSMENT_PASSED }]).unlocked[0].id,
+    "lifelongLearner",
+    "totals across runs reach their goal"
+  );
+  const veteran = Achievements.listAchievements(progress).find(
+    ({ achievement }) => achievement.id === "veteran"
+  );
+  assertEqual(veteran.unlockedAt, null, "veteran is still locked");
+  assertEqual(veteran.count, 7, "gallery shows progress towards the goal");
+
+  const storage = createMemoryStorage();
+  Achievements.saveProgress(storage, progress);
+  const loaded = Achievements.loadProgress(storage);
+  assertEqual(
+    loaded.unlocked.perfectShift,
+    progress.unlocked.perfectShift,
+    "unlocks are saved"
+  );
+  assertEqual(loaded.totals.assessmentsPassed, 25, "totals are saved");
+
+  const broken = createMemoryStorage({
+    "certQuest.achievements": JSON.stringify({
+      version: Achievements.ACHIEVEMENTS_VERSION,
+      unlocked: { firstPatient: 5, madeUp: "2026-01-01" },
+      totals: { patientsTreated: -3, assessmentsPassed: 2 },
+    }),
+  });
+  const cleaned = Achievements.loadProgress(broken);
+  assertEqual(
+    Object.keys(cleaned.unlocked).length,
+    0,
+    "unknown and malformed unlocks are dropped"
+  );
+  assertEqual(cleaned.totals.patientsTreated, 0, "bad totals start over");
+  assertEqual(cleaned.totals.assessmentsPassed, 2, "good totals are kept");
+  const unreadable = createMemoryStorage({ "certQuest.achievements": "{" });
+  assertEqual(
+    Achievements.loadProgress(unreadable).totals.patientsTreated,
+    0,
+    "unreadable progress starts over"
+  );
+}
+
+function testAnalytics() {
+  const { EVENT_TYPES, ITEM_TYPES, PATIENT_TYPES } = CertQuest;
+
+  let state = createQuietState();
+  dropOnPlayer(state, ITEM_TYPES.KNOWLEDGE);
+  const book = state.fallingItems[0];
+  book.x = state.players[0].x + 300;
+  book.y = CertQuest.WORLD_HEIGHT + 39;
+  book.vy = 100;
+  assertEqual(
+    eventTypes(CertQuest.step(state, IDLE_INPUT, 100).events),
+    EVENT_TYPES.KNOWLEDGE_MISSED,
+    "a book that hits the floor is missed"
+  );
+
+  state = createQuietState();
+  state.knowledge.percent = 90;
+  placePatient(state, PATIENT_TYPES.FRACTURE);
+  CertQuest.step(state, IDLE_INPUT, 100);
+  state.players[0].x += 200;
+  const abandoned = CertQuest.step(state, IDLE_INPUT, 100).events;
+  assertEqual(
+    abandoned[0].type,
+    EVENT_TYPES.TREATMENT_ABANDONED,
+    "walking away mid-treatment abandons it"
+  );
+  assertEqual(
+    CertQuest.step(state, IDLE_INPUT, 100).events.length,
+    0,
+    "an abandoned treatment is reported once"
+  );
+
+  state = createQuietState();
+  const log = Analytics.createRunLog(state);
+  const record = (events, dtMs = 100) => {
+    state.elapsedMs += dtMs;
+    Analytics.recordRunStep(log, events, state, dtMs);
+  };
+  record([
+    { type: EVENT_TYPES.KNOWLEDGE_CAUGHT },
+    { type: EVENT_TYPES.KNOWLEDGE_CAUGHT },
+    { type: EVENT_TYPES.KNOWLEDGE_MISSED },
+  ]);
+  record([
+    { type: EVENT_TYPES.MISTAKE_CAUGHT },
+    { type: EVENT_TYPES.GROUND_MISTAKE_HIT, blocked: true },
+  ]);
+  record([{ type: EVENT_TYPES.GROUND_MISTAKE_HIT }]);
+  record([
+    { type: EVENT_TYPES.PATIENT_TREATED },
+    { type: EVENT_TYPES.PATIENT_LOST },
+    { type: EVENT_TYPES.TREATMENT_ABANDONED },
+  ]);
+  assertEqual(log.books.caught, 2, "books caught are counted");
+  assertEqual(log.books.missed, 1, "books missed are counted");
+  assertEqual(log.mistakes.falling, 1, "falling mistakes are counted");
+  assertEqual(log.mistakes.ground, 1, "blocked mistakes are not counted");
+  assertEqual(log.mistakes.patient, 1, "lost patients are counted");
+  assertEqual(log.mistakesBlocked, 1, "blocked mistakes are kept apart");
+  assertEqual(log.mistakeTimes.join(","), "200,300,400", "mistake times");
+  assertEqual(log.patients.abandoned, 1, "abandoned treatments are counted");
+  assertEqual(Analytics.getFocus(log), "dodging", "red books stand out");
+
+  state.knowledge.percent = log.warningThreshold - 1;
+  record([], Analytics.KNOWLEDGE_SAMPLE_MS);
+  assertEqual(
+    log.lowKnowledgeMs,
+    Analytics.KNOWLEDGE_SAMPLE_MS,
+    "time below the warning threshold is counted"
+  );
+  assertEqual(log.knowledge.length, 2, "knowledge is sampled each second");
+  assertEqual(Analytics.getFocus(log), "both", "low knowledge stands out too");
+  assertEqual(
+    Analytics.getReport(log)[0].rows[0].value,
+    "2 of 3 (67%)",
+    "report shows the catch rate"
+  );
+  assertEqual(
+    Analytics.describeKnowledgeChart(log),
+    `Medical Knowledge over 1 s: started at ${Math.round(
+      log.knowledge[0].percent
+    )}%, lowest ${log.warningThreshold - 1}%, ended at ${
+      log.warningThreshold - 1
+    }%.`,
+    "chart is described for screen readers"
+  );
+}
+
+function testHistory() {
+  const state = CertQuest.createState({
+    seed: "WARD-7",
+    difficulty: "resident",
+  });
+  const log = Analytics.createRunLog(state);
+  state.elapsedMs = 65432.1;
+  state.score.patientsTreated = 3;
+  state.score.patientPoints = 7;
+  state.score.assessmentsPassed = 2;
+  state.score.bonusPoints = 3;
+  Analytics.recordRunEvents(
+    log,
+    [
+      { type: CertQuest.EVENT_TYPES.MISTAKE_CAUGHT },
+      { type: CertQuest.EVENT_TYPES.KNOWLEDGE_MISSED },
+    ],
+    state
+  );
+  const date = new Date("2026-03-01T12:00:00Z");
+  const run = History.createHistoryRun(state, log, {
+    rules: "Standard shift",
+    date,
+  });
+  assertEqual(run.score, 14, "run keeps the total score");
+  assertEqual(run.assessmentPoints, 4, "run keeps the score components");
+  assertEqual(run.durationMs, 65432, "duration is rounded");
+  assertEqual(run.difficulty, "Resident", "difficulty is its label");
+  assertEqual(run.mistakesFalling, 1, "mistakes by source are kept");
+  assertEqual(run.booksMissed, 1, "missed books are kept");
+
+  const storage = createMemoryStorage();
+  let history = History.loadHistory(storage);
+  assertEqual(history.runs.length, 0, "history starts empty");
+  history = History.addRun(history, run);
+  history = History.addRun(history, { ...run, seed: "LATEST" });
+  History.saveHistory(storage, history);
+  history = History.loadHistory(storage);
+  assertEqual(history.runs.length, 2, "every run is kept");
+  assertEqual(history.runs[0].seed, "LATEST", "newest run first");
+
+  let capped = History.createEmptyHistory();
+  for (let i = 0; i <= History.MAX_RUNS; i += 1) {
+    capped = History.addRun(capped, run);
+  }
+  assertEqual(capped.runs.length, History.MAX_RUNS, "history is capped");
+
+  const csv = History.historyToCsv([
+    { ...run, seed: 'A "quoted", seed', rules: "=HYPERLINK(1)" },
+  ]).split("\r\n");
+  assertEqual(
+    csv[0].split(",").length,
+    History.HISTORY_COLUMNS.length,
+    "CSV header names every column"
+  );
+  assertEqual(
+    csv[1].startsWith(
+      `${date.toISOString()},"A ""quoted"", seed",Resident,'=HYPERLINK(1),`
+    ),
+    true,
+    "CSV quotes fields and defuses formulas"
+  );
+  const json = JSON.parse(History.historyToJson([run], date));
+  assertEqual(json.runs[0].seed, "WARD-7", "JSON export keeps the runs");
+  assertEqual(json.exportedAt, date.toISOString(), "JSON export is dated");
+
+  const mixed = createMemoryStorage({
+    [History.HISTORY_STORAGE_KEY]: JSON.stringify({
+      version: History.HISTORY_VERSION,
+      runs: [run, { ...run, score: "lots" }, null],
+    }),
+  });
+  assertEqual(
+    History.loadHistory(mixed).runs.length,
+    1,
+    "malformed runs are dropped"
+  );
+  const broken = createMemoryStorage({ [History.HISTORY_STORAGE_KEY]: "[" });
+  assertEqual(
+    History.loadHistory(broken).runs.length,
+    0,
+    "unreadable history starts empty"
+  );
+}
+
+function testCoop() {
+  const { EVENT_TYPES, ITEM_TYPES, PATIENT_TYPES, PLAYER_ROLES } = CertQuest;
+
+  const solo = CertQuest.createState({ seed: "COOP" });
+  const state = createQuietState({ seed: "COOP", coop: true });
+  assertEqual(solo.players.length, 1, "solo runs have one player");
+  assertEqual(
+    state.players.map((player) => player.role).join(","),
+    `${PLAYER_ROLES.DOCTOR},${PLAYER_ROLES.NURSE}`,
+    "co-op adds the nurse"
+  );
+  const [doctor, nurse] = state.players;
+  assertEqual(nurse.x > doctor.x, true, "nurse starts right of the doctor");
+
+  const nurseFrom = nurse.x;
+  CertQuest.step(
+    state,
+    [IDLE_INPUT, { ...IDLE_INPUT, left: true }],
+    CertQuest.FIXED_STEP_MS
+  );
+  assertEqual(nurse.x < nurseFrom, true, "nurse follows the second input");
+  assertEqual(doctor.vx, 0, "doctor ignores the nurse's input");
+
+  state.fallingItems.push({
+    type: ITEM_TYPES.KNOWLEDGE,
+    x: nurse.x,
+    y: nurse.y + 10,
+    width: 22,
+    height: 26,
+    vy: 0,
+  });
+  const knowledgeBefore = state.knowledge.percent;
+  const caught = CertQuest.step(
+    state,
+    [IDLE_INPUT, IDLE_INPUT],
+    CertQuest.FIXED_STEP_MS
+  ).events.find((event) => event.type === EVENT_TYPES.KNOWLEDGE_CAUGHT);
+  assertEqual(caught.player, 1, "catch names the nurse");
+  assertEqual(nurse.catches, 1, "nurse's catches are counted");
+  assertEqual(doctor.catches, 0, "doctor's catches are their own");
+  assertEqual(
+    state.knowledge.percent > knowledgeBefore,
+    true,
+    "players share the knowledge meter"
+  );
+
+  dropOnPlayer(state, ITEM_TYPES.MISTAKE);
+  CertQuest.step(state, [IDLE_INPUT, IDLE_INPUT], CertQuest.FIXED_STEP_MS);
+  assertEqual(state.mistakes.count, 1, "players share the mistakes meter");
+
+  // Treating together is faster than treating alone.
+  const together = createQuietState({ seed: "COOP", coop: true });
+  together.players[1].x = together.players[0].x;
+  const shared = placePatient(together, PATIENT_TYPES.FRACTURE);
+  const alone = createQuietState({ seed: "COOP", coop: true });
+  const single = placePatient(alone, PATIENT_TYPES.FRACTURE);
+  CertQuest.step(together, [IDLE_INPUT, IDLE_INPUT], 100);
+  CertQuest.step(alone, [IDLE_INPUT, IDLE_INPUT], 100);
+  assertEqual(single.contactDurationMs, 100, "one player treats at 1x");
+  assertEqual(
+    shared.contactDurationMs,
+    100 * CertQuest.SHARED_TREAT_SPEED,
+    "two players treat faster"
+  );
+  const treated = CertQuest.step(together, [IDLE_INPUT, IDLE_INPUT], 5000)
+    .events.find((event) => event.type === EVENT_TYPES.PATIENT_TREATED);
+  assertEqual(treated.players.join(","), "0,1", "treatment names both");
+
+  // Co-op replays keep both players' input.
+  const run = CertQuest.createState({ seed: "COOP-REPLAY", coop: true });
+  const recorder = Replay.createRecorder(run.seed, { coop: true });
+  for (let i = 0; !run.over && run.elapsedMs < 600000; i += 1) {
+    const input = [wanderingInput(run, i), wanderingInput(run, i + 100)];
+    Replay.recordStep(recorder, input, run.elapsedMs);
+    CertQuest.step(run, input, CertQuest.FIXED_STEP_MS);
+  }
+  const replay = Replay.parseReplay(
+    Replay.serializeReplay(Replay.finishRecording(recorder, run))
+  );
+  assertEqual(replay.coop, true, "replay records co-op");
+  const playback = Replay.createPlayback(replay);
+  Replay.advancePlaybackTo(playback, replay.durationMs);
+  assertEqual(
+    JSON.stringify(playback.state),
+    JSON.stringify(run),
+    "co-op replay reproduces the run"
+  );
+  assertThrows(
+    () =>
+      Replay.validateReplay({
+        ...replay,
+        inputs: [{ t: 0, ...IDLE_INPUT }],
+      }),
+    "co-op replay needs input for both players"
+  );
+  assertThrows(
+    () => Server.verifySubmission({ initials: "ABC", replay }),
+    "co-op runs stay off the ward leaderboard"
+  );
+
+  const [doctorKeys, nurseKeys] = Controls.readCoopKeys(
+    Controls.createBindings("wasd"),
+    new Set(["KeyA", "ArrowRight"])
+  );
+  assertEqual(nurseKeys.left, true, "A moves the nurse");
+  assertEqual(doctorKeys.left, false, "A leaves the doctor in co-op");
+  assertEqual(doctorKeys.right, true, "doctor keeps the alternate keys");
+
+  const historyRun = History.createHistoryRun(
+    run,
+    Analytics.createRunLog(run),
+    { rules: "Standard shift" }
+  );
+  assertEqual(historyRun.players, 2, "history records the player count");
+  const soloRun = { ...historyRun };
+  delete soloRun.players;
+  const migrated = History.parseHistory(
+    JSON.stringify({ version: 1, runs: [soloRun] })
+  );
+  assertEqual(migrated.runs[0].players, 1, "older history runs were solo");
+}
+
+function testVersus() {
+  const { EVENT_TYPES, ITEM_TYPES } = CertQuest;
+  const { MESSAGE_TYPES } = Versus;
+
+  // A consult drops one extra MK book and says so.
+  const state = createQuietState({ seed: "VERSUS" });
+  const { events } = CertQuest.receiveConsult(state);
+  assertEqual(state.fallingItems.length, 1, "consult drops a book");
+  assertEqual(
+    state.fallingItems[0].type,
+    ITEM_TYPES.KNOWLEDGE,
+    "consult book is an MK book"
+  );
+  assertEqual(
+    events[0].type,
+    EVENT_TYPES.CONSULT_RECEIVED,
+    "consult is reported"
+  );
+  state.over = true;
+  assertEqual(
+    CertQuest.receiveConsult(state).events.length,
+    0,
+    "finished runs ignore consults"
+  );
+
+  // Consults leave the shift's own spawns alone, so both racers keep
+  // seeing the same items.
+  const plain = CertQuest.createState({ seed: "X" });
+  const consulted = CertQuest.createState({ seed: "X" });
+  const stepBoth = (count) => {
+    for (let i = 0; i < count; i += 1) {
+      CertQuest.step(plain, IDLE_INPUT, CertQuest.FIXED_STEP_MS);
+      CertQuest.step(consulted, IDLE_INPUT, CertQuest.FIXED_STEP_MS);
+    }
+  };
+  stepBoth(60);
+  const rngBefore = consulted.rng.state;
+  CertQuest.receiveConsult(consulted);
+  assertEqual(consulted.rng.state, rngBefore, "consults keep the run's rng");
+  const consultBook =
+    consulted.fallingItems[consulted.fallingItems.length - 1];
+  stepBoth(600);
+  assertEqual(
+    JSON.stringify(
+      consulted.fallingItems.filter((item) => item !== consultBook)
+    ),
+    JSON.stringify(plain.fallingItems),
+    "same-seed runs spawn the same items after a consult"
+  );
+
+  // Replays play consults back at the moment they arrived.
+  const run = CertQuest.createState({ seed: "VERSUS-REPLAY" });
+  const recorder = Replay.createRecorder(run.seed);
+  for (let i = 0; !run.over && run.elapsedMs < 600000; i += 1) {
+    if (i % 500 === 250) {
+      Replay.recordConsult(recorder, run.elapsedMs);
+      CertQuest.receiveConsult(run);
+    }
+    const input = wanderingInput(run, i);
+    Replay.recordStep(recorder, input, run.elapsedMs);
+    CertQuest.step(run, input, CertQuest.FIXED_STEP_MS);
+  }
+  const replay = Replay.parseReplay(
+    Replay.serializeReplay(Replay.finishRecording(recorder, run))
+  );
+  assertEqual(replay.consults.length > 0, true, "replay records consults");
+  const playback = Replay.createPlayback(replay);
+  Replay.advancePlaybackTo(playback, replay.durationMs);
+  assertEqual(
+    JSON.stringify(playback.state),
+    JSON.stringify(run),
+    "replay with consults reproduces the run"
+  );
+  assertThrows(
+    () => Replay.validateReplay({ ...replay, consults: [{}] }),
+    "replay rejects malformed consults"
+  );
+  assertThrows(
+    () => Server.verifySubmission({ initials: "ABC", replay }),
+    "runs with consults stay off the ward leaderboard"
+  );
+
+  // Messages are checked field by field.
+  assertEqual(Versus.normalizeRoomCode("  ward-7 "), "WARD-7", "room code");
+  assertEqual(Versus.isValidRoomCode("WARD 7"), false, "room code spaces");
+  const join = Versus.parseMessage(
+    JSON.stringify({ type: "join", room: "WARD-7", difficulty: "intern" })
+  );
+  assertEqual(join.room, "WARD-7", "join message parses");
+  assertEqual(
+    Versus.parseMessage(JSON.stringify({ type: "join", room: "" })),
+    null,
+    "join needs a room"
+  );
+  assertEqual(
+    Versus.parseMessage(
+      JSON.stringify({ type: "join", room: "WARD-7", difficulty: "chief" })
+    ),
+    null,
+    "join needs a known difficulty"
+  );
+  assertEqual(Versus.parseMessage("{"), null, "bad JSON is ignored");
+  assertEqual(
+    Versus.parseMessage(JSON.stringify({ type: "cheat" })),
+    null,
+    "unknown types are ignored"
+  );
+  const status = Versus.createStatus(CertQuest.createState({ seed: "S" }));
+  const received = Versus.parseMessage(
+    JSON.stringify({ type: "status", status: { ...status, extra: 1 } })
+  );
+  assertEqual(
+    Versus.isSameStatus(received.status, status),
+    true,
+    "status survives the trip"
+  );
+  assertEqual("extra" in received.status, false, "status drops extra fields");
+  assertEqual(
+    Versus.parseMessage(
+      JSON.stringify({ type: "status", status: { ...status, score: -1 } })
+    ),
+    null,
+    "status counts must be non-negative"
+  );
+
+  assertEqual(Versus.canSendConsult(null, 0), true, "first consult is free");
+  assertEqual(
+    Versus.canSendConsult(1000, 1000 + Versus.CONSULT_COOLDOWN_MS - 1),
+    false,
+    "consults cool down"
+  );
+  assertEqual(
+    Versus.describeResult(
+      { ...status, score: 12, over: true },
+      { ...status, score: 9, over: true },
+      false
+    ),
+    "You won by 3 pts (12 to 9).",
+    "race result"
+  );
+  assertEqual(
+    Versus.describeResult(status, null, true),
+    "Your opponent left before scoring.",
+    "race result when the opponent left"
+  );
+
+  // WebSocket framing, from RFC 6455.
+  assertEqual(
+    Relay.getAcceptKey("dGhlIHNhbXBsZSBub25jZQ=="),
+    "s3pPLMBiTxaQ9kYGzzhZRbK+xOo=",
+    "handshake accept key"
+  );
+  const mask = Buffer.from([1, 2, 3, 4]);
+  const frame = Relay.encodeFrame(
+    Relay.OPCODES.TEXT,
+    Buffer.from("hello"),
+    mask
+  );
+  const partial = Relay.decodeFrames(
+    Buffer.concat([frame, frame.subarray(0, 3)])
+  );
+  assertEqual(partial.frames.length, 1, "one complete frame decodes");
+  assertEqual(
+    partial.frames[0].payload.toString(),
+    "hello",
+    "frame is unmasked"
+  );
+  assertEqual(partial.rest.length, 3, "partial frame is kept");
+  assertThrows(
+    () => Relay.decodeFrames(Relay.encodeFrame(Relay.OPCODES.TEXT)),
+    "client frames must be masked"
+  );
+  assertThrows(
+    () =>
+      Relay.decodeFrames(
+        Relay.encodeFrame(Relay.OPCODES.TEXT, Buffer.alloc(2000), mask)
+      ),
+    "oversized frames are refused"
+  );
+
+  // The relay pairs two players and forwards between them.
+  let clock = 0;
+  const relay = Relay.createRelay({
+    generateSeed: () => "RACE",
+    now: () => clock,
+  });
+  const createPeer = () => {
+    const peer = { received: [] };
+    peer.send = (text) => peer.received.push(Versus.parseMessage(text));
+    peer.connection = relay.connect(peer);
+    peer.last = () => peer.received[peer.received.length - 1];
+    return peer;
+  };
+  const send = (peer, message) =>
+    peer.connection.receive(Versus.encodeMessage(message));
+  const stranger = createPeer();
+  send(stranger, { type: "join", room: "WARD-7", difficulty: "chief" });
+  assertEqual(
+    stranger.last().type,
+    MESSAGE_TYPES.ERROR,
+    "joins with unknown difficulties are refused"
+  );
+  assertEqual(relay.rooms.size, 0, "refused joins open no room");
+  stranger.connection.disconnect();
+  const host = createPeer();
+  const guest = createPeer();
+  send(host, { type: "join", room: "WARD-7", difficulty: "attending" });
+  assertEqual(host.last().type, MESSAGE_TYPES.WAITING, "host waits");
+  send(guest, { type: "join", room: "WARD-7", difficulty: "intern" });
+  assertEqual(guest.last().type, MESSAGE_TYPES.START, "race starts");
+  assertEqual(host.last().seed, "RACE", "host gets the shared seed");
+  assertEqual(guest.last().seed, "RACE", "guest gets the shared seed");
+  assertEqual(
+    guest.last().difficulty,
+    "attending",
+    "race uses the host's difficulty"
+  );
+
+  send(host, { type: "status", status });
+  assertEqual(guest.last().type, MESSAGE_TYPES.STATUS, "status forwarded");
+  assertEqual(host.last().type, MESSAGE_TYPES.START, "status not echoed");
+  send(guest, { type: "consult" });
+  assertEqual(host.last().type, MESSAGE_TYPES.CONSULT, "consult forwarded");
+  const consultsSoFar = host.received.length;
+  send(guest, { type: "consult" });
+  assertEqual(host.received.length, consultsSoFar, "consult floods are dropped");
+  clock += Versus.CONSULT_COOLDOWN_MS;
+  send(guest, { type: "consult" });
+  assertEqual(host.received.length, consultsSoFar + 1, "later consults pass");
+
+  const latecomer = createPeer();
+  send(latecomer, { type: "join", room: "WARD-7", difficulty: "intern" });
+  assertEqual(latecomer.last().type, MESSAGE_TYPES.ERROR, "room is full");
+  latecomer.connection.receive("{");
+  assertEqual(latecomer.last().type, MESSAGE_TYPES.ERROR, "bad messages");
+
+  guest.connection.disconnect();
+  assertEqual(host.last().type, MESSAGE_TYPES.LEFT, "host hears guest left");
+  host.connection.disconnect();
+  assertEqual(relay.rooms.size, 0, "empty rooms are closed");
 }
 
-runTests();
+/**
+ * Send raw text to a listening server and collect its whole reply.
+ * @param {number} port - Server port.
+ * @param {string} text - Request text.
+ * @returns {Promise<string>} Everything the server wrote back.
+ */
+function sendRawRequest(port, text) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, "127.0.0.1", () => socket.write(text));
+    let reply = "";
+    socket.on("data", (chunk) => {
+      reply += chunk;
+    });
+    socket.on("close", () => resolve(reply));
+    socket.on("error", reject);
+  });
+}
+
+/**
+ * GET a path from a listening server.
+ * @param {number} port - Server port.
+ * @param {string} pathname - Path to fetch.
+ * @returns {Promise<number>} Response status.
+ */
+function getStatus(port, pathname) {
+  return new Promise((resolve, reject) => {
+    http
+      .get({ host: "127.0.0.1", port, path: pathname }, (res) => {
+        res.resume();
+        res.on("end", () => resolve(res.statusCode));
+      })
+      .on("error", reject);
+  });
+}
+
+async function testVersusUpgrades() {
+  const server = Server.createServer({
+    dataFile: path.join(os.tmpdir(), "cert-quest-test-scores.json"),
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+  try {
+    // A target that is not a URL is refused without taking the server down.
+    const reply = await sendRawRequest(
+      port,
+      "GET //[ HTTP/1.1\r\nHost: localhost\r\nConnection: Upgrade\r\n" +
+        "Upgrade: websocket\r\nSec-WebSocket-Key: AAAAAAAAAAAAAAAAAAAAAA==" +
+        "\r\n\r\n"
+    );
+    assertEqual(
+      reply.split("\r\n")[0],
+      "HTTP/1.1 400 Bad Request",
+      "malformed upgrades are refused"
+    );
+    assertEqual(
+      await getStatus(port, "/api/scores"),
+      200,
+      "server still answers after a malformed upgrade"
+    );
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+/**
+ * A canvas context that records the rectangles it fills.
+ */
+function createRecordingContext() {
+  const rects = [];
+  return {
+    rects,
+    fillStyle: "",
+    fillRect(x, y, width, height) {
+      rects.push({ color: this.fillStyle, x, y, width, height });
+    },
+  };
+}
+
+function testSprites() {
+  const { ANIMATIONS, THEMES } = Sprites;
+  const { EVENT_TYPES, PATIENT_TYPES } = CertQuest;
+
+  Object.keys(THEMES).forEach((name) => {
+    assertEqual(
+      Sprites.getThemeProblems(THEMES[name]).join("; "),
+      "",
+      `built-in theme ${name} is valid`
+    );
+    const { sprites } = Sprites.resolveTheme(THEMES[name]);
+    assertEqual(
+      Sprites.SPRITE_KEYS.every((key) => sprites[key]),
+      true,
+      `${name} has a sprite for everything drawn`
+    );
+  });
+  const standard = Sprites.resolveTheme(THEMES.standard).sprites;
+  const theatre = Sprites.resolveTheme(THEMES.theatre).sprites;
+  assertEqual(
+    theatre["player.doctor"].palette.T !== standard["player.doctor"].palette.T,
+    true,
+    "palettes recolour the sprites they name"
+  );
+  assertEqual(
+    theatre["item.knowledge"],
+    standard["item.knowledge"],
+    "other sprites come from the base theme"
+  );
+
+  const sprite = {
+    width: 4,
+    height: 2,
+    box: { x: 0, y: 1, width: 2, height: 1 },
+    palette: { a: "#111111", b: "@triage", n: null },
+    frames: {
+      one: ["aab.", "n.aa"],
+      two: { from: "one", rows: { 1: "bbbb" } },
+    },
+    animations: {
+      idle: { fps: 2, frames: ["one"] },
+      run: { fps: 10, frames: ["one", "two"] },
+      hurt: { fps: 10, frames: ["one", "two"], loop: false },
+    },
+  };
+  const problemsWith = (changes) =>
+    Sprites.getThemeProblems({
+      version: 1,
+      name: "Test",
+      extends: "standard",
+      ...changes,
+    }).join("; ");
+  assertEqual(
+    problemsWith({ sprites: { "player.doctor": sprite } }),
+    "",
+    "a theme can replace one sprite"
+  );
+  assertEqual(
+    Sprites.getThemeProblems({ version: 2, name: "Test" }).join(),
+    "version must be 1",
+    "theme version is checked"
+  );
+  assertEqual(
+    problemsWith({ extends: "gothic" }).includes("extends must be one of"),
+    true,
+    "only built-in themes can be extended"
+  );
+  assertEqual(
+    problemsWith({ sprites: { "player.surgeon": sprite } }),
+    "sprites.player.surgeon is not a sprite",
+    "unknown sprite keys are refused"
+  );
+  assertEqual(
+    Sprites.getThemeProblems({ version: 1, name: "Bare" }).length,
+    Sprites.SPRITE_KEYS.length,
+    "a theme that extends nothing needs every sprite"
+  );
+  const broken = (frames, animations = { idle: { fps: 1, frames: ["one"] } }) =>
+    problemsWith({
+      sprites: { "player.doctor": { ...sprite, frames, animations } },
+    });
+  assertEqual(
+    broken({ one: ["aab", "n.aa"] }),
+    "sprites.player.doctor.frames.one must be 2 rows of 4 characters",
+    "rows must match the art size"
+  );
+  assertEqual(
+    broken({ one: ["aaz.", "n.aa"] }),
+    'sprites.player.doctor.frames.one uses "z", which has no colour',
+    "every character needs a colour"
+  );
+  assertEqual(
+    broken({ one: { from: "two" }, two: { from: "one" } }).includes(
+      "copies itself"
+    ),
+    true,
+    "frames cannot copy themselves"
+  );
+  assertEqual(
+    broken(sprite.frames, { run: sprite.animations.run }),
+    "sprites.player.doctor.animations needs an idle animation",
+    "an idle animation is required"
+  );
+  assertEqual(
+    broken(sprite.frames, { idle: { fps: 1, frames: ["three"] } }),
+    "sprites.player.doctor.animations.idle.frames must name frames of the sprite",
+    "animations use the sprite's frames"
+  );
+  assertEqual(
+    problemsWith({
+      sprites: {
+        "player.doctor": {
+          sheet: { src: "", frameWidth: 32, frameHeight: 58 },
+          box: { x: 0, y: 6, width: 32, height: 52 },
+          animations: { idle: { row: 0, frames: 2, fps: 2 } },
+        },
+      },
+    }),
+    "sprites.player.doctor.sheet needs a src, frameWidth and frameHeight",
+    "sheets need an image"
+  );
+  let parseError = "";
+  try {
+    Sprites.parseTheme("{");
+  } catch (error) {
+    parseError = error.message;
+  }
+  assertEqual(parseError, "Theme file is not valid JSON.", "bad JSON");
+
+  const compiled = Sprites.compileTheme(
+    Sprites.resolveTheme({
+      version: 1,
+      name: "Test",
+      extends: "standard",
+      sprites: { "player.doctor": sprite },
+    })
+  ).sprites["player.doctor"];
+  const [one, two] = compiled.animations.run.frames;
+  assertEqual(
+    JSON.stringify(one.runs),
+    JSON.stringify([
+      { color: "#111111", x: 0, y: 0, width: 2 },
+      { color: "@triage", x: 2, y: 0, width: 1 },
+      { color: "#111111", x: 2, y: 1, width: 2 },
+    ]),
+    "pixels of a colour join into runs; null and '.' are skipped"
+  );
+  assertEqual(
+    compiled.animations.idle.frames[0],
+    one,
+    "animations share compiled frames"
+  );
+
+  const run = compiled.animations.run;
+  assertEqual(Sprites.getFrameIndex(run, 150, false), 1, "frames advance");
+  assertEqual(Sprites.getFrameIndex(run, 250, false), 0, "animations loop");
+  assertEqual(
+    Sprites.getFrameIndex(compiled.animations.hurt, 250, false),
+    1,
+    "non-looping animations hold their last frame"
+  );
+  assertEqual(
+    Sprites.getFrameIndex(run, 150, true),
+    0,
+    "reduced motion holds the first frame"
+  );
+  assertEqual(
+    Sprites.getSpriteFrame(compiled, ANIMATIONS.JUMP, 0, false),
+    one,
+    "idle stands in for missing animations"
+  );
+
+  const bounds = { x: 100, y: 50, width: 20, height: 10 };
+  let context = createRecordingContext();
+  Sprites.drawFrame(context, compiled, two, bounds, {
+    colors: { triage: "#ff0000" },
+  });
+  assertEqual(
+    JSON.stringify(context.rects[0]),
+    JSON.stringify({ color: "#111111", x: 100, y: 40, width: 20, height: 10 }),
+    "the box is scaled onto the bounds"
+  );
+  assertEqual(
+    context.rects[2].color,
+    "#ff0000",
+    "'@' colours are filled in when drawing"
+  );
+  context = createRecordingContext();
+  Sprites.drawFrame(context, compiled, one, bounds, { flip: true });
+  assertEqual(context.rects.length, 2, "colours not given are skipped");
+  assertEqual(context.rects[1].x, 80, "flipping mirrors about the box");
+
+  const player = { onGround: true, vx: 0 };
+  const animator = Sprites.createAnimator();
+  const animationAt = (changes, treating, timeMs) =>
+    Sprites.updatePlayerAnimator(
+      animator,
+      { ...player, ...changes },
+      treating,
+      timeMs
+    ).animation;
+  assertEqual(animationAt({}, false, 0), ANIMATIONS.IDLE, "standing idles");
+  assertEqual(animationAt({ vx: 200 }, false, 100), ANIMATIONS.RUN, "run");
+  assertEqual(animator.startedMs, 100, "a new animation starts over");
+  assertEqual(animationAt({ vx: -200 }, false, 200), ANIMATIONS.RUN, "run");
+  assertEqual(animator.startedMs, 100, "a playing animation carries on");
+  assertEqual(
+    animationAt({ onGround: false }, true, 300),
+    ANIMATIONS.JUMP,
+    "jumping beats treating"
+  );
+  assertEqual(animationAt({}, true, 400), ANIMATIONS.TREATING, "treating");
+  Sprites.markHurt(animator, 400);
+  assertEqual(
+    animationAt({ onGround: false }, false, 500),
+    ANIMATIONS.HURT,
+    "being hurt beats everything"
+  );
+  assertEqual(
+    animationAt({}, false, 400 + Sprites.HURT_MS),
+    ANIMATIONS.IDLE,
+    "the hurt animation wears off"
+  );
+  assertEqual(
+    Sprites.getHurtPlayers([
+      { type: EVENT_TYPES.MISTAKE_CAUGHT, player: 1 },
+      { type: EVENT_TYPES.GROUND_MISTAKE_HIT, player: 0, blocked: true },
+      { type: EVENT_TYPES.KNOWLEDGE_CAUGHT, player: 0 },
+    ]).join(),
+    "1",
+    "only unblocked red books hurt"
+  );
+  assertEqual(
+    Sprites.getPatientAnimation(true, true),
+    ANIMATIONS.TREATING,
+    "treated patients show treatment"
+  );
+  assertEqual(
+    Sprites.getPatientAnimation(false, true),
+    ANIMATIONS.HURT,
+    "critical patients show the alarm"
+  );
+
+  const state = createQuietState();
+  assertEqual(
+    CertQuest.findTreatedPatient(state, state.players[0]),
+    null,
+    "nobody to treat"
+  );
+  const patient = placePatient(state, PATIENT_TYPES.LACERATION);
+  assertEqual(
+    CertQuest.findTreatedPatient(state, state.players[0]),
+    patient,
+    "the patient underfoot is treated"
+  );
+  state.knowledge.percent = 0;
+  assertEqual(
+    CertQuest.findTreatedPatient(state, state.players[0]),
+    null,
+    "patients are not treated without the knowledge"
+  );
+
+  const storage = createMemoryStorage();
+  assertEqual(Sprites.loadThemeName(storage), "standard", "default theme");
+  Sprites.saveThemeName(storage, "theatre");
+  assertEqual(Sprites.loadThemeName(storage), "theatre", "theme remembered");
+  storage.setItem(Sprites.THEME_STORAGE_KEY, "toString");
+  assertEqual(
+    Sprites.loadThemeName(storage),
+    "standard",
+    "unknown themes fall back"
+  );
+  assertEqual(Sprites.loadThemeName(null), "standard", "no storage");
+}
+
+async function runTests() {
+  console.log("Running Cert Quest tests...");
+
+  testScoring();
+  testStreaks();
+  testSimulation();
+  testPowerUps();
+  testPatients();
+  testDifficulty();
+  testFixedStepClock();
+  testDeterminism();
+  testReplay();
+  testLeaderboard();
+  testServerValidation();
+  testQuiz();
+  testQuestionBankTool();
+  testConfig();
+  testTouch();
+  testControls();
+  testAudio();
+  testAccessibility();
+  testAchievements();
+  testAnalytics();
+  testHistory();
+  testCoop();
+  testVersus();
+  await testVersusUpgrades();
+  testSprites();
+
+  console.log("All tests passed.");
+}
 
+runTests().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,230 @@
+/**
+ * Touch controls for Cert Quest.
+ * Turns touches on the on-screen buttons, swipes across the canvas, or the
+ * tilt of the device into the same left/right/jump input the keyboard
+ * produces. Holds no DOM references, so the rules can be tested in Node;
+ * game.js feeds it pointer and orientation events.
+ */
+
+(function (root) {
+  const TOUCH_STORAGE_KEY = "certQuest.touchMode";
+
+  const TOUCH_MODES = {
+    BUTTONS: "buttons",
+    SWIPE: "swipe",
+    TILT: "tilt",
+  };
+
+  const TOUCH_MODE_LABELS = {
+    [TOUCH_MODES.BUTTONS]: "On-screen buttons",
+    [TOUCH_MODES.SWIPE]: "Swipe",
+    [TOUCH_MODES.TILT]: "Tilt",
+  };
+
+  const DEFAULT_TOUCH_MODE = TOUCH_MODES.BUTTONS;
+
+  // Swipe: a finger dragged this far sideways from where it landed steers,
+  // and one dragged this far up jumps, for as long as it stays down.
+  const SWIPE_DEAD_ZONE_PX = 24;
+  const SWIPE_JUMP_PX = 36;
+
+  // Tilt: degrees of tilt before the player starts walking.
+  const TILT_DEAD_ZONE_DEG = 8;
+
+  const CONTROLS = ["left", "right", "jump"];
+
+  /**
+   * Create the touch state for a page.
+   * @returns {{pointers:Map, swipes:Map, tilt:{left:boolean,right:boolean}}}
+   *   Buttons held by each pointer, swipes in progress and the tilt reading.
+   */
+  function createTouchInput() {
+    return {
+      pointers: new Map(),
+      swipes: new Map(),
+      tilt: { left: false, right: false },
+    };
+  }
+
+  /**
+   * Hold an on-screen button with a pointer. A pointer that slides onto
+   * another button lets go of the first, so a thumb can rock between left
+   * and right.
+   * @param {object} touch - Touch state from createTouchInput().
+   * @param {number} pointerId - Pointer holding the button.
+   * @param {string|null} control - "left", "right", "jump", or null when the
+   *   pointer is over no button.
+   */
+  function pressControl(touch, pointerId, control) {
+    if (CONTROLS.includes(control)) {
+      touch.pointers.set(pointerId, control);
+    } else {
+      touch.pointers.delete(pointerId);
+    }
+  }
+
+  /**
+   * Start tracking a swipe where a finger lands on the canvas.
+   * @param {object} touch - Touch state.
+   * @param {number} pointerId - Pointer that landed.
+   * @param {number} x - Client x of the touch.
+   * @param {number} y - Client y of the touch.
+   */
+  function startSwipe(touch, pointerId, x, y) {
+    touch.swipes.set(pointerId, { startX: x, startY: y, x, y });
+  }
+
+  /**
+   * Follow a finger that is swiping.
+   * @param {object} touch - Touch state.
+   * @param {number} pointerId - Pointer that moved.
+   * @param {number} x - Client x of the touch.
+   * @param {number} y - Client y of the touch.
+   */
+  function moveSwipe(touch, pointerId, x, y) {
+    const swipe = touch.swipes.get(pointerId);
+    if (swipe) {
+      swipe.x = x;
+      swipe.y = y;
+    }
+  }
+
+  /**
+   * Forget a pointer once it lifts or the browser cancels it.
+   * @param {object} touch - Touch state.
+   * @param {number} pointerId - Pointer that ended.
+   */
+  function releasePointer(touch, pointerId) {
+    touch.pointers.delete(pointerId);
+    touch.swipes.delete(pointerId);
+  }
+
+  /**
+   * Let go of everything, e.g. when the page loses focus mid-touch.
+   * @param {object} touch - Touch state.
+   */
+  function releaseAll(touch) {
+    touch.pointers.clear();
+    touch.swipes.clear();
+    touch.tilt = { left: false, right: false };
+  }
+
+  /**
+   * Sideways tilt of the device as the player sees it, whichever way the
+   * screen is rotated. Positive means tilted to the right.
+   * @param {{beta:number|null, gamma:number|null}} orientation - Reading from
+   *   a deviceorientation event.
+   * @param {number} screenAngle - Screen rotation in degrees (0, 90, 180 or
+   *   270, or -90 on older browsers).
+   * @returns {number} Tilt in degrees.
+   */
+  function getTiltDegrees(orientation, screenAngle) {
+    const beta = orientation.beta || 0;
+    const gamma = orientation.gamma || 0;
+    switch (((screenAngle % 360) + 360) % 360) {
+      case 90:
+        return beta;
+      case 180:
+        return -gamma;
+      case 270:
+        return -beta;
+      default:
+        return gamma;
+    }
+  }
+
+  /**
+   * Steer from the device tilt.
+   * @param {object} touch - Touch state.
+   * @param {number} degrees - Tilt from getTiltDegrees().
+   */
+  function setTilt(touch, degrees) {
+    touch.tilt = {
+      left: degrees < -TILT_DEAD_ZONE_DEG,
+      right: degrees > TILT_DEAD_ZONE_DEG,
+    };
+  }
+
+  /**
+   * Combine every finger and the tilt into one input snapshot.
+   * @param {object} touch - Touch state.
+   * @returns {{left:boolean,right:boolean,jump:boolean}} Touch input.
+   */
+  function readTouchInput(touch) {
+    const input = {
+      left: touch.tilt.left,
+      right: touch.tilt.right,
+      jump: false,
+    };
+    touch.pointers.forEach((control) => {
+      input[control] = true;
+    });
+    touch.swipes.forEach((swipe) => {
+      const dx = swipe.x - swipe.startX;
+      if (dx < -SWIPE_DEAD_ZONE_PX) {
+        input.left = true;
+      } else if (dx > SWIPE_DEAD_ZONE_PX) {
+        input.right = true;
+      }
+      if (swipe.startY - swipe.y > SWIPE_JUMP_PX) {
+        input.jump = true;
+      }
+    });
+    return input;
+  }
+
+  /**
+   * Read the touch mode chosen last time.
+   * @param {Storage} storage - localStorage or a compatible object.
+   * @returns {string} A TOUCH_MODES value.
+   */
+  function loadTouchMode(storage) {
+    try {
+      const mode = storage.getItem(TOUCH_STORAGE_KEY);
+      return Object.values(TOUCH_MODES).includes(mode)
+        ? mode
+        : DEFAULT_TOUCH_MODE;
+    } catch (error) {
+      return DEFAULT_TOUCH_MODE;
+    }
+  }
+
+  /**
+   * Remember the touch mode for next time.
+   * @param {Storage} storage - localStorage or a compatible object.
+   * @param {string} mode - A TOUCH_MODES value.
+   */
+  function saveTouchMode(storage, mode) {
+    try {
+      storage.setItem(TOUCH_STORAGE_KEY, mode);
+    } catch (error) {
+      // Private browsing can refuse writes; the choice just isn't kept.
+    }
+  }
+
+  const CertQuestTouch = {
+    TOUCH_MODES,
+    TOUCH_MODE_LABELS,
+    DEFAULT_TOUCH_MODE,
+    SWIPE_DEAD_ZONE_PX,
+    SWIPE_JUMP_PX,
+    TILT_DEAD_ZONE_DEG,
+    createTouchInput,
+    pressControl,
+    startSwipe,
+    moveSwipe,
+    releasePointer,
+    releaseAll,
+    getTiltDegrees,
+    setTilt,
+    readTouchInput,
+    loadTouchMode,
+    saveTouchMode,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = CertQuestTouch;
+  } else {
+    root.CertQuestTouch = CertQuestTouch;
+  }
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,279 @@
+/**
+ * Head-to-head protocol for Cert Quest.
+ * Two players on separate machines race the same seeded shift through the
+ * relay in relay.js. Each side sends its score and meters whenever they
+ * change, and can send a consult, which drops an extra MK book into the
+ * opponent's run. The relay only pairs players and forwards messages, so
+ * both ends check every message with parseMessage(). Holds no DOM or
+ * socket references; game.js owns the connection.
+ */
+
+(function (root) {
+  const Sim =
+    typeof module !== "undefined" && module.exports
+      ? require("./sim")
+      : root.CertQuestSim;
+
+  // Relative to the page, like the ward leaderboard's api/scores.
+  const VERSUS_PATH = "api/versus";
+
+  const MESSAGE_TYPES = {
+    // Client to relay: { room, difficulty }.
+    JOIN: "join",
+    // Relay to client: the room is open, waiting for an opponent.
+    WAITING: "waiting",
+    // Relay to both clients: { seed, difficulty } of the shared shift.
+    START: "start",
+    // Client to opponent: { status } from createStatus().
+    STATUS: "status",
+    // Client to opponent: drop an MK book on their side.
+    CONSULT: "consult",
+    // Relay to client: the opponent disconnected.
+    LEFT: "left",
+    // Relay to client: { message } explaining a refused request.
+    ERROR: "error",
+  };
+
+  // Short codes that are easy to read out to the other player.
+  const ROOM_CODE_PATTERN = /^[A-Z0-9-]{1,16}$/;
+
+  // Simulation time between consults a player may send.
+  const CONSULT_COOLDOWN_MS = 10000;
+
+  // No message comes near this; anything longer is refused unread.
+  const MAX_MESSAGE_BYTES = 1024;
+
+  const STATUS_COUNTS = [
+    "score",
+    "knowledge",
+    "mistakes",
+    "maxMistakes",
+    "patientsTreated",
+    "level",
+  ];
+
+  /**
+   * Tidy a typed room code: trimmed and upper case.
+   * @param {string} code - Room code as typed.
+   * @returns {string} Normalized code.
+   */
+  function normalizeRoomCode(code) {
+    return String(code || "")
+      .trim()
+      .toUpperCase();
+  }
+
+  /**
+   * Whether a normalized room code can be used.
+   * @param {string} code - Room code.
+   * @returns {boolean} True when valid.
+   */
+  function isValidRoomCode(code) {
+    return typeof code === "string" && ROOM_CODE_PATTERN.test(code);
+  }
+
+  /**
+   * What the opponent sees of a run.
+   * @param {object} state - Simulation state.
+   * @returns {{score:number, knowledge:number, mistakes:number,
+   *   maxMistakes:number, patientsTreated:number, level:number,
+   *   over:boolean}} Status.
+   */
+  function createStatus(state) {
+    return {
+      score: Sim.computeScore(
+        state.score.patientPoints,
+        state.score.assessmentsPassed,
+        state.score.bonusPoints
+      ),
+      knowledge: Math.round(state.knowledge.percent),
+      mistakes: state.mistakes.count,
+      maxMistakes: state.rules.mistakes.max,
+      patientsTreated: state.score.patientsTreated,
+      level: state.level,
+      over: state.over,
+    };
+  }
+
+  /**
+   * Whether a difficulty names one of the built-in presets, which is what
+   * both racers' shifts are built from.
+   * @param {*} difficulty - Candidate preset name.
+   * @returns {boolean} True when known.
+   */
+  function isKnownDifficulty(difficulty) {
+    return (
+      typeof difficulty === "string" &&
+      Object.prototype.hasOwnProperty.call(
+        Sim.DEFAULT_RULES.difficulty.presets,
+        difficulty
+      )
+    );
+  }
+
+  /**
+   * Whether two statuses show the same thing.
+   * @param {object|null} a - First status.
+   * @param {object|null} b - Second status.
+   * @returns {boolean} True when they match.
+   */
+  function isSameStatus(a, b) {
+    return (
+      a !== null &&
+      b !== null &&
+      a.over === b.over &&
+      STATUS_COUNTS.every((key) => a[key] === b[key])
+    );
+  }
+
+  /**
+   * Whether a received status has every field, each of the right type.
+   * @param {object} status - Candidate status.
+   * @returns {boolean} True when usable.
+   */
+  function isValidStatus(status) {
+    return (
+      Boolean(status) &&
+      typeof status === "object" &&
+      typeof status.over === "boolean" &&
+      STATUS_COUNTS.every(
+        (key) => Number.isInteger(status[key]) && status[key] >= 0
+      )
+    );
+  }
+
+  /**
+   * Decode and check a received message. Never throws.
+   * @param {string} text - Message text.
+   * @returns {object|null} The message, keeping only its known fields, or
+   *   null when it is not a valid message.
+   */
+  function parseMessage(text) {
+    if (typeof text !== "string" || text.length > MAX_MESSAGE_BYTES) {
+      return null;
+    }
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (error) {
+      return null;
+    }
+    if (!message || typeof message !== "object") {
+      return null;
+    }
+    const { type } = message;
+    switch (type) {
+      case MESSAGE_TYPES.JOIN:
+        return isValidRoomCode(message.room) &&
+          isKnownDifficulty(message.difficulty)
+          ? { type, room: message.room, difficulty: message.difficulty }
+          : null;
+      case MESSAGE_TYPES.START:
+        return typeof message.seed === "string" &&
+          message.seed !== "" &&
+          isKnownDifficulty(message.difficulty)
+          ? { type, seed: message.seed, difficulty: message.difficulty }
+          : null;
+      case MESSAGE_TYPES.STATUS:
+        return isValidStatus(message.status)
+          ? { type, status: createStatusCopy(message.status) }
+          : null;
+      case MESSAGE_TYPES.ERROR:
+        return typeof message.message === "string"
+          ? { type, message: message.message }
+          : null;
+      case MESSAGE_TYPES.WAITING:
+      case MESSAGE_TYPES.CONSULT:
+      case MESSAGE_TYPES.LEFT:
+        return { type };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Copy the known fields of a valid status.
+   * @param {object} status - Status that passed isValidStatus().
+   * @returns {object} Plain copy.
+   */
+  function createStatusCopy(status) {
+    const copy = {};
+    STATUS_COUNTS.forEach((key) => {
+      copy[key] = status[key];
+    });
+    copy.over = status.over;
+    return copy;
+  }
+
+  /**
+   * Encode a message for sending.
+   * @param {object} message - Message with a MESSAGE_TYPES type.
+   * @returns {string} JSON text.
+   */
+  function encodeMessage(message) {
+    return JSON.stringify(message);
+  }
+
+  /**
+   * Whether the cooldown since the last consult sent has run out.
+   * @param {number|null} lastConsultMs - Simulation time of the last consult
+   *   sent, or null before the first.
+   * @param {number} elapsedMs - Simulation time now.
+   * @returns {boolean} True when a consult can be sent.
+   */
+  function canSendConsult(lastConsultMs, elapsedMs) {
+    return (
+      lastConsultMs === null || elapsedMs - lastConsultMs >= CONSULT_COOLDOWN_MS
+    );
+  }
+
+  /**
+   * How the race went, for the Game Over screen.
+   * @param {object} own - This player's final status.
+   * @param {object|null} opponent - The opponent's latest status, if any.
+   * @param {boolean} opponentLeft - Whether the opponent disconnected.
+   * @returns {string} Result line.
+   */
+  function describeResult(own, opponent, opponentLeft) {
+    if (!opponent) {
+      return opponentLeft
+        ? "Your opponent left before scoring."
+        : "Waiting for your opponent's score.";
+    }
+    if (!opponent.over) {
+      return opponentLeft
+        ? `Your opponent left mid-shift on ${opponent.score} pts.`
+        : `Your opponent is still playing, on ${opponent.score} pts so far.`;
+    }
+    const margin = Math.abs(own.score - opponent.score);
+    if (own.score > opponent.score) {
+      return `You won by ${margin} pts (${own.score} to ${opponent.score}).`;
+    }
+    if (own.score < opponent.score) {
+      return `You lost by ${margin} pts (${own.score} to ${opponent.score}).`;
+    }
+    return `It's a tie at ${own.score} pts.`;
+  }
+
+  const CertQuestVersus = {
+    VERSUS_PATH,
+    MESSAGE_TYPES,
+    CONSULT_COOLDOWN_MS,
+    MAX_MESSAGE_BYTES,
+    normalizeRoomCode,
+    isValidRoomCode,
+    isKnownDifficulty,
+    createStatus,
+    isSameStatus,
+    parseMessage,
+    encodeMessage,
+    canSendConsult,
+    describeResult,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = CertQuestVersus;
+  } else {
+    root.CertQuestVersus = CertQuestVersus;
+  }
+})(typeof window !== "undefined" ? window : globalThis);